@@ -11,19 +11,30 @@ import { EmergencyNamesApp } from './apps/emergency-app.js';
 import { hasNamesGeneratorPermission } from './utils/permissions.js';
 import { getSupportedGenders } from './shared/constants.js';
 import { logDebug, logInfo, logWarn, logError } from './utils/logger.js';
+import { getLocalizedText } from './utils/grammar.js';
 import {
   validateLanguage,
   validateSpecies,
   validateGender,
   validateComponents,
+  validatePatronymicParent,
+  validateNonbinaryStrategy,
   validateFormat,
   validateCatalog,
   validateTags,
+  validateWhere,
+  validateFilters,
   validateCount,
   validatePackageCode,
   validateCatalogTransforms,
-  validatePackageRecipes
+  validatePackageRecipes,
+  validateTransformRegistration,
+  validatePostTransforms,
+  validateScriptRegistration,
+  validateFamilyOptions
 } from './utils/api-input-validator.js';
+import { registerTransform, unregisterTransform, getRegisteredTransformNames } from './core/transform-registry.js';
+import { registerScript, unregisterScript, getScriptList, renderScript } from './core/script-registry.js';
 import {
   throwIfInvalid,
   createValidationError,
@@ -51,6 +62,7 @@ class NamesModuleAPI {
     this.hooks = {
       'names.beforeGenerate': [],
       'names.afterGenerate': [],
+      'names.generateProgress': [],
       'names.dataLoaded': []
     };
 
@@ -158,21 +170,109 @@ class NamesModuleAPI {
    * @param {string} options.language - Language code (default: 'de')
    * @param {string} options.species - Species code (default: 'human')
    * @param {string} options.gender - Gender for names ('male', 'female', 'nonbinary')
-   * @param {Array} options.components - Name components ['firstname', 'surname', 'title', 'nickname']
+   * @param {Array} options.components - Name components ['firstname', 'surname', 'title', 'nickname', 'patronymic', 'familiar']
    * @param {string} options.format - Name format (default: '{firstname} {surname}')
+   * @param {string} options.patronymicParent - Parent of the patronymic ('father', 'mother', 'either'; default from the package)
+   * @param {string} options.nonbinaryStrategy - Source of nonbinary first names in packages without any
+   *   ('union', 'blend', 'neutral', 'derive'; default from the world setting)
    * @param {number} options.count - Number of names to generate (default: 1)
-   * @returns {Promise<string|Array>} Generated name(s)
+   * @param {boolean} options.detailed - Return suggestions ({ text, recipe, parts, gender, locale, pronunciation,
+   *   meaning, replayToken, metadata }) instead of strings (default: false)
+   * @returns {Promise<string|Object|Array>} Generated name(s), or suggestion(s) with `detailed`
    * @throws {NominaError} When validation fails or generation errors occur
+   * @example
+   * const { text, meaning } = await api.generateName({ species: 'human', language: 'de', detailed: true });
+   * // "Greta Müller", "betreibt eine Mühle"
    */
   async generateName(options = {}) {
     await this._ensureSetup();
 
+    const {
+      language: normalizedLanguage,
+      species: normalizedSpecies,
+      gender: normalizedGender,
+      components: normalizedComponents,
+      format: normalizedFormat,
+      patronymicParent: normalizedPatronymicParent,
+      nonbinaryStrategy: normalizedNonbinaryStrategy,
+      count: normalizedCount
+    } = await this._validateNameOptions(options);
+
+    // === Generation ===
+
+    const packageCode = `${normalizedSpecies}-${normalizedLanguage}`;
+
+    logDebug("Generating name with validated options:", {
+      language: normalizedLanguage,
+      species: normalizedSpecies,
+      gender: normalizedGender,
+      components: normalizedComponents,
+      format: normalizedFormat,
+      count: normalizedCount
+    });
+
+    // Fire beforeGenerate hook
+    this._fireHook('names.beforeGenerate', { options });
+
+    try {
+      const result = await this.generator.generatePersonName(packageCode, {
+        locale: normalizedLanguage,
+        n: normalizedCount,
+        gender: normalizedGender,
+        components: normalizedComponents,
+        format: normalizedFormat,
+        patronymicParent: normalizedPatronymicParent,
+        nonbinaryStrategy: normalizedNonbinaryStrategy,
+        allowDuplicates: false,
+        // Plain names have no use for the guides
+        includePronunciation: options.detailed === true
+      });
+
+      // Fire afterGenerate hook
+      this._fireHook('names.afterGenerate', { options, result });
+
+      // Return single name or array based on count (whole suggestions when detailed)
+      const names = (result.suggestions || []).map(s => options.detailed === true ? s : s.text);
+      if (normalizedCount === 1 && names.length > 0) {
+        return names[0];
+      }
+
+      return names;
+
+    } catch (error) {
+      // Re-throw NominaErrors as-is
+      if (error.isNominaError) {
+        throw error;
+      }
+
+      // Wrap other errors in a NominaError
+      logError("Failed to generate name:", error);
+      throw createValidationError(ErrorType.GENERATION_FAILED, {
+        language: normalizedLanguage,
+        species: normalizedSpecies,
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * Validate and normalize the person name options of generateName() and generateStream()
+   * @param {Object} options - Options as passed to generateName()
+   * @param {number} [maxCount=100] - Largest allowed count
+   * @returns {Promise<Object>} Normalized language, species, gender, components, format, patronymicParent,
+   *   nonbinaryStrategy and count
+   * @throws {NominaError} When validation fails
+   * @private
+   */
+  async _validateNameOptions(options, maxCount = 100) {
     const {
       language = 'de',
       species = 'human',
       gender = null,
       components = ['firstname', 'surname'],
       format = '{firstname} {surname}',
+      patronymicParent = null,
+      nonbinaryStrategy = null,
       count = 1
     } = options;
 
@@ -248,8 +348,27 @@ class NamesModuleAPI {
     }
     const normalizedFormat = formatResult.normalized;
 
-    // Step 7: Validate count
-    const countResult = validateCount(count);
+    // Step 7: Validate the parent of the patronymic
+    const parentResult = validatePatronymicParent(patronymicParent);
+    if (!parentResult.isValid) {
+      throw createValidationError(ErrorType.API_INVALID_COMPONENTS, {
+        value: patronymicParent,
+        components: `patronymicParent: ${patronymicParent}`,
+        error: parentResult.error
+      });
+    }
+
+    // Step 8: Validate the nonbinary strategy
+    const strategyResult = validateNonbinaryStrategy(nonbinaryStrategy);
+    if (!strategyResult.isValid) {
+      throw createValidationError(ErrorType.API_INVALID_NONBINARY_STRATEGY, {
+        value: nonbinaryStrategy,
+        error: strategyResult.error
+      });
+    }
+
+    // Step 9: Validate count
+    const countResult = validateCount(count, maxCount);
     if (!countResult.isValid) {
       throw createValidationError(ErrorType.API_INVALID_COUNT, {
         value: count,
@@ -258,53 +377,90 @@ class NamesModuleAPI {
     }
     const normalizedCount = countResult.normalized;
 
-    // === Generation ===
-
-    const packageCode = `${normalizedSpecies}-${normalizedLanguage}`;
-
-    logDebug("Generating name with validated options:", {
+    return {
       language: normalizedLanguage,
       species: normalizedSpecies,
       gender: normalizedGender,
       components: normalizedComponents,
       format: normalizedFormat,
+      patronymicParent: parentResult.normalized,
+      nonbinaryStrategy: strategyResult.normalized,
       count: normalizedCount
-    });
+    };
+  }
+
+  /**
+   * Stream names without the 100-name limit of generateName()
+   * Names are generated in chunks and yielded as soon as they are ready; without
+   * duplicates they are unique across the whole stream. The stream ends early once
+   * the name space is exhausted. Progress is reported through the
+   * 'names.generateProgress' hook ({ options, generated, requested, done }).
+   * @param {Object} options - Same as generateName, plus:
+   * @param {number} options.count - Number of names to stream (default: 1, no upper limit)
+   * @param {AbortSignal} [options.signal] - Cancels the stream (iteration rejects with the abort reason)
+   * @param {boolean} [options.deck=false] - Skip names drawn before in this world (deck mode, see generator.generate)
+   * @returns {AsyncGenerator<Object>} Suggestions ({ text, recipe, parts, gender, replayToken, metadata })
+   * @throws {NominaError} When validation fails or generation errors occur
+   *
+   * @example
+   * const controller = new AbortController();
+   * for await (const suggestion of api.generateStream({ species: 'elf', count: 500, signal: controller.signal })) {
+   *   console.log(suggestion.text);
+   * }
+   */
+  async *generateStream(options = {}) {
+    await this._ensureSetup();
+
+    const { signal = null, deck = false } = options;
+    const {
+      language,
+      species,
+      gender,
+      components,
+      format,
+      patronymicParent,
+      nonbinaryStrategy,
+      count
+    } = await this._validateNameOptions(options, Infinity);
+    signal?.throwIfAborted();
+
+    const packageCode = `${species}-${language}`;
+
+    logDebug("Streaming names with validated options:", { language, species, gender, components, format, count });
 
     // Fire beforeGenerate hook
     this._fireHook('names.beforeGenerate', { options });
 
     try {
-      const result = await this.generator.generatePersonName(packageCode, {
-        locale: normalizedLanguage,
-        n: normalizedCount,
-        gender: normalizedGender,
-        components: normalizedComponents,
-        format: normalizedFormat,
-        allowDuplicates: false
+      const suggestions = await this.generator.generatePersonName(packageCode, {
+        locale: language,
+        n: count,
+        gender,
+        components,
+        format,
+        patronymicParent,
+        nonbinaryStrategy,
+        allowDuplicates: false,
+        deck: deck === true,
+        stream: {
+          signal,
+          onProgress: (progress) => this._fireHook('names.generateProgress', { options, ...progress })
+        }
       });
 
-      // Fire afterGenerate hook
-      this._fireHook('names.afterGenerate', { options, result });
-
-      // Return single name or array based on count
-      if (normalizedCount === 1 && result.suggestions && result.suggestions.length > 0) {
-        return result.suggestions[0].text;
-      }
-
-      return result.suggestions ? result.suggestions.map(s => s.text) : [];
+      yield* suggestions;
 
     } catch (error) {
-      // Re-throw NominaErrors as-is
-      if (error.isNominaError) {
+      // Re-throw NominaErrors and aborts as-is
+      if (error.isNominaError || signal?.aborted) {
         throw error;
       }
 
       // Wrap other errors in a NominaError
-      logError("Failed to generate name:", error);
+      logError("Failed to stream names:", error);
       throw createValidationError(ErrorType.GENERATION_FAILED, {
-        language: normalizedLanguage,
-        species: normalizedSpecies,
+        language,
+        species,
         originalError: error.message
       });
     }
@@ -313,7 +469,7 @@ class NamesModuleAPI {
   /**
    * Generate multiple names
    * @param {Object} options - Same as generateName
-   * @returns {Promise<Array<string>>} Array of generated names
+   * @returns {Promise<Array<string|Object>>} Array of generated names (suggestions with `detailed`)
    */
   async generateNames(options = {}) {
     // Handle null/undefined options
@@ -324,6 +480,70 @@ class NamesModuleAPI {
     return await this.generateName({ ...options, count });
   }
 
+  /**
+   * Generate a family: a founding couple, their children and (with more generations) the
+   * families of the heirs. Members share the family name and get first names matching their
+   * gender. The package's naming conventions (`langRules[language].family`) decide whether
+   * the family name is a clan name, whether spouses take it and whether siblings' names alliterate.
+   * @param {Object} options - Options
+   * @param {string} options.language - Language code (default: 'de')
+   * @param {string} options.species - Species code (default: 'human')
+   * @param {number} [options.size=3] - Children per couple (1-8)
+   * @param {number} [options.generations=2] - Number of generations (2-4; 3 = grandparents, parents and children)
+   * @param {string} [options.seed] - Seed for a reproducible family
+   * @returns {Promise<Object>} Family ({ surname, species, language, members, generations, conventions, seed });
+   *   members are { id, name, firstname, surname, birthSurname, gender, generation, role, parents, spouse, children, marriedIn, heir }
+   * @throws {NominaError} When language, species or the family options are invalid
+   * @example
+   * const family = await api.generateFamily({ species: 'dwarf', language: 'en', size: 4, generations: 3 });
+   * const grandparents = family.members.filter(member => member.role === 'grandparent');
+   */
+  async generateFamily(options = {}) {
+    await this._ensureSetup();
+
+    const { language, species } = await this._validateNameOptions({
+      language: options.language,
+      species: options.species
+    });
+
+    const familyResult = validateFamilyOptions(options);
+    if (!familyResult.isValid) {
+      throw createValidationError(ErrorType.API_INVALID_FAMILY, {
+        error: familyResult.error
+      });
+    }
+    const { size, generations, seed } = familyResult.normalized;
+
+    const packageCode = `${species}-${language}`;
+
+    logDebug("Generating family with validated options:", { language, species, size, generations, seed });
+
+    try {
+      const family = await this.generator.generateFamily(packageCode, {
+        locale: language,
+        size,
+        generations,
+        ...(seed ? { seed } : {})
+      });
+
+      return { ...family, species, language };
+
+    } catch (error) {
+      // Re-throw NominaErrors as-is
+      if (error.isNominaError) {
+        throw error;
+      }
+
+      // Wrap other errors in a NominaError
+      logError("Failed to generate family:", error);
+      throw createValidationError(ErrorType.GENERATION_FAILED, {
+        language,
+        species,
+        originalError: error.message
+      });
+    }
+  }
+
   /**
    * Get available languages
    * @returns {Promise<Array<string>>} Language codes
@@ -508,17 +728,13 @@ class NamesModuleAPI {
     return collections.map(collection => {
       let displayName;
 
-      // Try to get displayName for the requested language
-      if (collection.displayName && typeof collection.displayName === 'object') {
-        displayName = collection.displayName[normalizedLanguage];
-      }
-
-      // Fallback 1: Try English displayName
-      if (!displayName && collection.displayName && typeof collection.displayName === 'object') {
-        displayName = collection.displayName.en;
+      // Requested language, its fallbacks, then the package default language
+      if (collection.displayName && typeof collection.displayName === 'object' &&
+          Object.keys(collection.displayName).length > 0) {
+        displayName = getLocalizedText(collection.displayName, normalizedLanguage, this.dataManager.getLocaleChain(normalizedLanguage, packageCode));
       }
 
-      // Fallback 2: Use the collection key capitalized
+      // Fallback: Use the collection key capitalized
       if (!displayName) {
         displayName = collection.key.charAt(0).toUpperCase() + collection.key.slice(1);
       }
@@ -537,8 +753,15 @@ class NamesModuleAPI {
    * @param {string} options.species - Species code
    * @param {string} options.catalog - Catalog key (e.g., 'surnames', 'titles')
    * @param {Array} options.tags - Filter tags
+   * @param {Object} [options.where] - Additional where criteria (attrs, length, startsWith, endsWith, matches, weight)
    * @param {number} options.count - Number of items
    * @returns {Promise<Array<string>>} Generated items
+   *
+   * @example
+   * const names = await api.generateFromCatalog({
+   *   language: 'en', species: 'human', catalog: 'names',
+   *   where: { attrs: { gender: 'f' }, length: { max: 5 }, startsWith: 'A' }
+   * });
    */
   async generateFromCatalog(options = {}) {
     await this._ensureSetup();
@@ -548,6 +771,7 @@ class NamesModuleAPI {
       species = 'human',
       catalog = 'surnames',
       tags = [],
+      where = null,
       count = 1
     } = options;
 
@@ -616,6 +840,15 @@ class NamesModuleAPI {
     }
     const normalizedTags = tagsResult.normalized;
 
+    // Validate where criteria
+    const whereResult = validateWhere(where);
+    if (!whereResult.isValid) {
+      throw createValidationError(ErrorType.API_INVALID_WHERE, {
+        value: where,
+        error: whereResult.error
+      });
+    }
+
     // Validate count
     const countResult = validateCount(count);
     if (!countResult.isValid) {
@@ -641,7 +874,9 @@ class NamesModuleAPI {
         locale: normalizedLanguage,
         n: normalizedCount,
         tags: normalizedTags,
-        allowDuplicates: false
+        where: whereResult.normalized,
+        allowDuplicates: false,
+        includePronunciation: false
       });
 
       return result.suggestions ? result.suggestions.map(s => s.text) : [];
@@ -660,6 +895,110 @@ class NamesModuleAPI {
     }
   }
 
+  /**
+   * Regenerate a name exactly from a replay token
+   * Every suggestion (and history entry) carries a `replayToken` with package, fileVersion,
+   * recipe, sub-seed and filters of the generation, except names drawn in deck mode
+   * @param {string} token - Replay token
+   * @returns {Promise<Object>} Suggestion with text, recipe, parts, gender, replayToken and versionMismatch
+   * @throws {NominaError} When the token is invalid or its package is not available
+   * @example
+   * const entry = window.NamesModule.getHistoryManager().getEntries()[0];
+   * const again = await api.replay(entry.replayToken);
+   */
+  async replay(token) {
+    await this._ensureSetup();
+
+    if (typeof token !== 'string' || token.trim().length === 0) {
+      throw createValidationError(ErrorType.API_MISSING_REQUIRED_PARAM, { param: 'token' });
+    }
+
+    return await this.generator.replay(token.trim());
+  }
+
+  /**
+   * Regenerate a name from a replay token with only one part rerolled
+   * @param {string} token - Replay token
+   * @param {string} part - Alias of the part to reroll (e.g., 'FN' firstname, 'LN' surname, 'T' title, 'N' nickname)
+   * @returns {Promise<Object>} Suggestion with a new replayToken
+   * @throws {NominaError} When the token is invalid or the part does not exist in the name
+   * @example
+   * const newSurname = await api.rerollPart(suggestion.replayToken, 'LN');
+   */
+  async rerollPart(token, part) {
+    await this._ensureSetup();
+
+    if (typeof token !== 'string' || token.trim().length === 0) {
+      throw createValidationError(ErrorType.API_MISSING_REQUIRED_PARAM, { param: 'token' });
+    }
+    if (typeof part !== 'string' || part.trim().length === 0) {
+      throw createValidationError(ErrorType.API_MISSING_REQUIRED_PARAM, { param: 'part' });
+    }
+
+    return await this.generator.rerollPart(token.trim(), part.trim());
+  }
+
+  /**
+   * Estimate how many distinct names a package (or some of its recipes) can produce.
+   * The count is exact for plain catalog combinations and an upper bound (`approximate: true`)
+   * when grammatical agreement is involved; markov sources make it Infinity.
+   * @param {Object} options - Options
+   * @param {string} options.language - Language code
+   * @param {string} options.species - Species code
+   * @param {string|Array<string>} [options.recipes] - Recipe ID(s); all recipes of the package if omitted
+   * @param {Object} [options.filters] - Runtime filters per catalog key (same as in generation)
+   * @returns {Promise<Object>} { total, approximate, recipes: { [id]: { count, approximate } } }
+   * @throws {NominaError} When language, species, filters or a recipe is invalid
+   * @example
+   * const { total } = await api.estimateVariety({ language: 'en', species: 'dwarf', recipes: 'brewery' });
+   */
+  async estimateVariety(options = {}) {
+    await this._ensureSetup();
+
+    const {
+      language = 'de',
+      species = 'human',
+      recipes = [],
+      filters = {}
+    } = options;
+
+    const languageResult = validateLanguage(language);
+    if (!languageResult.isValid) {
+      throw createValidationError(ErrorType.API_INVALID_LANGUAGE, {
+        value: language,
+        error: languageResult.error
+      });
+    }
+    const normalizedLanguage = languageResult.normalized;
+
+    const availableSpecies = await this.generator.getAvailableSpecies(normalizedLanguage);
+    const speciesResult = validateSpecies(species, (availableSpecies || []).map(s => s.code));
+    if (!speciesResult.isValid) {
+      throw createValidationError(ErrorType.API_INVALID_SPECIES, {
+        value: species,
+        language: normalizedLanguage,
+        error: speciesResult.error
+      });
+    }
+
+    const filtersResult = validateFilters(filters);
+    if (!filtersResult.isValid) {
+      throw createValidationError(ErrorType.API_INVALID_WHERE, {
+        value: filters,
+        error: filtersResult.error
+      });
+    }
+
+    const packageCode = `${speciesResult.normalized}-${normalizedLanguage}`;
+    const recipeIds = (Array.isArray(recipes) ? recipes : [recipes]).filter(Boolean);
+
+    return await this.generator.estimateVariety(packageCode, {
+      recipes: recipeIds,
+      filters: filtersResult.normalized,
+      locale: normalizedLanguage
+    });
+  }
+
   /**
    * UI Functions
    */
@@ -716,6 +1055,122 @@ class NamesModuleAPI {
     }
   }
 
+  /**
+   * Register a custom transform for recipes
+   * Registered transforms can be used in recipe `post` arrays / `output.transforms` and as
+   * block-level `transform` of SELECT and GENERATE blocks (names are case-insensitive).
+   * The function receives the text and a context and returns the transformed text:
+   * inline transforms get `{ locale, item, parts, options }` (options = the block's transform object),
+   * post transforms get `{ locale, parts, options }` (options = the transform object of the `post` entry). Registering the same name again replaces the transform.
+   * @param {string} name - Transform name (must not be a built-in transform)
+   * @param {Function} fn - Transform function `(text, context) => string`
+   * @param {Object} [options={}] - Registration options
+   * @param {boolean} [options.inline=true] - Usable as block-level `transform`
+   * @param {boolean} [options.post=true] - Usable in recipe `post` and `output.transforms`
+   * @param {string[]} [options.locales] - Only apply for these locales (other locales keep the text)
+   * @throws {NominaError} When name, function or options are invalid
+   * @example
+   * api.registerTransform('Leetspeak', text => text.replace(/e/gi, '3').replace(/a/gi, '4'), { inline: false });
+   * api.registerTransform('DwarvishRunic', (text, { item }) => item?.attrs?.rune || text, { post: false, locales: ['en'] });
+   */
+  registerTransform(name, fn, options = {}) {
+    const result = validateTransformRegistration(name, fn, options);
+    if (!result.isValid) {
+      throw createValidationError(ErrorType.API_INVALID_TRANSFORM, {
+        name: typeof name === 'string' ? name : String(name),
+        error: result.error
+      });
+    }
+
+    const { name: transformName, fn: transformFn, inline, post, locales } = result.normalized;
+    registerTransform(transformName, transformFn, { inline, post, locales });
+  }
+
+  /**
+   * Remove a transform registered with registerTransform
+   * @param {string} name - Transform name (case-insensitive)
+   * @returns {boolean} True if the transform was registered
+   */
+  unregisterTransform(name) {
+    return unregisterTransform(name);
+  }
+
+  /**
+   * Get the names of all registered custom transforms
+   * @returns {Array<string>} Transform names
+   */
+  getRegisteredTransforms() {
+    return getRegisteredTransformNames();
+  }
+
+  /**
+   * Register a fantasy script for the "show in script" display and the `Script` transform
+   * Unicode scripts map Latin letters (or letter groups such as "th") to Unicode characters;
+   * font scripts are shown with a font that draws Latin letters as script glyphs (the font must be
+   * available in Foundry). Registering the same ID again replaces the script.
+   * @param {string} id - Script ID (must not be a built-in script: runic, dethek, espruar)
+   * @param {Object} definition - Script definition
+   * @param {string|Object} definition.name - Display name (or names by locale, e.g. { en, de })
+   * @param {string} [definition.type='unicode'] - "unicode" or "font"
+   * @param {Object} [definition.map] - Latin letters/letter groups to script characters (required for "unicode")
+   * @param {string} [definition.font] - Font family (required for "font")
+   * @param {string} [definition.letterCase] - "upper" or "lower" to change the case before mapping
+   * @param {boolean} [definition.caseSensitive=false] - Match mapping keys case-sensitively
+   * @throws {NominaError} When ID or definition are invalid
+   * @example
+   * api.registerScript('ogham', { name: 'Ogham', map: { b: 'ᚁ', l: 'ᚂ', f: 'ᚃ', s: 'ᚄ', n: 'ᚅ', ' ': ' ' } });
+   * api.registerScript('tengwar', { name: 'Tengwar', type: 'font', font: 'Tengwar Annatar' });
+   */
+  registerScript(id, definition) {
+    const result = validateScriptRegistration(id, definition);
+    if (!result.isValid) {
+      throw createValidationError(ErrorType.API_INVALID_SCRIPT, {
+        id: typeof id === 'string' ? id : String(id),
+        error: result.error
+      });
+    }
+
+    registerScript(result.normalized.id, result.normalized.definition);
+  }
+
+  /**
+   * Remove a script registered with registerScript (built-in scripts stay)
+   * @param {string} id - Script ID (case-insensitive)
+   * @returns {boolean} True if the script was registered
+   */
+  unregisterScript(id) {
+    return unregisterScript(id);
+  }
+
+  /**
+   * Get all available scripts (built-in and registered)
+   * @returns {Array<{id: string, name: string, type: string, font: string|null}>} Scripts with localized names
+   */
+  getScripts() {
+    return getScriptList(game.i18n.lang);
+  }
+
+  /**
+   * Render a name in a fantasy script
+   * @param {string} text - Name in Latin letters
+   * @param {string} scriptId - Script ID (e.g., "runic")
+   * @returns {{script: string, type: string, font: string|null, text: string, markup: string}} Plain text in the script
+   *   and HTML markup (with the font of font-based scripts) for journals and chat
+   * @throws {NominaError} When the script is unknown
+   * @example
+   * api.renderInScript('Thorin Eichenschild', 'runic').text; // "ᚦᛟᚱᛁᚾ᛫ᛖᛁᚲᚺᛖᚾᛊᚲᚺᛁᛚᛞ"
+   */
+  renderInScript(text, scriptId) {
+    const rendering = renderScript(String(text ?? ''), scriptId);
+    if (!rendering) {
+      throw createValidationError(ErrorType.API_INVALID_SCRIPT, {
+        id: String(scriptId),
+        error: `Unknown script, available: ${getScriptList().map(script => script.id).join(', ')}`
+      });
+    }
+    return rendering;
+  }
+
   /**
    * Fire a hook
    * @param {string} hookName - Hook name
@@ -1322,12 +1777,17 @@ class NamesModuleAPI {
    * @returns {Function} return.validateFormat - Validate format strings
    * @returns {Function} return.validateCatalog - Validate catalog codes
    * @returns {Function} return.validateTags - Validate tag arrays
+   * @returns {Function} return.validateWhere - Validate where filters
+   * @returns {Function} return.validateFilters - Validate runtime filters per catalog key
    * @returns {Function} return.validateCount - Validate count values
    * @returns {Function} return.validatePackageCode - Validate package codes
    * @returns {Function} return.validateTransform - Validate transform definitions
    * @returns {Function} return.validateCatalogTransforms - Validate all transforms in a catalog
    * @returns {Function} return.validateRecipe - Validate recipe data structures
    * @returns {Function} return.validatePackageRecipes - Validate all recipes in a package
+   * @returns {Function} return.validateTransformRegistration - Validate registerTransform arguments
+   * @returns {Function} return.validatePostTransforms - Validate recipe `post` / `output.transforms` arrays
+   * @returns {Function} return.validateScriptRegistration - Validate registerScript arguments
    *
    * @example
    * // Validate user input before calling API
@@ -1380,12 +1840,17 @@ class NamesModuleAPI {
       validateFormat,
       validateCatalog,
       validateTags,
+      validateWhere,
+      validateFilters,
       validateCount,
       validatePackageCode,
       validateTransform,
       validateCatalogTransforms,
       validateRecipe,
-      validatePackageRecipes
+      validatePackageRecipes,
+      validateTransformRegistration,
+      validatePostTransforms,
+      validateScriptRegistration
     };
   }
 }
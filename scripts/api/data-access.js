@@ -5,6 +5,7 @@
 
 import { getGlobalGenerator } from './generator.js';
 import { logDebug, logWarn } from '../utils/logger.js';
+import { getLocalizedText } from '../utils/grammar.js';
 import {
   validateLanguage,
   validateSpecies
@@ -188,17 +189,13 @@ export async function getAvailableCollections(dataManager, language, species) {
   return collections.map(collection => {
     let displayName;
 
-    // Try to get displayName for the requested language
-    if (collection.displayName && typeof collection.displayName === 'object') {
-      displayName = collection.displayName[normalizedLanguage];
+    // Requested language, its fallbacks, then the package default language
+    if (collection.displayName && typeof collection.displayName === 'object' &&
+        Object.keys(collection.displayName).length > 0) {
+      displayName = getLocalizedText(collection.displayName, normalizedLanguage, dataManager.getLocaleChain(normalizedLanguage, packageCode));
     }
 
-    // Fallback 1: Try English displayName
-    if (!displayName && collection.displayName && typeof collection.displayName === 'object') {
-      displayName = collection.displayName.en;
-    }
-
-    // Fallback 2: Use the collection key capitalized
+    // Fallback: Use the collection key capitalized
     if (!displayName) {
       displayName = collection.key.charAt(0).toUpperCase() + collection.key.slice(1);
     }
@@ -7,6 +7,7 @@
  * - Generating person names with customizable components
  * - Generating from catalogs directly
  * - Generating from collections (v4.0.1)
+ * - Generating families with shared surnames
  * - Querying available packages, species, recipes, and catalogs
  *
  * @module generator
@@ -16,6 +17,18 @@ import { getGlobalDataManager } from '../core/data-manager.js';
 import { logDebug, logWarn, logError } from '../utils/logger.js';
 import { isNullOrUndefined } from '../utils/null-checks.js';
 import { logAndThrow } from '../utils/error-handler.js';
+import { createNominaError, ErrorType } from '../utils/error-helper.js';
+import { getNonbinaryStrategy } from '../shared/constants.js';
+import { DeckManager } from '../core/deck-manager.js';
+import { getCollectionWhere } from '../core/composer.js';
+import { createRandomSeed, decodeReplayToken } from '../core/replay-token.js';
+import { getPatronymicRules } from '../utils/grammar.js';
+import {
+  FAMILY_LIMITS,
+  getFamilyConventions,
+  buildFamilyTree,
+  formatFamilyName
+} from '../core/family.js';
 
 /**
  * Check if a catalog has items matching the given gender tag
@@ -35,6 +48,35 @@ function catalogHasGenderedItems(catalog, genderTag) {
   );
 }
 
+/**
+ * Get the nonbinary naming rules of a package for a locale (`langRules[locale].naming.nonbinary`).
+ * - `weights`: weights of the male and female first names for the "blend" strategy (default 1 each)
+ * - `derive`: neutral derivation for the "derive" strategy - first names of `from` ("male", "female"
+ *   or "either", default) with the inline `transform` applied (e.g. "diminutive")
+ *
+ * @param {Object} langRules - Language rules of the package (by locale)
+ * @param {string} locale - Locale
+ * @returns {{weights: {male: number, female: number}, derive: {from: string, transform: string|Object}|null}} Rules
+ * @private
+ */
+function getNonbinaryRules(langRules, locale) {
+  const rules = langRules?.[locale]?.naming?.nonbinary || {};
+  const weightOf = (weight) => typeof weight === 'number' && weight > 0 && isFinite(weight) ? weight : 1;
+
+  return {
+    weights: {
+      male: weightOf(rules.weights?.male),
+      female: weightOf(rules.weights?.female)
+    },
+    derive: rules.derive?.transform
+      ? {
+        from: ['male', 'female'].includes(rules.derive.from) ? rules.derive.from : 'either',
+        transform: rules.derive.transform
+      }
+      : null
+  };
+}
+
 /**
  * Tags that indicate a part carries gender information.
  * Only parts with these tags should be used for gender extraction.
@@ -44,6 +86,37 @@ function catalogHasGenderedItems(catalog, genderTag) {
  */
 const GENDER_RELEVANT_TAGS = ['firstnames', 'titles', 'nicknames'];
 
+/**
+ * Alias of the parent's firstname a patronymic is derived from.
+ * It is a firstname, but says nothing about the gender of the named person.
+ * @constant {string}
+ * @private
+ */
+const PARENT_NAME_ALIAS = 'PAT';
+
+/**
+ * Alias of the familiar form of the firstname. It is only set if the firstname has a familiar form.
+ * @constant {string}
+ * @private
+ */
+const FAMILIAR_ALIAS = 'FAM';
+
+/**
+ * Origin type of person name recipes. Replay tokens carry the options instead of the pattern.
+ * @constant {string}
+ * @private
+ */
+const PERSON_RECIPE_ORIGIN = 'person';
+
+/**
+ * Brackets and quotes that open or close the familiar form in a format ("{firstname} ({familiar})").
+ * They are left out with the familiar form ("Sara Allerton", not "Sara () Allerton").
+ * @constant {RegExp}
+ * @private
+ */
+const FAMILIAR_OPENING = /[(["'“„‘‚«‹]+$/u;
+const FAMILIAR_CLOSING = /^[)\]"'”“’‘»›]+/u;
+
 /**
  * Generation options
  * @typedef {Object} GenerationOptions
@@ -53,6 +126,7 @@ const GENDER_RELEVANT_TAGS = ['firstnames', 'titles', 'nicknames'];
  * @property {string|string[]} recipes - Recipe ID(s) to use
  * @property {string} [seed] - Optional seed for deterministic generation
  * @property {boolean} [allowDuplicates=false] - Allow duplicate results
+ * @property {boolean} [deck=false] - Draw without replacement across calls (per world and package/catalog)
  */
 
 /**
@@ -117,6 +191,7 @@ export class Generator {
     // Then check all other parts
     for (const [alias, part] of Object.entries(parts)) {
       if (priorityAliases.includes(alias)) continue; // Skip already checked
+      if (alias === PARENT_NAME_ALIAS) continue; // The parent's gender, not the person's
       const gender = this._getGenderFromPart(part);
       if (gender) return gender;
     }
@@ -189,14 +264,23 @@ export class Generator {
    * @param {string|string[]} options.recipes - Recipe ID(s) to use
    * @param {string} [options.seed] - Optional seed for deterministic results
    * @param {boolean} [options.allowDuplicates=false] - Allow duplicate names
+   * @param {Object} [options.filters={}] - Runtime where filters per catalog key (e.g., {names: {attrs: {gender: 'f'}}})
+   * @param {boolean} [options.deck=false] - Skip names drawn before until the pool is exhausted (see deck-manager.js)
+   * @param {Object|null} [options.stream=null] - Stream instead of one batch: { signal, onProgress } (see Engine.generateStream);
+   *   n is not capped and the promise resolves to an async iterator of suggestions
+   * @param {boolean} [options.includePronunciation=true] - Build pronunciation guides (null otherwise, e.g. for plain name lists)
    * @returns {Promise<Object>} Generation result
    * @returns {Array<Object>} return.suggestions - Array of generated suggestions
    * @returns {string} return.suggestions[].text - Generated name text
    * @returns {string} return.suggestions[].recipe - Recipe ID used
    * @returns {Object} return.suggestions[].parts - Named parts from generation
    * @returns {string|null} return.suggestions[].gender - Extracted gender or null
+   * @returns {string|null} return.suggestions[].pronunciation - Pronunciation guide (e.g., "AIR-deth")
+   * @returns {string|null} return.suggestions[].meaning - Combined meaning of the name parts (e.g., "rat + catcher")
+   * @returns {string|undefined} return.suggestions[].replayToken - Token for replay() and rerollPart() (none in deck mode)
    * @returns {Object} return.suggestions[].metadata - Additional metadata (seed)
    * @returns {Array<Object>} return.errors - Array of errors if any occurred
+   * @returns {Object} return.metadata - Engine metadata (requested, generated, complete, rejected)
    * @example
    * const result = await generator.generate({
    *   packageCode: 'human-de',
@@ -212,7 +296,11 @@ export class Generator {
       n = 1,
       recipes,
       seed,
-      allowDuplicates = false
+      allowDuplicates = false,
+      filters = {},
+      deck = false,
+      stream = null,
+      includePronunciation = true
     } = options;
 
     if (!this.dataManager) {
@@ -232,27 +320,45 @@ export class Generator {
     // Ensure recipes is an array
     const recipeList = Array.isArray(recipes) ? recipes : [recipes];
 
+    const deckManager = DeckManager.getInstance();
+    const nameDeck = deck ? deckManager.getDeck(packageCode, pkg.data.fileVersion || null) : null;
+
+    if (stream) {
+      return this._streamSuggestions(engine, packageCode, {
+        n,
+        locale,
+        recipes: recipeList,
+        seed,
+        allowDuplicates,
+        filters,
+        deck: nameDeck,
+        includePronunciation,
+        signal: stream.signal || null,
+        onProgress: stream.onProgress || null
+      });
+    }
+
     try {
       const result = await engine.generate(packageCode, {
         n,
         locale,
         recipes: recipeList,
         seed,
-        allowDuplicates
+        allowDuplicates,
+        filters,
+        deck: nameDeck,
+        includePronunciation
       });
 
+      if (nameDeck) {
+        await deckManager.save(packageCode);
+      }
+
       // Transform to unified format with gender extraction
       return {
-        suggestions: result.suggestions.map(s => ({
-          text: s.text,
-          recipe: s.recipe,
-          parts: s.parts,
-          gender: this._extractGenderFromParts(s.parts),
-          metadata: {
-            seed: s.seed
-          }
-        })),
-        errors: result.errors || []
+        suggestions: result.suggestions.map(s => this._toSuggestion(s)),
+        errors: result.errors || [],
+        metadata: result.metadata
       };
     } catch (error) {
       logError('Generation error:', error);
@@ -263,6 +369,136 @@ export class Generator {
     }
   }
 
+  /**
+   * Stream suggestions from the engine in the unified format.
+   * The deck (if any) is saved once the stream ends, also after an abort.
+   *
+   * @async
+   * @generator
+   * @param {Engine} engine - Generation engine
+   * @param {string} packageCode - Package identifier
+   * @param {Object} options - Engine.generateStream options
+   * @yields {Object} Suggestion (same format as in generate() results)
+   * @private
+   */
+  async *_streamSuggestions(engine, packageCode, options) {
+    try {
+      for await (const suggestion of engine.generateStream(packageCode, options)) {
+        yield this._toSuggestion(suggestion);
+      }
+    } finally {
+      if (options.deck) {
+        await DeckManager.getInstance().save(packageCode);
+      }
+    }
+  }
+
+  /**
+   * Regenerate a suggestion exactly from its replay token.
+   *
+   * @async
+   * @param {string} token - Replay token from a previous suggestion
+   * @returns {Promise<Object>} Suggestion in unified format (plus versionMismatch flag)
+   * @throws {NominaError} If the token is invalid or its package is not available
+   * @example
+   * const same = await generator.replay(suggestion.replayToken);
+   */
+  async replay(token) {
+    if (!this.dataManager) {
+      await this.initialize();
+    }
+
+    this._restoreDynamicRecipe(token);
+    const result = this.dataManager.getEngine().replay(token);
+    return { ...this._toSuggestion(result), versionMismatch: result.versionMismatch };
+  }
+
+  /**
+   * Regenerate a suggestion from its replay token with one part rerolled.
+   *
+   * @async
+   * @param {string} token - Replay token from a previous suggestion
+   * @param {string} alias - Alias of the part to reroll (e.g., "FN", "LN", "T")
+   * @returns {Promise<Object>} Suggestion in unified format with a new replay token
+   * @throws {NominaError} If the token is invalid or the part does not exist
+   * @example
+   * const newSurname = await generator.rerollPart(suggestion.replayToken, 'LN');
+   */
+  async rerollPart(token, alias) {
+    if (!this.dataManager) {
+      await this.initialize();
+    }
+
+    this._restoreDynamicRecipe(token);
+    const result = this.dataManager.getEngine().rerollPart(token, alias);
+    return this._toSuggestion(result);
+  }
+
+  /**
+   * Rebuild the person name recipe of a replay token from its options.
+   * Person name recipes of different formats share an ID, so the recipe is rebuilt
+   * unless the registered one was built with the same options.
+   *
+   * @param {string} token - Replay token
+   * @throws {NominaError} If the token is invalid
+   * @private
+   */
+  _restoreDynamicRecipe(token) {
+    const { packageCode, recipeId, origin } = decodeReplayToken(token);
+    const pkg = this.dataManager.getPackage(packageCode);
+    if (origin?.type !== PERSON_RECIPE_ORIGIN || !pkg) {
+      return;
+    }
+
+    const existing = pkg.data.recipes?.find(recipe => recipe.id === recipeId);
+    if (JSON.stringify(existing?.origin) !== JSON.stringify(origin)) {
+      logDebug(`Rebuilding person name recipe from replay token: ${recipeId}`);
+      this._registerPersonRecipe(pkg, packageCode, origin.options);
+    }
+  }
+
+  /**
+   * Estimate how many distinct names the recipes of a package can produce.
+   *
+   * @async
+   * @param {string} packageCode - Package identifier (e.g., "human-de")
+   * @param {Object} [options={}] - Estimation options (recipes, filters, components)
+   * @returns {Promise<Object>} Estimate with total, approximate flag and per-recipe counts
+   * @throws {NominaError} If the package or a recipe does not exist
+   * @example
+   * const { total } = await generator.estimateVariety('human-de', { recipes: ['tavern'] });
+   */
+  async estimateVariety(packageCode, options = {}) {
+    if (!this.dataManager) {
+      await this.initialize();
+    }
+
+    return this.dataManager.getEngine().estimateVariety(packageCode, options);
+  }
+
+  /**
+   * Convert an engine result into the unified suggestion format.
+   *
+   * @param {Object} s - Engine result from generateOne
+   * @returns {Object} Suggestion with text, recipe, parts, gender, locale (the locale the text came from), pronunciation, meaning, replayToken and metadata
+   * @private
+   */
+  _toSuggestion(s) {
+    return {
+      text: s.text,
+      recipe: s.recipe,
+      parts: s.parts,
+      gender: this._extractGenderFromParts(s.parts),
+      locale: s.locale,
+      pronunciation: s.pronunciation,
+      meaning: s.meaning,
+      replayToken: s.replayToken,
+      metadata: {
+        seed: s.seed
+      }
+    };
+  }
+
   /**
    * Get available recipes for a package with localized display names.
    *
@@ -362,9 +598,18 @@ export class Generator {
    * @param {number} [options.n=1] - Number of names to generate
    * @param {string|null} [options.gender=null] - Gender filter ('male', 'female', 'nonbinary', or null for any)
    * @param {string[]} [options.components=['firstname', 'surname']] - Name components to include
+   *   ('firstname', 'surname', 'title', 'nickname', 'patronymic', 'familiar')
    * @param {string} [options.format='{firstname} {surname}'] - Format template for name assembly
+   * @param {string|null} [options.patronymicParent=null] - Parent of the patronymic ('father', 'mother' or 'either';
+   *   default from `langRules[locale].naming.patronymic.parent`, else 'father')
+   * @param {string|null} [options.nonbinaryStrategy=null] - Source of nonbinary first names if the package has none
+   *   ('union', 'blend', 'neutral' or 'derive'; default from the world setting). The applied strategy is returned
+   *   in `metadata.nonbinaryStrategy` of the result and of every suggestion
    * @param {string} [options.seed] - Optional seed for deterministic results
    * @param {boolean} [options.allowDuplicates=false] - Allow duplicate names
+   * @param {boolean} [options.deck=false] - Draw without replacement across calls (see generate())
+   * @param {Object|null} [options.stream=null] - Stream options (see generate())
+   * @param {boolean} [options.includePronunciation=true] - Build pronunciation guides (see generate())
    * @returns {Promise<Object>} Generation result (same format as generate())
    * @example
    * const result = await generator.generatePersonName('human-de', {
@@ -374,54 +619,99 @@ export class Generator {
    *   format: '{title} {firstname} {surname}',
    *   n: 3
    * });
+   * // "Aldric, son of Bertram", "Mira, daughter of Hendrik"
+   * await generator.generatePersonName('human-en', {
+   *   locale: 'en',
+   *   components: ['firstname', 'patronymic'],
+   *   format: '{firstname}, {patronymic}'
+   * });
    */
   async generatePersonName(packageCode, options = {}) {
     const {
       locale,
       n = 1,
       gender = null, // 'male', 'female', 'nonbinary', or null for any
-      components = ['firstname', 'surname'], // Array of: 'firstname', 'surname', 'title', 'nickname'
+      components = ['firstname', 'surname'], // Array of: 'firstname', 'surname', 'title', 'nickname', 'patronymic', 'familiar'
       format = '{firstname} {surname}', // Name format template
+      patronymicParent = null, // 'father', 'mother', 'either' or null for the package default
+      nonbinaryStrategy = null, // 'union', 'blend', 'neutral', 'derive' or null for the world setting
       seed,
-      allowDuplicates = false
+      allowDuplicates = false,
+      deck = false,
+      stream = null,
+      includePronunciation = true
     } = options;
 
     if (!this.dataManager) {
       await this.initialize();
     }
 
-    const engine = this.dataManager.getEngine();
     const pkg = this.dataManager.getPackage(packageCode);
 
     if (!pkg) {
       logAndThrow(`Package not found: ${packageCode}`);
     }
 
+    const { recipeId, nonbinary } = this._registerPersonRecipe(pkg, packageCode, {
+      locale, gender, components, format, patronymicParent,
+      nonbinaryStrategy: nonbinaryStrategy || getNonbinaryStrategy()
+    });
+
+    // Generate using the recipe
+    const result = await this.generate({
+      packageCode,
+      locale,
+      n,
+      recipes: [recipeId],
+      seed,
+      allowDuplicates,
+      deck,
+      stream,
+      includePronunciation
+    });
+
+    return nonbinary ? this._withNonbinaryStrategy(result, nonbinary, Boolean(stream)) : result;
+  }
+
+  /**
+   * Build the dynamic recipe of a person name and register it with the package.
+   * The options are stored in the recipe's `origin`, so replay tokens only carry them
+   * instead of the whole pattern and replay() can rebuild the recipe after a reload.
+   *
+   * @param {Object} pkg - Package
+   * @param {string} packageCode - Package identifier
+   * @param {Object} options - Options of generatePersonName (nonbinaryStrategy already resolved)
+   * @returns {{recipeId: string, nonbinary: Object|null}} Recipe ID and nonbinary plan (null unless nonbinary)
+   * @throws {NominaError} With the "neutral" strategy if the package has no nonbinary firstnames
+   * @private
+   */
+  _registerPersonRecipe(pkg, packageCode, options) {
+    const { locale, gender, components, format, patronymicParent, nonbinaryStrategy } = options;
+    const engine = this.dataManager.getEngine();
+
     // Build pattern from components and format
     const pattern = [];
     const genderTag = gender === 'male' ? 'male' : gender === 'female' ? 'female' : gender === 'nonbinary' ? 'nonbinary' : null;
 
-    // Check if nonbinary firstnames exist, fallback to male if not
-    let effectiveGenderTag = genderTag;
-    if (genderTag === 'nonbinary') {
-      const namesCatalog = pkg.data.catalogs?.names;
-      if (!catalogHasGenderedItems(namesCatalog, 'nonbinary')) {
-        logDebug(`No nonbinary firstnames found for ${packageCode}, falling back to male`);
-        effectiveGenderTag = 'male';
-      }
-    }
+    // Nonbinary firstnames: the package's own, or male and female ones according to the strategy
+    const nonbinary = genderTag === 'nonbinary'
+      ? this._planNonbinaryFirstnames(pkg, packageCode, locale, nonbinaryStrategy)
+      : null;
 
-    logDebug(`generatePersonName: package=${packageCode}, gender=${gender}, genderTag=${genderTag}, effectiveGenderTag=${effectiveGenderTag}, components=`, components);
+    logDebug(`generatePersonName: package=${packageCode}, gender=${gender}, genderTag=${genderTag}, nonbinaryStrategy=${nonbinary?.strategy ?? 'none'}, components=`, components);
 
     // THREE-PHASE APPROACH:
     // Phase 1: Check if firstname is in the components (needed for agreement)
+    // The familiar form ("Robbie") is derived from the firstname, so it needs one even without the firstname component
     const hasFirstname = components.includes('firstname');
-    const firstnameAlias = hasFirstname ? 'FN' : null;
+    const hasFamiliar = components.includes('familiar');
+    const firstnameAlias = hasFirstname || hasFamiliar ? 'FN' : null;
     const firstnameOutputAlias = hasFirstname ? 'FN_OUT' : null;
 
-    // Phase 2: If we have title or nickname that need agreement, generate firstname FIRST
+    // Phase 2: If we have title, nickname, patronymic or familiar form that need agreement, generate firstname FIRST
     // Store as FN for agreement, but output will use FN_OUT
-    const needsAgreement = hasFirstname && (components.includes('title') || components.includes('nickname'));
+    const needsAgreement = hasFamiliar || (hasFirstname &&
+      (components.includes('title') || components.includes('nickname') || components.includes('patronymic')));
     if (needsAgreement) {
       // Generate firstname first for agreement, but hide from output
       const firstnameBlock = {
@@ -436,17 +726,24 @@ export class Generator {
       };
 
       // Apply gender filter to firstname
-      if (effectiveGenderTag) {
-        firstnameBlock.select.where.tags.push(effectiveGenderTag);
+      pattern.push(this._genderFirstnameBlock(firstnameBlock, genderTag, nonbinary));
+
+      // Derive the familiar form right away, so the brackets around it know whether there is one.
+      // Next to the firstname a missing form is left out; on its own the firstname stands in for it
+      if (hasFamiliar) {
+        pattern.push({
+          ref: firstnameAlias,
+          transform: { type: 'diminutive', fallback: hasFirstname ? 'empty' : 'name' },
+          as: FAMILIAR_ALIAS,
+          ext: { hidden: true }
+        });
       }
-
-      pattern.push(firstnameBlock);
     }
 
     // Phase 3: Parse format and create pattern
     const formatParts = format.split(/(\{[^}]+\})/g);
 
-    for (const part of formatParts) {
+    for (const [index, part] of formatParts.entries()) {
       if (part.startsWith('{') && part.endsWith('}')) {
         // This is a component placeholder
         const componentName = part.slice(1, -1); // Remove { and }
@@ -460,6 +757,7 @@ export class Generator {
                               componentName === 'surname' ? 'surnames' :
                               componentName === 'title' ? 'titles' :
                               componentName === 'nickname' ? 'nicknames' :
+                              componentName === 'patronymic' ? 'firstnames' :
                               componentName;
 
           // Check if catalog exists in the package
@@ -483,18 +781,16 @@ export class Generator {
             if (needsAgreement) {
               // We already generated firstname for agreement at the beginning
               // Now just reference it to output the text at this position
-              pattern.push({
-                ref: firstnameAlias
-              });
+              // A derived nonbinary firstname is only transformed on output
+              pattern.push(nonbinary?.transform
+                ? { ref: firstnameAlias, transform: nonbinary.transform }
+                : { ref: firstnameAlias });
             } else {
               // Generate firstname normally (no agreement needed)
               selectBlock.as = firstnameAlias;
 
               // Apply gender filter to firstname
-              if (effectiveGenderTag) {
-                selectBlock.select.where.tags.push(effectiveGenderTag);
-              }
-              pattern.push(selectBlock);
+              pattern.push(this._genderFirstnameBlock(selectBlock, genderTag, nonbinary));
             }
           }
           // Handle title: use agreeWith if we have a firstname + add settlement with prep
@@ -573,6 +869,28 @@ export class Generator {
             };
             pattern.push(selectBlock);
           }
+          // Handle patronymic: a parent's firstname, turned into "son of ..." or "...sson" by the transform
+          else if (componentName === 'patronymic') {
+            const parent = patronymicParent || getPatronymicRules(pkg.data.langRules, locale).parent;
+            const parentGenderTag = parent === 'father' ? 'male' : parent === 'mother' ? 'female' : null;
+            if (parentGenderTag) {
+              selectBlock.select.where.tags.push(parentGenderTag);
+            }
+
+            // The patronymic depends on the gender of the person, not of the parent
+            selectBlock.as = PARENT_NAME_ALIAS;
+            selectBlock.transform = genderTag
+              ? { type: 'patronymic', gender: genderTag }
+              : { type: 'patronymic', genderFrom: firstnameAlias };
+            pattern.push(selectBlock);
+          }
+          // Handle familiar form: the diminutive of the firstname ("Robert" -> "Robbie"), derived with the firstname
+          else if (componentName === 'familiar') {
+            pattern.push({
+              ref: FAMILIAR_ALIAS,
+              optional: true
+            });
+          }
           // Handle surname: no gender filter needed
           else if (componentName === 'surname') {
             selectBlock.as = 'LN';
@@ -582,19 +900,29 @@ export class Generator {
       } else if (part.length > 0) {
         // This is literal text (spaces, punctuation, etc.)
         // Don't use trim() here as we want to preserve spaces!
-        pattern.push({ literal: part });
+        pattern.push(...this._literalBlocks(part, formatParts[index - 1], formatParts[index + 1], hasFamiliar));
       }
     }
 
-    // Create dynamic recipe ID
-    const recipeId = `_dynamic_person_${gender || 'any'}_${components.join('_')}`;
+    // Create dynamic recipe ID (per nonbinary strategy, so replay tokens rebuild the same pattern)
+    const recipeGender = nonbinary ? `${gender}-${nonbinary.strategy}` : gender || 'any';
+    const recipeId = `_dynamic_person_${recipeGender}_${components.join('_')}`;
 
     // Create recipe
     const recipe = {
       id: recipeId,
       displayName: { [locale]: `Person (${components.join(' + ')})` },
       pattern: pattern,
-      post: ['TrimSpaces', 'CollapseSpaces']
+      post: ['TrimSpaces', 'CollapseSpaces'],
+      origin: {
+        type: PERSON_RECIPE_ORIGIN,
+        options: {
+          locale, components, format,
+          ...(gender ? { gender } : {}),
+          ...(patronymicParent ? { patronymicParent } : {}),
+          ...(nonbinary ? { nonbinaryStrategy } : {})
+        }
+      }
     };
 
     // Debug: log the generated pattern
@@ -605,8 +933,11 @@ export class Generator {
       pkg.data.recipes = [];
     }
 
-    // Replace if exists, or add new
+    // Replace if exists, or add new. An unchanged recipe keeps the loaded package and its caches
     const existingIndex = pkg.data.recipes.findIndex(r => r.id === recipeId);
+    if (this._isRecipeLoaded(engine, packageCode, pkg.data.recipes[existingIndex], recipe)) {
+      return { recipeId, nonbinary };
+    }
     if (existingIndex >= 0) {
       pkg.data.recipes[existingIndex] = recipe;
     } else {
@@ -616,15 +947,360 @@ export class Generator {
     // Reload package in engine
     engine.loadPackage(pkg.data);
 
-    // Generate using the recipe
-    return await this.generate({
+    return { recipeId, nonbinary };
+  }
+
+  /**
+   * Check whether the engine already runs a dynamic recipe identical to a newly built one.
+   * Reloading the package would drop its per-package caches (compiled patterns, variety estimates).
+   *
+   * @param {Engine} engine - Engine
+   * @param {string} packageCode - Package identifier
+   * @param {Object|undefined} existing - Registered recipe with the same ID
+   * @param {Object} recipe - Newly built recipe
+   * @returns {boolean} True if the package does not need to be reloaded
+   * @private
+   */
+  _isRecipeLoaded(engine, packageCode, existing, recipe) {
+    return Boolean(existing) &&
+      engine.getPackage(packageCode)?.recipeMap.get(recipe.id) === existing &&
+      JSON.stringify(existing) === JSON.stringify(recipe);
+  }
+
+  /**
+   * Build the LITERAL blocks for literal text of a person name format.
+   * Brackets and quotes that enclose the familiar form become separate literals that are only
+   * output with the familiar form.
+   *
+   * @param {string} text - Literal text of the format
+   * @param {string|undefined} before - Format part before the text
+   * @param {string|undefined} after - Format part after the text
+   * @param {boolean} hasFamiliar - Whether the familiar form is a component
+   * @returns {Array<Object>} LITERAL blocks
+   * @private
+   * @example
+   * this._literalBlocks(' (', '{firstname}', '{familiar}', true);
+   * // [{ literal: ' ' }, { literal: '(', ext: { optionalWith: 'FAM' } }]
+   */
+  _literalBlocks(text, before, after, hasFamiliar) {
+    if (!hasFamiliar) {
+      return [{ literal: text }];
+    }
+
+    const opening = after === '{familiar}' ? text.match(FAMILIAR_OPENING)?.[0] ?? '' : '';
+    const rest = text.slice(0, text.length - opening.length);
+    const closing = before === '{familiar}' ? rest.match(FAMILIAR_CLOSING)?.[0] ?? '' : '';
+    const middle = rest.slice(closing.length);
+
+    return [
+      closing && { literal: closing, ext: { optionalWith: FAMILIAR_ALIAS } },
+      middle && { literal: middle },
+      opening && { literal: opening, ext: { optionalWith: FAMILIAR_ALIAS } }
+    ].filter(Boolean);
+  }
+
+  /**
+   * Decide where the firstnames of a nonbinary person come from.
+   * Packages with nonbinary firstnames always use them (strategy "neutral"). Otherwise:
+   * - "union": male and female firstnames in one pool
+   * - "blend": male or female firstnames, chosen by `langRules[locale].naming.nonbinary.weights`
+   * - "neutral": error, the package has no nonbinary firstnames
+   * - "derive": `langRules[locale].naming.nonbinary.derive`, or "union" if the package defines none
+   *   (reported as `fallbackFrom: 'derive'`)
+   *
+   * @param {Object} pkg - Package
+   * @param {string} packageCode - Package identifier
+   * @param {string} locale - Target locale
+   * @param {string} strategy - Requested strategy
+   * @returns {{strategy: string, genderTags: string[], weights: Object|null, transform: string|Object|null,
+   *   fallbackFrom: string|null}} Applied strategy, genders of the firstnames, blend weights, derivation transform
+   *   and the requested strategy if it could not be applied
+   * @throws {NominaError} With the "neutral" strategy if the package has no nonbinary firstnames
+   * @private
+   */
+  _planNonbinaryFirstnames(pkg, packageCode, locale, strategy) {
+    const plan = { strategy, genderTags: ['male', 'female'], weights: null, transform: null, fallbackFrom: null };
+
+    if (catalogHasGenderedItems(pkg.data.catalogs?.names, 'nonbinary')) {
+      return { ...plan, strategy: 'neutral', genderTags: ['nonbinary'] };
+    }
+
+    if (strategy === 'neutral') {
+      throw createNominaError(ErrorType.GENERATION_NO_NEUTRAL_NAMES, { package: packageCode });
+    }
+
+    const rules = getNonbinaryRules(pkg.data.langRules, locale);
+
+    if (strategy === 'derive') {
+      if (rules.derive) {
+        return {
+          ...plan,
+          genderTags: rules.derive.from === 'either' ? plan.genderTags : [rules.derive.from],
+          transform: rules.derive.transform
+        };
+      }
+      logWarn(`No nonbinary derivation for ${packageCode} (${locale}), using male and female firstnames`);
+      return { ...plan, strategy: 'union', fallbackFrom: 'derive' };
+    }
+
+    if (strategy === 'blend') {
+      return { ...plan, weights: rules.weights };
+    }
+
+    return { ...plan, strategy: 'union' };
+  }
+
+  /**
+   * Restrict a firstname SELECT block to the gender of the person.
+   * For nonbinary persons the plan decides: one gender tag, any of several (union, derive),
+   * or a weighted ONEOF with one SELECT per gender (blend).
+   *
+   * @param {Object} block - Firstname SELECT block (where.tags: ['firstnames'])
+   * @param {string|null} genderTag - Requested gender
+   * @param {Object|null} nonbinary - Plan from _planNonbinaryFirstnames (null unless nonbinary)
+   * @returns {Object} Block to add to the pattern
+   * @private
+   */
+  _genderFirstnameBlock(block, genderTag, nonbinary) {
+    if (!nonbinary) {
+      if (genderTag) {
+        block.select.where.tags.push(genderTag);
+      }
+      return block;
+    }
+
+    if (nonbinary.weights) {
+      // The alias is set inside the branch, so it keeps the selected item (and its gender tags)
+      const { ext, ...selectBlock } = block;
+      return {
+        oneOf: nonbinary.genderTags.map(tag => ({
+          w: nonbinary.weights[tag],
+          pattern: [{
+            ...selectBlock,
+            select: { ...selectBlock.select, where: { tags: [...selectBlock.select.where.tags, tag] } }
+          }]
+        })),
+        ...(ext ? { ext } : {})
+      };
+    }
+
+    if (nonbinary.genderTags.length === 1) {
+      block.select.where.tags.push(nonbinary.genderTags[0]);
+    } else {
+      block.select.where.anyOfTags = nonbinary.genderTags;
+    }
+    if (nonbinary.transform) {
+      block.transform = nonbinary.transform;
+    }
+    return block;
+  }
+
+  /**
+   * Record the applied nonbinary strategy in a person name result.
+   * Suggestions get gender "nonbinary", even if their firstname came from the male or female names.
+   * A requested strategy the package does not support is reported as `nonbinaryFallbackFrom`.
+   *
+   * @param {Object|AsyncGenerator<Object>} result - Result of generate() (an async iterator when streaming)
+   * @param {Object} nonbinary - Plan from _planNonbinaryFirstnames
+   * @param {boolean} stream - Whether the result is a stream
+   * @returns {Object|AsyncGenerator<Object>} Result with `metadata.nonbinaryStrategy`
+   * @private
+   */
+  _withNonbinaryStrategy(result, nonbinary, stream) {
+    const strategyMetadata = {
+      nonbinaryStrategy: nonbinary.strategy,
+      ...(nonbinary.fallbackFrom ? { nonbinaryFallbackFrom: nonbinary.fallbackFrom } : {})
+    };
+    const annotate = (suggestion) => ({
+      ...suggestion,
+      gender: 'nonbinary',
+      metadata: { ...suggestion.metadata, ...strategyMetadata }
+    });
+
+    if (stream) {
+      return (async function* () {
+        for await (const suggestion of result) {
+          yield annotate(suggestion);
+        }
+      })();
+    }
+
+    return {
+      ...result,
+      suggestions: result.suggestions.map(annotate),
+      metadata: { ...result.metadata, ...strategyMetadata }
+    };
+  }
+
+  /**
+   * Generate a family: a founding couple, their children and the descendants of the heirs.
+   * All members share the family name (unless the package's conventions say otherwise) and get
+   * first names matching their gender. Conventions come from `langRules[locale].family` (see family.js).
+   *
+   * @async
+   * @param {string} packageCode - Package identifier (e.g., "human-de")
+   * @param {Object} [options={}] - Generation options
+   * @param {string} [options.locale] - Target locale for output
+   * @param {number} [options.size=3] - Children per couple
+   * @param {number} [options.generations=2] - Number of generations (2 = parents and children)
+   * @param {string} [options.seed] - Optional seed for deterministic results
+   * @returns {Promise<Object>} Family
+   * @returns {string|null} return.surname - Family name (null if the package has none)
+   * @returns {Array<Object>} return.members - Members ({ id, name, firstname, surname, birthSurname, gender,
+   *   generation, role, parents, spouse, children, marriedIn, heir }); parents, spouse and children are member IDs
+   * @returns {Array<string[]>} return.generations - Member IDs by generation, oldest first
+   * @returns {Object} return.conventions - Naming conventions that were applied
+   * @returns {string} return.seed - Seed of the family
+   * @throws {NominaError} If the package does not exist
+   * @example
+   * const family = await generator.generateFamily('dwarf-en', { locale: 'en', size: 4, generations: 3 });
+   * family.members.filter(m => m.role === 'grandparent').map(m => m.name);
+   */
+  async generateFamily(packageCode, options = {}) {
+    const {
+      locale,
+      size = FAMILY_LIMITS.size.default,
+      generations = FAMILY_LIMITS.generations.default,
+      seed = createRandomSeed()
+    } = options;
+
+    if (!this.dataManager) {
+      await this.initialize();
+    }
+
+    const pkg = this.dataManager.getPackage(packageCode);
+
+    if (!pkg) {
+      logAndThrow(`Package not found: ${packageCode}`);
+    }
+
+    const conventions = getFamilyConventions(pkg.data.langRules, locale);
+    if (conventions.clanRecipe && !pkg.data.recipes?.some(recipe => recipe.id === conventions.clanRecipe)) {
+      logWarn(`Family clan recipe '${conventions.clanRecipe}' not found in package '${packageCode}', using surnames`);
+      conventions.clanRecipe = null;
+    }
+
+    logDebug(`generateFamily: package=${packageCode}, size=${size}, generations=${generations}, conventions=`, conventions);
+
+    const tree = buildFamilyTree({ size, generations, seed });
+    const usedFirstnames = new Set();
+    const usedSurnames = new Set();
+    const surname = conventions.surname === 'none'
+      ? null
+      : await this._drawFamilySurname(packageCode, locale, conventions, `${seed}:surname`, usedSurnames);
+
+    for (const ids of tree.generations) {
+      let letter = null; // Initial of the first sibling (alliteration)
+
+      for (const member of tree.members.filter(m => ids.includes(m.id))) {
+        const isSibling = member.parents.length > 0;
+        const firstname = await this._drawFamilyFirstname(packageCode, locale, member.gender,
+          isSibling ? letter : null, `${seed}:${member.id}`, usedFirstnames);
+        if (isSibling && conventions.alliterate && !letter && firstname) {
+          letter = [...firstname][0];
+        }
+
+        member.firstname = firstname || '';
+        if (surname && member.marriedIn) {
+          member.birthSurname = await this._drawFamilySurname(packageCode, locale, conventions,
+            `${seed}:${member.id}:surname`, usedSurnames) || null;
+          member.surname = conventions.spouses === 'keep' ? member.birthSurname : surname;
+        } else {
+          member.birthSurname = surname;
+          member.surname = surname;
+        }
+        member.name = formatFamilyName(member.firstname, member.surname, conventions);
+      }
+    }
+
+    return {
       packageCode,
       locale,
-      n,
-      recipes: [recipeId],
-      seed,
-      allowDuplicates
-    });
+      surname,
+      members: tree.members,
+      generations: tree.generations,
+      conventions,
+      seed
+    };
+  }
+
+  /**
+   * Draw a first name for a family member that no other member has.
+   * If the pool runs out, the initial (alliteration) is dropped first, then names may repeat.
+   *
+   * @async
+   * @param {string} packageCode - Package identifier
+   * @param {string} locale - Target locale
+   * @param {string} gender - Gender of the member ('male' or 'female')
+   * @param {string|null} letter - Initial the name should start with (alliteration), or null
+   * @param {string} seed - Seed of the member
+   * @param {Set<string>} used - First names already in the family
+   * @returns {Promise<string|null>} First name, or null if the package has none
+   * @private
+   */
+  async _drawFamilyFirstname(packageCode, locale, gender, letter, seed, used) {
+    const pkg = this.dataManager.getPackage(packageCode);
+    const tags = catalogHasGenderedItems(pkg.data.catalogs?.names, gender) ? ['firstnames', gender] : ['firstnames'];
+
+    if (letter) {
+      const alliterating = await this._drawUnusedName(packageCode, { locale, seed, tags, where: { startsWith: letter } }, used);
+      if (alliterating) {
+        return alliterating;
+      }
+      logDebug(`No unused ${gender} first name starting with "${letter}" in ${packageCode}, dropping the alliteration`);
+    }
+
+    return await this._drawUnusedName(packageCode, { locale, seed, tags }, used) ??
+      await this._drawUnusedName(packageCode, { locale, seed, tags }, new Set());
+  }
+
+  /**
+   * Draw a family name (from the clan recipe or the surnames of the names catalog).
+   *
+   * @async
+   * @param {string} packageCode - Package identifier
+   * @param {string} locale - Target locale
+   * @param {Object} conventions - Family conventions
+   * @param {string} seed - Seed of the name
+   * @param {Set<string>} used - Family names already in the family
+   * @returns {Promise<string|null>} Family name, or null if the package has none
+   * @private
+   */
+  async _drawFamilySurname(packageCode, locale, conventions, seed, used) {
+    const source = conventions.clanRecipe
+      ? { locale, seed, recipe: conventions.clanRecipe }
+      : { locale, seed, tags: ['surnames'] };
+    return await this._drawUnusedName(packageCode, source, used) ??
+      await this._drawUnusedName(packageCode, source, new Set());
+  }
+
+  /**
+   * Generate names until one is found that is not in the used set, and add it to the set.
+   *
+   * @async
+   * @param {string} packageCode - Package identifier
+   * @param {Object} source - Name source
+   * @param {string} source.locale - Target locale
+   * @param {string} source.seed - Seed
+   * @param {string|null} [source.recipe=null] - Recipe ID (otherwise the names catalog is used)
+   * @param {string[]} [source.tags=[]] - Tags of the names catalog
+   * @param {Object|null} [source.where=null] - Additional where criteria for the names catalog
+   * @param {Set<string>} used - Names that must not be returned
+   * @returns {Promise<string|null>} Unused name, or null if none could be generated
+   * @private
+   */
+  async _drawUnusedName(packageCode, { locale, seed, recipe = null, tags = [], where = null }, used) {
+    // With one name more than are used, at least one is new as long as the pool is large enough
+    const n = used.size + 1;
+    const result = recipe
+      ? await this.generate({ packageCode, locale, n, recipes: [recipe], seed })
+      : await this.generateFromCatalog(packageCode, 'names', { locale, n, tags, where, seed });
+
+    const name = result.suggestions.map(s => s.text).find(text => text && !used.has(text)) ?? null;
+    if (name) {
+      used.add(name);
+    }
+    return name;
   }
 
   /**
@@ -640,8 +1316,12 @@ export class Generator {
    * @param {number} [options.n=1] - Number of names to generate
    * @param {string[]} [options.tags=[]] - Tags to filter by
    * @param {boolean} [options.anyOfTags=false] - Use OR logic for tags (default is AND)
+   * @param {Object|null} [options.where=null] - Additional where criteria (attrs, length, startsWith, ...), applied as runtime filter
    * @param {string} [options.seed] - Optional seed for deterministic results
    * @param {boolean} [options.allowDuplicates=false] - Allow duplicate names
+   * @param {boolean} [options.deck=false] - Draw without replacement across calls (see generate())
+   * @param {Object|null} [options.stream=null] - Stream options (see generate())
+   * @param {boolean} [options.includePronunciation=true] - Build pronunciation guides (see generate())
    * @returns {Promise<Object>} Generation result (same format as generate())
    * @example
    * const result = await generator.generateFromCatalog('human-de', 'names', {
@@ -656,8 +1336,12 @@ export class Generator {
       n = 1,
       tags = [],
       anyOfTags = false, // Use OR logic instead of AND for tags
+      where = null,
       seed,
-      allowDuplicates = false
+      allowDuplicates = false,
+      deck = false,
+      stream = null,
+      includePronunciation = true
     } = options;
 
     if (!this.dataManager) {
@@ -740,14 +1424,16 @@ export class Generator {
 
       // Replace existing recipe with same ID if it exists, or add new one
       const existingIndex = pkg.data.recipes.findIndex(r => r.id === recipeId);
-      if (existingIndex >= 0) {
-        pkg.data.recipes[existingIndex] = recipe;
-      } else {
-        pkg.data.recipes.push(recipe);
-      }
+      if (!this._isRecipeLoaded(engine, packageCode, pkg.data.recipes[existingIndex], recipe)) {
+        if (existingIndex >= 0) {
+          pkg.data.recipes[existingIndex] = recipe;
+        } else {
+          pkg.data.recipes.push(recipe);
+        }
 
-      // Always reload package in engine to apply changes
-      engine.loadPackage(pkg.data);
+        // Reload package in engine to apply changes
+        engine.loadPackage(pkg.data);
+      }
     }
 
     // Generate using the recipe
@@ -757,7 +1443,11 @@ export class Generator {
       n,
       recipes: [recipeId],
       seed,
-      allowDuplicates
+      allowDuplicates,
+      filters: where ? { [catalogKey]: where } : {},
+      deck,
+      stream,
+      includePronunciation
     });
   }
 
@@ -774,6 +1464,8 @@ export class Generator {
    * @param {number} [options.n=1] - Number of names to generate
    * @param {string} [options.seed] - Optional seed for deterministic results
    * @param {boolean} [options.allowDuplicates=false] - Allow duplicate names
+   * @param {boolean} [options.deck=false] - Draw without replacement across calls (see generate())
+   * @param {Object|null} [options.stream=null] - Stream options (see generate())
    * @returns {Promise<Object>} Generation result (same format as generate())
    * @throws {Error} If collection not found or has no category defined
    * @example
@@ -787,7 +1479,9 @@ export class Generator {
       locale = 'en',
       n = 1,
       seed,
-      allowDuplicates = false
+      allowDuplicates = false,
+      deck = false,
+      stream = null
     } = options;
 
     if (!this.dataManager) {
@@ -809,13 +1503,19 @@ export class Generator {
       logAndThrow(`Collection '${collectionKey}' has no category defined in query`);
     }
 
+    // Attribute filters and where clause of the query (tags are passed separately)
+    const where = getCollectionWhere({ filters: collection.query.filters, where: collection.query.where });
+
     // Use generateFromCatalog with the collection's query parameters
     return await this.generateFromCatalog(packageCode, catalogKey, {
       locale,
       n,
       tags,
+      where: Object.keys(where).length > 0 ? where : null,
       seed,
-      allowDuplicates
+      allowDuplicates,
+      deck,
+      stream
     });
   }
 }
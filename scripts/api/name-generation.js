@@ -27,7 +27,7 @@ import {
  * @param {string} options.language - Language code (default: 'de')
  * @param {string} options.species - Species code (default: 'human')
  * @param {string} options.gender - Gender for names ('male', 'female', 'nonbinary')
- * @param {Array} options.components - Name components ['firstname', 'surname', 'title', 'nickname']
+ * @param {Array} options.components - Name components ['firstname', 'surname', 'title', 'nickname', 'patronymic', 'familiar']
  * @param {string} options.format - Name format (default: '{firstname} {surname}')
  * @param {number} options.count - Number of names to generate (default: 1)
  * @returns {Promise<string|Array>} Generated name(s)
@@ -5,7 +5,7 @@
 
 import { getGlobalGenerator } from '../api/generator.js';
 import { showLoadingState, hideLoadingState, copyToClipboard, fallbackCopyToClipboard } from '../utils/ui-helpers.js';
-import { TEMPLATE_PATHS, CSS_CLASSES, GENDER_SYMBOLS, getSupportedGenders, MODULE_ID, DEFAULT_GENDER_COLORS } from '../shared/constants.js';
+import { TEMPLATE_PATHS, CSS_CLASSES, GENDER_SYMBOLS, getSupportedGenders, getNonbinaryStrategy, DEFAULT_NONBINARY_STRATEGY, MODULE_ID, DEFAULT_GENDER_COLORS } from '../shared/constants.js';
 import { logDebug, logInfo, logWarn, logError } from '../utils/logger.js';
 import { getHistoryManager } from '../core/history-manager.js';
 import { NamesHistoryApp } from './history-app.js';
@@ -21,6 +21,7 @@ export class EmergencyNamesApp extends Application {
     this.availableSpecies = [];
     this.enabledSpecies = new Set();
     this.isFilterExpanded = false;
+    this.useDeck = game.settings.get(MODULE_ID, "emergencyUseDeck"); // Draw without repetition (deck mode)
   }
 
   static get defaultOptions() {
@@ -97,7 +98,8 @@ export class EmergencyNamesApp extends Application {
       availableSpecies: this.availableSpecies,
       speciesFilterLabel: game.i18n.localize("names.emergency.speciesFilter"),
       speciesFilterCount: speciesFilterCount,
-      selectSingleLabel: selectSingleLabel
+      selectSingleLabel: selectSingleLabel,
+      useDeck: this.useDeck
     };
   }
 
@@ -117,6 +119,12 @@ export class EmergencyNamesApp extends Application {
     html.find('.species-pill').off('click').on('click', this._onToggleSpecies.bind(this));
     html.find('.species-filter-action').off('click').on('click', this._onFilterAction.bind(this));
 
+    // Deck mode toggle
+    html.find('#emergency-deck-toggle').off('change').on('change', (event) => {
+      this.useDeck = event.target.checked;
+      game.settings.set(MODULE_ID, "emergencyUseDeck", this.useDeck);
+    });
+
     this._initializeApp(html);
   }
 
@@ -234,6 +242,7 @@ export class EmergencyNamesApp extends Application {
             const { suggestion, actualGender } = generationResult;
             names.push({
               name: suggestion.text,
+              replayToken: suggestion.replayToken,
               species: species,
               gender: actualGender, // Use actual gender (may differ from preferred)
               displaySpecies: this._getLocalizedSpecies(species)
@@ -541,6 +550,7 @@ export class EmergencyNamesApp extends Application {
       return {
         name: nameObj.name,
         source: 'emergency',
+        replayToken: nameObj.replayToken,
         metadata: {
           language: language,
           species: nameObj.species,
@@ -684,7 +694,7 @@ export class EmergencyNamesApp extends Application {
    * Generate a name with intelligent gender fallback chain.
    *
    * The fallback strategy works bidirectionally:
-   * - Non-binary → Male → Female (or Female → Male based on availability)
+   * - Non-binary → Male → Female (or Female → Male based on availability); not with the "neutral" nonbinary strategy
    * - Male → Non-binary (if available) → Female (if available)
    * - Female → Non-binary (if available) → Male (if available)
    *
@@ -699,8 +709,9 @@ export class EmergencyNamesApp extends Application {
    * @private
    */
   async _generateNameWithFallback(packageCode, language, preferredGender, supportedGenders) {
-    // Build fallback chain based on preferred gender and available options
-    const gendersToTry = this._buildFallbackChain(preferredGender, supportedGenders);
+    // Build fallback chain based on preferred gender, available options and the nonbinary strategy of the world
+    const nonbinaryStrategy = getNonbinaryStrategy();
+    const gendersToTry = this._buildFallbackChain(preferredGender, supportedGenders, nonbinaryStrategy);
 
     logDebug(`[Fallback Chain] Trying genders in order: ${gendersToTry.join(' → ')} (preferred: ${preferredGender})`);
 
@@ -715,7 +726,9 @@ export class EmergencyNamesApp extends Application {
           gender: gender,
           components: ['firstname', 'surname'],
           format: '{firstname} {surname}',
-          allowDuplicates: false
+          nonbinaryStrategy,
+          allowDuplicates: false,
+          deck: this.useDeck
         });
 
         if (result?.suggestions?.length > 0) {
@@ -748,12 +761,16 @@ export class EmergencyNamesApp extends Application {
    * alternative genders are tried in a logical order to maximize name variety while
    * respecting user preferences as much as possible.
    *
+   * With the "neutral" nonbinary strategy a nonbinary name never falls back to a male or
+   * female one; the combination fails and another species is tried instead.
+   *
    * @param {string} preferredGender - The user's preferred gender (male/female/nonbinary)
    * @param {Array<string>} supportedGenders - Genders supported by the name package
+   * @param {string} [nonbinaryStrategy=DEFAULT_NONBINARY_STRATEGY] - Nonbinary strategy of the world (see NONBINARY_STRATEGIES)
    * @returns {Array<string>} Ordered list of genders to try, from most to least preferred
    * @private
    */
-  _buildFallbackChain(preferredGender, supportedGenders) {
+  _buildFallbackChain(preferredGender, supportedGenders, nonbinaryStrategy = DEFAULT_NONBINARY_STRATEGY) {
     const supportedSet = new Set(supportedGenders);
     const chain = [];
 
@@ -770,9 +787,12 @@ export class EmergencyNamesApp extends Application {
     // Build fallback chain based on preference
     switch (preferredGender) {
       case 'nonbinary':
-        // Non-binary → Male → Female
-        addIfSupported('male');
-        addIfSupported('female');
+        // Non-binary → Male → Female, unless only nonbinary names are wanted
+        // (the other strategies already draw from male and female names themselves)
+        if (nonbinaryStrategy !== 'neutral') {
+          addIfSupported('male');
+          addIfSupported('female');
+        }
         break;
 
       case 'male':
@@ -6,15 +6,23 @@
 
 import { getGlobalGenerator } from '../api/generator.js';
 import { getHistoryManager } from '../core/history-manager.js';
+import { DeckManager } from '../core/deck-manager.js';
 import { getSupportedGenders, TEMPLATE_PATHS, CSS_CLASSES, MODULE_ID, DEFAULT_GENDER_COLORS } from '../shared/constants.js';
 import { logDebug, logInfo, logWarn, logError } from '../utils/logger.js';
 import { getUserFriendlyMessage, notifyError } from '../utils/error-helper.js';
 import { NamesHistoryApp } from './history-app.js';
 import { initializeEnhancedDropdowns } from '../components/enhanced-dropdown.js';
-import { hasNonbinaryNamesForSpecies } from '../utils/ui-helpers.js';
+import { hasNonbinaryNamesForSpecies, createScriptLine, copyScriptLine } from '../utils/ui-helpers.js';
+import { getScriptList } from '../core/script-registry.js';
 import { sanitizeHTML } from '../utils/sanitizer.js';
 import { getTelemetry } from '../main.js';
 
+/** Batches of person names above this size are streamed with a progress bar (one batch holds at most 100 names) */
+const STREAM_MIN_COUNT = 100;
+
+/** Largest number of names generated at once */
+const MAX_NAME_COUNT = 1000;
+
 export class NamesGeneratorApp extends Application {
   constructor(options = {}) {
     super(options);
@@ -24,14 +32,22 @@ export class NamesGeneratorApp extends Application {
     this.currentCategory = null; // Will use catalogs now
     this.generatedNames = [];
     this.nameGenders = new Map(); // Track gender for each name (for color coding)
+    this.nameReplayTokens = new Map(); // Track replay token for each name (stored in history)
+    this.namePronunciations = new Map(); // Track pronunciation guide for each name (shown as tooltip)
+    this.nameMeanings = new Map(); // Track meaning of each name (shown in the detailed view)
+    this.nameFallbackLocales = new Map(); // Track the source locale of names shown in a fallback language
     this.favoritedNames = new Set(); // Track favorited names
     this.supportedGenders = getSupportedGenders();
     this._isFirstRender = true; // Track first render to avoid infinite loop
     this.currentView = 'detailed'; // 'detailed' or 'simple'
-    this.currentMode = 'components'; // 'components' or 'recipe'
+    this.currentMode = 'components'; // 'components', 'recipe' or 'family'
+    this.currentFamily = null; // Family shown in family mode (from generator.generateFamily)
     this.currentRecipe = null; // Currently selected recipe ID
     this.lastRecipeDefinition = ''; // Store last recipe definition for "selbst definieren"
     this.searchTerm = ''; // Current search filter
+    this.useDeck = game.settings.get(MODULE_ID, "generatorUseDeck"); // Draw without repetition (deck mode)
+    this.currentScript = game.settings.get(MODULE_ID, "generatorScript") || ''; // Show names in a fantasy script ('' = off)
+    this.streamController = null; // Aborts a running stream of a large batch
   }
 
   static get defaultOptions() {
@@ -47,6 +63,7 @@ export class NamesGeneratorApp extends Application {
   }
 
   async close(options) {
+    this.streamController?.abort();
     if (game.settings.get(MODULE_ID, "rememberSelections")) {
       this._saveState();
     }
@@ -70,7 +87,7 @@ export class NamesGeneratorApp extends Application {
 
     // Save checked components
     const components = [];
-    for (const comp of ['firstname', 'surname', 'title', 'nickname']) {
+    for (const comp of ['firstname', 'surname', 'title', 'nickname', 'patronymic', 'familiar']) {
       if (html.find(`input[name="names-include-${comp}"]:checked`).length) {
         components.push(comp);
       }
@@ -130,7 +147,11 @@ export class NamesGeneratorApp extends Application {
       defaultNameCount: defaultNameCount,
       isLoading: false,
       isLoaded: true,
-      supportedGenders: this.supportedGenders
+      supportedGenders: this.supportedGenders,
+      useDeck: this.useDeck,
+      scripts: getScriptList(game.i18n.lang),
+      currentScript: this.currentScript,
+      isGM: game.user.isGM
     };
   }
 
@@ -185,6 +206,10 @@ export class NamesGeneratorApp extends Application {
       this.currentCategory = null;
       this.generatedNames = [];
       this.nameGenders.clear();
+      this.nameReplayTokens.clear();
+      this.namePronunciations.clear();
+      this.nameMeanings.clear();
+      this.nameFallbackLocales.clear();
       await this._updateSpeciesDropdown(html);
       await this._updateCategoriesDropdown(html);
     });
@@ -195,6 +220,10 @@ export class NamesGeneratorApp extends Application {
       this.currentCategory = null;
       this.generatedNames = [];
       this.nameGenders.clear();
+      this.nameReplayTokens.clear();
+      this.namePronunciations.clear();
+      this.nameMeanings.clear();
+      this.nameFallbackLocales.clear();
       await this._updateCategoriesDropdown(html);
     });
 
@@ -223,6 +252,31 @@ export class NamesGeneratorApp extends Application {
       this._onClearResult(html);
     });
 
+    // Deck mode toggle
+    html.find('#names-deck-toggle').change((ev) => {
+      this.useDeck = ev.target.checked;
+      game.settings.set(MODULE_ID, "generatorUseDeck", this.useDeck);
+    });
+
+    // Deck reset (GM only)
+    html.find('#names-deck-reset-btn').click((ev) => {
+      ev.preventDefault();
+      this._onResetDeck();
+    });
+
+    // Show in script
+    html.find('#names-script-select').change((ev) => {
+      this.currentScript = ev.target.value;
+      game.settings.set(MODULE_ID, "generatorScript", this.currentScript);
+      this._refreshScriptLines(html);
+    });
+
+    // Copy a name shown in script (Unicode or markup)
+    html.find('#names-result-display').on('click', '.names-module-script-copy', async (ev) => {
+      ev.stopPropagation(); // Prevent copy action of the name
+      await copyScriptLine($(ev.currentTarget));
+    });
+
     // History button
     html.find('#names-history-btn').click((ev) => {
       ev.preventDefault();
@@ -263,15 +317,7 @@ export class NamesGeneratorApp extends Application {
       html.find('.names-module-mode-btn').removeClass('active');
       btn.addClass('active');
 
-      // Toggle content visibility
-      if (mode === 'recipe') {
-        html.find('.names-module-components-content').hide();
-        html.find('.names-module-recipe-content').show();
-        this._updateRecipeDropdown(html);
-      } else {
-        html.find('.names-module-recipe-content').hide();
-        html.find('.names-module-components-content').show();
-      }
+      this._showModeContent(html, mode);
 
       logDebug(`Mode switched to: ${mode}`);
     });
@@ -319,6 +365,21 @@ export class NamesGeneratorApp extends Application {
       }
     });
 
+    // Copy individual name (family tree)
+    html.find('#names-result-display').on('click', '.names-module-family-member', async (ev) => {
+      const nameEl = $(ev.currentTarget);
+      const name = nameEl.data('name');
+      if (name) {
+        await this._handleNameClick(String(name), nameEl);
+      }
+    });
+
+    // Create a journal entry from the family tree
+    html.find('#names-result-display').on('click', '.names-module-family-journal-btn', async (ev) => {
+      ev.preventDefault();
+      await this._onCreateFamilyJournal();
+    });
+
     // Search input
     html.find('#names-search-input').on('input', (ev) => {
       this._onSearchInput(ev, html);
@@ -538,6 +599,8 @@ export class NamesGeneratorApp extends Application {
     if (html.find('input[name="names-include-surname"]:checked').length) components.push('surname');
     if (html.find('input[name="names-include-title"]:checked').length) components.push('title');
     if (html.find('input[name="names-include-nickname"]:checked').length) components.push('nickname');
+    if (html.find('input[name="names-include-patronymic"]:checked').length) components.push('patronymic');
+    if (html.find('input[name="names-include-familiar"]:checked').length) components.push('familiar');
 
     // Build format string based on selected components
     let format = '';
@@ -555,11 +618,21 @@ export class NamesGeneratorApp extends Application {
         parts.push('{firstname}');
       }
 
+      // Add familiar form, in parentheses after the firstname ("Robert (Bob)")
+      if (components.includes('familiar')) {
+        parts.push(components.includes('firstname') ? '({familiar})' : '{familiar}');
+      }
+
       // Add nickname in quotes if selected
       if (components.includes('nickname')) {
         parts.push('"{nickname}"');
       }
 
+      // Add patronymic ("son of ..." or "...sson") after the given names
+      if (components.includes('patronymic')) {
+        parts.push('{patronymic}');
+      }
+
       // Add surname
       if (components.includes('surname')) {
         parts.push('{surname}');
@@ -583,18 +656,26 @@ export class NamesGeneratorApp extends Application {
     const packageCode = `${this.currentSpecies}-${this.currentLanguage}`;
 
     try {
-      const count = parseInt(html.find('#names-count-input').val()) || 10;
+      const count = Math.min(parseInt(html.find('#names-count-input').val()) || 10, MAX_NAME_COUNT);
+      // Catalog and recipe modes generate a single batch; large batches of person names are streamed
+      const batchCount = Math.min(count, STREAM_MIN_COUNT);
 
       // Check if this is a person name generation (with gender/components)
       const isPersonName = this.currentCategory === 'firstnames' || this.currentCategory === 'surnames' ||
                           this.currentCategory === 'titles' || this.currentCategory === 'nicknames' ||
                           this.currentCategory === 'names';
 
+      if (isPersonName && this.currentMode === 'family') {
+        await this._onGenerateFamily(html, packageCode);
+        return;
+      }
+      this.currentFamily = null;
+
       let result;
 
       if (isPersonName && this.currentMode === 'recipe') {
         // Recipe-based generation
-        result = await this._generateWithRecipe(html, packageCode, count);
+        result = await this._generateWithRecipe(html, packageCode, batchCount);
       } else if (isPersonName) {
         // Get selected genders
         const selectedGenders = [];
@@ -609,6 +690,8 @@ export class NamesGeneratorApp extends Application {
         if (html.find('input[name="names-include-surname"]:checked').length) components.push('surname');
         if (html.find('input[name="names-include-title"]:checked').length) components.push('title');
         if (html.find('input[name="names-include-nickname"]:checked').length) components.push('nickname');
+        if (html.find('input[name="names-include-patronymic"]:checked').length) components.push('patronymic');
+        if (html.find('input[name="names-include-familiar"]:checked').length) components.push('familiar');
 
         // Default to firstname + surname if nothing selected
         if (components.length === 0) {
@@ -616,7 +699,7 @@ export class NamesGeneratorApp extends Application {
         }
 
         // Check if any gender-relevant components are selected (for color coding)
-        const GENDER_RELEVANT_COMPONENTS = ['firstname', 'title', 'nickname'];
+        const GENDER_RELEVANT_COMPONENTS = ['firstname', 'title', 'nickname', 'patronymic', 'familiar'];
         const hasGenderRelevantComponents = components.some(c => GENDER_RELEVANT_COMPONENTS.includes(c));
 
         // Get format string from input field, or build default
@@ -677,7 +760,8 @@ export class NamesGeneratorApp extends Application {
                 gender: randomGender,
                 components,
                 format,
-                allowDuplicates: false
+                allowDuplicates: false,
+                deck: this.useDeck
               });
 
               if (genderResult.suggestions && genderResult.suggestions.length > 0) {
@@ -727,14 +811,17 @@ export class NamesGeneratorApp extends Application {
           // Single gender or no gender selected - use original logic
           const gender = selectedGenders.length > 0 ? selectedGenders[0] : null;
 
-          result = await this.generator.generatePersonName(packageCode, {
-            locale: this.currentLanguage,
-            n: count,
-            gender,
-            components,
-            format,
-            allowDuplicates: false
-          });
+          result = count > STREAM_MIN_COUNT
+            ? await this._streamPersonNames(html, { gender, components, format, count })
+            : await this.generator.generatePersonName(packageCode, {
+              locale: this.currentLanguage,
+              n: count,
+              gender,
+              components,
+              format,
+              allowDuplicates: false,
+              deck: this.useDeck
+            });
 
           // Add gender info to each suggestion for color coding
           // Only apply gender if we have gender-relevant components (firstname, title, nickname)
@@ -813,7 +900,8 @@ export class NamesGeneratorApp extends Application {
                     n: 1,
                     recipes: randomRecipe,
                     seed: nameSeed,
-                    allowDuplicates: false
+                    allowDuplicates: false,
+                    deck: this.useDeck
                   });
 
                   if (singleResult.suggestions && singleResult.suggestions.length > 0) {
@@ -861,10 +949,11 @@ export class NamesGeneratorApp extends Application {
             try {
               result = await this.generator.generateFromCatalog(packageCode, this.currentCategory, {
                 locale: this.currentLanguage,
-                n: count,
+                n: batchCount,
                 tags: uniqueTags,
                 anyOfTags: true, // Use OR logic to get variety from multiple collections
-                allowDuplicates: false
+                allowDuplicates: false,
+                deck: this.useDeck
               });
             } catch (err) {
               logError(`Failed to generate from catalog with collections:`, err);
@@ -877,16 +966,18 @@ export class NamesGeneratorApp extends Application {
             // No tags or recipes - generate from catalog directly
             result = await this.generator.generateFromCatalog(packageCode, this.currentCategory, {
               locale: this.currentLanguage,
-              n: count,
-              allowDuplicates: false
+              n: batchCount,
+              allowDuplicates: false,
+              deck: this.useDeck
             });
           }
         } else {
           // Generate from catalog directly (no collections filter)
           result = await this.generator.generateFromCatalog(packageCode, this.currentCategory, {
             locale: this.currentLanguage,
-            n: count,
-            allowDuplicates: false
+            n: batchCount,
+            allowDuplicates: false,
+            deck: this.useDeck
           });
         }
       }
@@ -917,6 +1008,24 @@ export class NamesGeneratorApp extends Application {
       // Update gender map for new names (gender comes from engine via parts)
       for (const suggestion of result.suggestions) {
         if (suggestion.text) {
+          if (suggestion.replayToken) {
+            this.nameReplayTokens.set(suggestion.text, suggestion.replayToken);
+          }
+          if (suggestion.pronunciation) {
+            this.namePronunciations.set(suggestion.text, suggestion.pronunciation);
+          } else {
+            this.namePronunciations.delete(suggestion.text);
+          }
+          if (suggestion.meaning) {
+            this.nameMeanings.set(suggestion.text, suggestion.meaning);
+          } else {
+            this.nameMeanings.delete(suggestion.text);
+          }
+          if (suggestion.locale && suggestion.locale !== this.currentLanguage) {
+            this.nameFallbackLocales.set(suggestion.text, suggestion.locale);
+          } else {
+            this.nameFallbackLocales.delete(suggestion.text);
+          }
           if (suggestion.gender) {
             this.nameGenders.set(suggestion.text, suggestion.gender);
           } else {
@@ -942,6 +1051,7 @@ export class NamesGeneratorApp extends Application {
       // Check if any result has meaningful metadata (for showing/hiding view toggle)
       // Metadata like just 'catalog' or 'source' isn't meaningful for detailed view
       const hasMetadata = result.suggestions.some(s => {
+        if (s.meaning) return true;
         if (!s.metadata || Object.keys(s.metadata).length === 0) return false;
         // Filter out metadata that's just technical info (catalog, source, seed, etc.)
         const meaningfulKeys = Object.keys(s.metadata).filter(k =>
@@ -969,11 +1079,76 @@ export class NamesGeneratorApp extends Application {
       logInfo(`Generated ${this.generatedNames.length} names`);
 
     } catch (error) {
+      if (error?.name === 'AbortError') {
+        logDebug('Name stream aborted');
+        return;
+      }
       logError('Failed to generate names:', error);
       notifyError(error);
     }
   }
 
+  /**
+   * Stream a large batch of person names through the API and show its progress.
+   * The progress bar follows the 'names.generateProgress' hook of this stream; closing the app aborts it.
+   *
+   * @param {jQuery} html - App element
+   * @param {Object} options - Person name options (gender, components, format, count)
+   * @returns {Promise<Object>} Result in the format of generatePersonName ({ suggestions, metadata })
+   * @throws {DOMException} AbortError if the app was closed while streaming
+   * @private
+   */
+  async _streamPersonNames(html, { gender, components, format, count }) {
+    this.streamController?.abort();
+    const controller = new AbortController();
+    this.streamController = controller;
+
+    const streamOptions = {
+      species: this.currentSpecies,
+      language: this.currentLanguage,
+      gender,
+      components,
+      format,
+      count,
+      deck: this.useDeck,
+      signal: controller.signal
+    };
+
+    const progress = html.find('#names-generate-progress');
+    const showProgress = (generated, requested) => {
+      progress.find('progress').attr({ max: requested, value: generated });
+      progress.find('.names-module-progress-label').text(
+        game.i18n.format('names.progress', { generated, requested }) || `${generated} / ${requested}`
+      );
+    };
+    const hookId = Hooks.on('names.generateProgress', ({ options, generated, requested }) => {
+      if (options === streamOptions) {
+        showProgress(generated, requested);
+      }
+    });
+
+    showProgress(0, count);
+    progress.prop('hidden', false);
+
+    const suggestions = [];
+    try {
+      for await (const suggestion of game.modules.get(MODULE_ID).api.generateStream(streamOptions)) {
+        suggestions.push(suggestion);
+      }
+    } finally {
+      Hooks.off('names.generateProgress', hookId);
+      progress.prop('hidden', true);
+      if (this.streamController === controller) {
+        this.streamController = null;
+      }
+    }
+
+    return {
+      suggestions,
+      metadata: { requested: count, generated: suggestions.length, complete: suggestions.length >= count }
+    };
+  }
+
   _displayResults(html, isInitialRender = true) {
     const resultDiv = html.find('#names-result-display');
 
@@ -983,15 +1158,7 @@ export class NamesGeneratorApp extends Application {
       return;
     }
 
-    // Check if gender colors are enabled and set CSS variables
-    const genderColorsEnabled = game.settings.get(MODULE_ID, "enableGenderColors");
-    if (genderColorsEnabled) {
-      const genderColors = game.settings.get(MODULE_ID, "genderColors") || DEFAULT_GENDER_COLORS;
-      const resultsPanel = html.find('.names-module-results-panel');
-      resultsPanel.css('--gender-color-male', genderColors.male || DEFAULT_GENDER_COLORS.male);
-      resultsPanel.css('--gender-color-female', genderColors.female || DEFAULT_GENDER_COLORS.female);
-      resultsPanel.css('--gender-color-nonbinary', genderColors.nonbinary || DEFAULT_GENDER_COLORS.nonbinary);
-    }
+    const genderColorsEnabled = this._applyGenderColors(html);
 
     // Get existing favorited elements to keep them (detach preserves event handlers and prevents fade-out)
     const existingFavorited = new Map();
@@ -1028,7 +1195,9 @@ export class NamesGeneratorApp extends Application {
           // Use text() for name to prevent XSS - build element with jQuery
           const $item = $(`<div class="names-module-simple-name ${nameClass} ${genderClass} initial-render" data-name="${sanitizeHTML(name)}" ${genderAttr}></div>`);
           $item.append(`<button type="button" class="favorite-toggle ${favClass}">⭐</button>`);
-          $item.append($('<span class="generator-name-display"></span>').text(name));
+          $item.append($('<span class="generator-name-display"></span>').text(name).attr('title', this._getPronunciationTitle(name)));
+          this._appendLocaleBadge($item, name);
+          this._appendScriptLine($item, name);
           container.append($item);
         }
       }
@@ -1055,7 +1224,10 @@ export class NamesGeneratorApp extends Application {
           const $wrapper = $('<div class="name-content-wrapper"></div>');
           $wrapper.append(`<button type="button" class="favorite-toggle ${favClass}">⭐</button>`);
           const $content = $('<div class="name-content"></div>');
-          $content.append($('<div class="name-title"></div>').text(name));
+          $content.append($('<div class="name-title"></div>').text(name).attr('title', this._getPronunciationTitle(name)));
+          this._appendLocaleBadge($content, name);
+          this._appendMeaning($content, name);
+          this._appendScriptLine($content, name);
           $wrapper.append($content);
           $item.append($wrapper);
           resultDiv.append($item);
@@ -1067,7 +1239,317 @@ export class NamesGeneratorApp extends Application {
     html.find('#names-clear-btn').prop('disabled', false);
   }
 
+  /**
+   * Set the gender color CSS variables on the results panel, if gender colors are enabled.
+   *
+   * @param {jQuery} html - App HTML
+   * @returns {boolean} True if gender colors are enabled
+   * @private
+   */
+  _applyGenderColors(html) {
+    const genderColorsEnabled = game.settings.get(MODULE_ID, "enableGenderColors");
+    if (genderColorsEnabled) {
+      const genderColors = game.settings.get(MODULE_ID, "genderColors") || DEFAULT_GENDER_COLORS;
+      const resultsPanel = html.find('.names-module-results-panel');
+      resultsPanel.css('--gender-color-male', genderColors.male || DEFAULT_GENDER_COLORS.male);
+      resultsPanel.css('--gender-color-female', genderColors.female || DEFAULT_GENDER_COLORS.female);
+      resultsPanel.css('--gender-color-nonbinary', genderColors.nonbinary || DEFAULT_GENDER_COLORS.nonbinary);
+    }
+    return genderColorsEnabled;
+  }
+
+  /**
+   * Show the settings of a name mode (components, recipe or family).
+   * The name count and deck only apply to the components and recipe modes.
+   *
+   * @param {jQuery} html - App HTML
+   * @param {string} mode - 'components', 'recipe' or 'family'
+   * @private
+   */
+  _showModeContent(html, mode) {
+    html.find('.names-module-components-content').toggle(mode === 'components');
+    html.find('.names-module-recipe-content').toggle(mode === 'recipe');
+    html.find('.names-module-family-content').toggle(mode === 'family');
+    html.find('.names-module-count-group, .names-module-deck-group').toggle(mode !== 'family');
+
+    if (mode === 'recipe') {
+      this._updateRecipeDropdown(html);
+    }
+  }
+
+  /**
+   * Generate a family (family mode) and show it as a tree.
+   *
+   * @async
+   * @param {jQuery} html - App HTML
+   * @param {string} packageCode - Package of the selected species and language
+   * @private
+   */
+  async _onGenerateFamily(html, packageCode) {
+    const size = parseInt(html.find('#names-family-size').val()) || 3;
+    const generations = parseInt(html.find('#names-family-generations').val()) || 2;
+
+    const family = await this.generator.generateFamily(packageCode, {
+      locale: this.currentLanguage,
+      size: Math.min(Math.max(size, 1), 8),
+      generations: Math.min(Math.max(generations, 2), 4)
+    });
+
+    this.currentFamily = family;
+    this.generatedNames = family.members.map(member => member.name);
+    this.nameGenders.clear();
+    this.nameReplayTokens.clear();
+    this.namePronunciations.clear();
+    this.nameMeanings.clear();
+    this.nameFallbackLocales.clear();
+    for (const member of family.members) {
+      this.nameGenders.set(member.name, member.gender);
+    }
+
+    this._displayFamily(html);
+    this._addToHistory();
+
+    logInfo(`Generated family "${family.surname || ''}" with ${family.members.length} members`);
+  }
+
+  /**
+   * Show the current family as a tree: one row per generation, couples side by side.
+   *
+   * @param {jQuery} html - App HTML
+   * @private
+   */
+  _displayFamily(html) {
+    const family = this.currentFamily;
+    const resultDiv = html.find('#names-result-display');
+    const genderColorsEnabled = this._applyGenderColors(html);
+    const members = new Map(family.members.map(member => [member.id, member]));
+
+    resultDiv.empty();
+
+    const $header = $('<div class="names-module-family-header"></div>');
+    $header.append($('<h3></h3>').text(this._getFamilyHeading(family)));
+    if (game.user.can('JOURNAL_CREATE')) {
+      $header.append($('<button type="button" class="names-module-family-journal-btn"></button>')
+        .append('<i class="fas fa-book-open"></i> ')
+        .append(document.createTextNode(game.i18n.localize('names.family.journal'))));
+    }
+    resultDiv.append($header);
+
+    const $tree = $('<div class="names-module-family-tree"></div>');
+    for (const ids of family.generations) {
+      const generation = ids.map(id => members.get(id));
+      const $generation = $('<div class="names-module-family-generation"></div>');
+      $generation.append($('<div class="names-module-family-role"></div>')
+        .text(game.i18n.localize(`names.family.role.${generation[0].role}`)));
+
+      const $members = $('<div class="names-module-family-members"></div>');
+      for (const member of generation.filter(m => !m.marriedIn)) {
+        const spouse = member.spouse ? members.get(member.spouse) : null;
+        const $unit = $('<div class="names-module-family-unit"></div>');
+        $unit.append(this._createFamilyMemberElement(member, genderColorsEnabled));
+        if (spouse) {
+          $unit.addClass('couple');
+          $unit.append('<span class="names-module-family-marriage">⚭</span>');
+          $unit.append(this._createFamilyMemberElement(spouse, genderColorsEnabled));
+        }
+        $members.append($unit);
+      }
+      $generation.append($members);
+      $tree.append($generation);
+    }
+    resultDiv.append($tree);
+
+    html.find('#names-copy-btn').prop('disabled', false);
+    html.find('#names-clear-btn').prop('disabled', false);
+  }
+
+  /**
+   * Create the element of a family member (name, birth name of married-in members, script line).
+   *
+   * @param {Object} member - Family member
+   * @param {boolean} genderColorsEnabled - Whether gender colors are enabled
+   * @returns {jQuery} Member element
+   * @private
+   */
+  _createFamilyMemberElement(member, genderColorsEnabled) {
+    const $member = $('<div class="names-module-family-member"></div>')
+      .attr('data-name', member.name)
+      .toggleClass('married-in', member.marriedIn);
+    if (genderColorsEnabled) {
+      $member.addClass('gender-colored').attr('data-gender', member.gender);
+    }
+
+    $member.append($('<span class="names-module-family-name"></span>').text(member.name));
+    if (member.marriedIn && member.birthSurname && member.birthSurname !== member.surname) {
+      $member.append($('<span class="names-module-family-born"></span>')
+        .text(game.i18n.format('names.family.born', { surname: member.birthSurname })));
+    }
+    this._appendScriptLine($member, member.name);
+    return $member;
+  }
+
+  /**
+   * Get the heading of a family ("The Ironfist Family").
+   *
+   * @param {Object} family - Family from generator.generateFamily
+   * @returns {string} Heading
+   * @private
+   */
+  _getFamilyHeading(family) {
+    return family.surname
+      ? game.i18n.format('names.family.heading', { surname: family.surname })
+      : game.i18n.localize('names.family.heading-unnamed');
+  }
+
+  /**
+   * Create a journal entry with the current family tree and open it.
+   *
+   * @async
+   * @private
+   */
+  async _onCreateFamilyJournal() {
+    const family = this.currentFamily;
+    if (!family) return;
+
+    const name = this._getFamilyHeading(family);
+    try {
+      const entry = await JournalEntry.create({
+        name,
+        pages: [{
+          name,
+          type: 'text',
+          text: { content: this._buildFamilyJournalContent(family) }
+        }]
+      });
+
+      ui.notifications.info(game.i18n.format('names.family.journal-created', { name }));
+      entry?.sheet?.render(true);
+      logDebug(`Created family journal entry: ${name}`);
+    } catch (error) {
+      logError('Failed to create family journal entry:', error);
+      notifyError(error);
+    }
+  }
+
+  /**
+   * Build the HTML content of a family journal entry: one section per generation with the
+   * couples and siblings, and the parents of each generation.
+   *
+   * @param {Object} family - Family from generator.generateFamily
+   * @returns {string} HTML content
+   * @private
+   */
+  _buildFamilyJournalContent(family) {
+    const members = new Map(family.members.map(member => [member.id, member]));
+    const describe = (member) => {
+      const born = member.marriedIn && member.birthSurname && member.birthSurname !== member.surname
+        ? ` (${sanitizeHTML(game.i18n.format('names.family.born', { surname: member.birthSurname }))})`
+        : '';
+      return `<strong>${sanitizeHTML(member.name)}</strong>${born}`;
+    };
+
+    let content = `<h2>${sanitizeHTML(this._getFamilyHeading(family))}</h2>`;
+    for (const ids of family.generations) {
+      const generation = ids.map(id => members.get(id));
+      content += `<h3>${sanitizeHTML(game.i18n.localize(`names.family.role.${generation[0].role}`))}</h3>`;
+
+      const parents = generation.find(m => !m.marriedIn).parents.map(id => members.get(id).name);
+      if (parents.length > 0) {
+        const parentNames = parents.join(` ${game.i18n.localize('names.family.and')} `);
+        content += `<p><em>${sanitizeHTML(game.i18n.format('names.family.children-of', { parents: parentNames }))}</em></p>`;
+      }
+
+      content += '<ul>';
+      for (const member of generation.filter(m => !m.marriedIn)) {
+        const spouse = member.spouse ? members.get(member.spouse) : null;
+        content += `<li>${describe(member)}${spouse ? ` ⚭ ${describe(spouse)}` : ''}</li>`;
+      }
+      content += '</ul>';
+    }
+    return content;
+  }
+
+  /**
+   * Append a badge with the source locale if the name is shown in a fallback language.
+   *
+   * @param {jQuery} $element - Element to append the badge to
+   * @param {string} name - Generated name
+   * @private
+   */
+  _appendLocaleBadge($element, name) {
+    const locale = this.nameFallbackLocales.get(name);
+    if (!locale) {
+      return;
+    }
+    $element.append($('<span class="names-module-locale-badge"></span>')
+      .text(locale.toUpperCase())
+      .attr('title', game.i18n.format('names.locale-fallback', { locale: locale.toUpperCase() })));
+  }
+
+  /**
+   * Append the meaning of a name (detailed view), if its parts have meanings.
+   *
+   * @param {jQuery} $element - Element to append the meaning to
+   * @param {string} name - Generated name
+   * @private
+   */
+  _appendMeaning($element, name) {
+    const meaning = this.nameMeanings.get(name);
+    if (!meaning) {
+      return;
+    }
+    $element.append($('<div class="names-module-name-meaning"></div>')
+      .text(game.i18n.format('names.meaning', { meaning })));
+  }
+
+  /**
+   * Get the pronunciation tooltip of a name.
+   *
+   * @param {string} name - Generated name
+   * @returns {string|null} Tooltip text, or null if the name has no pronunciation guide
+   * @private
+   */
+  _getPronunciationTitle(name) {
+    const guide = this.namePronunciations.get(name);
+    return guide ? game.i18n.format('names.pronunciation', { guide }) : null;
+  }
+
+  /**
+   * Append the name in the selected fantasy script (with copy buttons), if a script is selected.
+   *
+   * @param {jQuery} $element - Element to append the script line to
+   * @param {string} name - Generated name
+   * @private
+   */
+  _appendScriptLine($element, name) {
+    const $line = createScriptLine(name, this.currentScript);
+    if ($line) {
+      $element.append($line);
+    }
+  }
+
+  /**
+   * Replace the script lines of all shown names after the script selection changed.
+   *
+   * @param {jQuery} html - App HTML
+   * @private
+   */
+  _refreshScriptLines(html) {
+    html.find('#names-result-display .names-module-generated-name, #names-result-display .names-module-simple-name, #names-result-display .names-module-family-member').each((index, el) => {
+      const $el = $(el);
+      $el.find('.names-module-script-line').remove();
+      const $content = $el.find('.name-content');
+      this._appendScriptLine($content.length > 0 ? $content : $el, $el.data('name'));
+    });
+  }
+
   _updateResultDisplay(html) {
+    if (this.currentFamily) {
+      // The family tree has no simple/detailed variants
+      this._displayFamily(html);
+      return;
+    }
+
     const resultDiv = html.find('#names-result-display');
 
     // Transform existing elements with grow/shrink animation
@@ -1091,7 +1573,9 @@ export class NamesGeneratorApp extends Application {
           // Use text() for name to prevent XSS
           $el.empty();
           $el.append(`<button type="button" class="favorite-toggle ${favClass}">⭐</button>`);
-          $el.append($('<span class="generator-name-display"></span>').text(name));
+          $el.append($('<span class="generator-name-display"></span>').text(name).attr('title', this._getPronunciationTitle(name)));
+          this._appendLocaleBadge($el, name);
+          this._appendScriptLine($el, name);
           setTimeout(() => $el.removeClass('view-transition'), 400);
         } else {
           // Transform to detailed view with grow animation
@@ -1102,7 +1586,10 @@ export class NamesGeneratorApp extends Application {
           const $wrapper = $('<div class="name-content-wrapper"></div>');
           $wrapper.append(`<button type="button" class="favorite-toggle ${favClass}">⭐</button>`);
           const $content = $('<div class="name-content"></div>');
-          $content.append($('<div class="name-title"></div>').text(name));
+          $content.append($('<div class="name-title"></div>').text(name).attr('title', this._getPronunciationTitle(name)));
+          this._appendLocaleBadge($content, name);
+          this._appendMeaning($content, name);
+          this._appendScriptLine($content, name);
           $wrapper.append($content);
           $el.append($wrapper);
           setTimeout(() => $el.removeClass('view-transition'), 400);
@@ -1132,7 +1619,12 @@ export class NamesGeneratorApp extends Application {
 
   _onClearResult(html) {
     this.generatedNames = [];
+    this.currentFamily = null;
     this.nameGenders.clear(); // Clear gender tracking
+    this.nameReplayTokens.clear();
+    this.namePronunciations.clear();
+    this.nameMeanings.clear();
+    this.nameFallbackLocales.clear();
     const resultDiv = html.find('#names-result-display');
     resultDiv.html('<div class="names-module-no-result">' +
       game.i18n.localize("names.select-options") + '</div>');
@@ -1147,6 +1639,9 @@ export class NamesGeneratorApp extends Application {
     const entries = this.generatedNames.map(name => ({
       name: name,
       source: 'generator',
+      replayToken: this.nameReplayTokens.get(name),
+      pronunciation: this.namePronunciations.get(name),
+      meaning: this.nameMeanings.get(name),
       metadata: {
         language: this.currentLanguage,
         species: this.currentSpecies,
@@ -1254,7 +1749,7 @@ export class NamesGeneratorApp extends Application {
     // Restore component checkboxes
     const savedComponents = game.settings.get(MODULE_ID, "generatorLastComponents");
     if (savedComponents?.length > 0) {
-      for (const comp of ['firstname', 'surname', 'title', 'nickname']) {
+      for (const comp of ['firstname', 'surname', 'title', 'nickname', 'patronymic', 'familiar']) {
         const checkbox = html.find(`input[name="names-include-${comp}"]`);
         if (checkbox.length) {
           const shouldCheck = savedComponents.includes(comp);
@@ -1265,20 +1760,13 @@ export class NamesGeneratorApp extends Application {
       this._updateFormatField(html);
     }
 
-    // Restore mode (components vs recipe)
+    // Restore mode (components, recipe or family)
     const savedMode = game.settings.get(MODULE_ID, "generatorLastMode");
     if (savedMode && savedMode !== this.currentMode) {
       this.currentMode = savedMode;
       html.find('.names-module-mode-btn').removeClass('active');
       html.find(`.names-module-mode-btn[data-mode="${savedMode}"]`).addClass('active');
-      if (savedMode === 'recipe') {
-        html.find('.names-module-components-content').hide();
-        html.find('.names-module-recipe-content').show();
-        this._updateRecipeDropdown(html);
-      } else {
-        html.find('.names-module-recipe-content').hide();
-        html.find('.names-module-components-content').show();
-      }
+      this._showModeContent(html, savedMode);
     }
 
     // Restore name count
@@ -1472,6 +1960,8 @@ export class NamesGeneratorApp extends Application {
     const copyBtn = html.find('#names-recipe-copy-btn');
     const clearBtn = html.find('#names-recipe-clear-btn');
 
+    this._updateRecipeVariety(html, recipeId);
+
     if (!recipeId) {
       // No recipe selected
       recipeTextarea.val('');
@@ -1512,6 +2002,61 @@ export class NamesGeneratorApp extends Application {
     }
   }
 
+  /**
+   * Reset the deck of the current package so every name can be drawn again (GM only)
+   */
+  _onResetDeck() {
+    if (!this.currentLanguage || !this.currentSpecies) {
+      ui.notifications.warn(game.i18n.localize("names.deck.select-package"));
+      return;
+    }
+
+    const packageCode = `${this.currentSpecies}-${this.currentLanguage}`;
+    Dialog.confirm({
+      title: game.i18n.localize("names.deck.reset"),
+      content: game.i18n.format("names.deck.reset-confirm", { package: packageCode }),
+      yes: async () => {
+        if (await DeckManager.getInstance().reset(packageCode)) {
+          ui.notifications.info(game.i18n.format("names.deck.reset-done", { package: packageCode }));
+        }
+      },
+      defaultYes: false
+    });
+  }
+
+  /**
+   * Show how many distinct names the selected recipe can produce.
+   * Hidden for custom recipes or if no estimate is available.
+   * @param {jQuery} html - App HTML
+   * @param {string} recipeId - Selected recipe ID
+   */
+  _updateRecipeVariety(html, recipeId) {
+    const varietyEl = html.find('#names-recipe-variety');
+
+    if (!recipeId || recipeId === 'custom') {
+      varietyEl.hide();
+      return;
+    }
+
+    try {
+      const packageCode = `${this.currentSpecies}-${this.currentLanguage}`;
+      const { total, approximate } = this.generator.dataManager.getEngine()
+        .estimateVariety(packageCode, { recipes: [recipeId] });
+
+      let text;
+      if (!Number.isFinite(total)) {
+        text = game.i18n.localize('names.recipe-variety-unbounded');
+      } else {
+        const key = approximate ? 'names.recipe-variety-approximate' : 'names.recipe-variety';
+        text = game.i18n.format(key, { count: total.toLocaleString(this.currentLanguage) });
+      }
+      varietyEl.text(text).show();
+    } catch (error) {
+      logDebug(`Could not estimate variety for recipe ${recipeId}:`, error.message);
+      varietyEl.hide();
+    }
+  }
+
   /**
    * Copy recipe to clipboard
    */
@@ -1621,7 +2166,8 @@ export class NamesGeneratorApp extends Application {
               n: namesPerGender,
               recipes: genderedRecipe.id,
               seed: userSeed ? `${userSeed}-${gender}` : null,
-              allowDuplicates: false
+              allowDuplicates: false,
+              deck: this.useDeck
             });
 
             // Only apply gender if recipe has gender-relevant parts
@@ -1667,7 +2213,8 @@ export class NamesGeneratorApp extends Application {
           n: count,
           recipes: customRecipeId,
           seed: userSeed,
-          allowDuplicates: false
+          allowDuplicates: false,
+          deck: this.useDeck
         });
 
         // If exactly one gender was selected, add gender info (only if recipe has gender-relevant parts)
@@ -1737,7 +2284,8 @@ export class NamesGeneratorApp extends Application {
             n: namesPerGender,
             recipes: modifiedRecipe.id,
             seed: userSeed ? `${userSeed}-${gender}` : null,
-            allowDuplicates: false
+            allowDuplicates: false,
+            deck: this.useDeck
           });
 
           // Add gender info to each suggestion (only if recipe has gender-relevant parts)
@@ -1802,7 +2350,8 @@ export class NamesGeneratorApp extends Application {
         n: count,
         recipes: modifiedRecipe.id,
         seed: userSeed,
-        allowDuplicates: false
+        allowDuplicates: false,
+        deck: this.useDeck
       });
 
       // Add gender info (only if recipe has gender-relevant parts)
@@ -1823,7 +2372,8 @@ export class NamesGeneratorApp extends Application {
       n: count,
       recipes: recipeId,
       seed: userSeed,
-      allowDuplicates: false
+      allowDuplicates: false,
+      deck: this.useDeck
     });
   }
 
@@ -6,6 +6,8 @@
 import { getHistoryManager } from '../core/history-manager.js';
 import { TEMPLATE_PATHS, CSS_CLASSES, MODULE_ID, getLocalizedCategoryName } from '../shared/constants.js';
 import { logDebug, logInfo, logWarn } from '../utils/logger.js';
+import { createScriptLine, copyScriptLine } from '../utils/ui-helpers.js';
+import { getScriptList } from '../core/script-registry.js';
 
 /**
  * Names History Application
@@ -22,6 +24,7 @@ export class NamesHistoryApp extends Application {
     this.historyManager = getHistoryManager();
     this.selectedIds = new Set(); // Track selected entries for multi-copy
     this.currentFilter = { source: null, search: '' }; // null = show all, no filter active
+    this.currentScript = game.settings.get(MODULE_ID, "historyScript") || ''; // Show names in a fantasy script ('' = off)
     this.virtualScrollOffset = 0; // For virtual scrolling
     this.itemHeight = 36; // Height of each row in pixels
     this.visibleItems = 20; // Number of items to render at once
@@ -63,7 +66,8 @@ export class NamesHistoryApp extends Application {
       displayTime: this._formatTime(entry.timestamp),
       displaySpecies: this._getSpeciesName(entry.metadata.species),
       displayCategory: this._getCategoryName(entry.metadata.category, entry.metadata.language, entry.metadata.species),
-      displaySubcategory: this._getSubcategoryName(entry.metadata.subcategory, entry.metadata.language, entry.metadata.species, entry.metadata.category)
+      displaySubcategory: this._getSubcategoryName(entry.metadata.subcategory, entry.metadata.language, entry.metadata.species, entry.metadata.category),
+      displayNameTooltip: this._getNameTooltip(entry)
     }));
 
     return {
@@ -73,7 +77,9 @@ export class NamesHistoryApp extends Application {
       isEmpty: formattedEntries.length === 0,
       totalCount: this.historyManager.getCount(),
       maxCount: this.historyManager.getMaxEntries(),
-      currentFilter: this.currentFilter
+      currentFilter: this.currentFilter,
+      scripts: getScriptList(game.i18n.lang),
+      currentScript: this.currentScript
     };
   }
 
@@ -90,6 +96,14 @@ export class NamesHistoryApp extends Application {
     // Filter buttons
     html.find('.history-filter-btn').click(this._onFilterChange.bind(this));
 
+    // Show in script
+    html.find('#history-script-select').change(this._onScriptChange.bind(this));
+    html.on('click', '.names-module-script-copy', async (event) => {
+      event.preventDefault();
+      await copyScriptLine($(event.currentTarget));
+    });
+    this._appendScriptLines(html);
+
     // Select all checkbox
     html.find('#select-all').change(this._onSelectAll.bind(this));
 
@@ -156,6 +170,35 @@ export class NamesHistoryApp extends Application {
     logDebug(`History filter changed to: ${source}`);
   }
 
+  /**
+   * Handle script selection change
+   * @param {Event} event - Change event
+   */
+  _onScriptChange(event) {
+    this.currentScript = event.target.value;
+    game.settings.set(MODULE_ID, "historyScript", this.currentScript);
+
+    this.element.find('.history-entry .names-module-script-line').remove();
+    this._appendScriptLines(this.element);
+
+    logDebug(`History script changed to: ${this.currentScript || 'none'}`);
+  }
+
+  /**
+   * Append the names in the selected fantasy script (with copy buttons) to the name column
+   * @param {jQuery} html - Element containing the history rows
+   */
+  _appendScriptLines(html) {
+    if (!this.currentScript) return;
+
+    html.find('.history-entry').each((index, row) => {
+      const $line = createScriptLine(row.dataset.name, this.currentScript);
+      if ($line) {
+        $(row).find('.col-name').append($line);
+      }
+    });
+  }
+
   /**
    * Handle select all checkbox
    * @param {Event} event - Change event
@@ -214,9 +257,9 @@ export class NamesHistoryApp extends Application {
    * @param {Event} event - Click event
    */
   async _onRowClick(event) {
-    // Ignore if clicking on checkbox
+    // Ignore if clicking on checkbox or a script copy button
     if ($(event.target).hasClass('history-entry-checkbox') ||
-        $(event.target).closest('.history-entry-checkbox').length > 0) {
+        $(event.target).closest('.history-entry-checkbox, .names-module-script-copy').length > 0) {
       return;
     }
 
@@ -463,7 +506,8 @@ export class NamesHistoryApp extends Application {
       displayTime: this._formatTime(entry.timestamp),
       displaySpecies: this._getSpeciesName(entry.metadata.species),
       displayCategory: this._getCategoryName(entry.metadata.category, entry.metadata.language, entry.metadata.species),
-      displaySubcategory: this._getSubcategoryName(entry.metadata.subcategory, entry.metadata.language, entry.metadata.species, entry.metadata.category)
+      displaySubcategory: this._getSubcategoryName(entry.metadata.subcategory, entry.metadata.language, entry.metadata.species, entry.metadata.category),
+      displayNameTooltip: this._getNameTooltip(entry)
     }));
 
     // Update table body
@@ -514,6 +558,10 @@ export class NamesHistoryApp extends Application {
           </tr>
         `);
 
+        if (entry.displayNameTooltip) {
+          row.find('.history-name-text').attr('title', entry.displayNameTooltip);
+        }
+
         // Re-attach event listeners
         row.click(this._onRowClick.bind(this));
         const checkbox = row.find('.history-entry-checkbox');
@@ -527,6 +575,7 @@ export class NamesHistoryApp extends Application {
 
         tbody.append(row);
       });
+      this._appendScriptLines(tbody);
     }
 
     logDebug('Table updated without full re-render');
@@ -578,6 +627,22 @@ export class NamesHistoryApp extends Application {
     });
   }
 
+  /**
+   * Get the tooltip of a name (pronunciation guide and meaning, one per line)
+   * @param {Object} entry - History entry
+   * @returns {string} Tooltip text (empty if the entry has neither)
+   */
+  _getNameTooltip(entry) {
+    const lines = [];
+    if (entry.pronunciation) {
+      lines.push(game.i18n.format('names.pronunciation', { guide: entry.pronunciation }));
+    }
+    if (entry.meaning) {
+      lines.push(game.i18n.format('names.meaning', { meaning: entry.meaning }));
+    }
+    return lines.join('\n');
+  }
+
   /**
    * Get localized species name
    * @param {string} speciesCode - Species code
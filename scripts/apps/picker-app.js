@@ -16,9 +16,13 @@ export class NamesPickerApp extends Application {
     super(options);
     this.actor = options.actor;
     this.currentNames = [];
+    this.namePronunciations = new Map(); // Pronunciation guide for each name (shown as tooltip)
+    this.nameMeanings = new Map(); // Meaning of each name (stored in history)
     this.supportedGenders = getSupportedGenders();
     this._initialized = false;
     this.generator = null;
+    this.useDeck = game.settings.get(MODULE_ID, "pickerUseDeck"); // Draw without repetition (deck mode)
+    this.useFamiliar = game.settings.get(MODULE_ID, "pickerUseFamiliar"); // Add a familiar form ("Robert (Bob)")
 
     logDebug("NamesPickerApp initialized", {
       actorName: this.actor?.name || "No actor",
@@ -75,7 +79,9 @@ export class NamesPickerApp extends Application {
       savedCategory: game.settings.get(MODULE_ID, "pickerLastCategory") || "",
       isLoading: false,
       isLoaded: true,
-      supportedGenders: getSupportedGenders()
+      supportedGenders: getSupportedGenders(),
+      useDeck: this.useDeck,
+      useFamiliar: this.useFamiliar
     };
 
     logDebug("Picker app data prepared", {
@@ -222,6 +228,19 @@ export class NamesPickerApp extends Application {
     html.find('select').change(this._onOptionChange.bind(this));
     html.find('#picker-history-btn').click(this._onOpenHistory.bind(this));
 
+    // Deck mode toggle
+    html.find('#picker-deck-toggle').change((event) => {
+      this.useDeck = event.target.checked;
+      game.settings.set(MODULE_ID, "pickerUseDeck", this.useDeck);
+    });
+
+    // Familiar form toggle
+    html.find('#picker-familiar-toggle').change(async (event) => {
+      this.useFamiliar = event.target.checked;
+      game.settings.set(MODULE_ID, "pickerUseFamiliar", this.useFamiliar);
+      await this._onGenerateNames();
+    });
+
     // Update category options when species changes
     html.find('#picker-species').change(async (event) => {
       await this._updateCategoryOptions(html);
@@ -293,9 +312,10 @@ export class NamesPickerApp extends Application {
         locale: language,
         n: 3,
         gender: category || null, // Use selected gender or null for random
-        components: ['firstname', 'surname'],
-        format: '{firstname} {surname}',
-        allowDuplicates: false
+        components: this.useFamiliar ? ['firstname', 'familiar', 'surname'] : ['firstname', 'surname'],
+        format: this.useFamiliar ? '{firstname} ({familiar}) {surname}' : '{firstname} {surname}',
+        allowDuplicates: false,
+        deck: this.useDeck
       });
 
       const names = result.suggestions ? result.suggestions.map(s => s.text) : [];
@@ -309,10 +329,17 @@ export class NamesPickerApp extends Application {
       logDebug('=== PICKER GENERATION END ===');
 
       this.currentNames = names;
+      this.namePronunciations = new Map(result.suggestions
+        .filter(s => s.pronunciation)
+        .map(s => [s.text, s.pronunciation]));
+      this.nameMeanings = new Map(result.suggestions
+        .filter(s => s.meaning)
+        .map(s => [s.text, s.meaning]));
       this._updateNamesDisplay(html);
 
       // Add to history
-      this._addToHistory(names, language, species, category);
+      const replayTokens = result.suggestions.map(s => s.replayToken);
+      this._addToHistory(names, language, species, category, replayTokens);
 
       logDebug(`Successfully generated ${names.length} names for picker`);
 
@@ -329,12 +356,17 @@ export class NamesPickerApp extends Application {
     logDebug(`Updating picker display with ${this.currentNames.length} names`);
 
     for (const name of this.currentNames) {
-      namesList.append(`
+      const $name = $(`
         <div class="names-picker-name" data-name="${name}">
           <i class="fas fa-user"></i>
           ${name}
         </div>
       `);
+      const guide = this.namePronunciations.get(name);
+      if (guide) {
+        $name.attr('title', game.i18n.format('names.pronunciation', { guide }));
+      }
+      namesList.append($name);
     }
 
     html.find('.names-picker-name').click(this._onSelectName.bind(this));
@@ -436,16 +468,20 @@ export class NamesPickerApp extends Application {
    * @param {string} language - Language code
    * @param {string} species - Species code
    * @param {string} category - Category/gender code
+   * @param {Array<string>} [replayTokens=[]] - Replay tokens in the same order as names
    */
-  _addToHistory(names, language, species, category) {
+  _addToHistory(names, language, species, category, replayTokens = []) {
     const historyManager = getHistoryManager();
 
-    const entries = names.map(name => {
+    const entries = names.map((name, index) => {
       const gender = category || 'random';
 
       return {
         name: name,
         source: 'picker',
+        replayToken: replayTokens[index],
+        pronunciation: this.namePronunciations.get(name),
+        meaning: this.nameMeanings.get(name),
         metadata: {
           language: language,
           species: species,
@@ -0,0 +1,291 @@
+/**
+ * Blocklist - Filters offensive or unwanted generated output
+ *
+ * Three sources are combined:
+ * - A built-in word list per language (base locale, e.g. "de" for "de-AT"); words that are
+ *   also real names ("Dick") are only blocked with the world setting `blocklistNameWords`
+ * - The GM-editable world setting `blocklistEntries`
+ * - The package's own `output.blocklist`
+ *
+ * Entry syntax (case-insensitive, umlauts are ignored):
+ * - `word`   matches the whole word only
+ * - `*word*` matches anywhere (substring)
+ * - `word*`  matches words starting with "word"
+ * - `*word`  matches words ending with "word"
+ *
+ * Umlauts are ignored in both directions: "Müll", "Mull" and "Muell" all match the entry "müll".
+ *
+ * @module blocklist
+ */
+
+import { MODULE_ID } from '../shared/constants.js';
+import { logDebug } from '../utils/logger.js';
+
+/** Wildcard marking an open word boundary */
+const WILDCARD = '*';
+
+/** Name of the world setting with GM entries */
+const SETTING_KEY = 'blocklistEntries';
+
+/** Name of the world setting that also blocks the built-in words that are real names */
+const NAME_WORDS_SETTING_KEY = 'blocklistNameWords';
+
+/** Upper bound of compiled matchers kept in the cache (oldest are dropped first) */
+const MATCHER_CACHE_LIMIT = 16;
+
+/**
+ * Built-in entries per base locale.
+ * Substring entries are limited to sequences that do not occur inside common names.
+ */
+const BUILTIN_BLOCKLISTS = {
+  en: [
+    '*fuck*', '*shit*', '*cunt*', '*nigger*', '*nigga*', '*faggot*', '*hitler*', '*whore*',
+    'wank*', 'ass', 'arse', 'asshole', 'bitch', 'fag', 'nazi', 'piss', 'rape', 'rapist', 'retard',
+    'slut', 'spic', 'chink', 'twat'
+  ],
+  de: [
+    '*scheiss*', '*fotze*', '*wichser*', '*hurensohn*', '*arschloch*', '*hitler*', '*neger*',
+    '*schwuchtel*', 'arsch', 'fick*', 'hure', 'kacke', 'mongo', 'nazi', 'nutte', 'pisse',
+    'schlampe', 'spast', 'titte'
+  ]
+};
+
+/**
+ * Built-in entries per base locale that are also given names or surnames
+ * ("Dick Turpin", "Kike" for Enrique, the surname "Cock"). Opt-in via `blocklistNameWords`.
+ */
+const BUILTIN_NAME_WORDS = {
+  en: ['cock', 'dick', 'kike']
+};
+
+/**
+ * Compiled matchers by cache key (built-in lists and world entries, per list version)
+ * @type {Map<string, RegExp|null>}
+ */
+const matcherCache = new Map();
+
+/** Version of the world lists, raised whenever a blocklist setting changes */
+let listVersion = 0;
+
+/**
+ * Compiled matchers for package blocklists, keyed by the entries array
+ * @type {WeakMap<Array<string>, RegExp|null>}
+ */
+const packageMatcherCache = new WeakMap();
+
+/**
+ * Find the blocklist entry matched by a generated text.
+ *
+ * @param {string} text - Generated text
+ * @param {Object} [options={}] - Match options
+ * @param {string} [options.locale='en'] - Locale of the text, selects the built-in list
+ * @param {Array<string>} [options.packageEntries] - Entries from the package `output.blocklist`
+ * @returns {string|null} The matched (normalized) text fragment or null if the text is allowed
+ * @example
+ * findBlockedEntry('Grafuckel', { locale: 'en' }); // 'fuck'
+ * findBlockedEntry('Cassandra', { locale: 'en' }); // null ("ass" is whole-word only)
+ */
+export function findBlockedEntry(text, { locale = 'en', packageEntries } = {}) {
+  if (!text) {
+    return null;
+  }
+
+  const baseLocale = String(locale).split('-')[0].toLowerCase();
+  const matchers = [
+    getCachedMatcher(`builtin:${baseLocale}:${listVersion}`, () => [
+      ...(BUILTIN_BLOCKLISTS[baseLocale] || []),
+      ...(readSetting(NAME_WORDS_SETTING_KEY) === true ? BUILTIN_NAME_WORDS[baseLocale] || [] : [])
+    ]),
+    getCachedMatcher(`world:${listVersion}`, () => parseBlocklistEntries(readSetting(SETTING_KEY) || '')),
+    getPackageMatcher(packageEntries)
+  ].filter(Boolean);
+
+  if (matchers.length === 0) {
+    return null;
+  }
+
+  for (const variant of foldVariants(text)) {
+    for (const matcher of matchers) {
+      const match = variant.match(matcher);
+      if (match) {
+        return match[0];
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split a raw entry list (e.g. the world setting) into entries.
+ * Entries are separated by commas or line breaks; empty entries are dropped.
+ *
+ * @param {string} raw - Raw entry list
+ * @returns {Array<string>} Trimmed entries
+ * @example
+ * parseBlocklistEntries('grok, *zorg*\nmurk*'); // ['grok', '*zorg*', 'murk*']
+ */
+export function parseBlocklistEntries(raw) {
+  if (typeof raw !== 'string') {
+    return [];
+  }
+  return raw.split(/[,\n]/).map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Check whether a blocklist entry is well-formed:
+ * a non-empty word with wildcards only at the start and/or end.
+ *
+ * @param {string} entry - Blocklist entry
+ * @returns {boolean} True if the entry can be used
+ */
+export function isValidBlocklistEntry(entry) {
+  if (typeof entry !== 'string') {
+    return false;
+  }
+  const core = stripWildcards(entry.trim()).word;
+  return core.length > 0 && !core.includes(WILDCARD);
+}
+
+/**
+ * Drop compiled matchers and start a new list version; call it whenever a blocklist setting changed.
+ * Package matchers are dropped automatically when the package is reloaded.
+ */
+export function clearBlocklistCache() {
+  listVersion++;
+  matcherCache.clear();
+}
+
+/**
+ * Get a compiled matcher from the cache, compiling it on first use.
+ *
+ * @param {string} key - Cache key
+ * @param {Function} getEntries - Returns the entries to compile
+ * @returns {RegExp|null} Matcher or null if there are no entries
+ * @private
+ */
+function getCachedMatcher(key, getEntries) {
+  if (!matcherCache.has(key)) {
+    if (matcherCache.size >= MATCHER_CACHE_LIMIT) {
+      matcherCache.delete(matcherCache.keys().next().value);
+    }
+    matcherCache.set(key, compileMatcher(getEntries()));
+  }
+  return matcherCache.get(key);
+}
+
+/**
+ * Get the compiled matcher for a package blocklist.
+ *
+ * @param {Array<string>|undefined} entries - Package entries
+ * @returns {RegExp|null} Matcher or null if there are no entries
+ * @private
+ */
+function getPackageMatcher(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return null;
+  }
+  if (!packageMatcherCache.has(entries)) {
+    packageMatcherCache.set(entries, compileMatcher(entries));
+  }
+  return packageMatcherCache.get(entries);
+}
+
+/**
+ * Read a blocklist world setting.
+ * Returns undefined if settings are not available (e.g. before init).
+ *
+ * @param {string} key - Setting key
+ * @returns {*} Setting value
+ * @private
+ */
+function readSetting(key) {
+  try {
+    return game.settings.get(MODULE_ID, key);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Compile entries into a single regular expression over folded text.
+ * Each entry contributes both fold variants, so umlauts are ignored in both directions.
+ *
+ * @param {Array<string>} entries - Blocklist entries
+ * @returns {RegExp|null} Combined matcher or null if no valid entries remain
+ * @private
+ */
+function compileMatcher(entries) {
+  const alternatives = new Set();
+
+  for (const entry of entries) {
+    if (!isValidBlocklistEntry(entry)) {
+      continue;
+    }
+
+    const { word, openStart, openEnd } = stripWildcards(entry.trim());
+    for (const variant of foldVariants(word)) {
+      const start = openStart ? '' : '(?<!\\p{L})';
+      const end = openEnd ? '' : '(?!\\p{L})';
+      alternatives.add(`${start}${escapeRegex(variant)}${end}`);
+    }
+  }
+
+  if (alternatives.size === 0) {
+    return null;
+  }
+
+  logDebug(`Compiled blocklist matcher with ${alternatives.size} alternatives`);
+  return new RegExp([...alternatives].join('|'), 'u');
+}
+
+/**
+ * Split leading/trailing wildcards from an entry.
+ *
+ * @param {string} entry - Trimmed entry
+ * @returns {{word: string, openStart: boolean, openEnd: boolean}} Word and open boundaries
+ * @private
+ */
+function stripWildcards(entry) {
+  const openStart = entry.startsWith(WILDCARD);
+  const openEnd = entry.length > 1 && entry.endsWith(WILDCARD);
+  const word = entry.slice(openStart ? 1 : 0, openEnd ? -1 : undefined);
+  return { word, openStart, openEnd };
+}
+
+/**
+ * Fold a text for comparison: lowercase, ß → ss and two umlaut spellings
+ * (diacritics removed: ä → a, and transliterated: ä → ae).
+ *
+ * @param {string} text - Text to fold
+ * @returns {Array<string>} One or two distinct folded variants
+ * @private
+ */
+function foldVariants(text) {
+  const lower = text.toLowerCase().replace(/ß/g, 'ss');
+  const stripped = stripDiacritics(lower);
+  const transliterated = stripDiacritics(lower.replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue'));
+  return stripped === transliterated ? [stripped] : [stripped, transliterated];
+}
+
+/**
+ * Remove combining diacritical marks.
+ *
+ * @param {string} text - Text to clean
+ * @returns {string} Text without diacritics
+ * @private
+ */
+function stripDiacritics(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+/**
+ * Escape regular expression special characters.
+ *
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -8,11 +8,21 @@
  * - Repeated requests with the same gender/tag filters
  * - Agreement-based filtering that produces consistent results
  *
+ * For catalog selection the cache stores pools (see getPool): the filtered items plus a
+ * Walker alias table, computed from a per-catalog inverted tag index (see catalog-index.js).
+ * Filtering and weighted picks then run in near-constant time even for very large catalogs.
+ *
  * @module catalog-filter-cache
  */
 
 import { logDebug } from '../utils/logger.js';
 import { isNullOrUndefined } from '../utils/null-checks.js';
+import { buildCatalogIndex, canUseIndex, filterWithIndex, createAliasTable, sampleAliasTable } from './catalog-index.js';
+import { filterItems, weightedRandomSelect } from './selector.js';
+import { splitPredicates, matchesPredicates, hasTextPredicates } from './item-predicates.js';
+
+/** Number of picks per variant in the getStats() micro-benchmark */
+const BENCHMARK_ITERATIONS = 200;
 
 /**
  * Catalog Filter Cache
@@ -56,6 +66,15 @@ export class CatalogFilterCache {
     /** @type {number} Cache miss count for statistics */
     this.misses = 0;
 
+    /** @type {WeakMap<Object, Object>} Inverted tag index per catalog object */
+    this.indices = new WeakMap();
+
+    /** @type {Object} Index build statistics */
+    this.indexStats = { built: 0, items: 0, buildMs: 0, largest: null };
+
+    /** @type {number} Sequence for index ids (distinguishes equal catalog keys of different packages) */
+    this.nextIndexId = 1;
+
     logDebug(`CatalogFilterCache initialized with maxSize=${maxSize}`);
   }
 
@@ -74,6 +93,8 @@ export class CatalogFilterCache {
    * @param {string[]} [filters.kinds] - Required kinds (ANY-of logic)
    * @param {string[]} [filters.anyOfTags] - Optional tags (ANY-of logic)
    * @param {string[]} [filters.noneOfTags] - Excluded tags
+   * @param {number} [indexId] - Catalog index id (pool entries, see getPool)
+   * @param {string} [locale] - Locale (only for filters with text criteria)
    * @returns {string} Normalized cache key
    * @example
    * const key1 = cache.getCacheKey('names', { tags: ['female', 'noble'] });
@@ -81,15 +102,17 @@ export class CatalogFilterCache {
    * // Both produce the same key due to sorting
    * @private
    */
-  getCacheKey(catalog, filters) {
+  getCacheKey(catalog, filters, indexId = undefined, locale = undefined) {
     // Normalize filters for consistent cache keys
     const normalized = this._normalizeFilters(filters);
-    return JSON.stringify({ catalog, filters: normalized });
+    return JSON.stringify({ catalog, index: indexId, locale, filters: normalized });
   }
 
   /**
    * Normalize filter object for consistent cache keys.
    * Sorts keys and array values to ensure equivalent filters produce identical keys.
+   * Clause lists of all/any expressions are normalized clause by clause and sorted by
+   * their serialized form (the order of clauses does not change the result).
    *
    * @param {Object} filters - Raw filter object
    * @returns {Object} Normalized filter object with sorted keys and arrays
@@ -113,10 +136,15 @@ export class CatalogFilterCache {
         continue;
       }
 
-      // Sort array values (tags, kinds, etc.)
+      // Sort array values (tags, kinds, etc.; all/any clauses by their normalized form)
       if (Array.isArray(value)) {
         if (value.length > 0) {
-          normalized[key] = [...value].sort();
+          normalized[key] = value.some(entry => typeof entry === 'object' && entry !== null)
+            ? value.map(clause => this._normalizeFilters(clause))
+              .map(clause => [JSON.stringify(clause), clause])
+              .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+              .map(([, clause]) => clause)
+            : [...value].sort();
         }
       } else if (typeof value === 'object') {
         // Recursively normalize nested objects
@@ -215,6 +243,74 @@ export class CatalogFilterCache {
     return result;
   }
 
+  /**
+   * Get the selection pool of a catalog for a where clause: the matching items and their
+   * alias table. Pools are cached like filter results; on a miss the items are filtered via
+   * the catalog's inverted index (or filterItems for criteria the index does not cover), then
+   * by the attribute, length, text and weight criteria (see item-predicates.js).
+   *
+   * @param {string} catalogKey - Catalog key (for invalidation and statistics)
+   * @param {Object} catalog - Catalog object with items
+   * @param {Object|null} where - Filter criteria
+   * @param {string|null} [locale=null] - Locale of text criteria (pools without them are shared across locales)
+   * @returns {{items: Array<Object>, alias: Object}} Matching items (catalog order) and alias table
+   * @example
+   * const pool = cache.getPool('names', catalog, { tags: ['female'] });
+   * const item = pool.items[sampleAliasTable(pool.alias, Math.random())];
+   */
+  getPool(catalogKey, catalog, where, locale = null) {
+    const index = this.getIndex(catalog);
+    const filters = where || {};
+    const key = this.getCacheKey(catalogKey, filters, index.id, hasTextPredicates(where) ? locale : undefined);
+    const entry = this.cache.get(key);
+
+    if (entry) {
+      this.hits++;
+      entry.timestamp = Date.now();
+      return entry.result;
+    }
+
+    this.misses++;
+    const { base, predicates } = splitPredicates(where);
+    let items = canUseIndex(base) ? filterWithIndex(index, base) : filterItems(catalog.items, base, locale);
+    if (predicates) {
+      items = items.filter(item => matchesPredicates(item, predicates, locale));
+    }
+    const pool = { items, alias: createAliasTable(items) };
+
+    if (this.cache.size >= this.maxSize) {
+      this._evictLRU();
+    }
+    this.cache.set(key, { result: pool, timestamp: Date.now() });
+    return pool;
+  }
+
+  /**
+   * Get the inverted tag index of a catalog, building it on first use
+   * (and again if the catalog's items were replaced).
+   *
+   * @param {Object} catalog - Catalog object with items
+   * @returns {Object} Index from buildCatalogIndex plus its id
+   */
+  getIndex(catalog) {
+    let index = this.indices.get(catalog);
+    if (!index || index.items !== catalog.items) {
+      const start = now();
+      index = { ...buildCatalogIndex(catalog.items), id: this.nextIndexId++ };
+      const buildMs = now() - start;
+
+      this.indices.set(catalog, index);
+      this.indexStats.built++;
+      this.indexStats.items += catalog.items.length;
+      this.indexStats.buildMs += buildMs;
+      if (!this.indexStats.largest || this.indexStats.largest.items.length < catalog.items.length) {
+        this.indexStats.largest = { items: catalog.items, index };
+      }
+      logDebug(`CatalogFilterCache indexed ${catalog.items.length} items (${index.tags.size} tags) in ${buildMs.toFixed(2)}ms`);
+    }
+    return index;
+  }
+
   /**
    * Evict the least recently used cache entry.
    * Finds the entry with the oldest timestamp and removes it.
@@ -257,6 +353,8 @@ export class CatalogFilterCache {
   clear() {
     const previousSize = this.cache.size;
     this.cache.clear();
+    this.indices = new WeakMap();
+    this.indexStats = { built: 0, items: 0, buildMs: 0, largest: null };
     this.hits = 0;
     this.misses = 0;
     logDebug(`CatalogFilterCache cleared (${previousSize} entries removed)`);
@@ -265,27 +363,93 @@ export class CatalogFilterCache {
   /**
    * Get cache statistics for monitoring and debugging.
    *
+   * @param {Object} [options={}] - Statistics options
+   * @param {boolean} [options.benchmark=false] - Run a micro-benchmark on the largest indexed catalog
    * @returns {Object} Statistics object with size, hits, misses, and hit rate
    * @returns {number} return.size - Current number of cached entries
    * @returns {number} return.maxSize - Maximum cache size
    * @returns {number} return.hits - Number of cache hits
    * @returns {number} return.misses - Number of cache misses
    * @returns {number} return.hitRate - Hit rate as a percentage (0-100)
+   * @returns {Object} return.indices - Built indices: count, indexed items and build time (ms)
+   * @returns {Object|null} [return.benchmark] - Time per pick (ms) for a linear scan, an
+   *   uncached indexed filter and a cached pool, or null if no catalog is indexed yet
    * @example
    * const stats = cache.getStats();
    * console.log(`Cache hit rate: ${stats.hitRate.toFixed(1)}%`);
+   * console.table(cache.getStats({ benchmark: true }).benchmark);
    */
-  getStats() {
+  getStats({ benchmark = false } = {}) {
     const totalRequests = this.hits + this.misses;
     const hitRate = totalRequests > 0 ? (this.hits / totalRequests) * 100 : 0;
 
-    return {
+    const stats = {
       size: this.cache.size,
       maxSize: this.maxSize,
       hits: this.hits,
       misses: this.misses,
-      hitRate
+      hitRate,
+      indices: {
+        built: this.indexStats.built,
+        items: this.indexStats.items,
+        buildMs: this.indexStats.buildMs
+      }
     };
+
+    if (benchmark) {
+      stats.benchmark = this._runBenchmark();
+    }
+
+    return stats;
+  }
+
+  /**
+   * Compare a linear filter + weighted pick with the indexed and cached variants on the
+   * largest indexed catalog, filtering by its most common tag.
+   *
+   * @returns {Object|null} Benchmark report or null if no catalog is indexed
+   * @private
+   */
+  _runBenchmark() {
+    const largest = this.indexStats.largest;
+    if (!largest || largest.items.length === 0) {
+      return null;
+    }
+
+    const { items, index } = largest;
+    let commonTag = null;
+    for (const [tag, positions] of index.tags) {
+      if (!commonTag || positions.length > index.tags.get(commonTag).length) {
+        commonTag = tag;
+      }
+    }
+    const where = commonTag ? { tags: [commonTag] } : {};
+
+    const measure = (pick) => {
+      const start = now();
+      for (let i = 0; i < BENCHMARK_ITERATIONS; i++) {
+        pick(Math.random());
+      }
+      return (now() - start) / BENCHMARK_ITERATIONS;
+    };
+
+    const pool = { items: filterWithIndex(index, where) };
+    pool.alias = createAliasTable(pool.items);
+
+    const report = {
+      items: items.length,
+      where,
+      matches: pool.items.length,
+      iterations: BENCHMARK_ITERATIONS,
+      linearMs: measure(() => weightedRandomSelect(filterItems(items, where))),
+      indexedMs: measure((random) => {
+        const filtered = filterWithIndex(index, where);
+        return filtered[sampleAliasTable(createAliasTable(filtered), random)];
+      }),
+      cachedMs: measure((random) => pool.items[sampleAliasTable(pool.alias, random)])
+    };
+    report.speedup = report.cachedMs > 0 ? report.linearMs / report.cachedMs : Infinity;
+    return report;
   }
 
   /**
@@ -368,3 +532,13 @@ export class CatalogFilterCache {
     return this.cache.size;
   }
 }
+
+/**
+ * Current time in milliseconds (high resolution where available).
+ *
+ * @returns {number} Timestamp in milliseconds
+ * @private
+ */
+function now() {
+  return globalThis.performance?.now ? globalThis.performance.now() : Date.now();
+}
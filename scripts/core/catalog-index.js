@@ -0,0 +1,327 @@
+/**
+ * Catalog Index - Inverted tag index and alias tables for large catalogs
+ *
+ * This module handles:
+ * - Inverted indices (sorted item id lists) per tag and kind, so `where` filters
+ *   intersect/merge id lists instead of scanning every item
+ * - Walker/Vose alias tables for O(1) weighted picks from a filtered pool
+ *
+ * Indices are built lazily per catalog by CatalogFilterCache and cached together
+ * with the filtered pools. Filter results keep the catalog order, so they are
+ * identical to filterItems().
+ *
+ * @module catalog-index
+ */
+
+/** Where keys the index can answer; other keys fall back to filterItems() */
+const INDEXED_WHERE_KEYS = ['kinds', 'tags', 'anyOfTags', 'noneOfTags'];
+
+/**
+ * Get the effective weight of an item (invalid or missing weights count as 1).
+ *
+ * @param {Object} item - Catalog item
+ * @returns {number} Weight greater than 0
+ */
+export function getItemWeight(item) {
+  return item.w !== undefined && item.w > 0 && isFinite(item.w) ? item.w : 1;
+}
+
+/**
+ * Build the inverted tag and kind index of a catalog.
+ *
+ * @param {Array<Object>} items - Catalog items
+ * @returns {Object} Index with items, tags and kinds (Map of value to ascending Int32Array of item positions)
+ * @example
+ * const index = buildCatalogIndex(catalog.items);
+ * index.tags.get('female'); // Int32Array [0, 4, 7, ...]
+ */
+export function buildCatalogIndex(items) {
+  const tagLists = new Map();
+  const kindLists = new Map();
+
+  const addTo = (lists, value, position) => {
+    let list = lists.get(value);
+    if (!list) {
+      list = [];
+      lists.set(value, list);
+    }
+    // Skip duplicate values within one item (positions are added in ascending order)
+    if (list[list.length - 1] !== position) {
+      list.push(position);
+    }
+  };
+
+  items.forEach((item, position) => {
+    for (const tag of item.tags || []) {
+      addTo(tagLists, tag, position);
+    }
+    for (const kind of item.kinds || []) {
+      addTo(kindLists, kind, position);
+    }
+  });
+
+  const toTyped = (lists) => new Map([...lists].map(([value, list]) => [value, Int32Array.from(list)]));
+
+  return {
+    items,
+    tags: toTyped(tagLists),
+    kinds: toTyped(kindLists)
+  };
+}
+
+/**
+ * Check whether a where clause can be answered by the index.
+ *
+ * @param {Object|null} where - Filter criteria
+ * @returns {boolean} True if all non-empty criteria are indexed
+ */
+export function canUseIndex(where) {
+  if (!where) {
+    return true;
+  }
+  return Object.entries(where).every(([key, value]) =>
+    INDEXED_WHERE_KEYS.includes(key) || value === undefined || value === null ||
+    (Array.isArray(value) && value.length === 0));
+}
+
+/**
+ * Filter catalog items via the inverted index (same result as filterItems for indexed keys).
+ *
+ * @param {Object} index - Index from buildCatalogIndex
+ * @param {Object|null} where - Filter object with kinds, tags, anyOfTags, noneOfTags
+ * @returns {Array<Object>} Matching items in catalog order
+ */
+export function filterWithIndex(index, where) {
+  const { items } = index;
+  const has = (values) => Array.isArray(values) && values.length > 0;
+
+  // null = all items
+  let positions = null;
+
+  if (has(where?.tags)) {
+    // ALL-of: intersect, shortest list first
+    const lists = where.tags.map(tag => index.tags.get(tag) || EMPTY);
+    lists.sort((a, b) => a.length - b.length);
+    positions = lists.reduce((result, list) => intersectSorted(result, list));
+  }
+
+  if (has(where?.kinds)) {
+    positions = intersectOrSet(positions, unionSorted(where.kinds.map(kind => index.kinds.get(kind) || EMPTY), items.length));
+  }
+
+  if (has(where?.anyOfTags)) {
+    positions = intersectOrSet(positions, unionSorted(where.anyOfTags.map(tag => index.tags.get(tag) || EMPTY), items.length));
+  }
+
+  if (has(where?.noneOfTags)) {
+    const excluded = unionSorted(where.noneOfTags.map(tag => index.tags.get(tag) || EMPTY), items.length);
+    if (excluded.length > 0) {
+      positions = subtractSorted(positions || allPositions(items.length), excluded);
+    }
+  }
+
+  if (positions === null) {
+    return items;
+  }
+
+  const result = new Array(positions.length);
+  for (let i = 0; i < positions.length; i++) {
+    result[i] = items[positions[i]];
+  }
+  return result;
+}
+
+/**
+ * Build a Walker/Vose alias table for weighted picks.
+ *
+ * @param {Array<Object>} items - Items to pick from (weighted by `w`)
+ * @returns {{prob: Float64Array, alias: Int32Array}} Alias table
+ * @example
+ * const table = createAliasTable(items);
+ * const item = items[sampleAliasTable(table, Math.random())];
+ */
+export function createAliasTable(items) {
+  const count = items.length;
+  const prob = new Float64Array(count);
+  const alias = new Int32Array(count);
+  if (count === 0) {
+    return { prob, alias };
+  }
+
+  let total = 0;
+  for (const item of items) {
+    total += getItemWeight(item);
+  }
+
+  // Scaled weights: average bucket is 1
+  const scaled = new Float64Array(count);
+  const small = new Int32Array(count);
+  const large = new Int32Array(count);
+  let smallCount = 0;
+  let largeCount = 0;
+
+  for (let i = 0; i < count; i++) {
+    scaled[i] = getItemWeight(items[i]) * count / total;
+    if (scaled[i] < 1) {
+      small[smallCount++] = i;
+    } else {
+      large[largeCount++] = i;
+    }
+  }
+
+  while (smallCount > 0 && largeCount > 0) {
+    const less = small[--smallCount];
+    const more = large[--largeCount];
+
+    prob[less] = scaled[less];
+    alias[less] = more;
+
+    scaled[more] = (scaled[more] + scaled[less]) - 1;
+    if (scaled[more] < 1) {
+      small[smallCount++] = more;
+    } else {
+      large[largeCount++] = more;
+    }
+  }
+
+  // Remaining buckets are full (rounding leftovers)
+  while (largeCount > 0) {
+    const position = large[--largeCount];
+    prob[position] = 1;
+    alias[position] = position;
+  }
+  while (smallCount > 0) {
+    const position = small[--smallCount];
+    prob[position] = 1;
+    alias[position] = position;
+  }
+
+  return { prob, alias };
+}
+
+/**
+ * Pick a position from an alias table with a single random number.
+ *
+ * @param {{prob: Float64Array, alias: Int32Array}} table - Alias table from createAliasTable
+ * @param {number} random - Random number in [0, 1)
+ * @returns {number} Picked item position
+ */
+export function sampleAliasTable(table, random) {
+  const count = table.prob.length;
+  const scaled = random * count;
+  const bucket = Math.min(Math.floor(scaled), count - 1);
+  return scaled - bucket < table.prob[bucket] ? bucket : table.alias[bucket];
+}
+
+/** Shared empty id list */
+const EMPTY = new Int32Array(0);
+
+/**
+ * Positions 0..count-1.
+ *
+ * @param {number} count - Number of items
+ * @returns {Int32Array} All positions
+ * @private
+ */
+function allPositions(count) {
+  const positions = new Int32Array(count);
+  for (let i = 0; i < count; i++) {
+    positions[i] = i;
+  }
+  return positions;
+}
+
+/**
+ * Intersect with the current positions, or start with the given list.
+ *
+ * @param {Int32Array|null} positions - Current positions (null = all)
+ * @param {Int32Array} list - Sorted positions
+ * @returns {Int32Array} Intersection
+ * @private
+ */
+function intersectOrSet(positions, list) {
+  return positions === null ? list : intersectSorted(positions, list);
+}
+
+/**
+ * Intersect two ascending id lists.
+ *
+ * @param {Int32Array} a - First list
+ * @param {Int32Array} b - Second list
+ * @returns {Int32Array} Ascending intersection
+ * @private
+ */
+function intersectSorted(a, b) {
+  const result = new Int32Array(Math.min(a.length, b.length));
+  let i = 0, j = 0, k = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result[k++] = a[i];
+      i++;
+      j++;
+    } else if (a[i] < b[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return result.subarray(0, k);
+}
+
+/**
+ * Merge ascending id lists into one ascending list without duplicates.
+ *
+ * @param {Array<Int32Array>} lists - Lists to merge
+ * @param {number} count - Number of catalog items
+ * @returns {Int32Array} Ascending union
+ * @private
+ */
+function unionSorted(lists, count) {
+  const nonEmpty = lists.filter(list => list.length > 0);
+  if (nonEmpty.length <= 1) {
+    return nonEmpty[0] || EMPTY;
+  }
+
+  const seen = new Uint8Array(count);
+  let size = 0;
+  for (const list of nonEmpty) {
+    for (const position of list) {
+      if (!seen[position]) {
+        seen[position] = 1;
+        size++;
+      }
+    }
+  }
+
+  const result = new Int32Array(size);
+  let k = 0;
+  for (let position = 0; position < count && k < size; position++) {
+    if (seen[position]) {
+      result[k++] = position;
+    }
+  }
+  return result;
+}
+
+/**
+ * Remove the ids of one ascending list from another.
+ *
+ * @param {Int32Array} a - Ascending list
+ * @param {Int32Array} b - Ascending ids to remove
+ * @returns {Int32Array} Ascending difference
+ * @private
+ */
+function subtractSorted(a, b) {
+  const result = new Int32Array(a.length);
+  let i = 0, j = 0, k = 0;
+  while (i < a.length) {
+    while (j < b.length && b[j] < a[i]) {
+      j++;
+    }
+    if (j >= b.length || b[j] !== a[i]) {
+      result[k++] = a[i];
+    }
+    i++;
+  }
+  return result.subarray(0, k);
+}
@@ -3,8 +3,9 @@
  * Implements recipe pattern execution from JSON Format 4.0 specification.
  *
  * This module handles:
- * - Executing recipe patterns (SELECT, GENERATE, LITERAL, PP, REF blocks)
- * - Applying grammatical transformations (gender adaptation, genitive, demonym)
+ * - Executing recipe patterns (SELECT, GENERATE, LITERAL, PP, REF, ONEOF, CHANCE, REPEAT blocks)
+ * - Applying grammatical transformations (gender adaptation, genitive, demonym, indefinite, plural, ordinal,
+ *   patronymic, diminutive)
  * - Post-processing transforms (TitleCase, TrimSpaces, etc.)
  * - Cross-package catalog references
  * - Agreement logic between name parts
@@ -13,11 +14,27 @@
  * @module composer
  */
 
-import { selectFromCatalog } from './selector.js';
-import { buildPPPhrase, getLocalizedText, adaptTitleToGender } from '../utils/grammar.js';
+import { selectFromCatalog, seededRandom } from './selector.js';
+import { getMarkovModel, generateMarkovName, resolveMarkovParams } from './markov.js';
+import {
+  buildPPPhrase,
+  getLocalizedText,
+  resolveLocalizedText,
+  adaptTitleToGender,
+  applyIndefiniteArticle,
+  pluralize,
+  toOrdinal,
+  parseNumber,
+  getPatronymicRules,
+  derivePatronymic,
+  getDiminutiveRules,
+  deriveDiminutives
+} from '../utils/grammar.js';
 import { logDebug, logWarn, logError } from '../utils/logger.js';
 import { PatternCompiler } from './pattern-compiler.js';
 import { createNominaError, ErrorType } from '../utils/error-helper.js';
+import { getRegisteredTransform, applyRegisteredTransform } from './transform-registry.js';
+import { transliterate } from './script-registry.js';
 
 /**
  * Create a PatternCompiler instance for compiling patterns.
@@ -26,13 +43,14 @@ import { createNominaError, ErrorType } from '../utils/error-helper.js';
  * @param {Object} catalogs - Available catalogs from the package
  * @param {Object} langRules - Language rules for grammar (articles, prepositions)
  * @param {Function} [getPackageCatalog] - Optional function to resolve cross-package catalogs
+ * @param {Function} [getPackageRecipe] - Optional function to resolve cross-package recipes
  * @returns {PatternCompiler} New compiler instance
  * @example
  * const compiler = createPatternCompiler(pkg.catalogs, langRules, context.getPackageCatalog);
  * const compiled = compiler.compile(recipe.pattern);
  */
-export function createPatternCompiler(catalogs, langRules, getPackageCatalog = null) {
-  return new PatternCompiler(catalogs, langRules, getPackageCatalog);
+export function createPatternCompiler(catalogs, langRules, getPackageCatalog = null, getPackageRecipe = null) {
+  return new PatternCompiler(catalogs, langRules, getPackageCatalog, getPackageRecipe);
 }
 
 /**
@@ -40,11 +58,12 @@ export function createPatternCompiler(catalogs, langRules, getPackageCatalog = n
  * Iterates through pattern blocks and assembles the final output text.
  *
  * Pattern blocks can be:
- * - SELECT: Choose an item from a catalog
+ * - SELECT: Choose an item from a catalog (or generate one from a markov model trained on it)
  * - GENERATE: Generate from a recipe or collection
  * - LITERAL: Insert static text
  * - PP: Preposition-article-phrase (e.g., "von Berlin")
  * - REF: Reference a previously generated alias
+ * - ONEOF / CHANCE / REPEAT: Weighted choice, optional or repeated sub-patterns
  *
  * This function supports both raw patterns and pre-compiled patterns.
  * Pre-compiled patterns (from PatternCompiler) provide better performance.
@@ -57,6 +76,13 @@ export function createPatternCompiler(catalogs, langRules, getPackageCatalog = n
  * @param {Object} [filters={}] - Runtime filters per catalog key
  * @param {Object} [components={}] - Optional component flags for conditional blocks
  * @param {Object} [context={}] - Execution context with recipes and cross-package functions
+ *   (optional `cursor` from createChoiceCursor replaces all random decisions, see variety.js)
+ *   (optional `deck` from NameDeck skips already drawn catalog items, see deck-manager.js)
+ *   (optional `filterCache` (CatalogFilterCache) provides indexed pools with alias tables for catalog selects)
+ *   (optional `fallbackLocales` (string[]) are tried for texts missing in `locale`, see getLocaleChain;
+ *   the optional `usedFallbacks` Set collects the locales that were actually used instead)
+ *   (the optional `pronunciations` and `meanings` arrays collect the `pron` guides and `meaning` texts of
+ *   selected items, see pronunciation.js and meaning.js)
  * @returns {Object} Result object
  * @returns {string} return.text - Generated text from all blocks joined together
  * @returns {Object} return.parts - Named parts from aliased selections (for agreement, etc.)
@@ -73,6 +99,30 @@ export function createPatternCompiler(catalogs, langRules, getPackageCatalog = n
  */
 export function executePattern(pattern, catalogs, langRules, locale, seed, filters = {}, components = {}, context = {}) {
   const parts = {}; // Store aliased selections
+  const text = executeBlocks(pattern, catalogs, langRules, locale, seed, filters, components, context, parts);
+
+  return { text, parts };
+}
+
+/**
+ * Execute a sequence of pattern blocks against a shared parts map.
+ * Used for the top-level pattern and for the sub-patterns of ONEOF, CHANCE and REPEAT blocks,
+ * so aliases set inside a branch are visible to all following blocks.
+ *
+ * @param {Array<Object>} pattern - Array of pattern blocks (raw or compiled)
+ * @param {Object} catalogs - Available catalogs from the package
+ * @param {Object} langRules - Language rules for grammar
+ * @param {string} locale - Target locale for text output
+ * @param {string|null} seed - Random seed for this sequence
+ * @param {Object} filters - Runtime filters per catalog key
+ * @param {Object} components - Optional component flags for conditional blocks
+ * @param {Object} context - Execution context
+ * @param {Object} parts - Aliased parts, mutated as blocks are executed
+ * @param {boolean} [atStart=true] - Whether the sequence opens the output (capitalized "A"/"An" of the indefinite transform)
+ * @returns {string} Text of all visible blocks joined together
+ * @private
+ */
+function executeBlocks(pattern, catalogs, langRules, locale, seed, filters, components, context, parts, atStart = true) {
   const tokens = []; // Collect output tokens
 
   let blockIndex = 0;
@@ -87,9 +137,18 @@ export function executePattern(pattern, catalogs, langRules, locale, seed, filte
       }
     }
 
+    // Position in the choice path where this block starts (see variety.js)
+    const choiceStart = context.cursor ? context.cursor.used.length : 0;
+
     try {
-      // Generate sub-seed for this block
-      const blockSeed = seed ? `${seed}:b${blockIndex}` : null;
+      // Generate sub-seed for this block (rerolled aliases get a salted seed, see Engine.rerollPart)
+      let blockSeed = seed ? `${seed}:b${blockIndex}` : null;
+      if (blockSeed && block.as && context.rerolls?.[block.as]) {
+        blockSeed = `${blockSeed}:x${context.rerolls[block.as]}`;
+      }
+
+      // Nothing visible before this block
+      const opensOutput = atStart && tokens.every(token => !token.trim());
 
       if (block.select) {
         // SELECT block (legacy - still supported)
@@ -103,28 +162,9 @@ export function executePattern(pattern, catalogs, langRules, locale, seed, filte
         }
 
         // Apply transformation if specified
-        let finalText = result.text;
-        if (block.transform) {
-          // Normalize transform type to lowercase for case-insensitive comparison
-          const transformType = typeof block.transform === 'string'
-            ? block.transform.toLowerCase()
-            : (typeof block.transform === 'object' && block.transform.type)
-              ? block.transform.type.toLowerCase()
-              : null;
-
-          if (transformType === 'genderadapt') {
-            finalText = applyGenderAdaptation(result.item, parts, langRules, locale);
-          } else if (transformType === 'demonym') {
-            // Extract toponym from item text
-            const toponym = result.text;
-            finalText = applyDemonymTransform(toponym, locale);
-          } else if (transformType === 'genitive' || transformType === 'possessive') {
-            // Convert name to genitive/possessive form
-            const name = result.text;
-            const gramData = result.item.gram || {};
-            finalText = applyGenitiveTransform(name, locale, gramData);
-          }
-        }
+        const finalText = block.transform
+          ? applyInlineTransform(block.transform, result, parts, langRules, locale, context, blockSeed, opensOutput)
+          : result.text;
 
         // Only add to output if not hidden (ext.hidden is for pre-generating aliases)
         if (!block.ext?.hidden) {
@@ -135,6 +175,8 @@ export function executePattern(pattern, catalogs, langRules, locale, seed, filte
         if (block.as) {
           parts[block.as] = result.item;
         }
+
+        recordItemMetadata(result, locale, context);
       } else if (block.generate) {
         // GENERATE block (new syntax)
         const compiled = block._compiled || null;
@@ -147,28 +189,9 @@ export function executePattern(pattern, catalogs, langRules, locale, seed, filte
         }
 
         // Apply transformation if specified
-        let finalText = result.text;
-        if (block.transform) {
-          // Normalize transform type to lowercase for case-insensitive comparison
-          const transformType = typeof block.transform === 'string'
-            ? block.transform.toLowerCase()
-            : (typeof block.transform === 'object' && block.transform.type)
-              ? block.transform.type.toLowerCase()
-              : null;
-
-          if (transformType === 'genderadapt') {
-            finalText = applyGenderAdaptation(result.item, parts, langRules, locale);
-          } else if (transformType === 'demonym') {
-            // Extract toponym from item text
-            const toponym = result.text;
-            finalText = applyDemonymTransform(toponym, locale);
-          } else if (transformType === 'genitive' || transformType === 'possessive') {
-            // Convert name to genitive/possessive form
-            const name = result.text;
-            const gramData = result.item.gram || {};
-            finalText = applyGenitiveTransform(name, locale, gramData);
-          }
-        }
+        const finalText = block.transform
+          ? applyInlineTransform(block.transform, result, parts, langRules, locale, context, blockSeed, opensOutput)
+          : result.text;
 
         // Only add to output if not hidden (ext.hidden is for pre-generating aliases)
         if (!block.ext?.hidden) {
@@ -179,6 +202,8 @@ export function executePattern(pattern, catalogs, langRules, locale, seed, filte
         if (block.as) {
           parts[block.as] = result.item;
         }
+
+        recordItemMetadata(result, locale, context);
       } else if (block.literal) {
         // LITERAL block
         // Check if this literal should be skipped based on ext.optionalWith
@@ -191,26 +216,73 @@ export function executePattern(pattern, catalogs, langRules, locale, seed, filte
           }
         }
 
-        const literalText = getLocalizedText(block.literal, locale);
+        const literalText = localize(block.literal, locale, context);
         tokens.push(literalText);
       } else if (block.pp) {
         // PP (preposition-article-phrase) block
         const compiled = block._compiled || null;
         const ppText = handlePPBlock(block, catalogs, langRules, locale, parts, blockSeed, filters, context, compiled);
         tokens.push(ppText);
+      } else if (block.oneOf || block.chance || block.repeat) {
+        // ONEOF / CHANCE / REPEAT block - execute sub-patterns
+        const branchText = handleBranchBlock(block, catalogs, langRules, locale, parts, blockSeed, filters, components, context,
+          opensOutput && !block.ext?.hidden);
+
+        // CHANCE blocks that did not fire produce nothing (and set no alias)
+        if (branchText === null) {
+          blockIndex++;
+          continue;
+        }
+
+        if (!block.ext?.hidden) {
+          tokens.push(branchText);
+        }
+
+        // Store the combined branch output under the block alias
+        if (block.as) {
+          parts[block.as] = {
+            t: { [locale]: branchText },
+            tags: ['generated'],
+            _synthetic: true
+          };
+        }
       } else if (block.ref) {
-        // REF block - insert text from a previously generated alias
+        // REF block - insert text from a previously generated alias (optionally transformed, e.g. "diminutive")
         const refAlias = block.ref;
         if (!parts[refAlias]) {
-          logWarn(`Reference alias "${refAlias}" not found in parts`);
+          if (!block.optional) {
+            logWarn(`Reference alias "${refAlias}" not found in parts`);
+          }
         } else {
-          const refText = getLocalizedText(parts[refAlias].t, locale);
-          tokens.push(refText);
+          const refText = localize(parts[refAlias].t, locale, context);
+          const refResult = { text: refText, item: parts[refAlias] };
+          const outputText = block.transform
+            ? applyInlineTransform(block.transform, refResult, parts, langRules, locale, context, blockSeed,
+              opensOutput && !block.ext?.hidden)
+            : refText;
+
+          if (!block.ext?.hidden) {
+            tokens.push(outputText);
+            recordItemMetadata(refResult, locale, context);
+          }
+
+          // Store the (transformed) text under the block alias; empty output sets no alias
+          if (block.as && outputText) {
+            parts[block.as] = {
+              t: { [locale]: outputText },
+              tags: ['generated'],
+              _synthetic: true
+            };
+          }
         }
       } else {
         logWarn('Unknown block type:', block);
       }
 
+      if (context.cursor && block.as) {
+        context.cursor.markAlias(block.as, choiceStart);
+      }
+
       blockIndex++;
     } catch (error) {
       logError(`Error executing block ${blockIndex}:`, error);
@@ -219,9 +291,87 @@ export function executePattern(pattern, catalogs, langRules, locale, seed, filte
   }
 
   // Join tokens to create final text
-  const text = tokens.join('');
+  return tokens.join('');
+}
 
-  return { text, parts };
+/**
+ * Handle ONEOF, CHANCE and REPEAT blocks.
+ * Sub-patterns share the parts map of the surrounding pattern, so their aliases
+ * can be used by later REF blocks, agreeWith and distinctFrom.
+ *
+ * Block shapes:
+ * - `{ oneOf: [{ w, pattern }, ...] }` - pick one sub-pattern weighted by `w` (default 1)
+ * - `{ chance: { p, pattern } }` - include the sub-pattern with probability `p` (0..1)
+ * - `{ repeat: { min, max, separator, pattern } }` - emit the sub-pattern min..max times
+ *
+ * @param {Object} block - Branch block
+ * @param {Object} catalogs - Available catalogs
+ * @param {Object} langRules - Language rules
+ * @param {string} locale - Target locale
+ * @param {Object} parts - Existing aliased parts (shared with sub-patterns)
+ * @param {string|null} seed - Block seed
+ * @param {Object} filters - Runtime filters per catalog key
+ * @param {Object} components - Optional component flags
+ * @param {Object} context - Execution context
+ * @param {boolean} [atStart=false] - Whether the block opens the output
+ * @returns {string|null} Generated text, or null if a CHANCE block did not fire
+ * @private
+ */
+function handleBranchBlock(block, catalogs, langRules, locale, parts, seed, filters, components, context, atStart = false) {
+  const random = (suffix) => seed ? seededRandom(`${seed}:${suffix}`) : Math.random();
+  const subSeed = (suffix) => seed ? `${seed}:${suffix}` : null;
+
+  if (block.oneOf) {
+    const options = block.oneOf;
+    if (!Array.isArray(options) || options.length === 0) {
+      throw new Error('oneOf block requires a non-empty array of options');
+    }
+
+    const weightOf = (option) => option.w !== undefined && option.w > 0 && isFinite(option.w) ? option.w : 1;
+    const totalWeight = options.reduce((sum, option) => sum + weightOf(option), 0);
+
+    let selectedIndex = options.length - 1;
+    if (context.cursor) {
+      selectedIndex = context.cursor.pick(options.length);
+    } else {
+      let threshold = random('o') * totalWeight;
+      for (let i = 0; i < options.length; i++) {
+        threshold -= weightOf(options[i]);
+        if (threshold <= 0) {
+          selectedIndex = i;
+          break;
+        }
+      }
+    }
+
+    return executeBlocks(options[selectedIndex].pattern || [], catalogs, langRules, locale,
+      subSeed(`o${selectedIndex}`), filters, components, context, parts, atStart);
+  }
+
+  if (block.chance) {
+    const { p = 0.5, pattern = [] } = block.chance;
+    const fires = context.cursor
+      ? p >= 1 || (p > 0 && context.cursor.pick(2) === 1)
+      : random('c') < p;
+    if (!fires) {
+      return null;
+    }
+    return executeBlocks(pattern, catalogs, langRules, locale, subSeed('p'), filters, components, context, parts, atStart);
+  }
+
+  const { min = 1, max = min, separator = '', pattern = [] } = block.repeat;
+  const count = context.cursor && max > min
+    ? min + context.cursor.pick(max - min + 1)
+    : min + Math.floor(random('n') * (max - min + 1));
+  const separatorText = separator ? localize(separator, locale, context) : '';
+
+  const texts = [];
+  for (let i = 0; i < count; i++) {
+    texts.push(executeBlocks(pattern, catalogs, langRules, locale, subSeed(`r${i}`), filters, components, context, parts,
+      atStart && i === 0));
+  }
+
+  return texts.join(separatorText);
 }
 
 /**
@@ -246,6 +396,9 @@ function handleSelectBlock(block, catalogs, locale, parts, seed, filters = {}, c
   if (select.from === 'generator') {
     // Generator: execute a recipe to generate text
     return handleGeneratorSelect(select, locale, seed, context);
+  } else if (select.from === 'markov') {
+    // Markov: generate a novel name from an n-gram model trained on a catalog
+    return handleMarkovSelect(select, catalogs, locale, seed, filters, context, compiled);
   } else if (select.from === 'catalog') {
     // Catalog: select from existing items (original behavior)
     return handleCatalogSelect(select, catalogs, locale, parts, seed, filters, distinctFrom, block.ext, context, compiled);
@@ -294,6 +447,75 @@ function handleGeneratorSelect(select, locale, seed, context) {
   return { text: generatedText, item: syntheticItem };
 }
 
+/**
+ * Handle markov selection by generating a name from a character n-gram model.
+ * The model is trained on the (filtered) items of the referenced catalog and cached.
+ * Creates a synthetic item carrying the tags shared by all training items, so
+ * agreement with later blocks keeps working.
+ *
+ * @param {Object} select - Select configuration with catalog key, where clause and params
+ * @param {Object} catalogs - Available catalogs in current package
+ * @param {string} locale - Target locale
+ * @param {string|null} seed - Random seed
+ * @param {Object} [filters={}] - Runtime filters per catalog key
+ * @param {Object} [context={}] - Execution context for cross-package references
+ * @param {Object} [compiled=null] - Pre-compiled metadata from PatternCompiler
+ * @returns {Object} Result with generated text and synthetic item
+ * @throws {Error} If catalog not found or no acceptable name could be generated
+ * @private
+ */
+function handleMarkovSelect(select, catalogs, locale, seed, filters = {}, context = {}, compiled = null) {
+  let catalog;
+  let catalogKey = select.key;
+
+  if (compiled && compiled.catalogKey) {
+    catalog = compiled.catalog;
+    catalogKey = compiled.catalogKey;
+
+    if (compiled.skipOnExecution) {
+      logWarn(`Skipping optional markov block with missing catalog: ${select.key}`);
+      return { skip: true };
+    }
+  } else if (catalogKey && catalogKey.includes(':')) {
+    const [packageCode, remoteCatalogKey] = catalogKey.split(':', 2);
+
+    if (!context.getPackageCatalog) {
+      throw new Error(`Cross-package references require context.getPackageCatalog function`);
+    }
+
+    catalog = context.getPackageCatalog(packageCode, remoteCatalogKey);
+    catalogKey = remoteCatalogKey;
+  } else {
+    catalog = catalogs[catalogKey];
+  }
+
+  if (!catalog || !catalog.items) {
+    throw createNominaError(ErrorType.CATALOG_NOT_FOUND, {
+      catalog: select.key
+    });
+  }
+
+  const params = resolveMarkovParams(select.params);
+  const where = mergeFilters(select.where, filters[catalogKey]);
+
+  const model = getMarkovModel(catalog, {
+    locale,
+    where: Object.keys(where).length > 0 ? where : null,
+    order: params.order,
+    catalogKey
+  });
+
+  const text = generateMarkovName(model, { ...params, seed, catalogKey });
+
+  const syntheticItem = {
+    t: { [locale]: text },
+    tags: ['generated', 'markov', ...model.sharedTags],
+    _synthetic: true
+  };
+
+  return { text, item: syntheticItem };
+}
+
 /**
  * Handle catalog selection by picking an item from the catalog.
  * Supports cross-package references, agreement logic, and fallback handling.
@@ -385,11 +607,15 @@ function handleCatalogSelect(select, catalogs, locale, parts, seed, filters = {}
       where: effectiveWhere,
       distinctFrom: distinctFromIds,
       seed,
-      catalogKey
+      catalogKey,
+      cursor: context.cursor,
+      deck: context.deck ? context.deck.forCatalog(select.key) : null,
+      pool: context.filterCache ? context.filterCache.getPool(select.key, catalog, effectiveWhere, locale) : null,
+      locale
     });
 
     // Extract text in target locale
-    const text = getLocalizedText(selectedItem.t, locale);
+    const text = localize(selectedItem.t, locale, context);
 
     return { text, item: selectedItem };
   } catch (error) {
@@ -412,9 +638,13 @@ function handleCatalogSelect(select, catalogs, locale, parts, seed, filters = {}
           where: fallbackWhere,
           distinctFrom: distinctFromIds,
           seed,
-          catalogKey
+          catalogKey,
+          cursor: context.cursor,
+          deck: context.deck ? context.deck.forCatalog(select.key) : null,
+          pool: context.filterCache ? context.filterCache.getPool(select.key, catalog, fallbackWhere, locale) : null,
+          locale
         });
-        const text = getLocalizedText(selectedItem.t, locale);
+        const text = localize(selectedItem.t, locale, context);
         return { text, item: selectedItem };
       }
     }
@@ -425,8 +655,10 @@ function handleCatalogSelect(select, catalogs, locale, parts, seed, filters = {}
 /**
  * Handle PP (preposition-article-phrase) block execution.
  * Generates phrases like "von Berlin" or "aus dem Norden" using grammar rules.
+ * An optional `adjective` (alias or inline select) is declined to agree with the
+ * referenced noun, e.g. "zum Goldenen Hirsch" (see declineAdjective).
  *
- * @param {Object} block - PP block with prep and ref configuration
+ * @param {Object} block - PP block with prep, ref and optional adjective, article and case configuration
  * @param {Object} catalogs - Available catalogs
  * @param {Object} langRules - Language rules for article/preposition contraction
  * @param {string} locale - Target locale
@@ -462,8 +694,28 @@ function handlePPBlock(block, catalogs, langRules, locale, parts, seed, filters
     throw new Error('PP Error: Invalid ref - must be alias string or inline select');
   }
 
+  // Resolve adjective (alias or inline select with its own sub-seed)
+  let adjectiveItem = null;
+  if (typeof pp.adjective === 'string') {
+    adjectiveItem = parts[pp.adjective];
+    if (!adjectiveItem) {
+      throw new Error(`PP Error: Unknown adjective alias "${pp.adjective}"`);
+    }
+  } else if (pp.adjective && pp.adjective.select) {
+    const adjectiveBlock = { select: pp.adjective.select };
+    const adjectiveSeed = seed ? `${seed}:adj` : null;
+    const result = handleSelectBlock(adjectiveBlock, catalogs, locale, parts, adjectiveSeed, filters, context, compiled?.adjective || null);
+    adjectiveItem = result.item;
+  } else if (pp.adjective !== undefined && pp.adjective !== null) {
+    throw new Error('PP Error: Invalid adjective - must be alias string or inline select');
+  }
+
   // Build phrase using grammar rules
-  return buildPPPhrase(targetItem, locale, prep, langRules);
+  return buildPPPhrase(targetItem, locale, prep, langRules, context.fallbackLocales, {
+    adjective: adjectiveItem,
+    article: pp.article,
+    case: pp.case
+  });
 }
 
 /**
@@ -481,6 +733,7 @@ function handlePPBlock(block, catalogs, langRules, locale, parts, seed, filters
  * @param {string|null} seed - Random seed
  * @param {Object} [filters={}] - Runtime filters per catalog key
  * @param {Object} [context={}] - Execution context with recipes and collections
+ *   (cross-package recipes "packageCode:recipeId" need context.getPackageRecipe)
  * @param {Object} [compiled=null] - Pre-compiled metadata from PatternCompiler
  * @returns {Object} Result with text, item, and optional skip flag
  * @throws {Error} If generation fails or required context is missing
@@ -494,7 +747,10 @@ function handleGenerateBlock(block, catalogs, langRules, locale, parts, seed, fi
   // Otherwise, treat 'from' as a package/category name (simplified syntax)
   if (from === 'recipe') {
     // Explicit recipe mode
-    if (!context.recipes || !context.executeRecipe) {
+    // Format: "packageCode:recipeId" for another package or just "recipeId" for current package
+    const isCrossPackage = key.includes(':');
+
+    if (!context.executeRecipe || (!isCrossPackage && !context.recipes)) {
       const errorMsg = `GENERATE Error: Recipe execution requires context.\n` +
         `Query: { "from": "recipe", "key": "${key}" }\n` +
         `Problem: Missing context.recipes or context.executeRecipe\n` +
@@ -503,8 +759,30 @@ function handleGenerateBlock(block, catalogs, langRules, locale, parts, seed, fi
       throw new Error(errorMsg);
     }
 
-    const recipe = context.recipes.find(r => r.id === key);
-    if (!recipe) {
+    if (isCrossPackage) {
+      const [packageCode, remoteRecipeId] = key.split(':', 2);
+
+      if (!context.getPackageRecipe) {
+        const errorMsg = `GENERATE Error: Cross-package reference not supported.\n` +
+          `Query: { "from": "recipe", "key": "${key}" }\n` +
+          `Problem: context.getPackageRecipe function is missing\n` +
+          `Requested: ${packageCode}:${remoteRecipeId}`;
+        logError(errorMsg);
+        throw new Error(errorMsg);
+      }
+
+      try {
+        context.getPackageRecipe(packageCode, remoteRecipeId);
+      } catch (error) {
+        const errorMsg = `GENERATE Error: Cross-package recipe not found.\n` +
+          `Query: { "from": "recipe", "key": "${key}" }\n` +
+          `Requested package: "${packageCode}"\n` +
+          `Requested recipe: "${remoteRecipeId}"\n` +
+          `Original error: ${error.message}`;
+        logError(errorMsg);
+        throw new Error(errorMsg);
+      }
+    } else if (!context.recipes.find(r => r.id === key)) {
       const availableRecipes = context.recipes.map(r => r.id).join(', ');
       const errorMsg = `GENERATE Error: Recipe not found.\n` +
         `Query: { "from": "recipe", "key": "${key}" }\n` +
@@ -610,7 +888,7 @@ function handleGenerateBlock(block, catalogs, langRules, locale, parts, seed, fi
 
       if (collectionDef.query) {
         // Merge collection query with block where
-        effectiveWhere = mergeFilters(collectionDef.query.tags ? { tags: collectionDef.query.tags } : {}, effectiveWhere);
+        effectiveWhere = mergeFilters(getCollectionWhere(collectionDef.query), effectiveWhere);
       }
     }
 
@@ -619,10 +897,14 @@ function handleGenerateBlock(block, catalogs, langRules, locale, parts, seed, fi
       const selectedItem = selectFromCatalog(candidates, {
         where: effectiveWhere,
         seed,
-        catalogKey: key
+        catalogKey: key,
+        cursor: context.cursor,
+        deck: context.deck ? context.deck.forCatalog(key) : null,
+        pool: context.filterCache ? context.filterCache.getPool(key, catalog, effectiveWhere, locale) : null,
+        locale
       });
 
-      const text = getLocalizedText(selectedItem.t, locale);
+      const text = localize(selectedItem.t, locale, context);
       return { text, item: selectedItem };
     } catch (error) {
       const errorMsg = `GENERATE Error: Catalog selection failed.\n` +
@@ -668,7 +950,7 @@ function handleGenerateBlock(block, catalogs, langRules, locale, parts, seed, fi
       if (collectionDef.query && collectionDef.query.recipes && collectionDef.query.recipes.length > 0) {
         // Pick a random recipe from the collection
         const recipes = collectionDef.query.recipes;
-        const randomIndex = seed ? hashSeed(seed) % recipes.length : Math.floor(Math.random() * recipes.length);
+        const randomIndex = pickIndex(recipes.length, seed, context);
         const selectedRecipeId = recipes[randomIndex];
 
         // Execute the recipe
@@ -748,7 +1030,7 @@ function handleGenerateBlock(block, catalogs, langRules, locale, parts, seed, fi
 
       // Use the first recipe from the default collection
       const recipes = defaultCollection.query.recipes;
-      const randomIndex = seed ? hashSeed(seed) % recipes.length : Math.floor(Math.random() * recipes.length);
+      const randomIndex = pickIndex(recipes.length, seed, context);
       const selectedRecipeId = recipes[randomIndex];
 
       // Execute the recipe
@@ -789,6 +1071,22 @@ function handleGenerateBlock(block, catalogs, langRules, locale, parts, seed, fi
   }
 }
 
+/**
+ * Pick one of several options (the recipes of a collection, the forms of a diminutive).
+ *
+ * @param {number} count - Number of options
+ * @param {string|null} seed - Random seed
+ * @param {Object} context - Execution context (uses context.cursor if present)
+ * @returns {number} Option index
+ * @private
+ */
+function pickIndex(count, seed, context) {
+  if (context.cursor) {
+    return context.cursor.pick(count);
+  }
+  return seed ? hashSeed(seed) % count : Math.floor(Math.random() * count);
+}
+
 /**
  * Simple hash function for seed-based deterministic randomness.
  * Converts a string seed to a positive integer for array indexing.
@@ -807,6 +1105,92 @@ function hashSeed(seed) {
   return Math.abs(hash);
 }
 
+/**
+ * Apply the inline transform of a SELECT or GENERATE block to its result.
+ * Transform names are case-insensitive; besides the built-in transforms, inline transforms
+ * registered via api.registerTransform are available. Unknown transforms leave the text unchanged.
+ *
+ * @param {string|Object} transform - Transform name or object ({ type, ...options })
+ * @param {Object} result - Block result with text and item
+ * @param {Object} parts - Aliased parts (for genderAdapt and plural countFrom)
+ * @param {Object} langRules - Language rules
+ * @param {string} locale - Target locale
+ * @param {Object} context - Execution context
+ * @param {string|null} [seed=null] - Block seed (for transforms that choose between forms)
+ * @param {boolean} [opensOutput=false] - Whether the block opens the output (capitalized indefinite article)
+ * @returns {string} Transformed text
+ * @example
+ * applyInlineTransform({ type: 'plural', countFrom: 'Num' }, { text: 'Hammer', item }, { Num: three }, {}, 'en', context);
+ * // Returns: "Hammers"
+ * @private
+ */
+function applyInlineTransform(transform, result, parts, langRules, locale, context, seed = null, opensOutput = false) {
+  // Normalize transform type to lowercase for case-insensitive comparison
+  const transformType = typeof transform === 'string'
+    ? transform.toLowerCase()
+    : (typeof transform === 'object' && transform.type)
+      ? transform.type.toLowerCase()
+      : null;
+  const options = typeof transform === 'object' ? transform : {};
+  const gramData = result.item?.gram || {};
+
+  switch (transformType) {
+    case 'genderadapt':
+      return applyGenderAdaptation(result.item, parts, langRules, locale, context.fallbackLocales);
+
+    case 'demonym':
+      return applyDemonymTransform(result.text, locale);
+
+    case 'genitive':
+    case 'possessive':
+      return applyGenitiveTransform(result.text, locale, gramData);
+
+    case 'indefinite':
+      return applyIndefiniteArticle(result.text, locale, langRules, { capitalize: opensOutput });
+
+    case 'plural': {
+      // With countFrom, only pluralize if the aliased number is not 1 ("One Hammer", "Three Hammers")
+      const count = options.countFrom ? getItemCount(parts[options.countFrom], locale, context) : null;
+      return count === 1 ? result.text : pluralize(result.text, locale, gramData, langRules);
+    }
+
+    case 'ordinal':
+      return toOrdinal(result.text, locale, options);
+
+    case 'patronymic':
+      return applyPatronymicTransform(result, parts, langRules, locale, options);
+
+    case 'diminutive':
+      return applyDiminutiveTransform(result, langRules, locale, seed, context, options);
+
+    default: {
+      const registered = getRegisteredTransform(transformType, 'inline');
+      return registered
+        ? applyRegisteredTransform(registered, result.text, { locale, item: result.item, parts, options })
+        : result.text;
+    }
+  }
+}
+
+/**
+ * Get the number an item stands for: `attrs.value` or its text as digits or number words.
+ *
+ * @param {Object|undefined} item - Aliased item
+ * @param {string} locale - Target locale
+ * @param {Object} context - Execution context
+ * @returns {number|null} Number or null if unknown
+ * @private
+ */
+function getItemCount(item, locale, context) {
+  if (!item) {
+    return null;
+  }
+  if (typeof item.attrs?.value === 'number') {
+    return item.attrs.value;
+  }
+  return item.t ? parseNumber(getLocalizedText(item.t, locale, context.fallbackLocales), locale) : null;
+}
+
 /**
  * Apply Demonym transformation (Toponym to Demonym).
  * Converts place names to inhabitant names according to language-specific rules.
@@ -1080,6 +1464,97 @@ function applyEnglishPossessive(name) {
   return name + "'s";
 }
 
+/**
+ * Apply the patronymic transform: the block's result is the name of the parent, the text becomes
+ * the patronymic ("Thrain" → "son of Thrain" or "Thrainsson", see derivePatronymic).
+ * The child's gender comes from the `gender` option or the item of the `genderFrom` alias; the
+ * parent's gender from the `parentGender` option, the parent item's tags or the rules' `parent`.
+ *
+ * @param {Object} result - Block result with text and item (the parent's name)
+ * @param {Object} parts - All aliased parts (for genderFrom)
+ * @param {Object} langRules - Language rules (`naming.patronymic`)
+ * @param {string} locale - Target locale
+ * @param {Object} options - Transform object ({ type, style, gender, genderFrom, parentGender })
+ * @returns {string} Patronymic
+ * @example
+ * applyPatronymicTransform({ text: 'Thrain', item }, { FN: thorin }, langRules, 'en', { genderFrom: 'FN' });
+ * // Returns: "son of Thrain"
+ * @private
+ */
+function applyPatronymicTransform(result, parts, langRules, locale, options) {
+  const rules = getPatronymicRules(langRules, locale);
+  if (options.style === 'suffix' || options.style === 'phrase') {
+    rules.style = options.style;
+  }
+
+  const childGender = options.gender || getItemGender(parts[options.genderFrom]);
+  const parentGender = options.parentGender || getItemGender(result.item) ||
+    { father: 'male', mother: 'female' }[rules.parent] || null;
+
+  return derivePatronymic(result.text, rules, {
+    childGender,
+    parentGender,
+    genitive: name => applyGenitiveTransform(name, locale, result.item?.gram || {})
+  });
+}
+
+/**
+ * Apply the diminutive transform: replace a first name by one of its familiar forms.
+ * The item's own forms (`gram[locale].diminutives`, e.g. "Robert" → ["Bob", "Robbie"]) take
+ * precedence over the forms derived from the diminutive rules (see deriveDiminutives).
+ * Names without any familiar form are left unchanged, or become empty with `fallback: "empty"`.
+ *
+ * @param {Object} result - Block result with text and item (the first name)
+ * @param {Object} langRules - Language rules (`naming.diminutive`)
+ * @param {string} locale - Target locale
+ * @param {string|null} seed - Block seed
+ * @param {Object} context - Execution context
+ * @param {Object} [options={}] - Transform options
+ * @param {string} [options.fallback='name'] - Result without familiar form: "name" (unchanged) or "empty"
+ * @returns {string} Familiar form
+ * @example
+ * applyDiminutiveTransform({ text: 'Grete', item }, {}, 'de', 'seed:b2', context); // "Gretchen"
+ * @private
+ */
+function applyDiminutiveTransform(result, langRules, locale, seed, context, options = {}) {
+  const fallback = options.fallback === 'empty' ? '' : result.text;
+  const ownForms = result.item?.gram?.[locale]?.diminutives;
+  let forms;
+  if (Array.isArray(ownForms) && ownForms.length > 0) {
+    forms = ownForms.filter(form => typeof form === 'string' && form);
+  } else {
+    const rules = getDiminutiveRules(langRules, locale);
+    if (!rules) {
+      logWarn(`Diminutive transform not implemented for locale: ${locale}`);
+      return fallback;
+    }
+    forms = deriveDiminutives(result.text, rules);
+  }
+
+  if (forms.length === 0) {
+    logDebug(`No diminutive for "${result.text}"`);
+    return fallback;
+  }
+  return forms[pickIndex(forms.length, seed ? `${seed}:dim` : null, context)];
+}
+
+/**
+ * Get the gender of an item from its tags or `attrs.gender`.
+ *
+ * @param {Object|undefined} item - Item
+ * @returns {string|null} 'male', 'female', 'nonbinary' or null
+ * @private
+ */
+function getItemGender(item) {
+  const genders = ['male', 'female', 'nonbinary'];
+  const gender = genders.find(tag => item?.tags?.includes(tag));
+  if (gender) {
+    return gender;
+  }
+  const attr = { m: 'male', f: 'female', nb: 'nonbinary' }[item?.attrs?.gender] || item?.attrs?.gender;
+  return genders.includes(attr) ? attr : null;
+}
+
 /**
  * Apply gender adaptation to a title based on the Person alias.
  * Looks up the Person's gender and adapts the title accordingly.
@@ -1088,16 +1563,17 @@ function applyEnglishPossessive(name) {
  * @param {Object} parts - All aliased parts (must contain 'Person' alias)
  * @param {Object} langRules - Language rules for gender adaptation
  * @param {string} locale - Target locale
+ * @param {string[]} [fallbackLocales=null] - Fallback chain for the plain title text
  * @returns {string} Gender-adapted title text
  * @private
  */
-function applyGenderAdaptation(titleItem, parts, langRules, locale) {
+function applyGenderAdaptation(titleItem, parts, langRules, locale, fallbackLocales = null) {
   // Look for Person alias to determine gender
   const person = parts.Person;
 
   if (!person) {
     logWarn('Gender adaptation requested but no Person alias found');
-    return getLocalizedText(titleItem.t, locale);
+    return getLocalizedText(titleItem.t, locale, fallbackLocales);
   }
 
   // Get person's gender from attrs
@@ -1105,11 +1581,11 @@ function applyGenderAdaptation(titleItem, parts, langRules, locale) {
 
   if (!personGender) {
     logWarn('Person has no gender attribute');
-    return getLocalizedText(titleItem.t, locale);
+    return getLocalizedText(titleItem.t, locale, fallbackLocales);
   }
 
   // Adapt title
-  return adaptTitleToGender(titleItem, personGender, langRules, locale);
+  return adaptTitleToGender(titleItem, personGender, langRules, locale, 'nom', fallbackLocales);
 }
 
 /**
@@ -1206,13 +1682,16 @@ function getNestedValue(obj, path) {
 /**
  * Merge recipe where clause with runtime filters.
  * Tags use ALL-of logic (combined), kinds use ANY-of logic (intersected).
+ * Attributes are merged per attribute (runtime wins), `length` and `weight` ranges are
+ * intersected, and runtime text criteria (startsWith, endsWith, matches) replace the recipe's.
+ * Boolean expressions must hold on both sides: `all` clauses are combined, and an `any`/`not`
+ * present on both sides is added to `all`.
  *
  * @param {Object} recipeWhere - Where clause from recipe definition
  * @param {Object} runtimeFilter - Runtime filter for this catalog key
  * @returns {Object} Merged where clause with combined filters
- * @private
  */
-function mergeFilters(recipeWhere, runtimeFilter) {
+export function mergeFilters(recipeWhere, runtimeFilter) {
   if (!runtimeFilter) {
     return recipeWhere || {};
   }
@@ -1245,9 +1724,130 @@ function mergeFilters(recipeWhere, runtimeFilter) {
     merged.noneOfTags = runtimeFilter.noneOfTags;
   }
 
+  // Attribute criteria (per attribute)
+  if (runtimeFilter.attrs) {
+    merged.attrs = { ...(merged.attrs || {}), ...runtimeFilter.attrs };
+  }
+
+  // Ranges: both bounds must hold
+  for (const key of ['length', 'weight']) {
+    if (runtimeFilter[key]) {
+      merged[key] = intersectRanges(merged[key], runtimeFilter[key]);
+    }
+  }
+
+  // Text criteria
+  for (const key of ['startsWith', 'endsWith', 'matches']) {
+    if (runtimeFilter[key]) {
+      merged[key] = runtimeFilter[key];
+    }
+  }
+
+  // Boolean expressions (AND of both sides)
+  if (runtimeFilter.all) {
+    merged.all = [...(merged.all || []), ...runtimeFilter.all];
+  }
+  for (const key of ['any', 'not']) {
+    if (!runtimeFilter[key]) {
+      continue;
+    }
+    if (merged[key]) {
+      merged.all = [...(merged.all || []), { [key]: runtimeFilter[key] }];
+    } else {
+      merged[key] = runtimeFilter[key];
+    }
+  }
+
   return merged;
 }
 
+/**
+ * Build the where clause of a collection query: `tags`, attribute `filters` (as `attrs`)
+ * and an optional full `where` clause.
+ *
+ * @param {Object|null} query - Collection query ({ category, tags, filters, where, ... })
+ * @returns {Object} Where clause (empty if the query has no criteria)
+ * @example
+ * getCollectionWhere({ category: 'taverns', tags: ['harbor'], filters: { quality: 'luxury' } });
+ * // { tags: ['harbor'], attrs: { quality: 'luxury' } }
+ */
+export function getCollectionWhere(query) {
+  const where = {};
+  if (query?.tags && query.tags.length > 0) {
+    where.tags = query.tags;
+  }
+  if (query?.filters && Object.keys(query.filters).length > 0) {
+    where.attrs = query.filters;
+  }
+  return query?.where ? mergeFilters(where, query.where) : where;
+}
+
+/**
+ * Intersect two inclusive { min, max } ranges.
+ *
+ * @param {Object|undefined} a - First range
+ * @param {Object} b - Second range
+ * @returns {Object} Range satisfying both
+ * @private
+ */
+function intersectRanges(a, b) {
+  if (!a) {
+    return b;
+  }
+  const range = {};
+  const mins = [a.min, b.min].filter(value => value !== undefined);
+  const maxs = [a.max, b.max].filter(value => value !== undefined);
+  if (mins.length > 0) {
+    range.min = Math.max(...mins);
+  }
+  if (maxs.length > 0) {
+    range.max = Math.min(...maxs);
+  }
+  return range;
+}
+
+/**
+ * Resolve localized text through the fallback chain of the execution context.
+ * Locales used instead of the target locale are recorded in `context.usedFallbacks`.
+ *
+ * @param {Object|string} textObj - Text object with locale keys or plain string
+ * @param {string} locale - Target locale
+ * @param {Object} context - Execution context (fallbackLocales, usedFallbacks)
+ * @returns {string} Localized text
+ * @private
+ */
+function localize(textObj, locale, context) {
+  const resolved = resolveLocalizedText(textObj, locale, context.fallbackLocales);
+  if (resolved.locale !== locale) {
+    context.usedFallbacks?.add(resolved.locale);
+  }
+  return resolved.text;
+}
+
+/**
+ * Record the pronunciation guide (item `pron`) and meaning (item `meaning`) of a selected item.
+ * Both are a text or texts by locale.
+ *
+ * @param {Object} result - Block result with text and item
+ * @param {string} locale - Target locale
+ * @param {Object} context - Execution context (collected in `context.pronunciations` and `context.meanings`)
+ * @private
+ */
+function recordItemMetadata(result, locale, context) {
+  if (result.item?.pron && context.pronunciations) {
+    context.pronunciations.push({
+      text: result.text,
+      guide: getLocalizedText(result.item.pron, locale, context.fallbackLocales)
+    });
+  }
+  if (result.item?.meaning && context.meanings) {
+    context.meanings.push({
+      text: result.text,
+      meaning: getLocalizedText(result.item.meaning, locale, context.fallbackLocales)
+    });
+  }
+}
+
 /**
  * Get a unique identity string for an item for distinctness checking.
  * Uses _index if available, otherwise hashes the text content.
@@ -1274,15 +1874,28 @@ function getItemIdentity(item) {
  * - TitleCase: Capitalize words (respecting particles like "von", "of")
  * - ConcatNoSpace: Remove all spaces
  * - NormalizeUmlauts: Convert German umlauts to ASCII (ae, oe, ue, ss)
+ * - Upper / Lower / Capitalize: Change the case (of the whole text / of its first letter)
+ * - Slugify: Lowercase text with words joined by `separator` (default "-"), for file names and anchors
+ * - Truncate: Cut to `max` characters, ending with `ellipsis` (default none)
+ * - Replace: Replace the regular expression `pattern` (with `flags`, default "g") by `with`
+ * - Prefix / Suffix: Add `value` before / after the text
+ * - Script: Transliterate into the fantasy script `script` (see script-registry)
+ * - Post transforms registered via api.registerTransform (case-insensitive)
+ *
+ * Transforms with parameters use the object syntax `{ type, ...parameters }`
+ * (see validatePostTransforms and PatternCompiler.compileTransforms).
  *
  * @param {string} text - Input text to transform
- * @param {Array<string>} transforms - Array of transform names to apply
+ * @param {Array<string|Object>} transforms - Transform names or objects to apply
+ * @param {Object} [context={}] - Transform context ({ locale, parts }), passed on to registered transforms
  * @returns {string} Transformed text
  * @example
  * applyTransforms('  hans   von   hamburg  ', ['TrimSpaces', 'CollapseSpaces', 'TitleCase']);
  * // Returns: "Hans von Hamburg"
+ * applyTransforms('Bartholomew Ironfoot', [{ type: 'Truncate', max: 10, ellipsis: '…' }]);
+ * // Returns: "Bartholom…"
  */
-export function applyTransforms(text, transforms) {
+export function applyTransforms(text, transforms, context = {}) {
   if (!transforms || transforms.length === 0) {
     return text;
   }
@@ -1290,21 +1903,25 @@ export function applyTransforms(text, transforms) {
   let result = text;
 
   for (const transform of transforms) {
-    result = applyTransform(result, transform);
+    result = applyTransform(result, transform, context);
   }
 
   return result;
 }
 
 /**
- * Apply a single named transform to text.
+ * Apply a single transform to text.
  *
  * @param {string} text - Input text
- * @param {string} transformName - Transform name (case-sensitive)
+ * @param {string|Object} transform - Transform name or object ({ type, ...parameters }); built-in names are case-sensitive
+ * @param {Object} context - Transform context
  * @returns {string} Transformed text (unchanged if transform unknown)
  * @private
  */
-function applyTransform(text, transformName) {
+function applyTransform(text, transform, context) {
+  const params = typeof transform === 'object' && transform !== null ? transform : {};
+  const transformName = typeof transform === 'string' ? transform : params.type;
+
   switch (transformName) {
     case 'TrimSpaces':
       return text.trim();
@@ -1321,9 +1938,51 @@ function applyTransform(text, transformName) {
     case 'NormalizeUmlauts':
       return normalizeUmlauts(text);
 
-    default:
+    case 'Upper':
+      return text.toLocaleUpperCase(context.locale);
+
+    case 'Lower':
+      return text.toLocaleLowerCase(context.locale);
+
+    case 'Capitalize':
+      return text.charAt(0).toLocaleUpperCase(context.locale) + text.slice(1);
+
+    case 'Slugify':
+      return slugify(text, params.separator ?? '-');
+
+    case 'Truncate':
+      return truncate(text, params.max, params.ellipsis ?? '');
+
+    case 'Replace': {
+      // The compiled regex is shared between calls; a sticky one would otherwise continue at its last match
+      const regex = params._regex || new RegExp(params.pattern, params.flags ?? 'g');
+      regex.lastIndex = 0;
+      return text.replace(regex, params.with ?? '');
+    }
+
+    case 'Prefix':
+      return (params.value ?? '') + text;
+
+    case 'Suffix':
+      return text + (params.value ?? '');
+
+    case 'Script': {
+      const scriptText = transliterate(text, params.script);
+      if (scriptText === null) {
+        logWarn(`Unknown script: ${params.script}`);
+        return text;
+      }
+      return scriptText;
+    }
+
+    default: {
+      const registered = getRegisteredTransform(transformName, 'post');
+      if (registered) {
+        return applyRegisteredTransform(registered, text, { ...context, options: params });
+      }
       logWarn(`Unknown transform: ${transformName}`);
       return text;
+    }
   }
 }
 
@@ -1403,26 +2062,75 @@ function normalizeUmlauts(text) {
 }
 
 /**
- * Validate that all catalogs referenced in a pattern exist.
+ * Turn text into a slug: umlauts and accents become ASCII, letters are lowercased and
+ * everything else between words becomes the separator.
+ *
+ * @param {string} text - Input text
+ * @param {string} separator - Word separator
+ * @returns {string} Slug (e.g., "Zum Goldenen Hirsch" -> "zum-goldenen-hirsch")
+ * @private
+ */
+function slugify(text, separator) {
+  return normalizeUmlauts(text)
+    .normalize('NFD')
+    .replace(/\p{M}+/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .join(separator);
+}
+
+/**
+ * Cut text to a maximum number of characters (code points).
+ *
+ * @param {string} text - Input text
+ * @param {number} max - Maximum length including the ellipsis
+ * @param {string} ellipsis - Appended if the text was cut
+ * @returns {string} Text of at most `max` characters
+ * @private
+ */
+function truncate(text, max, ellipsis) {
+  const chars = [...text];
+  if (!(max > 0) || chars.length <= max) {
+    return text;
+  }
+  const ellipsisLength = [...ellipsis].length;
+  if (ellipsisLength >= max) {
+    return chars.slice(0, max).join('');
+  }
+  return chars.slice(0, max - ellipsisLength).join('').trimEnd() + ellipsis;
+}
+
+/**
+ * Validate that all catalogs and recipes referenced in a pattern exist.
  * Should be called BEFORE executePattern to catch missing catalogs early.
  * Distinguishes between required and optional catalog references.
  *
+ * Cross-package references ("packageCode:key") are only resolved if the matching
+ * resolver is given; local recipe references are only checked if `resolvers.recipes` is given.
+ *
  * @param {Array<Object>} pattern - Array of pattern blocks to validate
  * @param {Object} catalogs - Available catalogs in the package
+ * @param {Object} [resolvers={}] - Optional lookups for recipe and cross-package references
+ * @param {Array<Object>} [resolvers.recipes] - Recipes of the package (for GENERATE from recipe)
+ * @param {Function} [resolvers.getPackageCatalog] - Resolves (packageCode, catalogKey), throws if missing
+ * @param {Function} [resolvers.getPackageRecipe] - Resolves (packageCode, recipeId), throws if missing
  * @returns {Object} Validation result
- * @returns {boolean} return.valid - True if all required catalogs exist
+ * @returns {boolean} return.valid - True if all required catalogs and recipes exist
  * @returns {string[]} return.missingRequired - Required catalogs that don't exist
  * @returns {string[]} return.missingOptional - Optional catalogs that don't exist
+ * @returns {string[]} return.missingRecipes - Referenced recipes that don't exist
  * @returns {string[]} return.requiredCatalogs - All required catalog keys found in pattern
  * @example
- * const validation = validatePatternCatalogs(recipe.pattern, pkg.catalogs);
+ * const validation = validatePatternCatalogs(recipe.pattern, pkg.catalogs, { recipes: pkg.recipes });
  * if (!validation.valid) {
  *   throw new Error(`Missing catalogs: ${validation.missingRequired.join(', ')}`);
  * }
  */
-export function validatePatternCatalogs(pattern, catalogs) {
+export function validatePatternCatalogs(pattern, catalogs, resolvers = {}) {
   const requiredCatalogs = new Set();
   const optionalCatalogs = new Set();
+  const recipeRefs = new Set();
 
   // Recursively extract all catalog keys from a block
   function extractCatalogKeys(block, isOptional = false) {
@@ -1434,7 +2142,7 @@ export function validatePatternCatalogs(pattern, catalogs) {
     // Handle select block
     if (block.select) {
       const select = block.select;
-      if (select.from === 'catalog' && select.key) {
+      if ((select.from === 'catalog' || select.from === 'markov') && select.key) {
         if (blockIsOptional) {
           optionalCatalogs.add(select.key);
         } else {
@@ -1443,11 +2151,19 @@ export function validatePatternCatalogs(pattern, catalogs) {
       }
     }
 
-    // Handle pp block with nested ref.select
+    // Handle generate block referencing a recipe
+    if (block.generate && block.generate.from === 'recipe' && block.generate.key) {
+      recipeRefs.add(block.generate.key);
+    }
+
+    // Handle pp block with nested ref.select (and adjective select)
     if (block.pp && block.pp.ref) {
       // PP blocks inherit optional status from parent
       extractCatalogKeys(block.pp.ref, blockIsOptional);
     }
+    if (block.pp && block.pp.adjective && typeof block.pp.adjective === 'object') {
+      extractCatalogKeys(block.pp.adjective, blockIsOptional);
+    }
 
     // Handle ref block that might have select
     if (block.ref && typeof block.ref === 'object') {
@@ -1464,6 +2180,15 @@ export function validatePatternCatalogs(pattern, catalogs) {
         }
       }
     }
+
+    // Handle chance and repeat with nested patterns
+    for (const nestedPattern of [block.chance?.pattern, block.repeat?.pattern]) {
+      if (Array.isArray(nestedPattern)) {
+        for (const nestedBlock of nestedPattern) {
+          extractCatalogKeys(nestedBlock, blockIsOptional);
+        }
+      }
+    }
   }
 
   // Process all blocks in pattern
@@ -1471,32 +2196,60 @@ export function validatePatternCatalogs(pattern, catalogs) {
     extractCatalogKeys(block);
   }
 
+  // Resolve a "packageCode:key" reference, treating resolver errors as missing
+  function resolvesCrossPackage(ref, resolve) {
+    if (!resolve) return false;
+    const [packageCode, remoteKey] = ref.split(':', 2);
+    try {
+      return Boolean(resolve(packageCode, remoteKey));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function catalogExists(catalogKey) {
+    if (catalogs && catalogs[catalogKey]) return true;
+    return catalogKey.includes(':') && resolvesCrossPackage(catalogKey, resolvers.getPackageCatalog);
+  }
+
   // Check which catalogs are missing
   const missingRequired = [];
   const missingOptional = [];
+  const missingRecipes = [];
 
   for (const catalogKey of requiredCatalogs) {
-    if (!catalogs || !catalogs[catalogKey]) {
+    if (!catalogExists(catalogKey)) {
       missingRequired.push(catalogKey);
     }
   }
 
   for (const catalogKey of optionalCatalogs) {
     // Only report as missing optional if not already in required
-    if (!requiredCatalogs.has(catalogKey) && (!catalogs || !catalogs[catalogKey])) {
+    if (!requiredCatalogs.has(catalogKey) && !catalogExists(catalogKey)) {
       missingOptional.push(catalogKey);
     }
   }
 
+  for (const recipeKey of recipeRefs) {
+    if (recipeKey.includes(':')) {
+      if (!resolvesCrossPackage(recipeKey, resolvers.getPackageRecipe)) {
+        missingRecipes.push(recipeKey);
+      }
+    } else if (resolvers.recipes && !resolvers.recipes.some(r => r.id === recipeKey)) {
+      missingRecipes.push(recipeKey);
+    }
+  }
+
   // Log warning for missing optional catalogs
   if (missingOptional.length > 0) {
     logWarn(`Pattern references optional catalogs that don't exist: ${missingOptional.join(', ')}. These will be skipped.`);
   }
 
   return {
-    valid: missingRequired.length === 0,
+    valid: missingRequired.length === 0 && missingRecipes.length === 0,
     missingRequired,
     missingOptional,
+    missingRecipes,
     requiredCatalogs: Array.from(requiredCatalogs)
   };
 }
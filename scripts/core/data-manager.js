@@ -5,7 +5,11 @@
  */
 
 import { getGlobalEngine } from './engine.js';
+import { filterItems } from './selector.js';
+import { getCollectionWhere } from './composer.js';
+import { getLocalizedText, getLocaleChain } from '../utils/grammar.js';
 import { logDebug, logInfo, logWarn, logError } from '../utils/logger.js';
+import { validateOutputConstraints, validateBlocklist, validateWhere, validatePostTransforms } from '../utils/api-input-validator.js';
 
 /**
  * Data Manager
@@ -105,6 +109,7 @@ export class DataManager {
     try {
       // Load index to discover available packages
       await this.loadIndex();
+      this.engine.setLocaleFallbacks(this.getLocalesConfig().fallbacks);
 
       // Load all packages from new index format
       // Group files by packageCode to avoid race conditions when merging
@@ -210,6 +215,7 @@ export class DataManager {
       this._mergeCatalogs(packageData, data.catalogs, category, packageCode);
       this._mergeRecipes(packageData, data.recipes, packageCode, path);
       this._mergeLangRules(packageData, data.langRules);
+      this._mergeOutput(packageData, data.output);
       this._mergeVocab(packageData, data.vocab, packageCode);
       this._mergeCollections(packageData, data.collections, packageCode);
       this._updateFileVersion(packageData, data.fileVersion);
@@ -255,7 +261,7 @@ export class DataManager {
   }
 
   /**
-   * Validate package format version
+   * Validate package format version and output options
    * @param {Object} data - Package data
    * @param {string} packageCode - Package identifier
    * @param {string} path - File path for error messages
@@ -269,6 +275,68 @@ export class DataManager {
       logWarn(error);
       return false;
     }
+
+    // Output constraints (package level and per recipe)
+    const constraintSources = [
+      ['output', data.output?.constraints],
+      ...(data.recipes || []).map(recipe => [`recipe "${recipe.id}"`, recipe.output?.constraints])
+    ];
+    for (const [source, constraints] of constraintSources) {
+      if (constraints === undefined) continue;
+
+      const result = validateOutputConstraints(constraints);
+      if (!result.isValid) {
+        const error = `Package ${packageCode} (${path}) has invalid constraints in ${source}: ${result.error}`;
+        this.failedPackages.set(packageCode, error);
+        logWarn(error);
+        return false;
+      }
+    }
+
+    // Post transform parameters (package level and per recipe)
+    const transformSources = [
+      ['output.transforms', data.output?.transforms],
+      ...(data.recipes || []).map(recipe => [`recipe "${recipe.id}" post`, recipe.post])
+    ];
+    for (const [source, transforms] of transformSources) {
+      if (transforms === undefined) continue;
+
+      const result = validatePostTransforms(transforms);
+      if (!result.isValid) {
+        const error = `Package ${packageCode} (${path}) has invalid transforms in ${source}: ${result.error}`;
+        this.failedPackages.set(packageCode, error);
+        logWarn(error);
+        return false;
+      }
+    }
+
+    // Package blocklist
+    if (data.output?.blocklist !== undefined) {
+      const result = validateBlocklist(data.output.blocklist);
+      if (!result.isValid) {
+        const error = `Package ${packageCode} (${path}) has an invalid output blocklist: ${result.error}`;
+        this.failedPackages.set(packageCode, error);
+        logWarn(error);
+        return false;
+      }
+    }
+
+    // Collection query criteria (tags, attribute filters and where clause)
+    for (const collection of data.collections || []) {
+      const query = collection.query;
+      if (!query) continue;
+
+      for (const where of [{ tags: query.tags, attrs: query.filters }, query.where]) {
+        const result = validateWhere(where);
+        if (!result.isValid) {
+          const error = `Package ${packageCode} (${path}) has an invalid query in collection "${collection.key}": ${result.error}`;
+          this.failedPackages.set(packageCode, error);
+          logWarn(error);
+          return false;
+        }
+      }
+    }
+
     return true;
   }
 
@@ -415,14 +483,43 @@ export class DataManager {
   }
 
   /**
-   * Merge language rules
+   * Merge language rules per locale, so files can add rules (e.g. titles and family
+   * conventions) to a locale without replacing the rules of other files
    * @param {Object} packageData - Package data
    * @param {Object} langRules - Language rules to merge
    * @private
    */
   _mergeLangRules(packageData, langRules) {
     if (!langRules) return;
-    Object.assign(packageData.data.langRules, langRules);
+    for (const [locale, rules] of Object.entries(langRules)) {
+      packageData.data.langRules[locale] = { ...packageData.data.langRules[locale], ...rules };
+    }
+  }
+
+  /**
+   * Merge output options from additional package files
+   * Only constraints and the blocklist are merged; transforms and uniqueness come from the first file.
+   * Constraint values already set win, deny lists and blocklists are combined.
+   * @param {Object} packageData - Package data
+   * @param {Object} output - Output options of the file
+   * @private
+   */
+  _mergeOutput(packageData, output) {
+    const target = packageData.data.output;
+
+    if (Array.isArray(output?.blocklist) && target.blocklist !== output.blocklist) {
+      target.blocklist = [...new Set([...(target.blocklist || []), ...output.blocklist])];
+    }
+
+    if (!output?.constraints) return;
+    if (target.constraints === output.constraints) return;
+
+    const existing = target.constraints || {};
+    const deny = [...new Set([...(existing.deny || []), ...(output.constraints.deny || [])])];
+    target.constraints = { ...output.constraints, ...existing };
+    if (deny.length > 0) {
+      target.constraints.deny = deny;
+    }
   }
 
   /**
@@ -683,9 +780,9 @@ export class DataManager {
       .map(code => {
         const metadata = speciesMetadata[code];
         // Species metadata structure: { "code": { "en": "Name", "de": "Name" } }
-        const name = metadata?.[locale] ||
-                     metadata?.en ||
-                     code.charAt(0).toUpperCase() + code.slice(1);
+        const name = metadata && Object.keys(metadata).length > 0
+          ? getLocalizedText(metadata, locale, this.getLocaleChain(locale))
+          : code.charAt(0).toUpperCase() + code.slice(1);
 
         return { code, name };
       });
@@ -724,8 +821,7 @@ export class DataManager {
       return [];
     }
 
-    // Get the default language from the package
-    const defaultLang = pkg.data.package?.languages?.[0] || 'en';
+    const fallbackLocales = this.getLocaleChain(locale, packageCode);
 
     return Object.keys(pkg.data.catalogs)
       .filter(catalogKey => !pkg.data.catalogs[catalogKey].hidden)
@@ -734,10 +830,8 @@ export class DataManager {
 
       // Try to get localized displayName, fallback to capitalized key
       let displayName;
-      if (catalog.displayName) {
-        displayName = catalog.displayName[locale] ||
-                     catalog.displayName[defaultLang] ||
-                     catalog.displayName.en;
+      if (catalog.displayName && Object.keys(catalog.displayName).length > 0) {
+        displayName = getLocalizedText(catalog.displayName, locale, fallbackLocales);
       }
 
       if (!displayName) {
@@ -880,6 +974,21 @@ export class DataManager {
     return this.indexData?.locales || { default: 'en', fallbacks: {} };
   }
 
+  /**
+   * Get the locale chain for resolving texts: the requested locale, its fallbacks
+   * from the index and the default locale of the package (`package.languages[0]`).
+   *
+   * @param {string} locale - Requested locale
+   * @param {string|null} [packageCode=null] - Package whose default locale ends the chain
+   * @returns {string[]} Locales in resolution order
+   * @example
+   * dataManager.getLocaleChain('fr', 'human-de'); // ['fr', 'de']
+   */
+  getLocaleChain(locale, packageCode = null) {
+    const defaultLocale = packageCode ? this.packages.get(packageCode)?.data.package?.languages?.[0] : null;
+    return getLocaleChain(locale, this.getLocalesConfig().fallbacks, defaultLocale || null);
+  }
+
   // ============================================================
   // V4.0.1 Extensions: Vocab & Collections
   // ============================================================
@@ -924,16 +1033,9 @@ export class DataManager {
     const field = vocab.fields[fieldName];
     const values = field.values || {};
 
-    if (values[tag] && values[tag][lang]) {
-      return values[tag][lang];
-    }
-
-    // Fallback: try first available language
-    if (values[tag]) {
-      const availableLangs = Object.keys(values[tag]);
-      if (availableLangs.length > 0) {
-        return values[tag][availableLangs[0]];
-      }
+    // Requested language, its fallbacks, then the first available language
+    if (values[tag] && Object.keys(values[tag]).length > 0) {
+      return getLocalizedText(values[tag], lang, this.getLocaleChain(lang, packageCode));
     }
 
     return null;
@@ -1015,16 +1117,17 @@ export class DataManager {
 
   /**
    * Get catalog items filtered by a collection's query criteria.
-   * Applies the collection's tag filters and limit to return matching items.
+   * Applies the collection's tags, attribute filters and where clause, then its limit.
    *
    * @param {string} packageCode - Package code (e.g., "tavern-de")
    * @param {string} collectionKey - Collection key (e.g., "upscale")
+   * @param {string|null} [locale=null] - Locale of text criteria in the query's where clause
    * @returns {Array<Object>} Array of catalog items matching the collection query
    * @example
    * const items = dataManager.getItemsByCollection('tavern-de', 'upscale');
    * // Returns items from 'taverns' catalog that have the 'upscale' tag
    */
-  getItemsByCollection(packageCode, collectionKey) {
+  getItemsByCollection(packageCode, collectionKey, locale = null) {
     const collection = this.getCollection(packageCode, collectionKey);
     if (!collection || !collection.query) {
       return [];
@@ -1046,13 +1149,10 @@ export class DataManager {
 
     let items = catalog.items;
 
-    // Apply tag filters (ALL-of logic)
-    if (query.tags && query.tags.length > 0) {
-      items = items.filter(item => {
-        const itemTags = item.tags || [];
-        // Item must have all required tags
-        return query.tags.every(requiredTag => itemTags.includes(requiredTag));
-      });
+    // Apply the query criteria (tags use ALL-of logic)
+    const where = getCollectionWhere(query);
+    if (Object.keys(where).length > 0) {
+      items = filterItems(items, where, locale);
     }
 
     // Apply limit if specified
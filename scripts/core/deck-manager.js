@@ -0,0 +1,268 @@
+/**
+ * Deck Manager - Persistent sampling without replacement ("deck" mode)
+ *
+ * In deck mode every catalog of a package behaves like a deck of cards: items already drawn
+ * are skipped until the filtered pool runs out, then the pool is reshuffled. Unused items
+ * are still drawn weighted by `w` (see selectFromCatalog).
+ *
+ * Drawn items are stored per world in the hidden setting `nameDecks`:
+ * `{ [packageCode]: { fileVersion, drawn: { [catalogKey]: [itemIndex, ...] } } }`.
+ * Only GMs can write world settings, so draws of players are remembered for their session only.
+ * A deck is dropped when the package's fileVersion changes (item indices may have shifted).
+ *
+ * @module deck-manager
+ */
+
+import { MODULE_ID } from '../shared/constants.js';
+import { logDebug, logInfo } from '../utils/logger.js';
+
+/** Name of the world setting with the drawn items */
+const SETTING_KEY = 'nameDecks';
+
+/**
+ * Singleton instance
+ */
+let instance = null;
+
+/**
+ * Drawn items of one package.
+ * Draws are collected as pending while a name is generated and only committed
+ * once the engine accepts the result, so rejected attempts do not use up items.
+ */
+export class NameDeck {
+  /**
+   * @param {string} packageCode - Package code (e.g., "human-de")
+   * @param {string|null} [fileVersion=null] - Package fileVersion the drawn indices belong to
+   * @param {Object<string, Array<number>>} [drawn={}] - Drawn item indices per catalog key
+   */
+  constructor(packageCode, fileVersion = null, drawn = {}) {
+    this.packageCode = packageCode;
+    this.fileVersion = fileVersion;
+
+    /** @type {Map<string, Set<number>>} Committed item indices per catalog key */
+    this.drawn = new Map(Object.entries(drawn).map(([key, indices]) => [key, new Set(indices)]));
+
+    /** @type {Array<Array>} Draws of the current attempt as [catalogKey, itemIndex] */
+    this.pending = [];
+
+    /** @type {boolean} Whether the deck changed since it was last saved */
+    this.dirty = false;
+  }
+
+  /**
+   * Get the deck view for a single catalog, as passed to selectFromCatalog.
+   *
+   * @param {string} catalogKey - Catalog key (cross-package keys keep their package prefix)
+   * @returns {{isDrawn: Function, reshuffle: Function, draw: Function}} Catalog deck
+   */
+  forCatalog(catalogKey) {
+    return {
+      isDrawn: (item) => this._isDrawn(catalogKey, item),
+      reshuffle: (items) => this._reshuffle(catalogKey, items),
+      draw: (item) => {
+        if (item._index !== undefined) {
+          this.pending.push([catalogKey, item._index]);
+        }
+      }
+    };
+  }
+
+  /**
+   * Commit the pending draws (the generated name was accepted).
+   */
+  commit() {
+    for (const [catalogKey, index] of this.pending) {
+      if (!this.drawn.has(catalogKey)) {
+        this.drawn.set(catalogKey, new Set());
+      }
+      this.drawn.get(catalogKey).add(index);
+      this.dirty = true;
+    }
+    this.pending = [];
+  }
+
+  /**
+   * Drop the pending draws (the generated name was rejected).
+   */
+  discard() {
+    this.pending = [];
+  }
+
+  /**
+   * Get the number of drawn items per catalog key.
+   *
+   * @returns {Object<string, number>} Drawn item count per catalog key
+   */
+  getStats() {
+    return Object.fromEntries([...this.drawn].map(([key, indices]) => [key, indices.size]));
+  }
+
+  /**
+   * Serialize the committed draws for the world setting.
+   *
+   * @returns {Object<string, Array<number>>} Drawn item indices per catalog key
+   */
+  toJSON() {
+    return Object.fromEntries([...this.drawn].map(([key, indices]) => [key, [...indices]]));
+  }
+
+  /**
+   * Check whether an item was already drawn (committed or in the current attempt).
+   *
+   * @param {string} catalogKey - Catalog key
+   * @param {Object} item - Catalog item
+   * @returns {boolean} True if the item was drawn
+   * @private
+   */
+  _isDrawn(catalogKey, item) {
+    if (item._index === undefined) {
+      return false;
+    }
+    if (this.drawn.get(catalogKey)?.has(item._index)) {
+      return true;
+    }
+    return this.pending.some(([key, index]) => key === catalogKey && index === item._index);
+  }
+
+  /**
+   * Put all items of an exhausted pool back into the deck.
+   *
+   * @param {string} catalogKey - Catalog key
+   * @param {Array<Object>} items - Items of the exhausted pool
+   * @private
+   */
+  _reshuffle(catalogKey, items) {
+    const indices = this.drawn.get(catalogKey);
+    if (indices) {
+      for (const item of items) {
+        indices.delete(item._index);
+      }
+      this.dirty = true;
+    }
+    logInfo(`Deck exhausted for ${this.packageCode}/${catalogKey}, reshuffling ${items.length} items`);
+  }
+}
+
+/**
+ * Deck Manager
+ * Loads, caches and persists the decks of all packages.
+ * Singleton pattern - only one instance exists per session
+ */
+export class DeckManager {
+  /**
+   * Get the singleton instance
+   * @returns {DeckManager} The singleton instance
+   */
+  static getInstance() {
+    if (!instance) {
+      instance = new DeckManager();
+    }
+    return instance;
+  }
+
+  /**
+   * Private constructor (use getInstance instead)
+   */
+  constructor() {
+    if (instance) {
+      throw new Error("DeckManager is a singleton. Use DeckManager.getInstance() instead.");
+    }
+
+    /** @type {Map<string, NameDeck>} Loaded decks by package code */
+    this.decks = new Map();
+  }
+
+  /**
+   * Get the deck of a package, loading it from the world setting on first use.
+   *
+   * @param {string} packageCode - Package code (e.g., "human-de")
+   * @param {string|null} [fileVersion=null] - Current package fileVersion
+   * @returns {NameDeck} Deck of the package
+   */
+  getDeck(packageCode, fileVersion = null) {
+    let deck = this.decks.get(packageCode);
+
+    if (!deck || deck.fileVersion !== fileVersion) {
+      const stored = readStoredDecks()[packageCode];
+      const usable = stored && stored.fileVersion === fileVersion;
+      if (stored && !usable) {
+        logInfo(`Package ${packageCode} changed (fileVersion ${stored.fileVersion} -> ${fileVersion}), starting a new deck`);
+      }
+      deck = new NameDeck(packageCode, fileVersion, usable ? stored.drawn : {});
+      this.decks.set(packageCode, deck);
+    }
+
+    return deck;
+  }
+
+  /**
+   * Persist a changed deck to the world setting (GM only; players keep it for the session).
+   *
+   * @async
+   * @param {string} packageCode - Package code
+   * @returns {Promise<void>}
+   */
+  async save(packageCode) {
+    const deck = this.decks.get(packageCode);
+    if (!deck?.dirty) {
+      return;
+    }
+
+    if (!game.user?.isGM) {
+      logDebug(`Deck for ${packageCode} kept for this session only (world settings require a GM)`);
+      return;
+    }
+
+    const stored = readStoredDecks();
+    stored[packageCode] = { fileVersion: deck.fileVersion, drawn: deck.toJSON() };
+    deck.dirty = false;
+    await game.settings.set(MODULE_ID, SETTING_KEY, stored);
+  }
+
+  /**
+   * Reset decks so every name can be drawn again (GM only).
+   *
+   * @async
+   * @param {string|null} [packageCode=null] - Package to reset, or null for all packages
+   * @returns {Promise<boolean>} True if the decks were reset
+   */
+  async reset(packageCode = null) {
+    if (!game.user?.isGM) {
+      return false;
+    }
+
+    const stored = readStoredDecks();
+    if (packageCode) {
+      this.decks.delete(packageCode);
+      delete stored[packageCode];
+    } else {
+      this.decks.clear();
+    }
+
+    await game.settings.set(MODULE_ID, SETTING_KEY, packageCode ? stored : {});
+    logInfo(`Reset name deck${packageCode ? ` for ${packageCode}` : 's of all packages'}`);
+    return true;
+  }
+
+  /**
+   * Drop the loaded decks, e.g. after the world setting changed on another client.
+   */
+  clearCache() {
+    this.decks.clear();
+  }
+}
+
+/**
+ * Read the stored decks from the world setting.
+ * Returns an empty object if settings are not available (e.g. before init).
+ *
+ * @returns {Object} Stored decks by package code (a copy that can be modified)
+ * @private
+ */
+function readStoredDecks() {
+  try {
+    return { ...(game.settings.get(MODULE_ID, SETTING_KEY) || {}) };
+  } catch (error) {
+    return {};
+  }
+}
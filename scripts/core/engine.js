@@ -3,16 +3,42 @@
  * Provides unified generation API following the v4.0 specification
  */
 
-import { addItemIndices } from './selector.js';
-import { executePattern, applyTransforms, validatePatternCatalogs } from './composer.js';
-import { getLocalizedText } from '../utils/grammar.js';
+import { addItemIndices, seededRandom } from './selector.js';
+import { executePattern, applyTransforms, validatePatternCatalogs, createPatternCompiler } from './composer.js';
+import { getLocalizedText, getLocaleChain } from '../utils/grammar.js';
 import { logDebug, logInfo, logWarn, logError } from '../utils/logger.js';
 import { createNominaError, ErrorType, isStructuralError } from '../utils/error-helper.js';
 import { validateSeed } from '../utils/api-input-validator.js';
 import { CatalogFilterCache } from './catalog-filter-cache.js';
+import { resolveConstraints, checkConstraints } from './output-constraints.js';
+import { findBlockedEntry } from './blocklist.js';
+import { hasRegisteredTransforms } from './transform-registry.js';
+import { hasRegisteredScripts } from './script-registry.js';
+import { buildPronunciation } from './pronunciation.js';
+import { composeMeaning } from './meaning.js';
+import { estimateRecipeVariety, enumerateChoicePaths, createChoiceCursor } from './variety.js';
+import { encodeReplayToken, decodeReplayToken, createRandomSeed, DYNAMIC_RECIPE_PREFIX } from './replay-token.js';
 import { isNullOrUndefined } from '../utils/null-checks.js';
 import { logAndThrow, validateRequired, assert } from '../utils/error-handler.js';
 
+/** Name spaces up to this size can be enumerated completely */
+const ENUMERATION_LIMIT = 1000;
+
+/** Enumerate when the name space is at most this many times the requested count */
+const ENUMERATION_RATIO = 4;
+
+/** Cached variety estimates per package (oldest are dropped first) */
+const VARIETY_CACHE_LIMIT = 50;
+
+/** Batches of at least this many names are sent to the generation worker (if attached) */
+const WORKER_MIN_BATCH = 10;
+
+/** Streams generate in chunks of this size (the generate() maximum) */
+const STREAM_CHUNK_SIZE = 100;
+
+/** Streams end after this many chunks in a row without a new unique result */
+const STREAM_MAX_STALE_CHUNKS = 3;
+
 /**
  * Generation Engine
  * Core engine for name generation following the JSON Format 4.0 specification.
@@ -34,6 +60,63 @@ export class Engine {
 
     /** @type {CatalogFilterCache} Cache for catalog filtering results to improve performance */
     this.filterCache = new CatalogFilterCache(100);
+
+    /** @type {WeakMap<Object, PatternCompiler>} Pattern compiler per loaded package (dropped on reload) */
+    this.compilers = new WeakMap();
+
+    /** @type {WeakMap<Object, Map<string, Object>>} Variety estimates of generate() per loaded package (dropped on reload) */
+    this.varietyEstimates = new WeakMap();
+
+    /** @type {GenerationWorkerClient|null} Worker for bulk generation (see generation-worker-client.js) */
+    this.workerClient = null;
+
+    /** @type {Object<string, string[]>} Locale fallbacks from index.json (`locales.fallbacks`) */
+    this.localeFallbacks = {};
+  }
+
+  /**
+   * Set the locale fallbacks used to resolve texts missing in the requested locale.
+   *
+   * @param {Object<string, string|string[]>} fallbacks - Fallback locales per locale
+   * @example
+   * engine.setLocaleFallbacks({ en: ['de'], de: ['en'] });
+   */
+  setLocaleFallbacks(fallbacks) {
+    this.localeFallbacks = fallbacks && typeof fallbacks === 'object' ? fallbacks : {};
+  }
+
+  /**
+   * Get the locale chain for texts of a package: the requested locale, its configured
+   * fallbacks and the package default locale (`package.languages[0]`).
+   *
+   * @param {Object} pkg - Loaded package data
+   * @param {string} locale - Requested locale
+   * @returns {string[]} Locales in resolution order
+   */
+  getLocaleChain(pkg, locale) {
+    return getLocaleChain(locale, this.localeFallbacks, pkg.package.languages?.[0] || null);
+  }
+
+  /**
+   * Attach a generation worker; large batches of generate() run in it from now on.
+   *
+   * @param {GenerationWorkerClient} workerClient - Worker client
+   * @example
+   * engine.attachWorker(new GenerationWorkerClient());
+   */
+  attachWorker(workerClient) {
+    this.detachWorker();
+    this.workerClient = workerClient;
+  }
+
+  /**
+   * Stop and detach the generation worker; all generation runs on the main thread again.
+   */
+  detachWorker() {
+    if (this.workerClient) {
+      this.workerClient.terminate();
+      this.workerClient = null;
+    }
   }
 
   /**
@@ -110,6 +193,13 @@ export class Engine {
    * Unified generation function - main API entry point.
    * Generates one or more name suggestions using specified recipes.
    * Handles retries for uniqueness and error recovery.
+   * Blocklisted results (see blocklist.js) are silently rerolled.
+   * Without duplicates, small name spaces (see estimateVariety) are enumerated completely and
+   * shuffled with the seed, so every unique result is returned deterministically.
+   * With a deck (see deck-manager.js), catalog items are drawn without replacement across calls.
+   * Batches of 10 or more names run in the generation worker if one is attached (same seeded
+   * output); without a worker, in deck mode, while transforms or scripts are registered (see
+   * transform-registry.js and script-registry.js) or if the worker fails they run on the main thread.
    *
    * @async
    * @param {string} packageCode - Package code to use (e.g., "human-de")
@@ -117,17 +207,24 @@ export class Engine {
    * @param {number} [options.n=1] - Number of suggestions to generate (1-100)
    * @param {string} [options.locale='en'] - Target locale for text output
    * @param {string[]} [options.recipes=[]] - Array of recipe IDs to use
-   * @param {string|null} [options.seed=null] - Optional seed for deterministic generation
+   * @param {string|null} [options.seed=null] - Optional seed for deterministic generation (a random seed is used if omitted)
    * @param {string} [options.distinctBy='text'] - Field to use for duplicate detection
    * @param {boolean} [options.allowDuplicates=false] - Allow duplicate results
    * @param {Object} [options.filters={}] - Runtime filters per catalog key (e.g., {names: {tags: ["female"]}})
    * @param {Object} [options.components={}] - Optional component flags (e.g., {useTitle: true})
+   * @param {NameDeck|null} [options.deck=null] - Deck of the package; drawn items are committed for accepted results only
+   * @param {boolean} [options.worker=true] - Allow running the batch in the attached generation worker
+   * @param {boolean} [options.includePronunciation=true] - Build pronunciation guides (null otherwise)
    * @returns {Promise<Object>} Generation response with suggestions, metadata, and optional errors
-   * @returns {Array<Object>} return.suggestions - Array of generated suggestions
+   * @returns {Array<Object>} return.suggestions - Array of generated suggestions (each with a replayToken, except in deck mode)
    * @returns {Object} return.metadata - Metadata about the generation result
    * @returns {number} return.metadata.requested - Number of names requested
    * @returns {number} return.metadata.generated - Number of names actually generated
    * @returns {boolean} return.metadata.complete - Whether all requested names were generated
+   * @returns {Object} return.metadata.rejected - Results rejected by output.constraints ({ total, reasons: { constraint: count } })
+   * @returns {Object|null} return.metadata.variety - Estimated name space ({ count, approximate }), null if not estimated
+   * @returns {boolean} return.metadata.enumerated - Whether the name space was enumerated instead of sampled
+   * @returns {boolean} return.metadata.exhausted - Whether every unique result was returned and fewer than n exist
    * @returns {Array<Object>} [return.errors] - Array of errors if any occurred
    * @throws {Error} If no recipes specified or n is out of range
    * @example
@@ -151,7 +248,10 @@ export class Engine {
       distinctBy = 'text',
       allowDuplicates = false,
       filters = {},
-      components = {}
+      components = {},
+      deck = null,
+      worker = true,
+      includePronunciation = true
     } = options;
 
     // Validate inputs
@@ -162,7 +262,8 @@ export class Engine {
     // Validate seed parameter
     const seedValidation = validateSeed(seed);
     assert(seedValidation.isValid, `Invalid seed: ${seedValidation.error}`);
-    const normalizedSeed = seedValidation.normalized;
+    // Without an explicit seed a random one is used, so every result carries a replayable sub-seed
+    const normalizedSeed = seedValidation.normalized || createRandomSeed();
 
     // Get package
     const pkg = this.getPackage(packageCode);
@@ -175,7 +276,18 @@ export class Engine {
 
     // Validate locale
     if (!pkg.package.languages.includes(locale)) {
-      logWarn(`Locale ${locale} not in package languages, using fallback`);
+      logWarn(`Locale ${locale} not in package languages, using fallback chain ${this.getLocaleChain(pkg, locale).join(' > ')}`);
+    }
+
+    // Large batches run off the main thread; the deck and registered transforms and scripts live on the
+    // main thread, so deck mode and generation with registered transforms or scripts stay here
+    if (worker && !deck && n >= WORKER_MIN_BATCH && !hasRegisteredTransforms() && !hasRegisteredScripts() &&
+      this.workerClient?.isAvailable()) {
+      try {
+        return await this.workerClient.generate(this, packageCode, { ...options, locale, seed: normalizedSeed });
+      } catch (error) {
+        logWarn(`Generation worker failed, generating on the main thread: ${error.message}`);
+      }
     }
 
     // Generate suggestions
@@ -193,7 +305,20 @@ export class Engine {
     let duplicateCount = 0;
     const duplicateThreshold = n * 0.5; // Switch to batch if 50% of attempts are duplicates
 
-    while (suggestions.length < n && attempts < maxAttempts) {
+    // Results rejected by output.constraints, counted per violated constraint
+    const rejected = { total: 0, reasons: {} };
+
+    // Small name spaces are enumerated completely and shuffled instead of sampled (not in deck mode,
+    // where the deck decides which items are left)
+    const variety = allowDuplicates ? null : this._estimateForGeneration(packageCode, recipes, filters, components, locale);
+    const enumerated = !deck && variety && variety.total <= ENUMERATION_LIMIT && variety.total <= n * ENUMERATION_RATIO
+      ? this._enumerateUnique(pkg, recipes, locale, normalizedSeed, filters, components, rejected, includePronunciation)
+      : null;
+    if (enumerated) {
+      suggestions.push(...enumerated.slice(0, n));
+    }
+
+    while (!enumerated && suggestions.length < n && attempts < maxAttempts) {
       try {
         // Select recipe (cycle through if multiple)
         const recipeId = recipes[suggestions.length % recipes.length];
@@ -201,8 +326,24 @@ export class Engine {
         // Generate sub-seed
         const genSeed = normalizedSeed ? `${normalizedSeed}:${attempts}` : null;
 
-        // Generate single result
-        const result = this.generateOne(pkg, recipeId, locale, genSeed, filters, components);
+        // Generate single result (deck draws of a previous, rejected attempt are dropped first)
+        deck?.discard();
+        const result = this.generateOne(pkg, recipeId, locale, genSeed, filters, components, {}, null, deck, includePronunciation);
+
+        // Silently reroll blocklisted results (counts against maxAttempts, not reported)
+        if (this._isBlocklisted(pkg, result.text, locale)) {
+          attempts++;
+          continue;
+        }
+
+        // Reject results that violate output constraints (counts against maxAttempts)
+        const violation = this._checkOutputConstraints(pkg, recipeId, result.text);
+        if (violation) {
+          rejected.total++;
+          rejected.reasons[violation] = (rejected.reasons[violation] || 0) + 1;
+          attempts++;
+          continue;
+        }
 
         // Check for duplicates if needed
         if (!allowDuplicates && seenTexts.has(result.text)) {
@@ -213,7 +354,7 @@ export class Engine {
           // Only for larger n where batch generation is beneficial
           if (duplicateCount >= duplicateThreshold && n > 5) {
             logInfo(`High duplicate rate detected (${duplicateCount}/${attempts}), switching to batch generation`);
-            const batchResult = await this.generateBatchUnique(packageCode, { ...options, seed: normalizedSeed }, suggestions, seenTexts);
+            const batchResult = await this.generateBatchUnique(packageCode, { ...options, seed: normalizedSeed }, suggestions, seenTexts, rejected);
             suggestions.push(...batchResult.suggestions);
             break; // Exit while loop since batch generation completed the request
           }
@@ -222,6 +363,7 @@ export class Engine {
 
         seenTexts.add(result.text);
         suggestions.push(result);
+        deck?.commit();
 
         // Reset error counter on success
         consecutiveErrors = 0;
@@ -280,7 +422,10 @@ export class Engine {
         const firstError = errors[0];
         throw new Error(firstError.message);
       }
-      throw createNominaError(ErrorType.GENERATION_FAILED, {});
+      throw createNominaError(ErrorType.GENERATION_FAILED, {
+        rejected: rejected.total,
+        reasons: Object.keys(rejected.reasons).join(', ')
+      });
     }
 
     if (suggestions.length < n) {
@@ -291,7 +436,11 @@ export class Engine {
     const metadata = {
       requested: n,
       generated: suggestions.length,
-      complete: suggestions.length >= n
+      complete: suggestions.length >= n,
+      rejected,
+      variety: variety ? { count: variety.total, approximate: variety.approximate } : null,
+      enumerated: Boolean(enumerated),
+      exhausted: Boolean(enumerated) && suggestions.length < n
     };
 
     return {
@@ -301,6 +450,109 @@ export class Engine {
     };
   }
 
+  /**
+   * Stream generation - generates any number of suggestions in chunks.
+   * Each chunk is a generate() call with its own sub-seed, so large batches are not capped
+   * at 100 and the caller receives results while the rest is still being generated.
+   * Without duplicates, results are unique across the whole stream; the stream ends early
+   * once the name space is exhausted (no new results for several chunks).
+   *
+   * @async
+   * @generator
+   * @param {string} packageCode - Package code to use (e.g., "human-de")
+   * @param {Object} [options={}] - Generation options (same as generate(), n is not capped)
+   * @param {number} [options.n=1] - Number of suggestions to generate
+   * @param {AbortSignal|null} [options.signal=null] - Stops the stream (rejects with the abort reason)
+   * @param {Function|null} [options.onProgress=null] - Called after each chunk with { generated, requested, done }
+   * @yields {Object} Suggestion (as in generate() results)
+   * @throws {Error} If the stream is aborted or the first chunk fails
+   * @example
+   * for await (const suggestion of engine.generateStream('human-de', { n: 1000, recipes: ['full_name'] })) {
+   *   console.log(suggestion.text);
+   * }
+   */
+  async *generateStream(packageCode, options = {}) {
+    const {
+      n = 1,
+      seed = null,
+      distinctBy = 'text',
+      allowDuplicates = false,
+      signal = null,
+      onProgress = null,
+      ...generateOptions
+    } = options;
+
+    assert(Number.isInteger(n) && n > 0, 'n must be a positive integer');
+
+    const seedValidation = validateSeed(seed);
+    assert(seedValidation.isValid, `Invalid seed: ${seedValidation.error}`);
+    const normalizedSeed = seedValidation.normalized || createRandomSeed();
+
+    const seen = new Set();
+    let generated = 0;
+    let chunk = 0;
+    let staleChunks = 0;
+
+    const report = (done) => {
+      if (onProgress) {
+        onProgress({ generated, requested: n, done });
+      }
+    };
+
+    while (generated < n && staleChunks < STREAM_MAX_STALE_CHUNKS) {
+      signal?.throwIfAborted();
+
+      let result;
+      try {
+        result = await this.generate(packageCode, {
+          ...generateOptions,
+          n: Math.min(STREAM_CHUNK_SIZE, n - generated),
+          seed: `${normalizedSeed}:stream:${chunk}`,
+          distinctBy,
+          allowDuplicates
+        });
+      } catch (error) {
+        // Later chunks only fail when nothing new can be generated anymore
+        if (generated === 0) {
+          throw error;
+        }
+        logWarn(`Stream chunk ${chunk} failed, ending stream: ${error.message}`);
+        break;
+      }
+      chunk++;
+
+      let added = 0;
+      for (const suggestion of result.suggestions) {
+        const key = suggestion[distinctBy] ?? suggestion.text;
+        if (!allowDuplicates && seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+        generated++;
+        added++;
+        yield suggestion;
+
+        signal?.throwIfAborted();
+        if (generated >= n) {
+          break;
+        }
+      }
+
+      report(false);
+
+      // An enumerated chunk already contained every unique result
+      if (result.metadata.exhausted) {
+        break;
+      }
+      staleChunks = added > 0 ? 0 : staleChunks + 1;
+    }
+
+    if (generated < n) {
+      logWarn(`Stream ended after ${generated}/${n} suggestions`);
+    }
+    report(true);
+  }
+
   /**
    * Generate unique names using batch strategy for large n with high duplicate rates.
    * This method generates a larger batch upfront and filters for uniqueness, which is more
@@ -311,12 +563,13 @@ export class Engine {
    * @param {Object} options - Original generation options
    * @param {Array} existingSuggestions - Already generated suggestions
    * @param {Set} seenTexts - Set of already seen text values
+   * @param {Object} [rejected] - Rejection counters ({ total, reasons }) updated for constraint violations
    * @returns {Promise<Object>} Generation result with suggestions array
    * @returns {Array<Object>} return.suggestions - Newly generated unique suggestions
    * @private
    */
-  async generateBatchUnique(packageCode, options, existingSuggestions, seenTexts) {
-    const { n, filters = {}, components = {} } = options;
+  async generateBatchUnique(packageCode, options, existingSuggestions, seenTexts, rejected = { total: 0, reasons: {} }) {
+    const { n, filters = {}, components = {}, deck = null } = options;
     const needed = n - existingSuggestions.length;
 
     // Generate a larger batch to increase probability of getting enough unique results
@@ -340,12 +593,26 @@ export class Engine {
         const recipeId = options.recipes[i % options.recipes.length];
         const genSeed = options.seed ? `${options.seed}:batch:${i}` : null;
 
-        const result = this.generateOne(pkg, recipeId, options.locale, genSeed, filters, components);
+        deck?.discard();
+        const result = this.generateOne(pkg, recipeId, options.locale, genSeed, filters, components, {}, null, deck,
+          options.includePronunciation !== false);
+
+        if (this._isBlocklisted(pkg, result.text, options.locale)) {
+          continue;
+        }
+
+        const violation = this._checkOutputConstraints(pkg, recipeId, result.text);
+        if (violation) {
+          rejected.total++;
+          rejected.reasons[violation] = (rejected.reasons[violation] || 0) + 1;
+          continue;
+        }
 
         // Only add if unique
         if (!seenTexts.has(result.text)) {
           seenTexts.add(result.text);
           suggestions.push(result);
+          deck?.commit();
 
           // Stop if we have enough
           if (suggestions.length >= needed) {
@@ -379,15 +646,25 @@ export class Engine {
    * @param {string|null} seed - Random seed for deterministic generation
    * @param {Object} [filters={}] - Runtime filters per catalog key
    * @param {Object} [components={}] - Optional component flags for conditional blocks
+   * @param {Object<string, number>} [rerolls={}] - Reroll counters per alias (see rerollPart)
+   * @param {Object|null} [cursor=null] - Choice cursor replacing all random decisions (see variety.js)
+   * @param {NameDeck|null} [deck=null] - Deck for sampling without replacement (see deck-manager.js)
+   * @param {boolean} [includePronunciation=true] - Build the pronunciation guide (skipped for plain name lists)
    * @returns {Object} Generation result
    * @returns {string} return.text - Generated name text
    * @returns {string} return.recipe - Recipe ID used
    * @returns {string} [return.seed] - Seed used (if provided)
    * @returns {Object} return.parts - Named parts from pattern execution
    * @returns {string[]} [return.tags] - Aggregated tags from all parts
+   * @returns {string} return.locale - Locale the text came from (a fallback locale if any text was missing in `locale`)
+   * @returns {string|null} return.pronunciation - Pronunciation guide after the package's phoneticLanguage (see pronunciation.js),
+   *   null without includePronunciation
+   * @returns {string|null} return.meaning - Combined meaning of the parts with a `meaning` (see meaning.js)
+   * @returns {string|undefined} return.replayToken - Token for replay()/rerollPart() (only if seeded and without deck:
+   *   the deck narrows the pools, which a replay cannot reproduce)
    * @throws {Error} If recipe not found or pattern execution fails
    */
-  generateOne(pkg, recipeId, locale, seed, filters = {}, components = {}) {
+  generateOne(pkg, recipeId, locale, seed, filters = {}, components = {}, rerolls = {}, cursor = null, deck = null, includePronunciation = true) {
     // Find recipe
     const recipe = this.findRecipe(pkg, recipeId);
     if (!recipe) {
@@ -406,9 +683,11 @@ export class Engine {
       // Select random pattern from oneOf
       const options = recipe.oneOf;
 
-      // Use seed for deterministic selection if provided
+      // Use cursor or seed for deterministic selection if provided
       let selectedIndex;
-      if (seed) {
+      if (cursor) {
+        selectedIndex = cursor.pick(options.length);
+      } else if (seed) {
         selectedIndex = Math.abs(_hashCode(seed)) % options.length;
       } else {
         selectedIndex = Math.floor(Math.random() * options.length);
@@ -420,7 +699,12 @@ export class Engine {
         pattern = selected.pattern;
       } else if (selected.ref) {
         // Reference to another recipe
-        return this.generateOne(pkg, selected.ref, locale, seed, filters, components);
+        const result = this.generateOne(pkg, selected.ref, locale, seed, filters, components, rerolls, cursor, deck, includePronunciation);
+        if (cursor && seed) {
+          // The choice path starts at this recipe's option, so replay from here
+          result.replayToken = this._createReplayToken(pkg, recipe, seed, locale, filters, components, rerolls, cursor);
+        }
+        return result;
       } else {
         throw new Error('Invalid oneOf entry: must have pattern or ref');
       }
@@ -428,36 +712,61 @@ export class Engine {
       throw new Error('Recipe must have pattern or oneOf');
     }
 
+    // Locales used for texts missing in the requested locale (also from nested recipes)
+    const usedFallbacks = new Set();
+    // Given pronunciation guides and meanings of parts (item `pron` and `meaning`);
+    // nested names keep the guide of their package and bring their combined meaning
+    const pronunciations = [];
+    const meanings = [];
+    const recordLocale = (result) => {
+      if (result.locale !== locale) {
+        usedFallbacks.add(result.locale);
+      }
+      pronunciations.push({ text: result.text, guide: result.pronunciation });
+      meanings.push({ text: result.text, meaning: result.meaning });
+      return result.text;
+    };
+
     // Prepare context for generator support and cross-package references
     const context = {
       recipes: pkg.recipes || [],
       collections: pkg.collections || [],
+      rerolls,
+      cursor,
+      deck,
+      filterCache: this.filterCache,
+      fallbackLocales: this.getLocaleChain(pkg, locale).slice(1),
+      usedFallbacks,
+      pronunciations,
+      meanings,
       executeRecipe: (recipeId, recipLocale, recipeSeed, params) => {
+        if (recipeId.includes(':')) {
+          // Execute a recipe of another package; runtime filters and the deck belong to this package
+          const [packageCode, remoteRecipeId] = recipeId.split(':', 2);
+          const result = this.generateOne(this.getPackage(packageCode), remoteRecipeId, recipLocale, recipeSeed, {}, components, {}, cursor,
+            null, includePronunciation);
+          return recordLocale(result);
+        }
         // Execute another recipe within this package
-        const result = this.generateOne(pkg, recipeId, recipLocale, recipeSeed, filters, components);
-        return result.text;
+        const result = this.generateOne(pkg, recipeId, recipLocale, recipeSeed, filters, components, {}, cursor, deck, includePronunciation);
+        return recordLocale(result);
       },
-      getPackageCatalog: (packageCode, catalogKey) => {
-        // Get catalog from another package
-        const targetPkg = this.getPackage(packageCode);
-        if (!targetPkg) {
-          throw createNominaError(ErrorType.PACKAGE_NOT_FOUND, {
-            species: packageCode,
-            language: 'unknown'
-          });
-        }
-        const catalog = targetPkg.catalogs[catalogKey];
-        if (!catalog) {
-          throw createNominaError(ErrorType.CATALOG_NOT_FOUND, {
-            catalog: `${packageCode}:${catalogKey}`
-          });
-        }
-        return catalog;
-      }
+      getPackageCatalog: (packageCode, catalogKey) => this._getPackageCatalog(packageCode, catalogKey),
+      getPackageRecipe: (packageCode, recipeId) => this._getPackageRecipe(packageCode, recipeId)
     };
 
-    // Validate pattern catalogs before execution
-    const validation = validatePatternCatalogs(pattern, pkg.catalogs);
+    // Validate pattern catalogs and recipe references before execution
+    const validation = validatePatternCatalogs(pattern, pkg.catalogs, {
+      recipes: context.recipes,
+      getPackageCatalog: context.getPackageCatalog,
+      getPackageRecipe: context.getPackageRecipe
+    });
+    if (validation.missingRecipes.length > 0) {
+      logError(`Recipe '${recipeId}' references missing recipes: ${validation.missingRecipes.join(', ')}`);
+      throw createNominaError(ErrorType.RECIPE_NOT_FOUND, {
+        recipe: validation.missingRecipes.join(', ')
+      });
+    }
     if (!validation.valid) {
       const errorMsg = `Recipe '${recipeId}' references missing required catalogs: ${validation.missingRequired.join(', ')}. ` +
         `Available catalogs: ${Object.keys(pkg.catalogs || {}).join(', ') || '(none)'}`;
@@ -481,13 +790,13 @@ export class Engine {
       context
     );
 
-    // Apply transforms
-    const transforms = [
+    // Apply transforms (parameters are checked once by the compiler)
+    const transforms = this._getCompiler(pkg).compileTransforms([
       ...(pkg.output?.transforms || []),
       ...(recipe.post || [])
-    ];
+    ]);
 
-    const finalText = applyTransforms(rawText, transforms);
+    const finalText = applyTransforms(rawText, transforms, { locale, parts });
 
     // Extract tags from parts for convenience
     const tags = [];
@@ -502,10 +811,434 @@ export class Engine {
       recipe: recipeId,
       seed: seed || undefined,
       parts,
-      tags: tags.length > 0 ? [...new Set(tags)] : undefined // Remove duplicates
+      tags: tags.length > 0 ? [...new Set(tags)] : undefined, // Remove duplicates
+      locale: usedFallbacks.size > 0 ? [...usedFallbacks][0] : locale,
+      pronunciation: includePronunciation
+        ? buildPronunciation(finalText, pkg.package.phoneticLanguage || pkg.package.languages?.[0], pronunciations)
+        : null,
+      meaning: composeMeaning(finalText, meanings),
+      replayToken: seed && !deck
+        ? this._createReplayToken(pkg, recipe, seed, locale, filters, components, rerolls, cursor)
+        : undefined
+    };
+  }
+
+  /**
+   * Encode the replay token for a generated result.
+   *
+   * @param {Object} pkg - Loaded package data
+   * @param {Object} recipe - Executed recipe
+   * @param {string} seed - Sub-seed of the result
+   * @param {string} locale - Locale of the result
+   * @param {Object} filters - Runtime filters per catalog key
+   * @param {Object} components - Component flags
+   * @param {Object<string, number>} rerolls - Reroll counters per alias
+   * @param {Object|null} cursor - Choice cursor (enumerated results)
+   * @returns {string} Replay token
+   * @private
+   */
+  _createReplayToken(pkg, recipe, seed, locale, filters, components, rerolls, cursor) {
+    return encodeReplayToken({
+      packageCode: pkg.package.code,
+      fileVersion: pkg.fileVersion,
+      recipeId: recipe.id,
+      seed,
+      locale,
+      filters,
+      components,
+      rerolls,
+      choices: cursor ? [...cursor.used] : null,
+      // Recipes with an origin are rebuilt from it (see Generator#replay) instead of being embedded
+      recipe: recipe.id.startsWith(DYNAMIC_RECIPE_PREFIX) && !recipe.origin ? recipe : null,
+      origin: recipe.id.startsWith(DYNAMIC_RECIPE_PREFIX) ? recipe.origin || null : null
+    });
+  }
+
+  /**
+   * Get a catalog from another loaded package (cross-package references).
+   *
+   * @param {string} packageCode - Package code
+   * @param {string} catalogKey - Catalog key within that package
+   * @returns {Object} Catalog object
+   * @throws {NominaError} If the package or catalog does not exist
+   * @private
+   */
+  _getPackageCatalog(packageCode, catalogKey) {
+    const targetPkg = this.getPackage(packageCode);
+    if (!targetPkg) {
+      throw createNominaError(ErrorType.PACKAGE_NOT_FOUND, {
+        species: packageCode,
+        language: 'unknown'
+      });
+    }
+    const catalog = targetPkg.catalogs[catalogKey];
+    if (!catalog) {
+      throw createNominaError(ErrorType.CATALOG_NOT_FOUND, {
+        catalog: `${packageCode}:${catalogKey}`
+      });
+    }
+    return catalog;
+  }
+
+  /**
+   * Get a recipe from another loaded package (cross-package GENERATE blocks).
+   *
+   * @param {string} packageCode - Package code
+   * @param {string} recipeId - Recipe ID within that package
+   * @returns {Object} Recipe object
+   * @throws {NominaError} If the package or recipe does not exist
+   * @private
+   */
+  _getPackageRecipe(packageCode, recipeId) {
+    const targetPkg = this.getPackage(packageCode);
+    if (!targetPkg) {
+      throw createNominaError(ErrorType.PACKAGE_NOT_FOUND, {
+        species: packageCode,
+        language: 'unknown'
+      });
+    }
+    const recipe = this.findRecipe(targetPkg, recipeId);
+    if (!recipe) {
+      throw createNominaError(ErrorType.RECIPE_NOT_FOUND, {
+        recipe: `${packageCode}:${recipeId}`
+      });
+    }
+    return recipe;
+  }
+
+  /**
+   * Regenerate a result exactly from its replay token.
+   * If the package fileVersion changed since the token was created, the result
+   * may differ; this is reported via versionMismatch.
+   *
+   * @param {string} token - Replay token from a previous suggestion
+   * @returns {Object} Generation result (same format as generateOne) plus versionMismatch flag
+   * @throws {NominaError} If the token is invalid or the package/recipe is not available
+   * @example
+   * const again = engine.replay(result.suggestions[0].replayToken);
+   */
+  replay(token) {
+    const data = decodeReplayToken(token);
+    const pkg = this._resolveReplayPackage(data);
+
+    const cursor = data.choices ? createChoiceCursor(data.choices) : null;
+    const result = this.generateOne(pkg, data.recipeId, data.locale, data.seed, data.filters, data.components, data.rerolls, cursor);
+    result.versionMismatch = data.fileVersion !== (pkg.fileVersion || null);
+    return result;
+  }
+
+  /**
+   * Regenerate a result from its replay token with one aliased part rerolled.
+   * All other blocks keep their seeds, so the rest of the structure stays the same
+   * (parts that agree with the rerolled part may change along with it).
+   *
+   * @param {string} token - Replay token from a previous suggestion
+   * @param {string} alias - Alias of the part to reroll (e.g., "FN", "LN")
+   * @param {Object} [options={}] - Reroll options
+   * @param {number} [options.maxAttempts=10] - Attempts to find a different value for the part
+   * @returns {Object} Generation result with a new replay token
+   * @throws {NominaError} If the token is invalid or the alias does not exist in the result
+   * @example
+   * const withNewSurname = engine.rerollPart(token, 'LN');
+   */
+  rerollPart(token, alias, { maxAttempts = 10 } = {}) {
+    const data = decodeReplayToken(token);
+    const pkg = this._resolveReplayPackage(data);
+
+    // Enumerated results follow their choice path; the rerolled part gets random choices instead
+    const cursor = data.choices ? createChoiceCursor(data.choices) : null;
+    const original = this.generateOne(pkg, data.recipeId, data.locale, data.seed, data.filters, data.components, data.rerolls, cursor);
+    if (!original.parts[alias]) {
+      throw createNominaError(ErrorType.REPLAY_UNKNOWN_PART, {
+        part: alias,
+        available: Object.keys(original.parts).join(', ') || '(none)'
+      });
+    }
+
+    const fallbackLocales = this.getLocaleChain(pkg, data.locale).slice(1);
+    const originalText = getLocalizedText(original.parts[alias].t, data.locale, fallbackLocales);
+    const previous = data.rerolls[alias] || 0;
+    let result = original;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const rerolls = { ...data.rerolls, [alias]: previous + attempt };
+      const [from, to] = cursor?.aliasRanges[alias] || [0, 0];
+      const attemptCursor = cursor
+        ? createChoiceCursor(data.choices, { reroll: { from, to, salt: `${data.seed}:x${rerolls[alias]}` } })
+        : null;
+      result = this.generateOne(pkg, data.recipeId, data.locale, data.seed, data.filters, data.components, rerolls, attemptCursor);
+
+      const part = result.parts[alias];
+      if ((!part || getLocalizedText(part.t, data.locale, fallbackLocales) !== originalText) &&
+          !this._isBlocklisted(pkg, result.text, data.locale)) {
+        return result;
+      }
+    }
+
+    logWarn(`Reroll of part "${alias}" produced no different value after ${maxAttempts} attempts`);
+    return result;
+  }
+
+  /**
+   * Get the package for replay data and re-register an embedded dynamic recipe if needed.
+   *
+   * @param {Object} data - Decoded replay data
+   * @returns {Object} Loaded package
+   * @throws {NominaError} If the package is not loaded
+   * @private
+   */
+  _resolveReplayPackage(data) {
+    const pkg = this.getPackage(data.packageCode);
+    if (!pkg) {
+      throw createNominaError(ErrorType.PACKAGE_NOT_FOUND, {
+        species: data.packageCode,
+        language: data.locale
+      });
+    }
+
+    if ((pkg.fileVersion || null) !== data.fileVersion) {
+      logWarn(`Replay token was created with ${data.packageCode} version ${data.fileVersion}, loaded version is ${pkg.fileVersion || 'unknown'}`);
+    }
+
+    if (data.recipe && !this.findRecipe(pkg, data.recipeId)) {
+      pkg.recipes = [...(pkg.recipes || []), data.recipe];
+      pkg.recipeMap.set(data.recipeId, data.recipe);
+      logDebug(`Restored dynamic recipe from replay token: ${data.recipeId}`);
+    }
+
+    return pkg;
+  }
+
+  /**
+   * Estimate how many distinct results recipes can produce.
+   * Counts catalog items left after `where` and runtime filters, multiplied across blocks,
+   * minus distinctness. Identical texts from different combinations and rejected results
+   * (output constraints, blocklist) are not subtracted.
+   *
+   * @param {string} packageCode - Package code (e.g., "human-de")
+   * @param {Object} [options={}] - Estimation options
+   * @param {string[]} [options.recipes=[]] - Recipe IDs (all recipes of the package if empty)
+   * @param {Object} [options.filters={}] - Runtime filters per catalog key
+   * @param {Object} [options.components={}] - Component flags for optional blocks
+   * @param {string|null} [options.locale=null] - Locale of text criteria in filters (first available text if null)
+   * @returns {Object} Estimate
+   * @returns {number} return.total - Sum over all recipes (Infinity for unbounded sources like markov)
+   * @returns {boolean} return.approximate - Whether any count is only an upper bound
+   * @returns {Object<string, {count: number, approximate: boolean}>} return.recipes - Estimate per recipe
+   * @throws {NominaError} If the package, a recipe or a required catalog does not exist
+   * @example
+   * engine.estimateVariety('dwarf-en', { recipes: ['brewery'] });
+   * // { total: 48, approximate: false, recipes: { brewery: { count: 48, approximate: false } } }
+   */
+  estimateVariety(packageCode, { recipes = [], filters = {}, components = {}, locale = null } = {}) {
+    const pkg = this.getPackage(packageCode);
+    if (!pkg) {
+      throw createNominaError(ErrorType.PACKAGE_NOT_FOUND, {
+        species: packageCode,
+        language: 'unknown'
+      });
+    }
+
+    const env = this._createVarietyEnv(pkg, filters, components, locale);
+    const recipeIds = recipes.length > 0 ? recipes : (pkg.recipes || []).map(recipe => recipe.id);
+    const estimate = { total: 0, approximate: false, recipes: {} };
+
+    for (const recipeId of recipeIds) {
+      const recipeEstimate = estimateRecipeVariety(recipeId, env);
+      estimate.recipes[recipeId] = recipeEstimate;
+      estimate.total += recipeEstimate.count;
+      estimate.approximate = estimate.approximate || recipeEstimate.approximate;
+    }
+
+    return estimate;
+  }
+
+  /**
+   * Estimate the name space for a generate() call; estimation problems are left
+   * to the regular generation path, which reports them properly.
+   * Estimates are cached per package, recipes, filters, components and locale.
+   *
+   * @param {string} packageCode - Package code
+   * @param {string[]} recipes - Requested recipe IDs
+   * @param {Object} filters - Runtime filters per catalog key
+   * @param {Object} components - Component flags
+   * @param {string} locale - Target locale
+   * @returns {Object|null} Estimate from estimateVariety or null if it failed
+   * @private
+   */
+  _estimateForGeneration(packageCode, recipes, filters, components, locale) {
+    const pkg = this.getPackage(packageCode);
+    if (!pkg) {
+      return null;
+    }
+
+    let cache = this.varietyEstimates.get(pkg);
+    if (!cache) {
+      cache = new Map();
+      this.varietyEstimates.set(pkg, cache);
+    }
+
+    const key = JSON.stringify([recipes, filters, components, locale]);
+    if (cache.has(key)) {
+      return cache.get(key);
+    }
+
+    let estimate = null;
+    try {
+      estimate = this.estimateVariety(packageCode, { recipes, filters, components, locale });
+    } catch (error) {
+      logDebug(`Variety estimation skipped: ${error.message}`);
+    }
+
+    if (cache.size >= VARIETY_CACHE_LIMIT) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, estimate);
+    return estimate;
+  }
+
+  /**
+   * Enumerate every decision path of the requested recipes and return the unique results
+   * in a seed-determined order. Blocklisted results and constraint violations are dropped.
+   *
+   * @param {Object} pkg - Loaded package data
+   * @param {string[]} recipeIds - Recipe IDs
+   * @param {string} locale - Target locale
+   * @param {string} seed - Base seed (determines the shuffle order)
+   * @param {Object} filters - Runtime filters per catalog key
+   * @param {Object} components - Component flags
+   * @param {Object} rejected - Rejection counters ({ total, reasons }) updated for constraint violations
+   * @param {boolean} [includePronunciation=true] - Build pronunciation guides
+   * @returns {Array<Object>|null} Shuffled unique results, or null if the space is too large to enumerate
+   * @private
+   */
+  _enumerateUnique(pkg, recipeIds, locale, seed, filters, components, rejected, includePronunciation = true) {
+    const seen = new Set();
+    const results = [];
+
+    for (const recipeId of new Set(recipeIds)) {
+      const paths = enumerateChoicePaths(
+        (cursor) => this.generateOne(pkg, recipeId, locale, `${seed}:enum`, filters, components, {}, cursor, null, includePronunciation),
+        ENUMERATION_LIMIT
+      );
+      if (!paths) {
+        logDebug(`Recipe ${recipeId} has more than ${ENUMERATION_LIMIT} paths, sampling instead`);
+        return null;
+      }
+
+      for (const result of paths) {
+        if (seen.has(result.text)) {
+          continue;
+        }
+        seen.add(result.text);
+
+        if (this._isBlocklisted(pkg, result.text, locale)) {
+          continue;
+        }
+
+        const violation = this._checkOutputConstraints(pkg, recipeId, result.text);
+        if (violation) {
+          rejected.total++;
+          rejected.reasons[violation] = (rejected.reasons[violation] || 0) + 1;
+          continue;
+        }
+
+        results.push(result);
+      }
+    }
+
+    // Fisher-Yates shuffle driven by the seed
+    for (let i = results.length - 1; i > 0; i--) {
+      const j = Math.floor(seededRandom(`${seed}:shuffle:${i}`) * (i + 1));
+      [results[i], results[j]] = [results[j], results[i]];
+    }
+
+    logInfo(`Enumerated name space: ${results.length} unique results`);
+    return results;
+  }
+
+  /**
+   * Create the estimation environment of a package for estimateRecipeVariety.
+   * Cross-package recipes are estimated in their own package, without runtime filters.
+   *
+   * @param {Object} pkg - Loaded package data
+   * @param {Object} filters - Runtime filters per catalog key
+   * @param {Object} components - Component flags
+   * @param {string|null} [locale=null] - Locale of text criteria in filters
+   * @returns {Object} Estimation environment
+   * @private
+   */
+  _createVarietyEnv(pkg, filters, components, locale = null) {
+    const compiler = this._getCompiler(pkg);
+    return {
+      findRecipe: (recipeId) => this.findRecipe(pkg, recipeId),
+      compile: (pattern) => compiler.compile(pattern),
+      resolvePackage: (packageCode) => {
+        const targetPkg = this.getPackage(packageCode);
+        if (!targetPkg) {
+          throw createNominaError(ErrorType.PACKAGE_NOT_FOUND, {
+            species: packageCode,
+            language: 'unknown'
+          });
+        }
+        return this._createVarietyEnv(targetPkg, {}, components, locale);
+      },
+      collections: pkg.collections || [],
+      filters,
+      components,
+      locale
     };
   }
 
+  /**
+   * Get the pattern compiler for a package, creating it on first use.
+   *
+   * @param {Object} pkg - Loaded package data
+   * @returns {PatternCompiler} Compiler with the package's catalogs and cross-package resolution
+   * @private
+   */
+  _getCompiler(pkg) {
+    if (!this.compilers.has(pkg)) {
+      this.compilers.set(pkg, createPatternCompiler(pkg.catalogs, pkg.langRules || {},
+        (packageCode, catalogKey) => this._getPackageCatalog(packageCode, catalogKey),
+        (packageCode, recipeId) => this._getPackageRecipe(packageCode, recipeId)));
+    }
+    return this.compilers.get(pkg);
+  }
+
+  /**
+   * Check a generated text against the package and recipe output constraints.
+   *
+   * @param {Object} pkg - Loaded package data
+   * @param {string} recipeId - Requested recipe ID
+   * @param {string} text - Generated text
+   * @returns {string|null} Name of the violated constraint or null if the text passes
+   * @private
+   */
+  _checkOutputConstraints(pkg, recipeId, text) {
+    const recipe = this.findRecipe(pkg, recipeId);
+    const constraints = resolveConstraints(pkg.output?.constraints, recipe?.output?.constraints);
+    return checkConstraints(text, constraints);
+  }
+
+  /**
+   * Check a generated text against the built-in, world and package blocklists.
+   *
+   * @param {Object} pkg - Loaded package data
+   * @param {string} text - Generated text
+   * @param {string} locale - Locale of the text
+   * @returns {boolean} True if the text must be rerolled
+   * @private
+   */
+  _isBlocklisted(pkg, text, locale) {
+    const match = findBlockedEntry(text, { locale, packageEntries: pkg.output?.blocklist });
+    if (match) {
+      logDebug(`Blocklist filtered a result (matched "${match}"), rerolling`);
+      return true;
+    }
+    return false;
+  }
+
   /**
    * Find a recipe by its ID within a package.
    * Uses map-based O(1) lookup for optimal performance with fallback to array search
@@ -547,7 +1280,7 @@ export class Engine {
 
     return pkg.recipes.map(recipe => ({
       id: recipe.id,
-      displayName: getLocalizedText(recipe.displayName, locale, pkg.package.languages[0])
+      displayName: getLocalizedText(recipe.displayName, locale, this.getLocaleChain(pkg, locale))
     }));
   }
 
@@ -569,7 +1302,7 @@ export class Engine {
 
     return Object.entries(pkg.catalogs).map(([key, catalog]) => ({
       key,
-      displayName: getLocalizedText(catalog.displayName, locale, pkg.package.languages[0])
+      displayName: getLocalizedText(catalog.displayName, locale, this.getLocaleChain(pkg, locale))
     }));
   }
 
@@ -601,11 +1334,13 @@ export class Engine {
     const pkg = this.packages.get(packageCode);
 
     this.packages.delete(packageCode);
+    this.workerClient?.unloadPackage(packageCode);
 
     // Invalidate cached filter results for this package's catalogs
     if (pkg && pkg.catalogs) {
       for (const catalogKey of Object.keys(pkg.catalogs)) {
         this.filterCache.invalidateCatalog(catalogKey);
+        this.filterCache.invalidateCatalog(`${packageCode}:${catalogKey}`);
       }
     }
 
@@ -0,0 +1,173 @@
+/**
+ * Family - Structure and naming conventions of generated families
+ *
+ * A family starts with a founding couple. Every couple has `size` children; the first child is
+ * the heir, marries someone from outside the family and continues the line in the next
+ * generation. The youngest generation has no spouses or children.
+ *
+ * Packages describe how families are named in `langRules[locale].family`:
+ * - `surname`: "inherit" (children inherit the family name, default) or "none" (first names only)
+ * - `clanRecipe`: recipe that builds the family name (e.g. a clan name) instead of a surname
+ *   from the `names` catalog
+ * - `spouses`: "take" (spouses take the family name, default) or "keep" (they keep their own)
+ * - `alliterate`: first names of siblings start with the same letter
+ * - `format`: how first name and family name are combined (default "{firstname} {surname}")
+ *
+ * This module only builds the tree; the generator fills in the names (Generator.generateFamily).
+ *
+ * @module family
+ */
+
+import { seededRandom } from './selector.js';
+
+/** Allowed ranges and defaults of the family options */
+export const FAMILY_LIMITS = {
+  size: { min: 1, max: 8, default: 3 },
+  generations: { min: 2, max: 4, default: 2 }
+};
+
+/** Naming conventions used when a package defines none */
+export const DEFAULT_FAMILY_CONVENTIONS = {
+  surname: 'inherit',
+  clanRecipe: null,
+  spouses: 'take',
+  alliterate: false,
+  format: '{firstname} {surname}'
+};
+
+/** Roles by distance from the youngest generation */
+const ROLES = ['child', 'parent', 'grandparent', 'great-grandparent'];
+
+/**
+ * Get the family naming conventions of a package for a locale.
+ * Unknown values fall back to the defaults.
+ *
+ * @param {Object} langRules - Language rules of the package (by locale)
+ * @param {string} locale - Locale
+ * @returns {Object} Conventions (see DEFAULT_FAMILY_CONVENTIONS)
+ * @example
+ * getFamilyConventions({ en: { family: { alliterate: true } } }, 'en');
+ * // { surname: 'inherit', clanRecipe: null, spouses: 'take', alliterate: true, format: '{firstname} {surname}' }
+ */
+export function getFamilyConventions(langRules, locale) {
+  const rules = langRules?.[locale]?.family || {};
+  return {
+    surname: rules.surname === 'none' ? 'none' : DEFAULT_FAMILY_CONVENTIONS.surname,
+    clanRecipe: typeof rules.clanRecipe === 'string' && rules.clanRecipe ? rules.clanRecipe : null,
+    spouses: rules.spouses === 'keep' ? 'keep' : DEFAULT_FAMILY_CONVENTIONS.spouses,
+    alliterate: rules.alliterate === true,
+    format: typeof rules.format === 'string' && rules.format.includes('{firstname}')
+      ? rules.format
+      : DEFAULT_FAMILY_CONVENTIONS.format
+  };
+}
+
+/**
+ * Build the members of a family tree without names.
+ * Genders are drawn from the seed, couples always consist of a male and a female member.
+ *
+ * @param {Object} options - Tree options
+ * @param {number} options.size - Children per couple
+ * @param {number} options.generations - Number of generations (the founding couple is generation 0)
+ * @param {string} options.seed - Seed for the genders
+ * @returns {{members: Array<Object>, generations: Array<string[]>}} Members
+ *   ({ id, gender, generation, role, parents, spouse, children, marriedIn, heir }) and member IDs by generation
+ */
+export function buildFamilyTree({ size, generations, seed }) {
+  const members = [];
+  const byGeneration = Array.from({ length: generations }, () => []);
+
+  const addMember = (gender, generation, extra = {}) => {
+    const member = {
+      id: `m${members.length + 1}`,
+      gender,
+      generation,
+      role: getFamilyRole(generation, generations),
+      parents: [],
+      spouse: null,
+      children: [],
+      marriedIn: false,
+      heir: false,
+      ...extra
+    };
+    members.push(member);
+    byGeneration[generation].push(member.id);
+    return member;
+  };
+
+  const marry = (member) => {
+    const spouse = addMember(member.gender === 'male' ? 'female' : 'male', member.generation, { marriedIn: true });
+    member.spouse = spouse.id;
+    spouse.spouse = member.id;
+    return spouse;
+  };
+
+  let heir = addMember(randomGender(seed, 'founder'), 0, { heir: true });
+  let spouse = marry(heir);
+
+  for (let generation = 1; generation < generations; generation++) {
+    const parents = [heir, spouse];
+    const children = [];
+    for (let index = 0; index < size; index++) {
+      const child = addMember(randomGender(seed, `${generation}:${index}`), generation, {
+        parents: parents.map(parent => parent.id),
+        heir: index === 0 && generation < generations - 1
+      });
+      children.push(child);
+    }
+    for (const parent of parents) {
+      parent.children = children.map(child => child.id);
+    }
+
+    if (generation < generations - 1) {
+      heir = children[0];
+      spouse = marry(heir);
+    }
+  }
+
+  return { members, generations: byGeneration };
+}
+
+/**
+ * Get the role of a generation relative to the youngest generation.
+ *
+ * @param {number} generation - Generation (0 = founding couple)
+ * @param {number} generations - Number of generations
+ * @returns {string} "child", "parent", "grandparent" or "great-grandparent"
+ */
+export function getFamilyRole(generation, generations) {
+  return ROLES[Math.min(generations - 1 - generation, ROLES.length - 1)];
+}
+
+/**
+ * Combine first name and family name according to the conventions.
+ *
+ * @param {string} firstname - First name
+ * @param {string|null} surname - Family name (null for none)
+ * @param {Object} conventions - Conventions from getFamilyConventions
+ * @returns {string} Full name
+ * @example
+ * formatFamilyName('Bruni', 'Ironfist', { format: '{firstname} of Clan {surname}' }); // "Bruni of Clan Ironfist"
+ */
+export function formatFamilyName(firstname, surname, conventions) {
+  if (!surname) {
+    return firstname;
+  }
+  return conventions.format
+    .replace('{firstname}', firstname)
+    .replace('{surname}', surname)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Draw a gender from the seed.
+ *
+ * @param {string} seed - Family seed
+ * @param {string} key - Position in the tree
+ * @returns {string} "male" or "female"
+ * @private
+ */
+function randomGender(seed, key) {
+  return seededRandom(`${seed}:gender:${key}`) < 0.5 ? 'male' : 'female';
+}
@@ -0,0 +1,259 @@
+/**
+ * Generation Worker Client - Main-thread side of the generation worker
+ *
+ * Starts the worker (see generation-worker.js) on first use, transfers every loaded
+ * package to it once (again only after a package was reloaded) and sends batch jobs.
+ * If workers are unavailable or the worker fails, isAvailable() turns false and
+ * Engine.generate falls back to the main thread.
+ *
+ * @module generation-worker-client
+ */
+
+import { MODULE_ID } from '../shared/constants.js';
+import { logDebug, logInfo, logWarn } from '../utils/logger.js';
+
+/** Settings the engine reads while generating (forwarded with every job) */
+const FORWARDED_SETTINGS = ['logLevel', 'blocklistEntries', 'blocklistNameWords'];
+
+/**
+ * Generation Worker Client
+ * Owns one dedicated worker and tracks which packages it has received.
+ *
+ * @class GenerationWorkerClient
+ * @example
+ * engine.attachWorker(new GenerationWorkerClient());
+ * await engine.generate('human-de', { n: 100, recipes: ['full_name'] }); // runs in the worker
+ */
+export class GenerationWorkerClient {
+  /**
+   * Creates a new client; the worker itself is started on the first job.
+   */
+  constructor() {
+    /** @type {Worker|null} Worker instance */
+    this.worker = null;
+
+    /** @type {boolean} Whether the worker can be used (false after a failure) */
+    this.available = typeof Worker !== 'undefined';
+
+    /** @type {Map<number, {resolve: Function, reject: Function}>} Pending jobs by ID */
+    this.jobs = new Map();
+
+    /** @type {number} Next job ID */
+    this.nextJobId = 1;
+
+    /** @type {Map<string, Object>} Package object last sent per package code */
+    this.synced = new Map();
+  }
+
+  /**
+   * Check whether jobs can be sent to the worker.
+   *
+   * @returns {boolean} True if the worker is (or can be) running
+   */
+  isAvailable() {
+    return this.available;
+  }
+
+  /**
+   * Generate names in the worker.
+   *
+   * @async
+   * @param {Engine} engine - Main-thread engine (source of the package data)
+   * @param {string} packageCode - Package code
+   * @param {Object} options - Engine.generate options with an explicit seed and without a deck
+   * @returns {Promise<Object>} Engine.generate result
+   * @throws {Error} If the worker is unavailable, fails or reports an error
+   */
+  async generate(engine, packageCode, options) {
+    this._ensureWorker();
+    this._syncPackages(engine);
+
+    const pkg = engine.getPackage(packageCode);
+    const recipes = (options.recipes || [])
+      .map(recipeId => (pkg ? engine.findRecipe(pkg, recipeId) : null))
+      .filter(Boolean);
+
+    const id = this.nextJobId++;
+    const result = new Promise((resolve, reject) => {
+      this.jobs.set(id, { resolve, reject });
+    });
+
+    this.worker.postMessage({
+      type: 'generate',
+      id,
+      packageCode,
+      options: {
+        n: options.n,
+        locale: options.locale,
+        recipes: options.recipes,
+        seed: options.seed,
+        distinctBy: options.distinctBy,
+        allowDuplicates: options.allowDuplicates,
+        filters: options.filters,
+        components: options.components,
+        includePronunciation: options.includePronunciation
+      },
+      recipes,
+      localeFallbacks: engine.localeFallbacks,
+      settings: readForwardedSettings()
+    });
+
+    return result;
+  }
+
+  /**
+   * Remove a package from the worker.
+   *
+   * @param {string} packageCode - Package code
+   */
+  unloadPackage(packageCode) {
+    if (this.worker && this.synced.delete(packageCode)) {
+      this.worker.postMessage({ type: 'unload', packageCode });
+    }
+  }
+
+  /**
+   * Stop the worker and reject pending jobs.
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.synced.clear();
+    this._rejectAll(new Error('Generation worker terminated'));
+  }
+
+  /**
+   * Start the worker if it is not running yet.
+   *
+   * @throws {Error} If workers are not available
+   * @private
+   */
+  _ensureWorker() {
+    if (!this.available) {
+      throw new Error('Web Workers are not available');
+    }
+    if (this.worker) {
+      return;
+    }
+
+    try {
+      this.worker = new Worker(new URL('./generation-worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      this.available = false;
+      throw error;
+    }
+
+    this.worker.onmessage = (event) => this._onMessage(event.data);
+    this.worker.onerror = (event) => this._onError(event);
+
+    this.worker.postMessage({ type: 'init', translations: game.i18n?.translations || {} });
+    logInfo('Generation worker started');
+  }
+
+  /**
+   * Send packages the worker does not have yet (or in an outdated version),
+   * and drop packages that were unloaded.
+   *
+   * @param {Engine} engine - Main-thread engine
+   * @private
+   */
+  _syncPackages(engine) {
+    for (const [code, pkg] of engine.packages) {
+      if (this.synced.get(code) === pkg) {
+        continue;
+      }
+      // recipeMap is rebuilt by loadPackage in the worker
+      const { recipeMap, ...packageData } = pkg;
+      this.worker.postMessage({ type: 'load', packageData });
+      this.synced.set(code, pkg);
+      logDebug(`Transferred package ${code} to the generation worker`);
+    }
+
+    for (const code of [...this.synced.keys()]) {
+      if (!engine.packages.has(code)) {
+        this.unloadPackage(code);
+      }
+    }
+  }
+
+  /**
+   * Resolve or reject the job a worker message belongs to.
+   *
+   * @param {Object} message - Worker message ({ id, result } or { id, error })
+   * @private
+   */
+  _onMessage({ id, result, error }) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return;
+    }
+    this.jobs.delete(id);
+
+    if (error) {
+      job.reject(Object.assign(new Error(error.message), { code: error.code, errorType: error.errorType }));
+    } else {
+      job.resolve(result);
+    }
+  }
+
+  /**
+   * Disable the worker after an uncaught error (e.g. the script failed to load).
+   *
+   * @param {ErrorEvent} event - Worker error event
+   * @private
+   */
+  _onError(event) {
+    logWarn(`Generation worker failed, using the main thread from now on: ${event.message || 'unknown error'}`);
+    this.available = false;
+    this.terminate();
+  }
+
+  /**
+   * Reject all pending jobs.
+   *
+   * @param {Error} error - Rejection reason
+   * @private
+   */
+  _rejectAll(error) {
+    for (const job of this.jobs.values()) {
+      job.reject(error);
+    }
+    this.jobs.clear();
+  }
+}
+
+/**
+ * Attach or detach the generation worker according to the client setting.
+ *
+ * @param {Engine} engine - Engine to configure
+ * @param {boolean} enabled - Whether bulk generation should use the worker
+ * @example
+ * configureGenerationWorker(getGlobalEngine(), game.settings.get(MODULE_ID, 'useGenerationWorker'));
+ */
+export function configureGenerationWorker(engine, enabled) {
+  if (enabled && !engine.workerClient) {
+    engine.attachWorker(new GenerationWorkerClient());
+  } else if (!enabled && engine.workerClient) {
+    engine.detachWorker();
+  }
+}
+
+/**
+ * Read the settings forwarded to the worker.
+ *
+ * @returns {Object} Setting values by key (unavailable settings are left out)
+ * @private
+ */
+function readForwardedSettings() {
+  const values = {};
+  for (const key of FORWARDED_SETTINGS) {
+    try {
+      values[key] = game.settings.get(MODULE_ID, key);
+    } catch (error) {
+      // Not registered (yet), the worker uses its defaults
+    }
+  }
+  return values;
+}
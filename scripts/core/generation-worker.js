@@ -0,0 +1,145 @@
+/**
+ * Generation Worker - Off-main-thread bulk generation
+ *
+ * Runs its own Engine inside a dedicated (module) Web Worker, so large batches do not
+ * block Foundry's UI thread. Started and fed by GenerationWorkerClient:
+ * - `init`: translations for error messages
+ * - `load` / `unload`: package data, sent once per loaded package
+ * - `generate`: a batch job (with the locale fallbacks of the main-thread engine); answered
+ *   with the Engine.generate result or an error
+ *
+ * Workers have no Foundry `game` object, so a minimal stand-in provides i18n from the
+ * forwarded translations and the settings the engine reads (log level, blocklist) from
+ * the snapshot sent with every job. Seeded output is identical to the main thread.
+ *
+ * @module generation-worker
+ */
+
+import { Engine } from './engine.js';
+import { updateLogLevel } from '../utils/logger.js';
+import { clearBlocklistCache } from './blocklist.js';
+
+/** Engine of this worker */
+const engine = new Engine();
+
+/** Translations forwarded from the main thread */
+let translations = {};
+
+/** Setting values forwarded with the last job */
+let settings = {};
+
+globalThis.game = {
+  i18n: {
+    has: (key) => typeof getTranslation(key) === 'string',
+    localize: (key) => getTranslation(key) ?? key,
+    format: (key, data = {}) => {
+      const template = getTranslation(key) ?? key;
+      return template.replace(/{[^}]+}/g, (match) => {
+        const value = data[match.slice(1, -1)];
+        return value === undefined ? match : String(value);
+      });
+    }
+  },
+  settings: {
+    get: (moduleId, key) => {
+      if (!(key in settings)) {
+        throw new Error(`Setting ${moduleId}.${key} is not available in the generation worker`);
+      }
+      return settings[key];
+    }
+  },
+  user: { isGM: false }
+};
+
+self.onmessage = async (event) => {
+  const message = event.data;
+
+  switch (message.type) {
+    case 'init':
+      translations = message.translations || {};
+      break;
+
+    case 'load':
+      engine.loadPackage(message.packageData);
+      break;
+
+    case 'unload':
+      engine.unloadPackage(message.packageCode);
+      break;
+
+    case 'generate':
+      await runJob(message);
+      break;
+  }
+};
+
+/**
+ * Run a generation job and post the result (or error) back.
+ *
+ * @async
+ * @param {Object} job - Job message
+ * @param {number} job.id - Job ID
+ * @param {string} job.packageCode - Package code
+ * @param {Object} job.options - Engine.generate options (explicit seed, no deck)
+ * @param {Array<Object>} job.recipes - Definitions of the requested recipes (incl. dynamic ones)
+ * @param {Object} job.localeFallbacks - Locale fallbacks of the main-thread engine
+ * @param {Object} job.settings - Setting values read by the engine
+ * @returns {Promise<void>}
+ * @private
+ */
+async function runJob({ id, packageCode, options, recipes, localeFallbacks, settings: jobSettings }) {
+  try {
+    engine.setLocaleFallbacks(localeFallbacks);
+
+    if (JSON.stringify(jobSettings) !== JSON.stringify(settings)) {
+      settings = jobSettings || {};
+      updateLogLevel();
+      clearBlocklistCache();
+    }
+
+    // Dynamic recipes are created at runtime on the main thread, so the job carries them
+    const pkg = engine.getPackage(packageCode);
+    for (const recipe of pkg ? recipes : []) {
+      upsertRecipe(pkg, recipe);
+    }
+
+    const result = await engine.generate(packageCode, { ...options, worker: false });
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({
+      id,
+      error: { message: error.message, code: error.code, errorType: error.errorType }
+    });
+  }
+}
+
+/**
+ * Add or replace a recipe of a loaded package.
+ *
+ * @param {Object} pkg - Loaded package of this worker's engine
+ * @param {Object} recipe - Recipe definition
+ * @private
+ */
+function upsertRecipe(pkg, recipe) {
+  const recipes = pkg.recipes || [];
+  const index = recipes.findIndex(r => r.id === recipe.id);
+  pkg.recipes = index >= 0
+    ? recipes.map((r, i) => (i === index ? recipe : r))
+    : [...recipes, recipe];
+  pkg.recipeMap.set(recipe.id, recipe);
+}
+
+/**
+ * Look up a dotted translation key (Foundry stores translations as nested objects).
+ *
+ * @param {string} key - Translation key (e.g., "names.errors.recipe.not-found")
+ * @returns {string|undefined} Translation or undefined
+ * @private
+ */
+function getTranslation(key) {
+  if (typeof translations[key] === 'string') {
+    return translations[key];
+  }
+  const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), translations);
+  return typeof value === 'string' ? value : undefined;
+}
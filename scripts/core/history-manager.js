@@ -65,6 +65,9 @@ export class HistoryManager {
    * @param {string} entry.name - The generated name
    * @param {string} entry.source - Source app (generator|picker|emergency)
    * @param {Object} entry.metadata - Additional metadata
+   * @param {string} [entry.replayToken] - Replay token to regenerate the name (see api.replay)
+   * @param {string} [entry.pronunciation] - Pronunciation guide (shown as tooltip)
+   * @param {string} [entry.meaning] - Meaning of the name (shown as tooltip)
    */
   addEntry(entry) {
     const historyEntry = {
@@ -72,6 +75,9 @@ export class HistoryManager {
       name: entry.name,
       source: entry.source || 'generator',
       timestamp: Date.now(),
+      replayToken: entry.replayToken || null,
+      pronunciation: entry.pronunciation || null,
+      meaning: entry.meaning || null,
       metadata: {
         language: entry.metadata?.language || '',
         species: entry.metadata?.species || '',
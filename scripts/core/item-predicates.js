@@ -0,0 +1,213 @@
+/**
+ * Item Predicates - Attribute, length, text and weight criteria of `where` filters
+ *
+ * Extends the tag/kind criteria of filterItems() with:
+ * - `attrs`: attribute equality (`{ gender: "m" }`), any-of lists (`{ era: ["old", "middle"] }`)
+ *   and numeric ranges (`{ age: { min: 20, max: 40 } }`)
+ * - `length`: bounds on the length of the localized text (`{ min: 3, max: 8 }`)
+ * - `startsWith` / `endsWith`: prefix or suffix of the localized text (string or any-of list)
+ * - `matches`: regular expression on the localized text
+ * - `weight`: bounds on the item weight `w` (`{ min: 2 }`)
+ *
+ * Text criteria ignore case. Ranges are inclusive; `min` and `max` are both optional.
+ *
+ * @module item-predicates
+ */
+
+import { getLocalizedText } from '../utils/grammar.js';
+import { getItemWeight } from './catalog-index.js';
+
+/** Where keys handled by this module */
+export const PREDICATE_KEYS = ['attrs', 'length', 'startsWith', 'endsWith', 'matches', 'weight'];
+
+/** Predicate keys that read the localized text (their result depends on the locale) */
+const TEXT_PREDICATE_KEYS = ['length', 'startsWith', 'endsWith', 'matches'];
+
+/** Compiled `matches` expressions by source */
+const regexCache = new Map();
+
+/**
+ * Split a where clause into the tag/kind criteria and the predicate criteria.
+ *
+ * @param {Object|null} where - Filter criteria
+ * @returns {{base: Object|null, predicates: Object|null}} Criteria without predicates, predicates (null if none)
+ * @example
+ * splitPredicates({ tags: ['female'], length: { max: 5 } });
+ * // { base: { tags: ['female'] }, predicates: { length: { max: 5 } } }
+ */
+export function splitPredicates(where) {
+  if (!where || !PREDICATE_KEYS.some(key => !isEmpty(where[key]))) {
+    return { base: where, predicates: null };
+  }
+
+  const base = {};
+  const predicates = {};
+  for (const [key, value] of Object.entries(where)) {
+    if (!PREDICATE_KEYS.includes(key)) {
+      base[key] = value;
+    } else if (!isEmpty(value)) {
+      predicates[key] = value;
+    }
+  }
+  return { base, predicates };
+}
+
+/**
+ * Check whether a where clause (including nested all/any/not clauses) contains criteria
+ * on the localized text.
+ *
+ * @param {Object|null} where - Filter criteria
+ * @returns {boolean} True if the filter result depends on the locale
+ */
+export function hasTextPredicates(where) {
+  if (!where || typeof where !== 'object') {
+    return false;
+  }
+  return hasOwnTextPredicates(where) ||
+    (Array.isArray(where.all) && where.all.some(hasTextPredicates)) ||
+    (Array.isArray(where.any) && where.any.some(hasTextPredicates)) ||
+    hasTextPredicates(where.not);
+}
+
+/**
+ * Check an item against the predicate criteria of a where clause
+ * (keys other than PREDICATE_KEYS are ignored).
+ *
+ * @param {Object} item - Catalog item
+ * @param {Object} where - Filter criteria
+ * @param {string|null} [locale=null] - Locale of the text criteria (null = first available text)
+ * @returns {boolean} True if the item matches all predicates
+ * @throws {Error} If `matches` is not a valid regular expression
+ * @example
+ * matchesPredicates({ t: { en: 'Anna' }, attrs: { gender: 'f' } }, { attrs: { gender: 'f' }, endsWith: 'a' }, 'en'); // true
+ */
+export function matchesPredicates(item, where, locale = null) {
+  if (!isEmpty(where.attrs)) {
+    for (const [name, expected] of Object.entries(where.attrs)) {
+      if (!matchesAttribute(item.attrs?.[name], expected)) {
+        return false;
+      }
+    }
+  }
+
+  if (!isEmpty(where.weight) && !inRange(getItemWeight(item), where.weight)) {
+    return false;
+  }
+
+  if (!hasOwnTextPredicates(where)) {
+    return true;
+  }
+
+  const text = getLocalizedText(item.t, locale);
+  const lowerText = text.toLowerCase();
+
+  if (!isEmpty(where.length) && !inRange([...text].length, where.length)) {
+    return false;
+  }
+  if (!isEmpty(where.startsWith) && !toList(where.startsWith).some(prefix => lowerText.startsWith(prefix.toLowerCase()))) {
+    return false;
+  }
+  if (!isEmpty(where.endsWith) && !toList(where.endsWith).some(suffix => lowerText.endsWith(suffix.toLowerCase()))) {
+    return false;
+  }
+  if (!isEmpty(where.matches) && !getRegex(where.matches).test(text)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Check whether a where clause itself (not its nested clauses) has text criteria.
+ *
+ * @param {Object} where - Filter criteria
+ * @returns {boolean} True if length, startsWith, endsWith or matches is set
+ * @private
+ */
+function hasOwnTextPredicates(where) {
+  return TEXT_PREDICATE_KEYS.some(key => !isEmpty(where[key]));
+}
+
+/**
+ * Check a single attribute value.
+ *
+ * @param {*} value - Attribute value of the item (undefined if missing)
+ * @param {*} expected - Expected value, list of values or { min, max } range
+ * @returns {boolean} True if the value matches
+ * @private
+ */
+function matchesAttribute(value, expected) {
+  if (value === undefined || value === null) {
+    return false;
+  }
+  if (Array.isArray(expected)) {
+    return expected.includes(value);
+  }
+  if (typeof expected === 'object' && expected !== null) {
+    const number = typeof value === 'number' ? value : Number(value);
+    return !isNaN(number) && inRange(number, expected);
+  }
+  return value === expected;
+}
+
+/**
+ * Check a number against an inclusive { min, max } range.
+ *
+ * @param {number} value - Value to check
+ * @param {{min?: number, max?: number}} range - Range (missing bounds are open)
+ * @returns {boolean} True if the value is within the range
+ * @private
+ */
+function inRange(value, range) {
+  return (range.min === undefined || value >= range.min) &&
+    (range.max === undefined || value <= range.max);
+}
+
+/**
+ * Get the compiled (case-insensitive) expression of a `matches` criterion.
+ *
+ * @param {string} source - Regular expression source
+ * @returns {RegExp} Compiled expression
+ * @throws {Error} If the expression is invalid
+ * @private
+ */
+function getRegex(source) {
+  let regex = regexCache.get(source);
+  if (!regex) {
+    try {
+      regex = new RegExp(source, 'iu');
+    } catch (error) {
+      throw new Error(`Invalid "matches" expression in where filter: ${error.message}`);
+    }
+    regexCache.set(source, regex);
+  }
+  return regex;
+}
+
+/**
+ * Wrap a single value in an array.
+ *
+ * @param {string|string[]} value - Value or list
+ * @returns {string[]} List
+ * @private
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Check whether a criterion is unset (undefined, null, empty string, array or object).
+ *
+ * @param {*} value - Criterion value
+ * @returns {boolean} True if the criterion does not restrict anything
+ * @private
+ */
+function isEmpty(value) {
+  if (value === undefined || value === null || value === '') {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  return typeof value === 'object' && Object.keys(value).length === 0;
+}
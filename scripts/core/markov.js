@@ -0,0 +1,249 @@
+/**
+ * Markov - Character n-gram name generation trained on catalog items
+ * Implements the `markov` select source from JSON Format 4.0 specification.
+ *
+ * This module handles:
+ * - Training character n-gram models from (filtered) catalog items
+ * - Caching trained models per catalog, locale, filter and order
+ * - Seed-deterministic generation with length limits
+ * - Optional rejection of names that already exist in the training data
+ *
+ * @module markov
+ */
+
+import { filterItems, seededRandom } from './selector.js';
+import { getLocalizedText } from '../utils/grammar.js';
+import { logDebug } from '../utils/logger.js';
+import { createNominaError, ErrorType } from '../utils/error-helper.js';
+
+/** Marks the start of a name in the transition table */
+const START = '\u0002';
+
+/** Marks the end of a name in the transition table */
+const END = '\u0003';
+
+/** Default generation parameters */
+const DEFAULTS = {
+  order: 3,
+  minLength: 3,
+  maxLength: 12,
+  rejectExisting: true,
+  maxAttempts: 50
+};
+
+/**
+ * Trained models per catalog object.
+ * Catalogs are replaced when a package is reloaded, so stale models are dropped automatically.
+ * @type {WeakMap<Object, Map<string, Object>>}
+ */
+const modelCache = new WeakMap();
+
+/**
+ * Train a character n-gram model from a list of names.
+ *
+ * @param {Array<{text: string, weight: number}>} samples - Training names with item weights
+ * @param {number} order - Number of preceding characters used as context
+ * @returns {Object} Model with order, transition table and lowercase training set
+ * @example
+ * const model = trainMarkovModel([{ text: 'Anna', weight: 1 }, { text: 'Hanna', weight: 1 }], 2);
+ */
+export function trainMarkovModel(samples, order) {
+  const transitions = new Map();
+  const corpus = new Set();
+
+  for (const { text, weight } of samples) {
+    const name = text.trim().toLowerCase();
+    if (!name) continue;
+    corpus.add(name);
+
+    const padded = START.repeat(order) + name + END;
+    for (let i = order; i < padded.length; i++) {
+      const context = padded.slice(i - order, i);
+      const next = padded[i];
+
+      let entry = transitions.get(context);
+      if (!entry) {
+        entry = { counts: new Map(), total: 0 };
+        transitions.set(context, entry);
+      }
+      entry.counts.set(next, (entry.counts.get(next) || 0) + weight);
+      entry.total += weight;
+    }
+  }
+
+  return { order, transitions, corpus };
+}
+
+/**
+ * Get a trained model for a catalog, training it on first use.
+ *
+ * @param {Object} catalog - Catalog object with items
+ * @param {Object} options - Training options
+ * @param {string} options.locale - Locale used to extract item text
+ * @param {Object} [options.where] - Filter applied to the training items
+ * @param {number} [options.order=3] - N-gram order
+ * @param {string} [options.catalogKey='unknown'] - Catalog key for error messages
+ * @returns {Object} Trained model with sharedTags of all training items
+ * @throws {NominaError} If no items remain after filtering
+ */
+export function getMarkovModel(catalog, { locale, where = null, order = DEFAULTS.order, catalogKey = 'unknown' } = {}) {
+  let models = modelCache.get(catalog);
+  if (!models) {
+    models = new Map();
+    modelCache.set(catalog, models);
+  }
+
+  const cacheKey = JSON.stringify({ locale, where, order });
+  if (models.has(cacheKey)) {
+    return models.get(cacheKey);
+  }
+
+  const items = where ? filterItems(catalog.items, where, locale) : catalog.items;
+  if (items.length === 0) {
+    throw createNominaError(ErrorType.CATALOG_NO_MATCH, {
+      catalog: catalogKey,
+      totalItems: catalog.items.length,
+      filters: JSON.stringify(where || {})
+    });
+  }
+
+  const samples = items.map(item => ({
+    text: getLocalizedText(item.t, locale),
+    weight: item.w !== undefined && item.w > 0 && isFinite(item.w) ? item.w : 1
+  }));
+
+  const model = trainMarkovModel(samples, order);
+  model.sharedTags = (items[0].tags || []).filter(tag => items.every(item => item.tags?.includes(tag)));
+
+  models.set(cacheKey, model);
+  logDebug(`Trained markov model for "${catalogKey}" (order ${order}, ${items.length} names, ${model.transitions.size} contexts)`);
+
+  return model;
+}
+
+/**
+ * Generate a name from a trained model.
+ * Walks the transition table until the end marker is drawn and retries
+ * candidates that violate the length limits or already exist in the training data.
+ *
+ * @param {Object} model - Model from trainMarkovModel/getMarkovModel
+ * @param {Object} [options={}] - Generation options
+ * @param {string|null} [options.seed=null] - Random seed for deterministic output
+ * @param {number} [options.minLength=3] - Minimum name length
+ * @param {number} [options.maxLength=12] - Maximum name length
+ * @param {boolean} [options.rejectExisting=true] - Reject names present in the training data
+ * @param {number} [options.maxAttempts=50] - Candidates to try before giving up
+ * @param {string} [options.catalogKey='unknown'] - Catalog key for error messages
+ * @returns {string} Generated name with capitalized words
+ * @throws {NominaError} If no acceptable name was produced within maxAttempts
+ */
+export function generateMarkovName(model, {
+  seed = null,
+  minLength = DEFAULTS.minLength,
+  maxLength = DEFAULTS.maxLength,
+  rejectExisting = DEFAULTS.rejectExisting,
+  maxAttempts = DEFAULTS.maxAttempts,
+  catalogKey = 'unknown'
+} = {}) {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const attemptSeed = seed ? `${seed}:m${attempt}` : null;
+    const name = walkModel(model, attemptSeed, maxLength);
+
+    if (name === null || name.length < minLength) {
+      continue;
+    }
+    if (rejectExisting && model.corpus.has(name)) {
+      continue;
+    }
+
+    return capitalizeWords(name);
+  }
+
+  throw createNominaError(ErrorType.GENERATION_FAILED, {
+    catalog: catalogKey,
+    attempts: maxAttempts,
+    source: 'markov'
+  });
+}
+
+/**
+ * Resolve markov parameters from a select block, applying defaults.
+ *
+ * @param {Object} [params={}] - Raw params from the select block
+ * @returns {Object} Parameters with order, minLength, maxLength, rejectExisting, maxAttempts
+ */
+export function resolveMarkovParams(params = {}) {
+  const resolved = { ...DEFAULTS, ...params };
+  resolved.order = Math.max(1, Math.floor(resolved.order));
+  resolved.minLength = Math.max(1, Math.floor(resolved.minLength));
+  resolved.maxLength = Math.max(resolved.minLength, Math.floor(resolved.maxLength));
+  resolved.rejectExisting = resolved.rejectExisting !== false;
+  return resolved;
+}
+
+/**
+ * Draw characters from the model until the end marker is reached.
+ *
+ * @param {Object} model - Trained model
+ * @param {string|null} seed - Seed for this walk
+ * @param {number} maxLength - Abort once the name grows beyond this length
+ * @returns {string|null} Lowercase name or null if the walk exceeded maxLength
+ * @private
+ */
+function walkModel(model, seed, maxLength) {
+  let context = START.repeat(model.order);
+  let name = '';
+
+  for (let step = 0; step <= maxLength; step++) {
+    const entry = model.transitions.get(context);
+    if (!entry) {
+      return null;
+    }
+
+    const random = seed ? seededRandom(`${seed}:${step}`) : Math.random();
+    const next = pickTransition(entry, random);
+
+    if (next === END) {
+      return name;
+    }
+
+    name += next;
+    context = (context + next).slice(-model.order);
+  }
+
+  return null;
+}
+
+/**
+ * Pick the next character from a transition entry.
+ *
+ * @param {Object} entry - Transition entry with counts and total
+ * @param {number} random - Random value in [0, 1)
+ * @returns {string} Next character (may be the end marker)
+ * @private
+ */
+function pickTransition(entry, random) {
+  let threshold = random * entry.total;
+  let last = END;
+
+  for (const [char, count] of entry.counts) {
+    threshold -= count;
+    last = char;
+    if (threshold <= 0) {
+      return char;
+    }
+  }
+
+  return last;
+}
+
+/**
+ * Capitalize the first letter of each word (space or hyphen separated).
+ *
+ * @param {string} name - Lowercase name
+ * @returns {string} Capitalized name
+ * @private
+ */
+function capitalizeWords(name) {
+  return name.replace(/(^|[\s-])(\S)/g, (match, sep, char) => sep + char.toUpperCase());
+}
@@ -0,0 +1,72 @@
+/**
+ * Meaning - Combined meanings of generated names
+ *
+ * Items can carry a `meaning` (text or texts by locale). The engine collects the meanings of
+ * the parts a name is built from and combines them in the order the parts appear in the name:
+ * - parts written as one word are joined with " + " ("Rat" + "catcher" -> "rat + catcher")
+ * - separate words are joined with ", " ("Grim Ratcatcher" -> "fierce, rat + catcher")
+ * If no part can be found in the name any more (e.g. after a Script transform), the meanings
+ * are listed in pattern order.
+ *
+ * @module meaning
+ */
+
+/** Separator between the meanings of parts written as one word */
+const COMPOUND_SEPARATOR = ' + ';
+
+/** Separator between the meanings of separate words */
+const WORD_SEPARATOR = ', ';
+
+/**
+ * Combine the meanings of the parts of a generated name.
+ *
+ * @param {string} text - Generated name
+ * @param {Array<{text: string, meaning: string}>} [entries=[]] - Part texts with their meanings, in pattern order
+ * @returns {string|null} Combined meaning, or null if no part has a meaning
+ * @example
+ * composeMeaning('Ratcatcher', [{ text: 'Rat', meaning: 'rat' }, { text: 'catcher', meaning: 'catcher' }]);
+ * // "rat + catcher"
+ */
+export function composeMeaning(text, entries = []) {
+  const parts = entries.filter(entry => entry?.text && entry.meaning);
+  if (parts.length === 0) {
+    return null;
+  }
+
+  const lower = String(text).toLowerCase();
+  const found = [];
+  let from = 0;
+  for (const part of parts) {
+    const search = part.text.toLowerCase();
+    let start = lower.indexOf(search, from);
+    if (start === -1) {
+      // Parts can appear out of pattern order (e.g. "Surname, Firstname" via ref blocks)
+      start = lower.indexOf(search);
+    }
+    if (start !== -1) {
+      found.push({ meaning: part.meaning, start, end: start + search.length });
+      from = start + search.length;
+    }
+  }
+
+  if (found.length === 0) {
+    return parts.map(part => part.meaning).join(WORD_SEPARATOR);
+  }
+
+  const words = [];
+  let previous = null;
+  for (const part of found.sort((a, b) => a.start - b.start)) {
+    if (previous && part.start < previous.end) {
+      // Same text found twice (e.g. a hidden part and its ref)
+      continue;
+    }
+    if (previous && !/\s/.test(lower.slice(previous.end, part.start))) {
+      words[words.length - 1].push(part.meaning);
+    } else {
+      words.push([part.meaning]);
+    }
+    previous = part;
+  }
+
+  return words.map(word => word.join(COMPOUND_SEPARATOR)).join(WORD_SEPARATOR);
+}
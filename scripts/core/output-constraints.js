@@ -0,0 +1,149 @@
+/**
+ * Output Constraints - Declarative checks for generated text
+ * Implements `output.constraints` (package and recipe level) from JSON Format 4.0 specification.
+ *
+ * Supported constraints:
+ * - minLength / maxLength: Length of the complete text
+ * - maxSyllables: Maximum vowel groups per word
+ * - deny: Regular expressions (case-insensitive) that must not match
+ * - maxRepeatedLetters: Maximum run length of the same letter
+ *
+ * @module output-constraints
+ */
+
+import { logWarn } from '../utils/logger.js';
+
+/** Vowel groups used for syllable estimation */
+const VOWEL_GROUP = /[aeiouyäöüàáâèéêìíîòóôùúûæø]+/gi;
+
+/** Compiled deny patterns by source string (invalid patterns map to null) */
+const regexCache = new Map();
+
+/**
+ * Merge package-level and recipe-level constraints.
+ * Recipe values override package values; deny lists are combined.
+ *
+ * @param {Object} [packageConstraints] - Constraints from package output
+ * @param {Object} [recipeConstraints] - Constraints from recipe output
+ * @returns {Object|null} Effective constraints or null if none are defined
+ * @example
+ * resolveConstraints({ maxLength: 14, deny: ['q$'] }, { maxLength: 10 });
+ * // { maxLength: 10, deny: ['q$'] }
+ */
+export function resolveConstraints(packageConstraints, recipeConstraints) {
+  if (!packageConstraints && !recipeConstraints) {
+    return null;
+  }
+
+  const merged = { ...(packageConstraints || {}), ...(recipeConstraints || {}) };
+  const deny = [...(packageConstraints?.deny || []), ...(recipeConstraints?.deny || [])];
+  if (deny.length > 0) {
+    merged.deny = deny;
+  }
+
+  return merged;
+}
+
+/**
+ * Check a generated text against constraints.
+ *
+ * @param {string} text - Generated text
+ * @param {Object|null} constraints - Effective constraints from resolveConstraints
+ * @returns {string|null} Name of the first violated constraint, or null if the text passes
+ * @example
+ * checkConstraints('Grrrak', { maxRepeatedLetters: 2 }); // 'maxRepeatedLetters'
+ */
+export function checkConstraints(text, constraints) {
+  if (!constraints) {
+    return null;
+  }
+
+  const length = [...text].length;
+
+  if (constraints.minLength !== undefined && length < constraints.minLength) {
+    return 'minLength';
+  }
+
+  if (constraints.maxLength !== undefined && length > constraints.maxLength) {
+    return 'maxLength';
+  }
+
+  if (constraints.maxSyllables !== undefined) {
+    const words = text.split(/[\s-]+/).filter(Boolean);
+    if (words.some(word => countSyllables(word) > constraints.maxSyllables)) {
+      return 'maxSyllables';
+    }
+  }
+
+  if (constraints.maxRepeatedLetters !== undefined &&
+      longestLetterRun(text) > constraints.maxRepeatedLetters) {
+    return 'maxRepeatedLetters';
+  }
+
+  if (Array.isArray(constraints.deny)) {
+    for (const source of constraints.deny) {
+      const regex = compileDenyPattern(source);
+      if (regex && regex.test(text)) {
+        return 'deny';
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Estimate the number of syllables in a word by counting vowel groups.
+ *
+ * @param {string} word - Single word
+ * @returns {number} Estimated syllable count (at least 1 for non-empty words)
+ */
+export function countSyllables(word) {
+  const groups = word.match(VOWEL_GROUP);
+  return groups ? groups.length : (word.length > 0 ? 1 : 0);
+}
+
+/**
+ * Get the longest run of the same letter (case-insensitive).
+ *
+ * @param {string} text - Text to scan
+ * @returns {number} Longest run length
+ * @private
+ */
+function longestLetterRun(text) {
+  const lower = text.toLowerCase();
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  for (const char of lower) {
+    if (char === previous && /\p{L}/u.test(char)) {
+      run++;
+    } else {
+      run = 1;
+      previous = char;
+    }
+    longest = Math.max(longest, run);
+  }
+
+  return longest;
+}
+
+/**
+ * Compile a deny pattern once; invalid patterns are reported and ignored.
+ *
+ * @param {string} source - Regular expression source
+ * @returns {RegExp|null} Case-insensitive regex or null if invalid
+ * @private
+ */
+function compileDenyPattern(source) {
+  if (!regexCache.has(source)) {
+    try {
+      regexCache.set(source, new RegExp(source, 'iu'));
+    } catch (error) {
+      logWarn(`Ignoring invalid deny pattern in output constraints: ${source}`, error.message);
+      regexCache.set(source, null);
+    }
+  }
+  return regexCache.get(source);
+}
@@ -13,6 +13,7 @@
 
 import { logDebug, logWarn, logError } from '../utils/logger.js';
 import { createNominaError, ErrorType } from '../utils/error-helper.js';
+import { validatePostTransforms } from '../utils/api-input-validator.js';
 
 /**
  * Pattern Compiler - Compiles and caches recipe patterns.
@@ -33,14 +34,16 @@ export class PatternCompiler {
    * @param {Object} catalogs - Available catalogs in the current package
    * @param {Object} langRules - Language rules for grammar (articles, prepositions)
    * @param {Function} [getPackageCatalog] - Optional function to resolve cross-package catalogs
+   * @param {Function} [getPackageRecipe] - Optional function to resolve cross-package recipes
    * @example
    * const compiler = new PatternCompiler(pkg.catalogs, langRules, context.getPackageCatalog);
    * const compiled = compiler.compile(recipe.pattern);
    */
-  constructor(catalogs, langRules, getPackageCatalog = null) {
+  constructor(catalogs, langRules, getPackageCatalog = null, getPackageRecipe = null) {
     this.catalogs = catalogs;
     this.langRules = langRules;
     this.getPackageCatalog = getPackageCatalog;
+    this.getPackageRecipe = getPackageRecipe;
     this.cache = new Map();
 
     // Statistics for debugging
@@ -94,6 +97,43 @@ export class PatternCompiler {
     return compiled;
   }
 
+  /**
+   * Check and prepare post transforms (package `output.transforms` followed by recipe `post`).
+   * Parameters are validated once per transform list (see validatePostTransforms) and
+   * Replace patterns are compiled; the result is cached like compiled patterns.
+   *
+   * @param {Array<string|Object>} transforms - Transform names or objects ({ type, ...parameters })
+   * @returns {Array<string|Object>} Transforms for applyTransforms
+   * @throws {NominaError} If a built-in transform has invalid parameters
+   * @example
+   * const post = compiler.compileTransforms(['TitleCase', { type: 'Replace', pattern: '\\s+', with: '_' }]);
+   */
+  compileTransforms(transforms) {
+    if (!transforms || transforms.length === 0) {
+      return [];
+    }
+
+    const cacheKey = `post:${this.createCacheKey(transforms)}`;
+    if (this.cache.has(cacheKey)) {
+      this.stats.hits++;
+      return this.cache.get(cacheKey);
+    }
+    this.stats.misses++;
+
+    const validation = validatePostTransforms(transforms);
+    if (!validation.isValid) {
+      logError(`Invalid post transforms: ${validation.error}`);
+      throw createNominaError(ErrorType.RECIPE_INVALID_JSON, { error: validation.error });
+    }
+
+    const compiled = validation.normalized.map(transform => (transform?.type === 'Replace'
+      ? { ...transform, _regex: new RegExp(transform.pattern, transform.flags ?? 'g') }
+      : transform));
+
+    this.cache.set(cacheKey, compiled);
+    return compiled;
+  }
+
   /**
    * Compile a single pattern block.
    * Resolves catalog references and validates block structure.
@@ -145,6 +185,24 @@ export class PatternCompiler {
       return compiled;
     }
 
+    // Handle chance block
+    if (block.chance) {
+      compiled.chance = {
+        ...block.chance,
+        pattern: (block.chance.pattern || []).map(b => this.compileBlock(b))
+      };
+      return compiled;
+    }
+
+    // Handle repeat block
+    if (block.repeat) {
+      compiled.repeat = {
+        ...block.repeat,
+        pattern: (block.repeat.pattern || []).map(b => this.compileBlock(b))
+      };
+      return compiled;
+    }
+
     logWarn(`Unknown block type in compilation: ${Object.keys(block).join(', ')}`);
     return compiled;
   }
@@ -160,8 +218,8 @@ export class PatternCompiler {
   compileSelectBlock(block) {
     const { select } = block;
 
-    if (select.from === 'catalog' && select.key) {
-      // Resolve catalog reference
+    if ((select.from === 'catalog' || select.from === 'markov') && select.key) {
+      // Resolve catalog reference (markov sources are trained on a catalog)
       const resolvedCatalog = this.resolveCatalog(select.key);
 
       // Store resolved catalog metadata in compiled block
@@ -199,7 +257,7 @@ export class PatternCompiler {
 
   /**
    * Compile a GENERATE block.
-   * Resolves catalog references for catalog mode.
+   * Resolves catalog references for catalog mode and cross-package recipe references for recipe mode.
    *
    * @param {Object} block - GENERATE block to compile
    * @returns {Object} Compiled GENERATE block with resolved references
@@ -230,9 +288,21 @@ export class PatternCompiler {
       }
     }
 
-    // Recipe mode - store recipe ID
+    // Recipe mode - store recipe ID, resolve "packageCode:recipeId" references
     if (from === 'recipe' && key) {
-      block._compiled.recipeId = key;
+      const resolvedRecipe = this.resolveRecipe(key);
+
+      block._compiled.recipeId = resolvedRecipe.recipeId;
+      block._compiled.recipe = resolvedRecipe.recipe;
+      block._compiled.isCrossPackage = resolvedRecipe.isCrossPackage;
+      block._compiled.packageCode = resolvedRecipe.packageCode;
+
+      // Local recipes are checked at execution; cross-package ones must resolve now
+      if (resolvedRecipe.isCrossPackage && !resolvedRecipe.recipe) {
+        throw createNominaError(ErrorType.RECIPE_NOT_FOUND, {
+          recipe: key
+        });
+      }
     }
 
     // Simplified syntax (package name) - no catalog resolution needed
@@ -268,6 +338,17 @@ export class PatternCompiler {
       block._compiled.isCrossPackage = resolvedCatalog.isCrossPackage;
     }
 
+    // Same for an inline adjective select
+    if (pp.adjective && pp.adjective.select && pp.adjective.select.from === 'catalog') {
+      const resolvedAdjective = this.resolveCatalog(pp.adjective.select.key);
+
+      block._compiled.adjective = {
+        catalog: resolvedAdjective.catalog,
+        catalogKey: resolvedAdjective.catalogKey,
+        isCrossPackage: resolvedAdjective.isCrossPackage
+      };
+    }
+
     return block;
   }
 
@@ -325,6 +406,49 @@ export class PatternCompiler {
     };
   }
 
+  /**
+   * Resolve a recipe reference. Only cross-package references ("packageCode:recipeId")
+   * are resolved; local recipe IDs are looked up by the engine at execution.
+   *
+   * @param {string} recipeKey - Recipe ID, optionally with package code prefix
+   * @returns {Object} Resolution result
+   * @returns {Object|null} return.recipe - Resolved recipe (cross-package only) or null
+   * @returns {string} return.recipeId - Recipe ID without package prefix
+   * @returns {boolean} return.isCrossPackage - Whether this is a cross-package reference
+   * @returns {string|null} return.packageCode - Package code if cross-package
+   * @private
+   */
+  resolveRecipe(recipeKey) {
+    if (!recipeKey.includes(':')) {
+      return {
+        recipe: null,
+        recipeId: recipeKey,
+        isCrossPackage: false,
+        packageCode: null
+      };
+    }
+
+    const [packageCode, remoteRecipeId] = recipeKey.split(':', 2);
+    const resolution = {
+      recipe: null,
+      recipeId: remoteRecipeId,
+      isCrossPackage: true,
+      packageCode
+    };
+
+    if (!this.getPackageRecipe) {
+      logError(`Cross-package reference requires getPackageRecipe function: ${recipeKey}`);
+      return resolution;
+    }
+
+    try {
+      resolution.recipe = this.getPackageRecipe(packageCode, remoteRecipeId);
+    } catch (error) {
+      logError(`Failed to resolve cross-package recipe: ${recipeKey}`, error);
+    }
+    return resolution;
+  }
+
   /**
    * Create a cache key from a pattern.
    * Uses JSON.stringify for deterministic key generation.
@@ -382,7 +506,7 @@ export class PatternCompiler {
 
   /**
    * Validate a compiled pattern.
-   * Checks that all referenced catalogs were successfully resolved.
+   * Checks that all referenced catalogs and cross-package recipes were successfully resolved.
    *
    * @param {Array<Object>} compiledPattern - Compiled pattern to validate
    * @returns {Object} Validation result
@@ -401,7 +525,7 @@ export class PatternCompiler {
       const block = compiledPattern[i];
 
       // Check SELECT blocks
-      if (block.select && block.select.from === 'catalog') {
+      if (block.select && (block.select.from === 'catalog' || block.select.from === 'markov')) {
         if (!block._compiled?.catalog && !block._compiled?.skipOnExecution) {
           errors.push(`Block ${i}: Catalog "${block.select.key}" not resolved`);
         }
@@ -414,12 +538,33 @@ export class PatternCompiler {
         }
       }
 
+      // Check GENERATE blocks with cross-package recipes
+      if (block.generate && block.generate.from === 'recipe' && block._compiled?.isCrossPackage) {
+        if (!block._compiled.recipe) {
+          errors.push(`Block ${i}: Recipe "${block.generate.key}" not resolved`);
+        }
+      }
+
       // Check PP blocks with inline select
       if (block.pp && block.pp.ref?.select?.from === 'catalog') {
         if (!block._compiled?.catalog) {
           errors.push(`Block ${i}: PP catalog "${block.pp.ref.select.key}" not resolved`);
         }
       }
+      if (block.pp && block.pp.adjective?.select?.from === 'catalog') {
+        if (!block._compiled?.adjective?.catalog) {
+          errors.push(`Block ${i}: PP adjective catalog "${block.pp.adjective.select.key}" not resolved`);
+        }
+      }
+
+      // Check sub-patterns of branch blocks
+      const subPatterns = block.oneOf
+        ? block.oneOf.map(option => option.pattern || [])
+        : [block.chance?.pattern, block.repeat?.pattern].filter(Boolean);
+      for (const subPattern of subPatterns) {
+        const nested = this.validateCompiled(subPattern);
+        errors.push(...nested.errors.map(error => `Block ${i} > ${error}`));
+      }
     }
 
     return {
@@ -436,10 +581,11 @@ export class PatternCompiler {
  * @param {Object} catalogs - Available catalogs in the package
  * @param {Object} langRules - Language rules for grammar
  * @param {Function} [getPackageCatalog] - Optional cross-package catalog resolver
+ * @param {Function} [getPackageRecipe] - Optional cross-package recipe resolver
  * @returns {PatternCompiler} New compiler instance
  * @example
  * const compiler = createPatternCompiler(pkg.catalogs, langRules);
  */
-export function createPatternCompiler(catalogs, langRules, getPackageCatalog = null) {
-  return new PatternCompiler(catalogs, langRules, getPackageCatalog);
+export function createPatternCompiler(catalogs, langRules, getPackageCatalog = null, getPackageRecipe = null) {
+  return new PatternCompiler(catalogs, langRules, getPackageCatalog, getPackageRecipe);
 }
@@ -0,0 +1,591 @@
+/**
+ * Pronunciation - Pronunciation guides for generated names
+ *
+ * Respells a name the way it should be said: syllables are separated by hyphens and the
+ * stressed syllable is written in capitals ("Aerdeth" -> "AIR-deth"). The reading rules
+ * follow the package's `phoneticLanguage`:
+ * - `en`: English consonants, vowels as in fantasy names (open a = "ah", i = "ee", ...),
+ *   stress on the first syllable, in longer names on a heavy second-to-last syllable
+ * - `de`: German spelling (ei = "eye", w = "v", sch = "sh", final devoicing, ...),
+ *   stress on the first syllable
+ * Other phonetic languages use the English rules.
+ *
+ * Spelling hints of fantasy names are honored: an acute, grave or circumflex accent marks
+ * the stressed vowel ("Aerdéth" -> "air-DETH"), a diaeresis starts a new syllable
+ * ("Xyrrhaël" -> "ZIR-ah-el"). Items can provide their own guide with `pron` (see
+ * buildPronunciation).
+ *
+ * @module pronunciation
+ */
+
+/** Letters without a rule of their own, replaced before reading */
+const LETTER_REPLACEMENTS = { æ: 'ae', œ: 'oe', ø: 'o', ð: 'th', þ: 'th', ß: 'ss' };
+
+/** Combining marks that stress a vowel (grave, acute, circumflex) */
+const STRESS_MARKS = /[\u0300\u0301\u0302]/;
+
+/** Combining diaeresis */
+const DIAERESIS = '\u0308';
+
+/** Consonant sounds that form an onset with a following r or l ("dr", "gl", ...) */
+const CLUSTER_HEADS = ['p', 'b', 't', 'd', 'k', 'g', 'f', 'v', 'th', 'sh'];
+
+/**
+ * Reading rules by phonetic language
+ *
+ * - vowels: single vowels as [open syllable, closed syllable]
+ * - vowelGroups: letter groups read as one vowel
+ * - finalVowelGroups: vowel groups only at the end of a word
+ * - rColored: vowels (and groups) followed by r and a consonant (or the end of the word)
+ * - magicE: vowels lengthened by a silent final e ("Rune" -> "roon")
+ * - finalE: sound of an unstressed final e
+ * - lengtheningH: h after a vowel is silent and lengthens it (true, 'final' = only at the end)
+ * - consonants: letter groups and letters (with `initial` and `before` conditions,
+ *   `double` for groups that close the syllable like a double consonant)
+ * - devoice: sounds replaced at the end of a word
+ * - stress: 'initial' (first syllable) or 'weight' (first, or the second-to-last syllable
+ *   if it is heavy, otherwise the third-to-last in names of three or more syllables)
+ * @private
+ */
+const PHONETIC_RULES = {
+  en: {
+    vowels: {
+      a: ['ah', 'a'], e: ['eh', 'e'], i: ['ee', 'i'], o: ['oh', 'o'], u: ['oo', 'u'], y: ['ee', 'i']
+    },
+    vowelGroups: {
+      aa: 'ah', ae: 'ay', ai: 'eye', au: 'ow', aw: 'aw', ay: 'ay', ea: 'ee', ee: 'ee', ei: 'ay', eu: 'yoo',
+      ey: 'ay', oa: 'oh', oe: 'oh', oi: 'oy', oo: 'oo', ou: 'oo', ow: 'ow', oy: 'oy', ue: 'oo'
+    },
+    finalVowelGroups: { ie: 'ee' },
+    rColored: {
+      a: 'ar', e: 'er', i: 'ir', o: 'or', u: 'ur', y: 'ir',
+      ae: 'air', ai: 'air', ea: 'eer', ee: 'eer', ei: 'air', oo: 'oor', ou: 'oor'
+    },
+    magicE: { a: 'ay', e: 'ee', i: 'eye', o: 'oh', u: 'oo', y: 'eye' },
+    finalE: null,
+    lengtheningH: 'final',
+    consonants: [
+      { spell: 'tch', sound: 'ch' },
+      { spell: 'sch', sound: 'sh' },
+      { spell: 'kn', sound: 'n', initial: true },
+      { spell: 'ph', sound: 'f' },
+      { spell: 'th', sound: 'th' },
+      { spell: 'dh', sound: 'th' },
+      { spell: 'sh', sound: 'sh' },
+      { spell: 'ch', sound: 'ch' },
+      { spell: 'kh', sound: 'kh' },
+      { spell: 'zh', sound: 'zh' },
+      { spell: 'gh', sound: 'g' },
+      { spell: 'rh', sound: 'r' },
+      { spell: 'wh', sound: 'w' },
+      { spell: 'ck', sound: 'k', double: true },
+      { spell: 'qu', sound: 'kw' },
+      { spell: 'ng', sound: 'ng', double: true },
+      { spell: 'x', sound: 'z', initial: true },
+      { spell: 'x', sound: 'ks' },
+      { spell: 'c', sound: 's', before: 'eiy' },
+      { spell: 'c', sound: 'k' },
+      { spell: 'q', sound: 'k' }
+    ],
+    devoice: {},
+    stress: 'weight'
+  },
+  de: {
+    vowels: {
+      a: ['ah', 'a'], e: ['ay', 'e'], i: ['ee', 'i'], o: ['oh', 'o'], u: ['oo', 'u'], y: ['ew', 'ew'],
+      ä: ['ay', 'e'], ö: ['ur', 'ur'], ü: ['ew', 'ew']
+    },
+    vowelGroups: {
+      aa: 'ah', ai: 'eye', au: 'ow', äu: 'oy', ay: 'eye', ee: 'ay', ei: 'eye', eu: 'oy', ey: 'eye',
+      ie: 'ee', oo: 'oh'
+    },
+    finalVowelGroups: {},
+    rColored: {},
+    magicE: {},
+    finalE: 'uh',
+    lengtheningH: true,
+    consonants: [
+      { spell: 'tsch', sound: 'ch' },
+      { spell: 'sch', sound: 'sh' },
+      { spell: 'st', sound: 'sht', initial: true },
+      { spell: 'sp', sound: 'shp', initial: true },
+      { spell: 'ch', sound: 'kh' },
+      { spell: 'ck', sound: 'k', double: true },
+      { spell: 'tz', sound: 'ts', double: true },
+      { spell: 'ph', sound: 'f' },
+      { spell: 'th', sound: 't' },
+      { spell: 'rh', sound: 'r', initial: true },
+      { spell: 'qu', sound: 'kv' },
+      { spell: 'ng', sound: 'ng', double: true },
+      { spell: 's', sound: 'z', initial: true, before: 'aeiouäöüy' },
+      { spell: 'c', sound: 'ts', before: 'eiäy' },
+      { spell: 'c', sound: 'k' },
+      { spell: 'j', sound: 'y' },
+      { spell: 'v', sound: 'f' },
+      { spell: 'w', sound: 'v' },
+      { spell: 'x', sound: 'ks' },
+      { spell: 'z', sound: 'ts' }
+    ],
+    devoice: { b: 'p', d: 't', g: 'k', z: 's' },
+    stress: 'initial'
+  }
+};
+
+/**
+ * Build the pronunciation guide of a generated name.
+ * Parts with a guide of their own (item `pron`, names of nested recipes) keep it; the rest
+ * is respelled with the rules of the phonetic language.
+ *
+ * @param {string} text - Generated name
+ * @param {string} [language='en'] - Phonetic language (base language of tags like "en-GB" is used)
+ * @param {Array<{text: string, guide: string}>} [overrides=[]] - Texts in the name with a given guide
+ * @returns {string|null} Guide, or null if the name has nothing to pronounce (e.g. runic text)
+ * @example
+ * buildPronunciation('Aerdeth Sturmwind', 'en', [{ text: 'Sturmwind', guide: 'SHTURM-vint' }]);
+ * // "AIR-deth SHTURM-vint"
+ */
+export function buildPronunciation(text, language = 'en', overrides = []) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return null;
+  }
+
+  // Longest override first, so "Eichenhain" wins over "Eichen"
+  const sorted = overrides
+    .filter(override => override?.text && override.guide)
+    .sort((a, b) => b.text.length - a.text.length);
+
+  let segments = [{ text, guide: null }];
+  for (const override of sorted) {
+    segments = segments.flatMap(segment => (segment.guide === null ? splitByOverride(segment.text, override) : [segment]));
+  }
+
+  const guide = segments
+    .map(segment => segment.guide ?? respell(segment.text, language))
+    .filter(Boolean)
+    .join(' ');
+  return guide || null;
+}
+
+/**
+ * Respell text with the rules of a phonetic language.
+ *
+ * @param {string} text - Text (one or more words)
+ * @param {string} [language='en'] - Phonetic language
+ * @returns {string} Guide (empty if no word contains Latin letters)
+ * @example
+ * respell('Galadriel', 'en'); // "gah-LAH-dree-el"
+ * respell('Eichwald', 'de');  // "EYEKH-valt"
+ */
+export function respell(text, language = 'en') {
+  const rules = getRules(language);
+  return String(text)
+    .split(/[\s\-–—]+/)
+    .map(word => respellWord(word, rules))
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Get the reading rules of a phonetic language.
+ *
+ * @param {string} language - Phonetic language
+ * @returns {Object} Rules (English for unknown languages)
+ * @private
+ */
+function getRules(language) {
+  const base = String(language || 'en').toLowerCase().split('-')[0];
+  return PHONETIC_RULES[base] || PHONETIC_RULES.en;
+}
+
+/**
+ * Split text at the occurrences of an override (case-insensitive, whole words only).
+ *
+ * @param {string} text - Text without a guide yet
+ * @param {{text: string, guide: string}} override - Override
+ * @returns {Array<{text: string, guide: (string|null)}>} Segments
+ * @private
+ */
+function splitByOverride(text, override) {
+  const lower = text.toLowerCase();
+  const search = override.text.toLowerCase();
+  const segments = [];
+  let start = 0;
+  let index = lower.indexOf(search);
+
+  while (index !== -1) {
+    const end = index + search.length;
+    if (!isLetter(text[index - 1]) && !isLetter(text[end])) {
+      segments.push({ text: text.slice(start, index), guide: null }, { text: '', guide: override.guide });
+      start = end;
+    }
+    index = lower.indexOf(search, index + 1);
+  }
+
+  segments.push({ text: text.slice(start), guide: null });
+  return segments.filter(segment => segment.guide !== null || segment.text.trim());
+}
+
+/**
+ * Check whether a character is a letter.
+ *
+ * @param {string|undefined} char - Character
+ * @returns {boolean} True for letters
+ * @private
+ */
+function isLetter(char) {
+  return char !== undefined && /\p{L}/u.test(char);
+}
+
+/**
+ * Respell one word.
+ *
+ * @param {string} word - Word
+ * @param {Object} rules - Reading rules
+ * @returns {string} Guide of the word (empty without Latin letters)
+ * @private
+ */
+function respellWord(word, rules) {
+  const letters = readLetters(word, rules);
+  if (!letters.some(letter => /[a-zäöü]/.test(letter.char))) {
+    return '';
+  }
+
+  const units = markDoubles(tokenize(letters, rules));
+  applyWordRules(units, rules);
+
+  const syllables = syllabify(units);
+  const stressed = syllables.length > 1 ? findStress(syllables, rules) : -1;
+
+  return syllables
+    .map((syllable, index) => {
+      const sound = soundOf(syllable);
+      return index === stressed ? sound.toUpperCase() : sound;
+    })
+    .join('-');
+}
+
+/**
+ * Split a word into lowercase letters with their stress and hiatus marks.
+ *
+ * @param {string} word - Word
+ * @param {Object} rules - Reading rules (umlauts are letters in German)
+ * @returns {Array<{char: string, stress: boolean, hiatus: boolean}>} Letters
+ * @private
+ */
+function readLetters(word, rules) {
+  const letters = [];
+  for (const char of word.toLowerCase()) {
+    const replacement = LETTER_REPLACEMENTS[char];
+    if (replacement && !rules.vowels[char]) {
+      letters.push(...[...replacement].map(c => ({ char: c, stress: false, hiatus: false })));
+      continue;
+    }
+
+    const [base, ...marks] = char.normalize('NFD');
+    const combining = marks.join('');
+    if (!base) {
+      continue;
+    }
+    if (combining.includes(DIAERESIS) && rules.vowels[char]) {
+      letters.push({ char, stress: false, hiatus: false });
+    } else if (!/\p{M}/u.test(base)) {
+      letters.push({ char: base, stress: STRESS_MARKS.test(combining), hiatus: combining.includes(DIAERESIS) });
+    }
+  }
+  return letters;
+}
+
+/**
+ * Check whether a letter is read as a vowel.
+ * A y before a vowel is a consonant at the start of a word or after a vowel ("Yara", "Maya").
+ *
+ * @param {Array<Object>} letters - Letters of the word
+ * @param {number} index - Letter index
+ * @param {Object} rules - Reading rules
+ * @returns {boolean} True for vowels
+ * @private
+ */
+function isVowelAt(letters, index, rules) {
+  const letter = letters[index];
+  if (!letter || !rules.vowels[letter.char]) {
+    return false;
+  }
+  if (letter.char === 'y' && isVowelLetter(letters[index + 1], rules)) {
+    return !(index === 0 || isVowelLetter(letters[index - 1], rules));
+  }
+  return true;
+}
+
+/**
+ * Check whether a letter is a vowel letter (without the y rule).
+ *
+ * @param {Object|undefined} letter - Letter
+ * @param {Object} rules - Reading rules
+ * @returns {boolean} True for vowel letters
+ * @private
+ */
+function isVowelLetter(letter, rules) {
+  return Boolean(letter && rules.vowels[letter.char] && letter.char !== 'y');
+}
+
+/**
+ * Turn letters into vowel (V), consonant (C) and break (B) units.
+ *
+ * @param {Array<Object>} letters - Letters of the word
+ * @param {Object} rules - Reading rules
+ * @returns {Array<Object>} Units
+ * @private
+ */
+function tokenize(letters, rules) {
+  const units = [];
+  const spelled = letters.map(letter => letter.char).join('');
+
+  for (let i = 0; i < letters.length;) {
+    const letter = letters[i];
+
+    if (isVowelAt(letters, i, rules)) {
+      const unit = readVowel(letters, spelled, i, rules);
+      i += unit.spell.length;
+      const isFinal = i + 1 === letters.length;
+      if (letters[i]?.char === 'h' && (rules.lengtheningH === true || isFinal) && !isVowelAt(letters, i + 1, rules)) {
+        unit.long = true;
+        i++;
+      }
+      units.push(unit);
+      continue;
+    }
+
+    if (!/\p{L}/u.test(letter.char)) {
+      units.push({ type: 'B' });
+      i++;
+      continue;
+    }
+
+    const consonant = rules.consonants.find(rule => matchesConsonant(rule, letters, spelled, i));
+    units.push({
+      type: 'C',
+      sound: consonant ? consonant.sound : letter.char,
+      double: Boolean(consonant?.double)
+    });
+    i += consonant ? consonant.spell.length : 1;
+  }
+
+  return units;
+}
+
+/**
+ * Read the vowel (or vowel group) starting at a letter.
+ *
+ * @param {Array<Object>} letters - Letters of the word
+ * @param {string} spelled - Letters as a string
+ * @param {number} index - Index of the vowel
+ * @param {Object} rules - Reading rules
+ * @returns {Object} Vowel unit
+ * @private
+ */
+function readVowel(letters, spelled, index, rules) {
+  for (const length of [3, 2]) {
+    const group = spelled.slice(index, index + length);
+    if (group.length < length || letters.slice(index + 1, index + length).some(letter => letter.hiatus || letter.stress)) {
+      continue;
+    }
+    const atEnd = index + length === letters.length;
+    const sound = rules.vowelGroups[group] ?? (atEnd ? rules.finalVowelGroups[group] : undefined);
+    // A w or y ending a group is a consonant before a vowel ("Rowan")
+    const glideBeforeVowel = /[wy]$/.test(group) && isVowelLetter(letters[index + length], rules);
+    if (sound && !glideBeforeVowel) {
+      return { type: 'V', spell: group, sound, stress: letters[index].stress, group: true };
+    }
+  }
+
+  const letter = letters[index];
+  return { type: 'V', spell: letter.char, forms: rules.vowels[letter.char], stress: letter.stress, hiatus: letter.hiatus };
+}
+
+/**
+ * Check whether a consonant rule applies at a letter.
+ *
+ * @param {Object} rule - Consonant rule
+ * @param {Array<Object>} letters - Letters of the word
+ * @param {string} spelled - Letters as a string
+ * @param {number} index - Letter index
+ * @returns {boolean} True if the rule applies
+ * @private
+ */
+function matchesConsonant(rule, letters, spelled, index) {
+  if (!spelled.startsWith(rule.spell, index)) {
+    return false;
+  }
+  if (rule.initial && index !== 0) {
+    return false;
+  }
+  if (rule.before) {
+    const next = letters[index + rule.spell.length];
+    return Boolean(next && rule.before.includes(next.char));
+  }
+  return true;
+}
+
+/**
+ * Merge doubled consonants ("rr", "ll") into one unit that closes the syllable before it.
+ *
+ * @param {Array<Object>} units - Units
+ * @returns {Array<Object>} Units without repeated consonants
+ * @private
+ */
+function markDoubles(units) {
+  const merged = [];
+  for (const unit of units) {
+    const previous = merged[merged.length - 1];
+    if (unit.type === 'C' && previous?.type === 'C' && previous.sound === unit.sound) {
+      previous.double = true;
+    } else {
+      merged.push(unit);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Apply the rules that depend on the position in the word: r-colored vowels, silent final e,
+ * unstressed final e and final devoicing.
+ *
+ * @param {Array<Object>} units - Units (changed in place)
+ * @param {Object} rules - Reading rules
+ * @private
+ */
+function applyWordRules(units, rules) {
+  // Vowel + r before a consonant or at the end ("Aerdeth" -> "air", "Thor" -> "thor")
+  for (let i = 0; i < units.length - 1; i++) {
+    const unit = units[i];
+    const next = units[i + 1];
+    const after = units[i + 2];
+    const colored = unit.type === 'V' && !unit.long ? rules.rColored[unit.spell] : null;
+    if (colored && next.type === 'C' && next.sound === 'r' && !next.double && after?.type !== 'V') {
+      unit.sound = colored;
+      unit.group = true;
+      units.splice(i + 1, 1);
+    }
+  }
+
+  const vowelCount = units.filter(unit => unit.type === 'V').length;
+  const last = units[units.length - 1];
+  if (last?.type === 'V' && last.spell === 'e' && !last.sound && !last.stress && !last.hiatus && vowelCount > 1) {
+    if (rules.finalE) {
+      last.sound = rules.finalE;
+    } else if (units[units.length - 2]?.type === 'C') {
+      // Silent final e, lengthening the vowel before a single consonant ("Rune")
+      units.pop();
+      const consonant = units[units.length - 1];
+      const vowel = units[units.length - 2];
+      if (!consonant.double && vowel?.type === 'V' && !vowel.sound && rules.magicE[vowel.spell]) {
+        vowel.sound = rules.magicE[vowel.spell];
+        vowel.group = true;
+      }
+    }
+  }
+
+  for (let i = units.length - 1; i >= 0 && units[i].type === 'C'; i--) {
+    units[i].sound = rules.devoice[units[i].sound] ?? units[i].sound;
+  }
+}
+
+/**
+ * Group units into syllables. A single consonant between vowels starts the next syllable,
+ * of several consonants the last one does (two if they form an onset like "dr"); double
+ * consonants and breaks end the syllable.
+ *
+ * @param {Array<Object>} units - Units
+ * @returns {Array<{onset: Object[], nucleus: (Object|null), coda: Object[]}>} Syllables
+ * @private
+ */
+function syllabify(units) {
+  const vowelIndices = units.map((unit, index) => (unit.type === 'V' ? index : -1)).filter(index => index >= 0);
+  const consonants = (list) => list.filter(unit => unit.type === 'C');
+
+  if (vowelIndices.length === 0) {
+    return [{ onset: consonants(units), nucleus: null, coda: [] }];
+  }
+
+  const syllables = vowelIndices.map(index => ({ onset: [], nucleus: units[index], coda: [] }));
+  syllables[0].onset = consonants(units.slice(0, vowelIndices[0]));
+  syllables[syllables.length - 1].coda = consonants(units.slice(vowelIndices[vowelIndices.length - 1] + 1));
+
+  for (let k = 0; k < vowelIndices.length - 1; k++) {
+    const between = units.slice(vowelIndices[k] + 1, vowelIndices[k + 1]);
+    const breakIndex = between.findIndex(unit => unit.type === 'B');
+    let split;
+
+    if (breakIndex >= 0) {
+      split = breakIndex;
+    } else if (between.length === 0) {
+      split = 0;
+    } else if (between[between.length - 1].double) {
+      split = between.length;
+    } else if (between.length >= 2 && isOnsetCluster(between[between.length - 2], between[between.length - 1])) {
+      split = between.length - 2;
+    } else {
+      split = between.length - 1;
+    }
+
+    syllables[k].coda = consonants(between.slice(0, split));
+    syllables[k + 1].onset = consonants(between.slice(split));
+  }
+
+  return syllables;
+}
+
+/**
+ * Check whether two consonants can start a syllable together.
+ *
+ * @param {Object} first - First consonant unit
+ * @param {Object} second - Second consonant unit
+ * @returns {boolean} True for clusters like "dr", "gl", "thr"
+ * @private
+ */
+function isOnsetCluster(first, second) {
+  return !first.double && CLUSTER_HEADS.includes(first.sound) && (second.sound === 'r' || second.sound === 'l');
+}
+
+/**
+ * Find the stressed syllable.
+ *
+ * @param {Array<Object>} syllables - Syllables (at least two)
+ * @param {Object} rules - Reading rules
+ * @returns {number} Index of the stressed syllable
+ * @private
+ */
+function findStress(syllables, rules) {
+  const marked = syllables.findIndex(syllable => syllable.nucleus?.stress);
+  if (marked >= 0) {
+    return marked;
+  }
+  if (rules.stress === 'initial' || syllables.length < 3) {
+    return 0;
+  }
+
+  const penult = syllables[syllables.length - 2];
+  const heavy = penult.coda.length > 0 || penult.nucleus.group || penult.nucleus.long;
+  return heavy ? syllables.length - 2 : syllables.length - 3;
+}
+
+/**
+ * Respell a syllable.
+ *
+ * @param {Object} syllable - Syllable
+ * @returns {string} Lowercase respelling
+ * @private
+ */
+function soundOf(syllable) {
+  const { onset, nucleus, coda } = syllable;
+  let vowel = '';
+  if (nucleus) {
+    const open = coda.length === 0 || nucleus.long;
+    vowel = nucleus.sound ?? nucleus.forms[open ? 0 : 1];
+    // "eye" only stands alone, after consonants it reads as y ("Stein" -> "shtyn")
+    if (vowel === 'eye' && onset.length > 0) {
+      vowel = 'y';
+    }
+  }
+  return [...onset.map(unit => unit.sound), vowel, ...coda.map(unit => unit.sound)].join('');
+}
@@ -0,0 +1,142 @@
+/**
+ * Replay Token - Compact encoding of everything needed to regenerate a result
+ *
+ * A token captures package code, package fileVersion, recipe id, sub-seed, locale,
+ * runtime filters, component flags and part rerolls. Results of an enumerated (small) name space
+ * also carry their choice path (see variety.js). Dynamic recipes (built at
+ * runtime, id prefix `_dynamic_`) do not exist after a reload: recipes with an `origin`
+ * (person names) carry the options they were built from, others are embedded.
+ *
+ * @module replay-token
+ */
+
+import { createNominaError, ErrorType } from '../utils/error-helper.js';
+
+/** Token prefix, includes the token format version */
+const TOKEN_PREFIX = 'nr1.';
+
+/** Recipes with this id prefix are generated at runtime and embedded in the token */
+export const DYNAMIC_RECIPE_PREFIX = '_dynamic_';
+
+/**
+ * Encode replay data into a compact, URL-safe token.
+ *
+ * @param {Object} data - Replay data
+ * @param {string} data.packageCode - Package code (e.g., "human-de")
+ * @param {string|null} data.fileVersion - Package fileVersion at generation time
+ * @param {string} data.recipeId - Recipe id
+ * @param {string} data.seed - Sub-seed used for the result
+ * @param {string} data.locale - Locale used for the result
+ * @param {Object} [data.filters] - Runtime filters per catalog key
+ * @param {Object} [data.components] - Component flags
+ * @param {Object<string, number>} [data.rerolls] - Reroll counters per alias
+ * @param {Array<number>} [data.choices] - Choice path of an enumerated result
+ * @param {Object} [data.recipe] - Recipe definition (for dynamic recipes without origin)
+ * @param {Object} [data.origin] - Origin of a dynamic recipe ({ type, options }) to rebuild it from
+ * @returns {string} Replay token
+ * @example
+ * const token = encodeReplayToken({ packageCode: 'human-de', recipeId: 'full_name', seed: 'abc:0', locale: 'de' });
+ */
+export function encodeReplayToken(data) {
+  const compact = {
+    p: data.packageCode,
+    v: data.fileVersion || null,
+    r: data.recipeId,
+    s: data.seed,
+    l: data.locale
+  };
+
+  if (!isEmpty(data.filters)) compact.f = data.filters;
+  if (!isEmpty(data.components)) compact.c = data.components;
+  if (!isEmpty(data.rerolls)) compact.x = data.rerolls;
+  if (Array.isArray(data.choices)) compact.k = data.choices;
+  if (data.recipe) compact.d = data.recipe;
+  if (data.origin) compact.o = data.origin;
+
+  return TOKEN_PREFIX + toBase64Url(JSON.stringify(compact));
+}
+
+/**
+ * Decode a replay token.
+ *
+ * @param {string} token - Token from encodeReplayToken
+ * @returns {Object} Replay data with packageCode, fileVersion, recipeId, seed, locale,
+ *   filters, components, rerolls and (optional) choices, recipe and origin
+ * @throws {NominaError} If the token is malformed
+ */
+export function decodeReplayToken(token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+    throw createNominaError(ErrorType.REPLAY_INVALID_TOKEN, { token: String(token) });
+  }
+
+  let compact;
+  try {
+    compact = JSON.parse(fromBase64Url(token.slice(TOKEN_PREFIX.length)));
+  } catch (error) {
+    throw createNominaError(ErrorType.REPLAY_INVALID_TOKEN, { token }, error);
+  }
+
+  if (!compact || !compact.p || !compact.r || !compact.s) {
+    throw createNominaError(ErrorType.REPLAY_INVALID_TOKEN, { token });
+  }
+
+  return {
+    packageCode: compact.p,
+    fileVersion: compact.v || null,
+    recipeId: compact.r,
+    seed: compact.s,
+    locale: compact.l || 'en',
+    filters: compact.f || {},
+    components: compact.c || {},
+    rerolls: compact.x || {},
+    choices: Array.isArray(compact.k) ? compact.k : null,
+    recipe: compact.d || null,
+    origin: compact.o || null
+  };
+}
+
+/**
+ * Create a random seed for requests without an explicit seed,
+ * so their results can still be replayed.
+ *
+ * @returns {string} Random seed string
+ */
+export function createRandomSeed() {
+  return Math.random().toString(36).substring(2, 12);
+}
+
+/**
+ * Check whether an object is missing or has no keys.
+ * @param {Object} obj - Object to check
+ * @returns {boolean} True if empty
+ * @private
+ */
+function isEmpty(obj) {
+  return !obj || Object.keys(obj).length === 0;
+}
+
+/**
+ * Encode a string as URL-safe base64 (UTF-8 aware).
+ * @param {string} str - Input string
+ * @returns {string} Base64url string without padding
+ * @private
+ */
+function toBase64Url(str) {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(str)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a URL-safe base64 string (UTF-8 aware).
+ * @param {string} encoded - Base64url string
+ * @returns {string} Decoded string
+ * @private
+ */
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
@@ -0,0 +1,286 @@
+/**
+ * Script Registry - Fantasy script rendering of generated names
+ *
+ * A script turns Latin text into another writing system, in one of two ways:
+ * - `unicode`: letters are mapped to Unicode characters (e.g. the Runic block), the result is
+ *   plain text that can be pasted anywhere
+ * - `font`: letters are kept (or mapped to the keys of a font) and shown with a font that draws
+ *   them as script glyphs (e.g. Dethek or Espruar fonts); the font has to be available in
+ *   Foundry, so these scripts are mainly copied as markup
+ *
+ * Mapping keys are matched longest first ("th" before "t") and case-insensitively unless the
+ * script is `caseSensitive`; characters without a mapping are kept.
+ *
+ * Built-in scripts: `runic` (Elder Futhark), `dethek` and `espruar` (font-based). Other modules
+ * add scripts with `api.registerScript(id, definition)`. Registered scripts only exist on the
+ * main thread, so the generation worker is not used while any script is registered.
+ *
+ * @module script-registry
+ */
+
+import { logDebug } from '../utils/logger.js';
+
+/**
+ * Elder Futhark runes for Latin letters (phonetic approximation)
+ * @private
+ */
+const ELDER_FUTHARK = {
+  th: 'ᚦ', ng: 'ᛜ',
+  a: 'ᚨ', b: 'ᛒ', c: 'ᚲ', d: 'ᛞ', e: 'ᛖ', f: 'ᚠ', g: 'ᚷ', h: 'ᚺ', i: 'ᛁ',
+  j: 'ᛃ', k: 'ᚲ', l: 'ᛚ', m: 'ᛗ', n: 'ᚾ', o: 'ᛟ', p: 'ᛈ', q: 'ᚲ', r: 'ᚱ',
+  s: 'ᛊ', t: 'ᛏ', u: 'ᚢ', v: 'ᚹ', w: 'ᚹ', x: 'ᚲᛊ', y: 'ᛁ', z: 'ᛉ',
+  ä: 'ᚨᛖ', ö: 'ᛟᛖ', ü: 'ᚢᛖ', ß: 'ᛊᛊ',
+  ' ': '᛫'
+};
+
+/** Built-in scripts by ID */
+export const BUILTIN_SCRIPTS = {
+  runic: {
+    name: { en: 'Runic (Elder Futhark)', de: 'Runen (Älteres Futhark)' },
+    type: 'unicode',
+    map: ELDER_FUTHARK
+  },
+  dethek: {
+    name: { en: 'Dethek (Dwarvish)', de: 'Dethek (Zwergisch)' },
+    type: 'font',
+    font: 'Dethek'
+  },
+  espruar: {
+    name: { en: 'Espruar (Elvish)', de: 'Espruar (Elfisch)' },
+    type: 'font',
+    font: 'Espruar'
+  }
+};
+
+/**
+ * Scripts by lowercase ID (built-in and registered)
+ * @type {Map<string, {id: string, name: (string|Object<string, string>), type: string, font: (string|null), letterCase: (string|null), caseSensitive: boolean, map: Map<string, string>, maxKeyLength: number, builtin: boolean}>}
+ */
+const scripts = new Map();
+
+for (const [id, definition] of Object.entries(BUILTIN_SCRIPTS)) {
+  scripts.set(id, createEntry(id, definition, true));
+}
+
+/**
+ * Register a script (replaces an earlier registration with the same ID).
+ * Validate the arguments with validateScriptRegistration first.
+ *
+ * @param {string} id - Script ID (case-insensitive)
+ * @param {Object} definition - Script definition
+ * @param {string|Object<string, string>} definition.name - Display name (or names by locale)
+ * @param {string} [definition.type='unicode'] - "unicode" or "font"
+ * @param {Object<string, string>} [definition.map={}] - Latin letters/letter groups to script characters
+ * @param {string|null} [definition.font=null] - Font family of font-based scripts
+ * @param {string|null} [definition.letterCase=null] - "upper" or "lower" to change the case before mapping
+ * @param {boolean} [definition.caseSensitive=false] - Match mapping keys case-sensitively
+ * @example
+ * registerScript('ogham', { name: 'Ogham', map: { b: 'ᚁ', l: 'ᚂ', ' ': ' ' } });
+ */
+export function registerScript(id, definition) {
+  const key = id.toLowerCase();
+  if (scripts.has(key)) {
+    logDebug(`Replacing registered script: ${id}`);
+  }
+  scripts.set(key, createEntry(id, definition, false));
+  logDebug(`Registered script: ${id}`);
+}
+
+/**
+ * Remove a registered script (built-in scripts cannot be removed).
+ *
+ * @param {string} id - Script ID (case-insensitive)
+ * @returns {boolean} True if the script was registered
+ */
+export function unregisterScript(id) {
+  const key = String(id).toLowerCase();
+  if (scripts.get(key)?.builtin) {
+    return false;
+  }
+  return scripts.delete(key);
+}
+
+/**
+ * Get a script.
+ *
+ * @param {string} id - Script ID (case-insensitive)
+ * @returns {Object|null} Script entry or null
+ */
+export function getScript(id) {
+  return typeof id === 'string' ? scripts.get(id.toLowerCase()) || null : null;
+}
+
+/**
+ * Check whether a script ID belongs to a built-in script.
+ *
+ * @param {string} id - Script ID
+ * @returns {boolean} True for built-in scripts (case-insensitive)
+ */
+export function isBuiltinScript(id) {
+  return Object.hasOwn(BUILTIN_SCRIPTS, String(id).toLowerCase());
+}
+
+/**
+ * Check whether any scripts besides the built-in ones are registered.
+ *
+ * @returns {boolean} True if at least one script is registered
+ */
+export function hasRegisteredScripts() {
+  return scripts.size > Object.keys(BUILTIN_SCRIPTS).length;
+}
+
+/**
+ * List all scripts with their display names.
+ *
+ * @param {string} [locale='en'] - Locale of the display names
+ * @returns {Array<{id: string, name: string, type: string, font: (string|null)}>} Scripts (built-in first)
+ */
+export function getScriptList(locale = 'en') {
+  return [...scripts.values()].map(entry => ({
+    id: entry.id,
+    name: getScriptName(entry, locale),
+    type: entry.type,
+    font: entry.font
+  }));
+}
+
+/**
+ * Transliterate text into a script.
+ *
+ * @param {string} text - Latin text
+ * @param {string} id - Script ID
+ * @returns {string|null} Text in the script, or null if the script is unknown
+ * @example
+ * transliterate('Thorin', 'runic'); // "ᚦᛟᚱᛁᚾ"
+ */
+export function transliterate(text, id) {
+  const entry = getScript(id);
+  if (!entry) {
+    return null;
+  }
+
+  let source = String(text);
+  if (entry.letterCase === 'upper') {
+    source = source.toUpperCase();
+  } else if (entry.letterCase === 'lower') {
+    source = source.toLowerCase();
+  }
+  if (entry.map.size === 0) {
+    return source;
+  }
+
+  const chars = [...source];
+  const matchChars = entry.caseSensitive ? chars : [...source.toLowerCase()];
+  // Lowercasing may change the length (e.g. "İ"), fall back to per-character matching then
+  const sameLength = matchChars.length === chars.length;
+  let result = '';
+
+  for (let i = 0; i < chars.length;) {
+    let matched = false;
+    for (let length = Math.min(entry.maxKeyLength, chars.length - i); length > 0; length--) {
+      const key = sameLength
+        ? matchChars.slice(i, i + length).join('')
+        : chars.slice(i, i + length).join('').toLowerCase();
+      const mapped = entry.map.get(key);
+      if (mapped !== undefined) {
+        result += mapped;
+        i += length;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) {
+      result += chars[i];
+      i++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Render text in a script as plain text and as HTML markup.
+ * The markup sets the font of font-based scripts, so it can be pasted into journals and chat.
+ *
+ * @param {string} text - Latin text
+ * @param {string} id - Script ID
+ * @returns {{script: string, type: string, font: (string|null), text: string, markup: string}|null} Rendering, or null if the script is unknown
+ * @example
+ * renderScript('Thorin', 'dethek');
+ * // { script: 'dethek', type: 'font', font: 'Dethek', text: 'Thorin',
+ * //   markup: '<span class="nomina-script" data-script="dethek" style="font-family: \'Dethek\'">Thorin</span>' }
+ */
+export function renderScript(text, id) {
+  const entry = getScript(id);
+  if (!entry) {
+    return null;
+  }
+
+  const scriptText = transliterate(text, id);
+  const style = entry.font ? ` style="font-family: '${escapeHTML(entry.font)}'"` : '';
+  return {
+    script: entry.id,
+    type: entry.type,
+    font: entry.font,
+    text: scriptText,
+    markup: `<span class="nomina-script" data-script="${escapeHTML(entry.id)}"${style}>${escapeHTML(scriptText)}</span>`
+  };
+}
+
+/**
+ * Build a registry entry from a script definition.
+ *
+ * @param {string} id - Script ID
+ * @param {Object} definition - Script definition (see registerScript)
+ * @param {boolean} builtin - Whether the script is built-in
+ * @returns {Object} Registry entry
+ * @private
+ */
+function createEntry(id, definition, builtin) {
+  const caseSensitive = definition.caseSensitive === true;
+  const map = new Map(Object.entries(definition.map || {})
+    .map(([key, value]) => [caseSensitive ? key : key.toLowerCase(), value]));
+  return {
+    id,
+    name: definition.name || id,
+    type: definition.type || 'unicode',
+    font: definition.font || null,
+    letterCase: definition.letterCase || null,
+    caseSensitive,
+    map,
+    maxKeyLength: Math.max(0, ...[...map.keys()].map(key => [...key].length)),
+    builtin
+  };
+}
+
+/**
+ * Get the display name of a script.
+ *
+ * @param {Object} entry - Registry entry
+ * @param {string} locale - Locale
+ * @returns {string} Name in the locale (or English, or the first name, or the ID)
+ * @private
+ */
+function getScriptName(entry, locale) {
+  if (typeof entry.name === 'string') {
+    return entry.name;
+  }
+  const base = locale.split('-')[0];
+  return entry.name[locale] || entry.name[base] || entry.name.en || Object.values(entry.name)[0] || entry.id;
+}
+
+/**
+ * Escape text for HTML (works without a DOM, e.g. in the generation worker).
+ *
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
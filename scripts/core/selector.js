@@ -5,6 +5,12 @@
 
 import { logDebug, logWarn } from '../utils/logger.js';
 import { createNominaError, ErrorType } from '../utils/error-helper.js';
+import { getItemWeight, sampleAliasTable } from './catalog-index.js';
+import { matchesPredicates } from './item-predicates.js';
+import { validateWhere } from '../utils/api-input-validator.js';
+
+/** Boolean expression keys of where clauses (their entries are where clauses themselves) */
+const EXPRESSION_KEYS = ['all', 'any', 'not'];
 
 /**
  * Select an item from a catalog with optional filtering and weighting
@@ -13,9 +19,16 @@ import { createNominaError, ErrorType } from '../utils/error-helper.js';
  * @param {Array<string>} distinctFrom - Array of item identities to avoid (optional)
  * @param {string} seed - Random seed for deterministic selection (optional)
  * @param {number} maxRetries - Maximum retry attempts for distinctness (default: 20)
+ * @param {Object} cursor - Choice cursor for enumeration/replay (optional, see variety.js); picks the
+ *   candidate by index instead of weighted random selection
+ * @param {Object} deck - Catalog deck for sampling without replacement (optional, see NameDeck#forCatalog);
+ *   drawn items are skipped until the filtered pool is exhausted, then the pool is reshuffled
+ * @param {Object} pool - Pre-filtered items for `where` with alias table (optional, see CatalogFilterCache#getPool);
+ *   replaces filtering and makes weighted picks O(1)
+ * @param {string} locale - Locale of the text criteria in `where` (optional, see item-predicates.js)
  * @returns {Object} Selected item
  */
-export function selectFromCatalog(items, { where = null, distinctFrom = [], seed = null, maxRetries = 20, catalogKey = 'unknown' } = {}) {
+export function selectFromCatalog(items, { where = null, distinctFrom = [], seed = null, maxRetries = 20, catalogKey = 'unknown', cursor = null, deck = null, pool = null, locale = null } = {}) {
   if (!items || items.length === 0) {
     throw createNominaError(ErrorType.CATALOG_EMPTY, {
       catalog: catalogKey
@@ -23,7 +36,7 @@ export function selectFromCatalog(items, { where = null, distinctFrom = [], seed
   }
 
   // Filter candidates
-  let candidates = where ? filterItems(items, where) : items;
+  let candidates = pool ? pool.items : (where ? filterItems(items, where, locale) : items);
 
   if (candidates.length === 0) {
     throw createNominaError(ErrorType.CATALOG_NO_MATCH, {
@@ -33,71 +46,60 @@ export function selectFromCatalog(items, { where = null, distinctFrom = [], seed
     });
   }
 
-  // Handle distinctness
-  if (distinctFrom && distinctFrom.length > 0) {
-    return selectDistinct(candidates, distinctFrom, seed, maxRetries);
+  // Choice cursor: every remaining candidate is one option
+  if (cursor) {
+    if (distinctFrom && distinctFrom.length > 0) {
+      candidates = candidates.filter(item => !distinctFrom.includes(getItemIdentity(item)));
+      if (candidates.length === 0) {
+        throw createNominaError(ErrorType.CATALOG_NO_DISTINCT, {
+          attempts: 0
+        });
+      }
+    }
+    return candidates[cursor.pick(candidates.length)];
   }
 
-  // Weighted random selection
-  return weightedRandomSelect(candidates, seed);
+  // Deck mode: only draw items that were not drawn yet, reshuffle once the pool is used up
+  if (deck) {
+    const undrawn = candidates.filter(item => !deck.isDrawn(item));
+    if (undrawn.length > 0) {
+      candidates = undrawn;
+    } else {
+      deck.reshuffle(candidates);
+    }
+  }
+
+  // The alias table only matches the unmodified pool (deck mode may have narrowed it)
+  const aliasTable = pool && candidates === pool.items ? pool.alias : null;
+
+  // Handle distinctness, otherwise weighted random selection
+  const selected = distinctFrom && distinctFrom.length > 0
+    ? selectDistinct(candidates, distinctFrom, seed, maxRetries, aliasTable)
+    : weightedRandomSelect(candidates, seed, aliasTable);
+
+  if (deck) {
+    deck.draw(selected);
+  }
+  return selected;
 }
 
 /**
  * Filter items based on where criteria
  * @param {Array} items - Items to filter
- * @param {Object} where - Filter object with kinds, tags, anyOfTags, noneOfTags
+ * @param {Object} where - Filter object with kinds, tags, anyOfTags, noneOfTags, the
+ *   attribute, length, text and weight criteria of item-predicates.js and the boolean
+ *   expressions all/any/not (nested where clauses)
+ * @param {string} locale - Locale of the text criteria (optional, default: first available text)
  * @returns {Array} Filtered items
+ * @throws {NominaError} If a boolean expression is malformed
  */
-function filterItems(items, where) {
+export function filterItems(items, where, locale = null) {
   logDebug(`Filtering ${items.length} items with where clause:`, where);
-  
-  const filtered = items.filter(item => {
-    // kinds: ANY-of logic - at least one kind must match
-    if (where.kinds && where.kinds.length > 0) {
-      if (!item.kinds || item.kinds.length === 0) {
-        return false;
-      }
-      const hasMatchingKind = where.kinds.some(k => item.kinds.includes(k));
-      if (!hasMatchingKind) {
-        return false;
-      }
-    }
-
-    // tags: ALL-of logic - all required tags must be present
-    if (where.tags && where.tags.length > 0) {
-      if (!item.tags || item.tags.length === 0) {
-        return false;
-      }
-      const hasAllTags = where.tags.every(t => item.tags.includes(t));
-      if (!hasAllTags) {
-        return false;
-      }
-    }
 
-    // anyOfTags: ANY-of logic - at least one tag must match (optional extension)
-    if (where.anyOfTags && where.anyOfTags.length > 0) {
-      if (!item.tags || item.tags.length === 0) {
-        return false;
-      }
-      const hasAnyTag = where.anyOfTags.some(t => item.tags.includes(t));
-      if (!hasAnyTag) {
-        return false;
-      }
-    }
+  assertValidExpression(where);
 
-    // noneOfTags: NONE-of logic - none of these tags may be present (optional extension)
-    if (where.noneOfTags && where.noneOfTags.length > 0) {
-      if (item.tags && item.tags.length > 0) {
-        const hasForbiddenTag = where.noneOfTags.some(t => item.tags.includes(t));
-        if (hasForbiddenTag) {
-          return false;
-        }
-      }
-    }
+  const filtered = items.filter(item => matchesWhere(item, where, locale));
 
-    return true;
-  });
-  
   logDebug(`Filter result: ${filtered.length}/${items.length} items matched`);
   if (filtered.length === 0 && where.tags) {
     logDebug('No items matched tags filter. Sample item tags:', items[0]?.tags);
@@ -109,19 +111,113 @@ function filterItems(items, where) {
   return filtered;
 }
 
+/**
+ * Check a single item against where criteria
+ * @param {Object} item - Catalog item
+ * @param {Object} where - Filter object (see filterItems)
+ * @param {string} locale - Locale of the text criteria (optional)
+ * @returns {boolean} True if the item matches
+ */
+export function matchesWhere(item, where, locale = null) {
+  // kinds: ANY-of logic - at least one kind must match
+  if (where.kinds && where.kinds.length > 0) {
+    if (!item.kinds || item.kinds.length === 0) {
+      return false;
+    }
+    const hasMatchingKind = where.kinds.some(k => item.kinds.includes(k));
+    if (!hasMatchingKind) {
+      return false;
+    }
+  }
+
+  // tags: ALL-of logic - all required tags must be present
+  if (where.tags && where.tags.length > 0) {
+    if (!item.tags || item.tags.length === 0) {
+      return false;
+    }
+    const hasAllTags = where.tags.every(t => item.tags.includes(t));
+    if (!hasAllTags) {
+      return false;
+    }
+  }
+
+  // anyOfTags: ANY-of logic - at least one tag must match (optional extension)
+  if (where.anyOfTags && where.anyOfTags.length > 0) {
+    if (!item.tags || item.tags.length === 0) {
+      return false;
+    }
+    const hasAnyTag = where.anyOfTags.some(t => item.tags.includes(t));
+    if (!hasAnyTag) {
+      return false;
+    }
+  }
+
+  // noneOfTags: NONE-of logic - none of these tags may be present (optional extension)
+  if (where.noneOfTags && where.noneOfTags.length > 0) {
+    if (item.tags && item.tags.length > 0) {
+      const hasForbiddenTag = where.noneOfTags.some(t => item.tags.includes(t));
+      if (hasForbiddenTag) {
+        return false;
+      }
+    }
+  }
+
+  // attrs, length, startsWith, endsWith, matches, weight
+  if (!matchesPredicates(item, where, locale)) {
+    return false;
+  }
+
+  // all: every nested clause must match
+  if (where.all && where.all.length > 0 && !where.all.every(clause => matchesWhere(item, clause, locale))) {
+    return false;
+  }
+
+  // any: at least one nested clause must match
+  if (where.any && where.any.length > 0 && !where.any.some(clause => matchesWhere(item, clause, locale))) {
+    return false;
+  }
+
+  // not: the nested clause must not match
+  if (where.not && matchesWhere(item, where.not, locale)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Reject malformed boolean expressions before filtering
+ * (plain tag/kind filters are not checked, they are validated when packages are loaded)
+ * @param {Object} where - Filter object
+ * @throws {NominaError} If all/any/not are malformed
+ */
+function assertValidExpression(where) {
+  if (!EXPRESSION_KEYS.some(key => where[key] !== undefined)) {
+    return;
+  }
+
+  const result = validateWhere(where);
+  if (!result.isValid) {
+    throw createNominaError(ErrorType.CATALOG_INVALID_WHERE, {
+      error: result.error
+    });
+  }
+}
+
 /**
  * Select an item that is distinct from previous selections
  * @param {Array} candidates - Filtered candidates
  * @param {Array<string>} distinctFrom - Item identities to avoid
  * @param {string} seed - Random seed
  * @param {number} maxRetries - Maximum retries
+ * @param {Object} aliasTable - Alias table of the candidates (optional)
  * @returns {Object} Selected item
  */
-function selectDistinct(candidates, distinctFrom, seed, maxRetries) {
+function selectDistinct(candidates, distinctFrom, seed, maxRetries, aliasTable = null) {
   let attempts = 0;
 
   while (attempts < maxRetries) {
-    const selected = weightedRandomSelect(candidates, seed ? `${seed}:retry${attempts}` : null);
+    const selected = weightedRandomSelect(candidates, seed ? `${seed}:retry${attempts}` : null, aliasTable);
     const selectedId = getItemIdentity(selected);
 
     if (!distinctFrom.includes(selectedId)) {
@@ -140,9 +236,14 @@ function selectDistinct(candidates, distinctFrom, seed, maxRetries) {
  * Weighted random selection from candidates
  * @param {Array} candidates - Items to choose from
  * @param {string} seed - Random seed for deterministic selection
+ * @param {Object} aliasTable - Alias table of the candidates for an O(1) pick (optional, see catalog-index.js)
  * @returns {Object} Selected item
  */
-function weightedRandomSelect(candidates, seed = null) {
+export function weightedRandomSelect(candidates, seed = null, aliasTable = null) {
+  if (aliasTable) {
+    return candidates[sampleAliasTable(aliasTable, seed ? seededRandom(seed) : Math.random())];
+  }
+
   // Calculate total weight
   const totalWeight = candidates.reduce((sum, item) => {
     const weight = item.w !== undefined ? item.w : 1;
@@ -159,8 +260,7 @@ function weightedRandomSelect(candidates, seed = null) {
 
   // Select item based on weighted threshold
   for (const item of candidates) {
-    const weight = item.w !== undefined && item.w > 0 && isFinite(item.w) ? item.w : 1;
-    threshold -= weight;
+    threshold -= getItemWeight(item);
     if (threshold <= 0) {
       return item;
     }
@@ -192,7 +292,7 @@ function getItemIdentity(item) {
  * @param {string} seed - Seed string
  * @returns {number} Pseudo-random number between 0 and 1
  */
-function seededRandom(seed) {
+export function seededRandom(seed) {
   // Simple hash function for seed
   let hash = 0;
   for (let i = 0; i < seed.length; i++) {
@@ -0,0 +1,147 @@
+/**
+ * Transform Registry - Custom transforms registered by other modules
+ *
+ * Modules add transforms with `api.registerTransform(name, fn, options)`. A registered transform
+ * can be used
+ * - in recipe `post` arrays and `output.transforms` (`post: true`), and/or
+ * - as block-level `transform` of SELECT and GENERATE blocks (`inline: true`).
+ *
+ * Names are case-insensitive and cannot replace built-in transforms. With `locales` a transform
+ * only runs for those locales; for other locales the text is left unchanged.
+ *
+ * Registered functions only exist on the main thread, so the generation worker is not used
+ * while any transform is registered.
+ *
+ * @module transform-registry
+ */
+
+import { logDebug, logWarn } from '../utils/logger.js';
+
+/** Built-in inline transforms (block `transform`, compared lowercase) */
+export const BUILTIN_INLINE_TRANSFORMS = [
+  'genderadapt', 'demonym', 'genitive', 'possessive', 'indefinite', 'plural', 'ordinal', 'patronymic', 'diminutive'
+];
+
+/** Built-in post transforms (recipe `post` and `output.transforms`) */
+export const BUILTIN_POST_TRANSFORMS = [
+  'TrimSpaces', 'CollapseSpaces', 'TitleCase', 'ConcatNoSpace', 'NormalizeUmlauts',
+  'Truncate', 'Replace', 'Upper', 'Lower', 'Capitalize', 'Slugify', 'Prefix', 'Suffix', 'Script'
+];
+
+/**
+ * Registered transforms by lowercase name
+ * @type {Map<string, {name: string, fn: Function, inline: boolean, post: boolean, locales: string[]|null}>}
+ */
+const registry = new Map();
+
+/**
+ * Register a transform (replaces an earlier registration with the same name).
+ * Validate the arguments with validateTransformRegistration first.
+ *
+ * The function is called as `fn(text, context)` and must return the transformed text.
+ * Context of inline transforms: `{ locale, item, parts, options }` (options = the block's
+ * transform object); context of post transforms: `{ locale, parts, options }` (options = the
+ * transform object of the `post` entry, empty for plain names).
+ *
+ * @param {string} name - Transform name (case-insensitive)
+ * @param {Function} fn - Transform function
+ * @param {Object} [options={}] - Registration options
+ * @param {boolean} [options.inline=true] - Usable as block `transform`
+ * @param {boolean} [options.post=true] - Usable in recipe `post` and `output.transforms`
+ * @param {string[]|null} [options.locales=null] - Locales the transform applies to (null = all)
+ * @example
+ * registerTransform('Reverse', text => [...text].reverse().join(''), { inline: false });
+ */
+export function registerTransform(name, fn, { inline = true, post = true, locales = null } = {}) {
+  const key = name.toLowerCase();
+  if (registry.has(key)) {
+    logDebug(`Replacing registered transform: ${name}`);
+  }
+  registry.set(key, { name, fn, inline, post, locales });
+  logDebug(`Registered transform: ${name}`);
+}
+
+/**
+ * Remove a registered transform.
+ *
+ * @param {string} name - Transform name (case-insensitive)
+ * @returns {boolean} True if the transform was registered
+ */
+export function unregisterTransform(name) {
+  return registry.delete(String(name).toLowerCase());
+}
+
+/**
+ * Get a registered transform usable in the given position.
+ *
+ * @param {string} name - Transform name (case-insensitive)
+ * @param {string|null} [usage=null] - "inline", "post" or null for either
+ * @returns {Object|null} Registry entry or null
+ */
+export function getRegisteredTransform(name, usage = null) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  const entry = registry.get(name.toLowerCase());
+  if (!entry || (usage && !entry[usage])) {
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Check whether a name belongs to a built-in transform.
+ *
+ * @param {string} name - Transform name
+ * @returns {boolean} True for built-in inline or post transforms (case-insensitive)
+ */
+export function isBuiltinTransform(name) {
+  const key = String(name).toLowerCase();
+  return BUILTIN_INLINE_TRANSFORMS.includes(key) ||
+    BUILTIN_POST_TRANSFORMS.some(builtin => builtin.toLowerCase() === key);
+}
+
+/**
+ * Check whether any transforms are registered.
+ *
+ * @returns {boolean} True if at least one transform is registered
+ */
+export function hasRegisteredTransforms() {
+  return registry.size > 0;
+}
+
+/**
+ * Get the names of all registered transforms.
+ *
+ * @returns {string[]} Names as registered
+ */
+export function getRegisteredTransformNames() {
+  return [...registry.values()].map(entry => entry.name);
+}
+
+/**
+ * Run a registered transform. Errors and non-string results are logged and leave the text unchanged.
+ *
+ * @param {Object} entry - Registry entry from getRegisteredTransform
+ * @param {string} text - Input text
+ * @param {Object} context - Transform context (must contain locale)
+ * @returns {string} Transformed text
+ */
+export function applyRegisteredTransform(entry, text, context) {
+  const locale = context.locale;
+  if (entry.locales && locale && !entry.locales.includes(locale) && !entry.locales.includes(locale.split('-')[0])) {
+    return text;
+  }
+
+  try {
+    const result = entry.fn(text, context);
+    if (typeof result !== 'string') {
+      logWarn(`Transform "${entry.name}" returned ${typeof result} instead of a string, keeping the text`);
+      return text;
+    }
+    return result;
+  } catch (error) {
+    logWarn(`Transform "${entry.name}" failed, keeping the text: ${error.message}`);
+    return text;
+  }
+}
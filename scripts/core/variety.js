@@ -0,0 +1,364 @@
+/**
+ * Variety - Name-space size estimation and exhaustive enumeration
+ *
+ * This module handles:
+ * - Estimating how many distinct combinations a compiled recipe can produce
+ *   (catalog sizes after `where` filtering, multiplied across blocks, minus distinctness)
+ * - Choice cursors that drive every random decision of a pattern execution
+ * - Enumerating all decision paths of a small recipe (see Engine.generate)
+ *
+ * The estimate counts combinations, not texts: different combinations can produce the same
+ * text, and output constraints or the blocklist can reject some of them. It is exact for
+ * plain catalog selections and an upper bound as soon as agreement is involved.
+ *
+ * @module variety
+ */
+
+import { filterItems, seededRandom } from './selector.js';
+import { mergeFilters, getCollectionWhere } from './composer.js';
+import { createNominaError, ErrorType } from '../utils/error-helper.js';
+
+/** Maximum recipe nesting followed by the estimator (deeper recipes count as unbounded) */
+const MAX_RECIPE_DEPTH = 8;
+
+/**
+ * Estimate the number of distinct combinations a recipe can produce.
+ *
+ * @param {string} recipeId - Recipe ID
+ * @param {Object} env - Estimation environment
+ * @param {Function} env.findRecipe - Resolves a recipe ID to its definition
+ * @param {Function} env.compile - Compiles a pattern (PatternCompiler#compile)
+ * @param {Function} [env.resolvePackage] - Returns the environment of another package
+ *   (for cross-package recipes "packageCode:recipeId")
+ * @param {Array<Object>} [env.collections=[]] - Package collections (for GENERATE from collections)
+ * @param {Object} [env.filters={}] - Runtime filters per catalog key
+ * @param {Object} [env.components={}] - Component flags for optional blocks
+ * @param {string|null} [env.locale=null] - Locale of text criteria in `where` filters
+ * @returns {{count: number, approximate: boolean}} Combination count (may be Infinity) and
+ *   whether the count is only an upper bound
+ * @throws {NominaError} If the recipe (or a recipe it references) does not exist
+ * @example
+ * const { count } = estimateRecipeVariety('brewery', {
+ *   findRecipe: id => engine.findRecipe(pkg, id),
+ *   compile: pattern => compiler.compile(pattern)
+ * });
+ */
+export function estimateRecipeVariety(recipeId, env) {
+  return estimateRecipe(recipeId, { collections: [], filters: {}, components: {}, locale: null, ...env, stack: [] });
+}
+
+/**
+ * Create a choice cursor. Passed to pattern execution (`context.cursor`), it replaces
+ * every random decision (catalog item, oneOf option, chance, repeat count, recipe option)
+ * with an index taken from a recorded path.
+ *
+ * @param {Array<number>} [path=[]] - Recorded choice indices; missing positions pick 0
+ * @param {Object} [options={}] - Cursor options
+ * @param {Object} [options.reroll] - Choose positions `from` (inclusive) to `to` (exclusive)
+ *   randomly from `salt` instead of following the path (see Engine.rerollPart)
+ * @returns {Object} Cursor with pick(arity), markAlias(alias, start), used, arities and aliasRanges
+ * @example
+ * const cursor = createChoiceCursor([2, 0]);
+ * cursor.pick(5); // 2
+ * cursor.pick(3); // 0
+ * cursor.pick(4); // 0 (beyond the recorded path)
+ */
+export function createChoiceCursor(path = [], { reroll = null } = {}) {
+  return {
+    used: [],
+    arities: [],
+    aliasRanges: {},
+
+    pick(arity) {
+      const position = this.used.length;
+      let index;
+      if (reroll && position >= reroll.from && position < reroll.to) {
+        index = Math.floor(seededRandom(`${reroll.salt}:${position}`) * arity);
+      } else {
+        index = (path[position] || 0) % arity;
+      }
+      this.used.push(index);
+      this.arities.push(arity);
+      return index;
+    },
+
+    markAlias(alias, start) {
+      this.aliasRanges[alias] = [start, this.used.length];
+    }
+  };
+}
+
+/**
+ * Run a function once for every decision path, like an odometer over the choice indices.
+ * Paths that throw (e.g. no distinct item left) are skipped.
+ *
+ * @param {Function} run - Called with a fresh cursor; returns the result for this path
+ * @param {number} limit - Maximum number of paths to run
+ * @returns {Array|null} Results of all successful paths, or null if there are more than `limit` paths
+ * @example
+ * const results = enumerateChoicePaths(cursor => engine.generateOne(pkg, id, 'de', seed, {}, {}, {}, cursor), 500);
+ */
+export function enumerateChoicePaths(run, limit) {
+  const results = [];
+  let prefix = [];
+
+  for (let runs = 0; runs < limit; runs++) {
+    const cursor = createChoiceCursor(prefix);
+    try {
+      results.push(run(cursor));
+    } catch (error) {
+      // This path cannot be generated, continue with the next one
+    }
+
+    // Advance to the next path: increment the last position that has options left
+    let position = cursor.used.length - 1;
+    while (position >= 0 && cursor.used[position] + 1 >= cursor.arities[position]) {
+      position--;
+    }
+    if (position < 0) {
+      return results;
+    }
+    prefix = [...cursor.used.slice(0, position), cursor.used[position] + 1];
+  }
+
+  return null;
+}
+
+/**
+ * Estimate a recipe (pattern or oneOf of patterns/refs).
+ *
+ * @param {string} recipeId - Recipe ID
+ * @param {Object} env - Estimation environment with recursion stack
+ * @returns {{count: number, approximate: boolean}} Estimate
+ * @private
+ */
+function estimateRecipe(recipeId, env) {
+  const recipe = env.findRecipe(recipeId);
+  if (!recipe) {
+    throw createNominaError(ErrorType.RECIPE_NOT_FOUND, { recipe: recipeId });
+  }
+
+  // The stack holds recipe objects, so recipes of different packages with the same ID don't collide
+  if (env.stack.includes(recipe) || env.stack.length >= MAX_RECIPE_DEPTH) {
+    return { count: Infinity, approximate: true };
+  }
+
+  const nested = { ...env, stack: [...env.stack, recipe] };
+
+  if (recipe.pattern) {
+    return estimatePattern(nested.compile(recipe.pattern), nested, new Map());
+  }
+
+  const estimate = { count: 0, approximate: false };
+  for (const option of recipe.oneOf || []) {
+    const optionEstimate = option.pattern
+      ? estimatePattern(nested.compile(option.pattern), nested, new Map())
+      : estimateRecipe(option.ref, nested);
+    estimate.count += optionEstimate.count;
+    estimate.approximate = estimate.approximate || optionEstimate.approximate;
+  }
+  return estimate;
+}
+
+/**
+ * Estimate a sequence of compiled blocks (product of all block estimates).
+ *
+ * @param {Array<Object>} pattern - Compiled pattern blocks
+ * @param {Object} env - Estimation environment
+ * @param {Map<string, Object>} aliases - Catalog selected per alias so far (for distinctFrom)
+ * @returns {{count: number, approximate: boolean}} Estimate
+ * @private
+ */
+function estimatePattern(pattern, env, aliases) {
+  const estimate = { count: 1, approximate: false };
+
+  for (const block of pattern) {
+    const blockEstimate = estimateBlock(block, env, aliases);
+    estimate.count = multiply(estimate.count, blockEstimate.count);
+    estimate.approximate = estimate.approximate || blockEstimate.approximate;
+  }
+
+  return estimate;
+}
+
+/**
+ * Estimate a single compiled block.
+ *
+ * @param {Object} block - Compiled block
+ * @param {Object} env - Estimation environment
+ * @param {Map<string, Object>} aliases - Catalog selected per alias so far
+ * @returns {{count: number, approximate: boolean}} Estimate
+ * @private
+ */
+function estimateBlock(block, env, aliases) {
+  const exact = (count) => ({ count, approximate: false });
+
+  if (block.ext?.optional && block.ext?.componentKey && env.components[block.ext.componentKey] === false) {
+    return exact(1);
+  }
+
+  if (block.select) {
+    const { select } = block;
+    if (select.from === 'catalog') {
+      return estimateCatalogSelect(block, block._compiled, env, aliases);
+    }
+    if (select.from === 'generator') {
+      return estimateRecipe(select.key, env);
+    }
+    // Markov sources (and unknown sources) have no practical bound
+    return { count: Infinity, approximate: true };
+  }
+
+  if (block.generate) {
+    return estimateGenerateBlock(block, env);
+  }
+
+  if (block.pp) {
+    const estimate = block._compiled?.hasInlineSelect
+      ? estimateCatalogSelect({ select: block.pp.ref.select }, block._compiled, env, aliases)
+      : exact(1);
+    if (block._compiled?.adjective) {
+      const adjectiveEstimate = estimateCatalogSelect({ select: block.pp.adjective.select }, block._compiled.adjective, env, aliases);
+      return {
+        count: multiply(estimate.count, adjectiveEstimate.count),
+        approximate: estimate.approximate || adjectiveEstimate.approximate
+      };
+    }
+    return estimate;
+  }
+
+  if (block.oneOf) {
+    const estimate = { count: 0, approximate: false };
+    for (const option of block.oneOf) {
+      const optionEstimate = estimatePattern(option.pattern || [], env, new Map(aliases));
+      estimate.count += optionEstimate.count;
+      estimate.approximate = estimate.approximate || optionEstimate.approximate;
+    }
+    return estimate;
+  }
+
+  if (block.chance) {
+    const { p = 0.5, pattern = [] } = block.chance;
+    if (p <= 0) {
+      return exact(1);
+    }
+    const sub = estimatePattern(pattern, env, new Map(aliases));
+    return { count: p >= 1 ? sub.count : sub.count + 1, approximate: sub.approximate };
+  }
+
+  if (block.repeat) {
+    const { min = 1, max = min, pattern = [] } = block.repeat;
+    const sub = estimatePattern(pattern, env, new Map(aliases));
+    let count = 0;
+    for (let k = min; k <= max; k++) {
+      count += k === 0 ? 1 : Math.pow(sub.count, k);
+    }
+    return { count, approximate: sub.approximate };
+  }
+
+  // LITERAL and REF blocks add no variety
+  return exact(1);
+}
+
+/**
+ * Estimate a catalog SELECT: items left after `where` and runtime filters,
+ * minus one per distinctFrom alias selected from the same catalog.
+ *
+ * @param {Object} block - Block with select (and optional distinctFrom/ext/as)
+ * @param {Object} compiled - Compiled catalog metadata
+ * @param {Object} env - Estimation environment
+ * @param {Map<string, Object>} aliases - Catalog selected per alias so far
+ * @returns {{count: number, approximate: boolean}} Estimate
+ * @private
+ */
+function estimateCatalogSelect(block, compiled, env, aliases) {
+  if (!compiled || compiled.skipOnExecution || !compiled.catalog?.items) {
+    return { count: 1, approximate: false };
+  }
+
+  const { catalog, catalogKey } = compiled;
+  const where = mergeFilters(block.select.where, env.filters[catalogKey]);
+  let count = Object.keys(where).length > 0 ? filterItems(catalog.items, where, env.locale).length : catalog.items.length;
+
+  for (const alias of block.distinctFrom || []) {
+    if (aliases.get(alias) === catalog) {
+      count = Math.max(0, count - 1);
+    }
+  }
+
+  const agreeWith = block.ext?.agreeWith;
+  const canSkip = block.ext?.optional === true || agreeWith?.fallback === 'skip';
+  if (count === 0 && canSkip) {
+    count = 1;
+  }
+
+  if (block.as) {
+    aliases.set(block.as, catalog);
+  }
+
+  // Agreement narrows the candidates per path, so the catalog size is only an upper bound
+  return { count, approximate: Boolean(agreeWith) };
+}
+
+/**
+ * Estimate a GENERATE block (recipe, catalog or collection mode).
+ *
+ * @param {Object} block - Compiled GENERATE block
+ * @param {Object} env - Estimation environment
+ * @returns {{count: number, approximate: boolean}} Estimate
+ * @private
+ */
+function estimateGenerateBlock(block, env) {
+  const { from, key, collection, where } = block.generate;
+
+  if (from === 'recipe') {
+    if (key.includes(':')) {
+      const [packageCode, remoteRecipeId] = key.split(':', 2);
+      if (!env.resolvePackage) {
+        return { count: Infinity, approximate: true };
+      }
+      return estimateRecipe(remoteRecipeId, { ...env.resolvePackage(packageCode), stack: env.stack });
+    }
+    return estimateRecipe(key, env);
+  }
+
+  const collectionDef = collection
+    ? env.collections.find(c => c.key === collection)
+    : env.collections.find(c => c.query?.recipes?.length > 0);
+
+  if (from === 'catalog') {
+    const catalog = block._compiled?.catalog;
+    if (!catalog?.items) {
+      return { count: 0, approximate: false };
+    }
+    let effectiveWhere = where || {};
+    if (collection && collectionDef?.query) {
+      effectiveWhere = mergeFilters(getCollectionWhere(collectionDef.query), effectiveWhere);
+    }
+    const count = Object.keys(effectiveWhere).length > 0
+      ? filterItems(catalog.items, effectiveWhere, env.locale).length
+      : catalog.items.length;
+    return { count, approximate: false };
+  }
+
+  // Package/collection syntax executes one of the collection recipes
+  const estimate = { count: 0, approximate: false };
+  for (const recipeId of collectionDef?.query?.recipes || []) {
+    const recipeEstimate = estimateRecipe(recipeId, env);
+    estimate.count += recipeEstimate.count;
+    estimate.approximate = estimate.approximate || recipeEstimate.approximate;
+  }
+  return estimate;
+}
+
+/**
+ * Multiply two counts, treating 0 × Infinity as 0.
+ *
+ * @param {number} a - First count
+ * @param {number} b - Second count
+ * @returns {number} Product
+ * @private
+ */
+function multiply(a, b) {
+  return a === 0 || b === 0 ? 0 : a * b;
+}
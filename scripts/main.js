@@ -6,6 +6,7 @@
 import { getGlobalDataManager } from './core/data-manager.js';
 import { getGlobalGenerator } from './api/generator.js';
 import { getGlobalEngine } from './core/engine.js';
+import { configureGenerationWorker } from './core/generation-worker-client.js';
 import { NamesAPI } from './api-system.js';
 import { registerModuleSettings } from './settings/settings-registration.js';
 import { registerTokenControls, setupGlobalEventDelegation, injectTokenControlsButtonDirectly, registerRenderSceneControls, openNamesGenerator } from './integrations/token-controls.js';
@@ -73,6 +74,9 @@ Hooks.once('ready', () => {
   const dataManager = getGlobalDataManager();
   const generator = getGlobalGenerator();
 
+  // Bulk generation in a background worker (the main thread remains the fallback)
+  configureGenerationWorker(getGlobalEngine(), game.settings.get(MODULE_ID, "useGenerationWorker"));
+
   dataManager.initializeData().then(() => {
     // Setup NamesAPI after DataManager is ready
     try {
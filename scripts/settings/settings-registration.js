@@ -7,7 +7,11 @@ import { NamesRoleConfig } from '../apps/role-config.js';
 import { NamesSpeciesConfig } from '../apps/species-config.js';
 import { NamesGenderColorsConfig } from '../apps/gender-colors-config.js';
 import { getHistoryManager } from '../core/history-manager.js';
-import { MODULE_ID, DEFAULT_GENDER_COLORS } from '../shared/constants.js';
+import { clearBlocklistCache } from '../core/blocklist.js';
+import { DeckManager } from '../core/deck-manager.js';
+import { getGlobalEngine } from '../core/engine.js';
+import { configureGenerationWorker } from '../core/generation-worker-client.js';
+import { MODULE_ID, DEFAULT_GENDER_COLORS, DEFAULT_NONBINARY_STRATEGY } from '../shared/constants.js';
 import { LOG_LEVELS, updateLogLevel, logDebug } from '../utils/logger.js';
 
 /**
@@ -48,6 +52,7 @@ function registerClientSettings(logLevelChoices) {
   registerLanguageSettings();
   registerDisplaySettings();
   registerPersistenceSettings();
+  registerPerformanceSettings();
   registerHistorySettings();
   registerGenderColorsSettings();
   registerLogLevelSetting(logLevelChoices);
@@ -218,6 +223,24 @@ function registerPersistenceSettings() {
   });
 }
 
+/**
+ * Register performance settings
+ * Controls whether bulk generation runs in a background worker
+ */
+function registerPerformanceSettings() {
+  game.settings.register(MODULE_ID, "useGenerationWorker", {
+    name: game.i18n.localize("names.settings.useGenerationWorker.name") || "Hintergrund-Generierung",
+    hint: game.i18n.localize("names.settings.useGenerationWorker.hint") || "Erzeugt große Mengen an Namen in einem Web Worker, damit die Oberfläche nicht einfriert",
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: true,
+    onChange: (value) => {
+      configureGenerationWorker(getGlobalEngine(), value);
+    }
+  });
+}
+
 /**
  * Register history-related settings
  * Controls the name history functionality
@@ -379,6 +402,50 @@ function registerContentSettings() {
     default: true,
     requiresReload: true
   });
+
+  // Nicht-binäre Namen für Spezies ohne nicht-binäre Vornamen
+  game.settings.register(MODULE_ID, "nonbinaryStrategy", {
+    name: game.i18n.localize("names.settings.nonbinaryStrategy.name") || "Strategie für nicht-binäre Namen",
+    hint: game.i18n.localize("names.settings.nonbinaryStrategy.hint") || "Woher nicht-binäre Vornamen kommen, wenn eine Spezies keine eigenen hat",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      "union": game.i18n.localize("names.settings.nonbinaryStrategy.union") || "Männliche und weibliche Vornamen zusammen",
+      "blend": game.i18n.localize("names.settings.nonbinaryStrategy.blend") || "Männliche oder weibliche Vornamen (gewichtet)",
+      "neutral": game.i18n.localize("names.settings.nonbinaryStrategy.neutral") || "Nur nicht-binäre Vornamen (sonst Fehler)",
+      "derive": game.i18n.localize("names.settings.nonbinaryStrategy.derive") || "Ableitung des Namenspakets (sonst männliche und weibliche zusammen)"
+    },
+    default: DEFAULT_NONBINARY_STRATEGY
+  });
+
+  // Blocklist - zusätzliche Einträge des GMs zur eingebauten Wortliste
+  game.settings.register(MODULE_ID, "blocklistEntries", {
+    name: game.i18n.localize("names.settings.blocklistEntries.name") || "Blocklist",
+    hint: game.i18n.localize("names.settings.blocklistEntries.hint") || "Zusätzliche Wörter, die nie generiert werden sollen (durch Komma getrennt). \"wort\" prüft ganze Wörter, \"*wort*\" auch innerhalb von Wörtern.",
+    scope: "world",
+    config: true,
+    type: String,
+    default: "",
+    onChange: () => {
+      clearBlocklistCache();
+      logDebug("Blocklist entries updated");
+    }
+  });
+
+  // Blocklist - eingebaute Wörter, die auch echte Namen sind ("Dick"), nur auf Wunsch sperren
+  game.settings.register(MODULE_ID, "blocklistNameWords", {
+    name: game.i18n.localize("names.settings.blocklistNameWords.name") || "Blocklist: Wörter, die auch Namen sind",
+    hint: game.i18n.localize("names.settings.blocklistNameWords.hint") || "Sperrt auch eingebaute Wörter, die echte Vor- oder Nachnamen sind (z. B. \"Dick\")",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => {
+      clearBlocklistCache();
+      logDebug("Blocklist name words updated");
+    }
+  });
 }
 
 /**
@@ -452,6 +519,67 @@ function registerHiddenSettings() {
     default: {}
   });
 
+  // Deck mode - drawn items per package/catalog (written by GMs only)
+  game.settings.register(MODULE_ID, "nameDecks", {
+    name: "Name Decks",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+    onChange: () => DeckManager.getInstance().clearCache()
+  });
+
+  // Deck mode toggles of the apps
+  game.settings.register(MODULE_ID, "generatorUseDeck", {
+    name: "Generator Use Deck",
+    scope: "client",
+    config: false,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, "emergencyUseDeck", {
+    name: "Emergency Use Deck",
+    scope: "client",
+    config: false,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, "pickerUseDeck", {
+    name: "Picker Use Deck",
+    scope: "client",
+    config: false,
+    type: Boolean,
+    default: false
+  });
+
+  // "Familiar form" toggle of the picker ("Robert (Bob) Smith")
+  game.settings.register(MODULE_ID, "pickerUseFamiliar", {
+    name: "Picker Use Familiar Form",
+    scope: "client",
+    config: false,
+    type: Boolean,
+    default: false
+  });
+
+  // "Show in script" selection of the apps (script ID, empty = off)
+  game.settings.register(MODULE_ID, "generatorScript", {
+    name: "Generator Script",
+    scope: "client",
+    config: false,
+    type: String,
+    default: ""
+  });
+
+  game.settings.register(MODULE_ID, "historyScript", {
+    name: "History Script",
+    scope: "client",
+    config: false,
+    type: String,
+    default: ""
+  });
+
   // Emergency App - remembered species filter
   game.settings.register(MODULE_ID, "emergencyFilterSpecies", {
     name: "Emergency Filter Species",
@@ -8,6 +8,12 @@ import { logWarn } from '../utils/logger.js';
 export const BASE_GENDERS = ['male', 'female'];
 export const NONBINARY_GENDER = 'nonbinary';
 
+// Strategies for nonbinary names in packages without nonbinary first names
+// union: male and female first names together, blend: male or female first names by weight,
+// neutral: nonbinary first names only (error if there are none), derive: derivation defined by the package
+export const NONBINARY_STRATEGIES = ['union', 'blend', 'neutral', 'derive'];
+export const DEFAULT_NONBINARY_STRATEGY = 'union';
+
 // Function to get supported genders based on settings
 export function getSupportedGenders() {
   try {
@@ -19,6 +25,17 @@ export function getSupportedGenders() {
   }
 }
 
+// Function to get the nonbinary strategy of the world
+export function getNonbinaryStrategy() {
+  try {
+    const strategy = game.settings.get('nomina-names', 'nonbinaryStrategy');
+    return NONBINARY_STRATEGIES.includes(strategy) ? strategy : DEFAULT_NONBINARY_STRATEGY;
+  } catch (error) {
+    // Fallback if setting doesn't exist yet
+    return DEFAULT_NONBINARY_STRATEGY;
+  }
+}
+
 // Dynamic category management - will be populated from index.json
 let CATEGORY_DEFINITIONS = {};
 let CATEGORY_GROUPS = {};
@@ -7,8 +7,13 @@
  * @version 1.0.0
  */
 
-import { getSupportedGenders } from '../shared/constants.js';
+import { getSupportedGenders, NONBINARY_STRATEGIES } from '../shared/constants.js';
 import { isNullOrUndefined } from './null-checks.js';
+import { isValidBlocklistEntry } from '../core/blocklist.js';
+import { getRegisteredTransform, isBuiltinTransform, BUILTIN_POST_TRANSFORMS } from '../core/transform-registry.js';
+import { isBuiltinScript } from '../core/script-registry.js';
+import { FAMILY_LIMITS } from '../core/family.js';
+import { PATRONYMIC_PARENTS } from './grammar.js';
 
 /**
  * Standard validation result structure
@@ -246,7 +251,7 @@ export function validateComponents(components) {
   }
 
   // Valid component types
-  const validComponents = ['firstname', 'surname', 'title', 'nickname'];
+  const validComponents = ['firstname', 'surname', 'title', 'nickname', 'patronymic', 'familiar'];
 
   // Normalize and validate each component
   const normalized = [];
@@ -290,6 +295,76 @@ export function validateComponents(components) {
   };
 }
 
+/**
+ * Validates the parent a patronymic is derived from
+ *
+ * @param {*} parent - 'father', 'mother', 'either' or null/undefined for the package default
+ * @returns {ValidationResult} Validation result with normalized lowercase parent (null for the default)
+ *
+ * @example
+ * validatePatronymicParent('Mother')
+ * // { isValid: true, error: null, normalized: 'mother' }
+ */
+export function validatePatronymicParent(parent) {
+  if (isNullOrUndefined(parent)) {
+    return {
+      isValid: true,
+      error: null,
+      normalized: null
+    };
+  }
+
+  const normalized = String(parent).trim().toLowerCase();
+  if (!PATRONYMIC_PARENTS.includes(normalized)) {
+    return {
+      isValid: false,
+      error: `Patronymic parent '${parent}' is not supported. Supported parents: ${PATRONYMIC_PARENTS.join(', ')}`,
+      normalized: null
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    normalized
+  };
+}
+
+/**
+ * Validates the strategy for nonbinary names in packages without nonbinary first names
+ *
+ * @param {*} strategy - 'union', 'blend', 'neutral', 'derive' or null/undefined for the world setting
+ * @returns {ValidationResult} Validation result with normalized lowercase strategy (null for the world setting)
+ *
+ * @example
+ * validateNonbinaryStrategy('Blend')
+ * // { isValid: true, error: null, normalized: 'blend' }
+ */
+export function validateNonbinaryStrategy(strategy) {
+  if (isNullOrUndefined(strategy)) {
+    return {
+      isValid: true,
+      error: null,
+      normalized: null
+    };
+  }
+
+  const normalized = String(strategy).trim().toLowerCase();
+  if (!NONBINARY_STRATEGIES.includes(normalized)) {
+    return {
+      isValid: false,
+      error: `Nonbinary strategy '${strategy}' is not supported. Supported strategies: ${NONBINARY_STRATEGIES.join(', ')}`,
+      normalized: null
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    normalized
+  };
+}
+
 /**
  * Validates a format string against available components
  * Format strings use placeholders like {firstname}, {surname}, etc.
@@ -369,9 +444,10 @@ export function validateFormat(format, components = null) {
 
 /**
  * Validates a count parameter
- * Count must be between 1 and 100 inclusive
+ * Count must be between 1 and 100 inclusive (streams pass Infinity as maximum)
  *
  * @param {*} count - The count to validate
+ * @param {number} [max=100] - Largest allowed count
  * @returns {ValidationResult} Validation result with normalized number
  *
  * @example
@@ -379,8 +455,9 @@ export function validateFormat(format, components = null) {
  * validateCount('10')           // { isValid: true, error: null, normalized: 10 }
  * validateCount(0)              // { isValid: false, error: '...', normalized: null }
  * validateCount(101)            // { isValid: false, error: '...', normalized: null }
+ * validateCount(5000, Infinity) // { isValid: true, error: null, normalized: 5000 }
  */
-export function validateCount(count) {
+export function validateCount(count, max = 100) {
   // Handle null/undefined
   if (isNullOrUndefined(count)) {
     return {
@@ -430,7 +507,7 @@ export function validateCount(count) {
     };
   }
 
-  // Check range (1-100)
+  // Check range (1-max)
   if (normalized < 1) {
     return {
       isValid: false,
@@ -439,10 +516,10 @@ export function validateCount(count) {
     };
   }
 
-  if (normalized > 100) {
+  if (normalized > max) {
     return {
       isValid: false,
-      error: `Count cannot exceed 100, received ${normalized}`,
+      error: `Count cannot exceed ${max}, received ${normalized}`,
       normalized: null
     };
   }
@@ -683,6 +760,269 @@ export function validateTags(tags) {
   };
 }
 
+/**
+ * Where keys holding tag or kind lists
+ * @type {string[]}
+ * @private
+ */
+const WHERE_LIST_KEYS = ['tags', 'kinds', 'anyOfTags', 'noneOfTags'];
+
+/**
+ * Where keys holding inclusive { min, max } ranges
+ * @type {string[]}
+ * @private
+ */
+const WHERE_RANGE_KEYS = ['length', 'weight'];
+
+/**
+ * Where keys matching the start or end of the localized text
+ * @type {string[]}
+ * @private
+ */
+const WHERE_AFFIX_KEYS = ['startsWith', 'endsWith'];
+
+/**
+ * Maximum nesting of all/any/not expressions in a where clause
+ * @type {number}
+ * @private
+ */
+const MAX_WHERE_DEPTH = 8;
+
+/**
+ * Validates a `where` filter (recipe `where`, runtime filter or collection `where`)
+ * Supports tag/kind lists, the attribute, length, text and weight criteria and the
+ * boolean expressions `all`, `any` (non-empty lists of where clauses) and `not` (a where clause)
+ *
+ * @param {*} where - The where clause to validate (null/undefined are valid)
+ * @returns {ValidationResult} Validation result with the where clause as normalized value
+ *
+ * @example
+ * validateWhere({ tags: ['female'], attrs: { gender: 'f' }, length: { max: 6 } })
+ * // { isValid: true, error: null, normalized: {...} }
+ * validateWhere({ length: { min: 8, max: 4 } })
+ * // { isValid: false, error: '...', normalized: null }
+ * validateWhere({ matches: '[a-' })
+ * // { isValid: false, error: '...', normalized: null }
+ * validateWhere({ any: [{ tags: ['noble'] }, { tags: ['military'] }], not: { tags: ['archaic'] } })
+ * // { isValid: true, error: null, normalized: {...} }
+ */
+export function validateWhere(where) {
+  if (isNullOrUndefined(where)) {
+    return {
+      isValid: true,
+      error: null,
+      normalized: null
+    };
+  }
+
+  const errors = [];
+  collectWhereErrors(where, 'where', errors);
+
+  if (errors.length > 0) {
+    return {
+      isValid: false,
+      error: `Invalid where filter:\n- ${errors.join('\n- ')}`,
+      normalized: null
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    normalized: where
+  };
+}
+
+/**
+ * Validates runtime filters (a where clause per catalog key)
+ *
+ * @param {*} filters - The filters to validate (null/undefined are valid)
+ * @returns {ValidationResult} Validation result with the filters as normalized value
+ *
+ * @example
+ * validateFilters({ names: { attrs: { gender: 'm' }, startsWith: 'Th' } })
+ * // { isValid: true, error: null, normalized: {...} }
+ * validateFilters({ names: ['female'] })
+ * // { isValid: false, error: '...', normalized: null }
+ */
+export function validateFilters(filters) {
+  if (isNullOrUndefined(filters)) {
+    return {
+      isValid: true,
+      error: null,
+      normalized: {}
+    };
+  }
+
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return {
+      isValid: false,
+      error: `Filters must be an object of where clauses per catalog key, received ${Array.isArray(filters) ? 'array' : typeof filters}`,
+      normalized: null
+    };
+  }
+
+  const errors = [];
+  for (const [catalogKey, where] of Object.entries(filters)) {
+    if (!isNullOrUndefined(where)) {
+      collectWhereErrors(where, `filters.${catalogKey}`, errors);
+    }
+  }
+
+  if (errors.length > 0) {
+    return {
+      isValid: false,
+      error: `Invalid filters:\n- ${errors.join('\n- ')}`,
+      normalized: null
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    normalized: filters
+  };
+}
+
+/**
+ * Collect the problems of a where clause (recursing into all/any/not)
+ *
+ * @param {*} where - Where clause to check
+ * @param {string} path - Path of the clause for error messages
+ * @param {string[]} errors - Array that receives error messages
+ * @param {number} [depth=0] - Expression nesting of the clause
+ * @private
+ */
+function collectWhereErrors(where, path, errors, depth = 0) {
+  if (typeof where !== 'object' || where === null || Array.isArray(where)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  if (depth > MAX_WHERE_DEPTH) {
+    errors.push(`${path}: expressions are nested deeper than ${MAX_WHERE_DEPTH} levels`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(where)) {
+    const keyPath = `${path}.${key}`;
+    if (isNullOrUndefined(value)) {
+      continue;
+    }
+
+    if (WHERE_LIST_KEYS.includes(key)) {
+      if (!Array.isArray(value) || !value.every(entry => typeof entry === 'string')) {
+        errors.push(`${keyPath}: must be an array of strings`);
+      }
+    } else if (WHERE_RANGE_KEYS.includes(key)) {
+      collectRangeErrors(value, keyPath, errors);
+    } else if (WHERE_AFFIX_KEYS.includes(key)) {
+      const affixes = Array.isArray(value) ? value : [value];
+      if (affixes.length === 0 || !affixes.every(affix => typeof affix === 'string' && affix.length > 0)) {
+        errors.push(`${keyPath}: must be a non-empty string or an array of non-empty strings`);
+      }
+    } else if (key === 'matches') {
+      if (typeof value !== 'string' || value.length === 0) {
+        errors.push(`${keyPath}: must be a non-empty regular expression string`);
+      } else {
+        try {
+          new RegExp(value, 'iu');
+        } catch (error) {
+          errors.push(`${keyPath}: is not a valid regular expression: ${error.message}`);
+        }
+      }
+    } else if (key === 'attrs') {
+      collectAttrsErrors(value, keyPath, errors);
+    } else if (key === 'all' || key === 'any') {
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push(`${keyPath}: must be a non-empty array of where clauses, e.g. [{ "tags": ["noble"] }, { "tags": ["military"] }]`);
+      } else {
+        value.forEach((clause, i) => collectWhereErrors(clause, `${keyPath}[${i}]`, errors, depth + 1));
+      }
+    } else if (key === 'not') {
+      if (Array.isArray(value)) {
+        errors.push(`${keyPath}: must be a single where clause, not an array (wrap several clauses in "any")`);
+      } else if (typeof value === 'object' && Object.keys(value).length === 0) {
+        errors.push(`${keyPath}: must not be empty (it would exclude every item)`);
+      } else {
+        collectWhereErrors(value, keyPath, errors, depth + 1);
+      }
+    } else {
+      errors.push(`${keyPath}: unknown filter key`);
+    }
+  }
+}
+
+/**
+ * Collect the problems of an `attrs` criterion (value, list of values or range per attribute)
+ *
+ * @param {*} attrs - Attribute criteria
+ * @param {string} path - Path for error messages
+ * @param {string[]} errors - Array that receives error messages
+ * @private
+ */
+function collectAttrsErrors(attrs, path, errors) {
+  if (typeof attrs !== 'object' || Array.isArray(attrs)) {
+    errors.push(`${path}: must be an object of attribute criteria`);
+    return;
+  }
+
+  for (const [name, expected] of Object.entries(attrs)) {
+    const attrPath = `${path}.${name}`;
+    if (Array.isArray(expected)) {
+      if (expected.length === 0 || !expected.every(isScalarValue)) {
+        errors.push(`${attrPath}: must be a non-empty array of strings, numbers or booleans`);
+      }
+    } else if (typeof expected === 'object' && expected !== null) {
+      collectRangeErrors(expected, attrPath, errors);
+    } else if (!isScalarValue(expected)) {
+      errors.push(`${attrPath}: must be a string, number, boolean, array or { min, max } range`);
+    }
+  }
+}
+
+/**
+ * Collect the problems of an inclusive { min, max } range
+ *
+ * @param {*} range - Range to check
+ * @param {string} path - Path for error messages
+ * @param {string[]} errors - Array that receives error messages
+ * @private
+ */
+function collectRangeErrors(range, path, errors) {
+  if (typeof range !== 'object' || range === null || Array.isArray(range)) {
+    errors.push(`${path}: must be a { min, max } range`);
+    return;
+  }
+
+  const unknown = Object.keys(range).filter(bound => bound !== 'min' && bound !== 'max');
+  if (unknown.length > 0) {
+    errors.push(`${path}: unknown range keys ${unknown.join(', ')} (only min and max are supported)`);
+  }
+  if (range.min === undefined && range.max === undefined) {
+    errors.push(`${path}: needs "min" and/or "max"`);
+  }
+  for (const bound of ['min', 'max']) {
+    if (bound in range && (typeof range[bound] !== 'number' || !isFinite(range[bound]))) {
+      errors.push(`${path}.${bound}: must be a finite number`);
+    }
+  }
+  if (typeof range.min === 'number' && typeof range.max === 'number' && range.min > range.max) {
+    errors.push(`${path}: "min" (${range.min}) cannot exceed "max" (${range.max})`);
+  }
+}
+
+/**
+ * Check whether a value can be compared by equality in an attribute criterion
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for strings, finite numbers and booleans
+ * @private
+ */
+function isScalarValue(value) {
+  return typeof value === 'string' || typeof value === 'boolean' ||
+    (typeof value === 'number' && isFinite(value));
+}
+
 /**
  * Validates a seed parameter
  * Seeds are optional strings for deterministic generation. If provided, they are
@@ -747,6 +1087,8 @@ export function validateSeed(seed, options = {}) {
 /**
  * Validates a transform definition
  * Transforms are used to modify generated names (e.g., add prefixes, suffixes, patterns)
+ * Besides the built-in types, `type` may name a transform registered via api.registerTransform
+ * (registered types need no "value")
  *
  * @param {Object} transform - The transform object to validate
  * @param {TransformValidationConfig} config - Validation configuration
@@ -853,18 +1195,20 @@ export function validateTransform(transform, config = {}) {
     };
   }
 
-  if (!validTypes.includes(transformType)) {
+  const registered = validTypes.includes(transformType) ? null : getRegisteredTransform(transformType);
+  if (!validTypes.includes(transformType) && !registered) {
     return {
       isValid: false,
-      error: `Transform "${transformId}" has invalid type "${transform.type}". Valid types: ${validTypes.join(', ')}`,
+      error: `Transform "${transformId}" has invalid type "${transform.type}". Valid types: ${validTypes.join(', ')} or a registered transform`,
       normalized: null
     };
   }
 
   // === VALIDATE TYPE-SPECIFIC FIELDS ===
 
-  // All transform types need a 'value' field (or 'pattern' for pattern type)
-  if (transformType === 'pattern') {
+  // Built-in transform types need a 'value' field (or 'pattern' for pattern type);
+  // registered transforms take their options from the transform object itself
+  if (transformType === 'pattern' && !registered) {
     if (!('pattern' in transform) || isNullOrUndefined(transform.pattern)) {
       return {
         isValid: false,
@@ -880,7 +1224,7 @@ export function validateTransform(transform, config = {}) {
         normalized: null
       };
     }
-  } else {
+  } else if (!registered) {
     if (!('value' in transform) || isNullOrUndefined(transform.value)) {
       return {
         isValid: false,
@@ -994,8 +1338,8 @@ export function validateTransform(transform, config = {}) {
     error: null,
     normalized: {
       id: transformId,
-      type: transformType,
-      value: transformType === 'pattern' ? transform.pattern : transform.value?.trim(),
+      type: registered ? registered.name : transformType,
+      value: transformType === 'pattern' ? transform.pattern : (typeof transform.value === 'string' ? transform.value.trim() : transform.value),
       replacement: transformType === 'replace' ? transform.replacement : undefined,
       weight: typeof transform.weight === 'number' ? transform.weight : 1,
       condition: transform.condition || null,
@@ -1172,6 +1516,8 @@ export function validateCatalogTransforms(catalog, config = {}) {
 /**
  * Validates recipe data structure for custom name generation
  * Recipes define how to assemble names from catalogs and transforms
+ * Accepts both the legacy `parts` format and JSON Format 4.0 recipes with
+ * `pattern` or `oneOf` (including nested oneOf, chance and repeat blocks)
  *
  * @param {Object} recipe - The recipe object to validate
  * @param {string[]} availableCatalogs - Array of available catalog codes
@@ -1229,6 +1575,55 @@ export function validateRecipe(recipe, availableCatalogs = [], transformConfig =
 
   const recipeId = recipe.id.trim();
 
+  // === VALIDATE V4 PATTERN RECIPES ===
+
+  if ('pattern' in recipe || 'oneOf' in recipe) {
+    const patternErrors = [];
+
+    if (Array.isArray(recipe.pattern)) {
+      collectPatternErrors(recipe.pattern, availableCatalogs, 'pattern', patternErrors);
+    } else if (Array.isArray(recipe.oneOf) && recipe.oneOf.length > 0) {
+      recipe.oneOf.forEach((option, i) => {
+        if (isNullOrUndefined(option) || typeof option !== 'object') {
+          patternErrors.push(`oneOf[${i}]: must be an object`);
+        } else if (typeof option.ref === 'string') {
+          // Reference to another recipe - resolved at runtime
+        } else if (Array.isArray(option.pattern)) {
+          collectPatternErrors(option.pattern, availableCatalogs, `oneOf[${i}].pattern`, patternErrors);
+        } else {
+          patternErrors.push(`oneOf[${i}]: must have a "pattern" array or a "ref" string`);
+        }
+      });
+    } else {
+      patternErrors.push('"pattern" must be an array or "oneOf" a non-empty array');
+    }
+
+    if (patternErrors.length > 0) {
+      return {
+        isValid: false,
+        error: `Recipe "${recipeId}" has an invalid pattern:\n- ${patternErrors.join('\n- ')}`,
+        normalized: null
+      };
+    }
+
+    if (!isNullOrUndefined(recipe.post)) {
+      const postResult = validatePostTransforms(recipe.post);
+      if (!postResult.isValid) {
+        return {
+          isValid: false,
+          error: `Recipe "${recipeId}" has invalid post transforms: ${postResult.error}`,
+          normalized: null
+        };
+      }
+    }
+
+    return {
+      isValid: true,
+      error: null,
+      normalized: { ...recipe, id: recipeId }
+    };
+  }
+
   // === VALIDATE PARTS ARRAY ===
 
   if (!('parts' in recipe) || isNullOrUndefined(recipe.parts)) {
@@ -1380,6 +1775,662 @@ export function validateRecipe(recipe, availableCatalogs = [], transformConfig =
   };
 }
 
+/**
+ * Maximum number of repetitions a REPEAT block may request
+ * @type {number}
+ */
+const MAX_REPEAT = 20;
+
+/**
+ * Block kinds understood by the composer
+ * @type {string[]}
+ */
+const PATTERN_BLOCK_KINDS = ['select', 'generate', 'literal', 'pp', 'ref', 'oneOf', 'chance', 'repeat'];
+
+/**
+ * Article types a PP block may request
+ * @type {string[]}
+ */
+const PP_ARTICLE_TYPES = ['def', 'indef', 'none'];
+
+/**
+ * Collects structural errors of a JSON Format 4.0 pattern, recursing into
+ * the sub-patterns of oneOf, chance and repeat blocks
+ *
+ * @param {Array} pattern - Pattern blocks to check
+ * @param {string[]} availableCatalogs - Available catalog keys (empty array skips the check)
+ * @param {string} path - Path of the pattern for error messages
+ * @param {string[]} errors - Array that receives error messages
+ * @private
+ */
+function collectPatternErrors(pattern, availableCatalogs, path, errors) {
+  if (!Array.isArray(pattern)) {
+    errors.push(`${path}: must be an array`);
+    return;
+  }
+
+  pattern.forEach((block, i) => {
+    const blockPath = `${path}[${i}]`;
+
+    if (isNullOrUndefined(block) || typeof block !== 'object' || Array.isArray(block)) {
+      errors.push(`${blockPath}: must be an object`);
+      return;
+    }
+
+    const kinds = PATTERN_BLOCK_KINDS.filter(kind => kind in block);
+    if (kinds.length !== 1) {
+      errors.push(`${blockPath}: must contain exactly one of ${PATTERN_BLOCK_KINDS.join(', ')}`);
+      return;
+    }
+
+    if ('as' in block && (typeof block.as !== 'string' || block.as.trim().length === 0)) {
+      errors.push(`${blockPath}: "as" must be a non-empty string`);
+    }
+
+    switch (kinds[0]) {
+      case 'select': {
+        const { select } = block;
+        if (!select || typeof select !== 'object' || typeof select.from !== 'string') {
+          errors.push(`${blockPath}: "select.from" must be a string`);
+        } else if (!['catalog', 'generator', 'markov'].includes(select.from)) {
+          errors.push(`${blockPath}: "select.from" must be "catalog", "generator" or "markov"`);
+        } else if (typeof select.key !== 'string') {
+          errors.push(`${blockPath}: "select.key" is required for source "${select.from}"`);
+        } else if (select.from !== 'generator' && availableCatalogs.length > 0 && typeof select.key === 'string' &&
+                   !select.key.includes(':') && !availableCatalogs.includes(select.key)) {
+          errors.push(`${blockPath}: catalog "${select.key}" is not available`);
+        }
+        if (select && !isNullOrUndefined(select.where)) {
+          collectWhereErrors(select.where, `${blockPath}.select.where`, errors);
+        }
+        break;
+      }
+
+      case 'generate':
+        if (!block.generate || typeof block.generate !== 'object' || typeof block.generate.from !== 'string') {
+          errors.push(`${blockPath}: "generate.from" must be a string`);
+        } else if (!isNullOrUndefined(block.generate.where)) {
+          collectWhereErrors(block.generate.where, `${blockPath}.generate.where`, errors);
+        }
+        break;
+
+      case 'literal':
+        if (typeof block.literal !== 'string' && (typeof block.literal !== 'object' || block.literal === null)) {
+          errors.push(`${blockPath}: "literal" must be a string or a locale map`);
+        }
+        break;
+
+      case 'pp':
+        if (!block.pp || typeof block.pp !== 'object' || isNullOrUndefined(block.pp.ref)) {
+          errors.push(`${blockPath}: "pp.ref" is required`);
+          break;
+        }
+        if (!isNullOrUndefined(block.pp.adjective) && typeof block.pp.adjective !== 'string' &&
+            (typeof block.pp.adjective !== 'object' || !block.pp.adjective.select)) {
+          errors.push(`${blockPath}: "pp.adjective" must be an alias string or an inline select`);
+        }
+        if (!isNullOrUndefined(block.pp.article) && !PP_ARTICLE_TYPES.includes(block.pp.article)) {
+          errors.push(`${blockPath}: "pp.article" must be one of ${PP_ARTICLE_TYPES.join(', ')}`);
+        }
+        if (!isNullOrUndefined(block.pp.case) && (typeof block.pp.case !== 'string' || block.pp.case.trim() === '')) {
+          errors.push(`${blockPath}: "pp.case" must be a non-empty string (e.g. "dat")`);
+        }
+        break;
+
+      case 'ref':
+        if (typeof block.ref !== 'string' && typeof block.ref !== 'object') {
+          errors.push(`${blockPath}: "ref" must be an alias string or an inline select`);
+        }
+        break;
+
+      case 'oneOf':
+        if (!Array.isArray(block.oneOf) || block.oneOf.length === 0) {
+          errors.push(`${blockPath}: "oneOf" must be a non-empty array`);
+          break;
+        }
+        block.oneOf.forEach((option, j) => {
+          if (isNullOrUndefined(option) || typeof option !== 'object') {
+            errors.push(`${blockPath}.oneOf[${j}]: must be an object`);
+            return;
+          }
+          if ('w' in option && (typeof option.w !== 'number' || !isFinite(option.w) || option.w < 0)) {
+            errors.push(`${blockPath}.oneOf[${j}]: "w" must be a non-negative number`);
+          }
+          collectPatternErrors(option.pattern, availableCatalogs, `${blockPath}.oneOf[${j}].pattern`, errors);
+        });
+        break;
+
+      case 'chance': {
+        const { chance } = block;
+        if (!chance || typeof chance !== 'object') {
+          errors.push(`${blockPath}: "chance" must be an object`);
+          break;
+        }
+        if (typeof chance.p !== 'number' || chance.p < 0 || chance.p > 1) {
+          errors.push(`${blockPath}: "chance.p" must be a number between 0 and 1`);
+        }
+        collectPatternErrors(chance.pattern, availableCatalogs, `${blockPath}.chance.pattern`, errors);
+        break;
+      }
+
+      case 'repeat': {
+        const { repeat } = block;
+        if (!repeat || typeof repeat !== 'object') {
+          errors.push(`${blockPath}: "repeat" must be an object`);
+          break;
+        }
+        const min = repeat.min ?? 1;
+        const max = repeat.max ?? min;
+        if (!Number.isInteger(min) || min < 0) {
+          errors.push(`${blockPath}: "repeat.min" must be a non-negative integer`);
+        } else if (!Number.isInteger(max) || max < min || max > MAX_REPEAT) {
+          errors.push(`${blockPath}: "repeat.max" must be an integer between min (${min}) and ${MAX_REPEAT}`);
+        }
+        if ('separator' in repeat && typeof repeat.separator !== 'string' &&
+            (typeof repeat.separator !== 'object' || repeat.separator === null)) {
+          errors.push(`${blockPath}: "repeat.separator" must be a string or a locale map`);
+        }
+        collectPatternErrors(repeat.pattern, availableCatalogs, `${blockPath}.repeat.pattern`, errors);
+        break;
+      }
+    }
+  });
+}
+
+/**
+ * Validates an output constraints block (package or recipe `output.constraints`)
+ *
+ * @param {*} constraints - The constraints object to validate
+ * @returns {ValidationResult} Validation result with the constraints as normalized value
+ *
+ * @example
+ * validateOutputConstraints({ maxLength: 12, deny: ['[^aeiou]{3}'] })
+ * // { isValid: true, error: null, normalized: {...} }
+ * validateOutputConstraints({ minLength: 8, maxLength: 4 })
+ * // { isValid: false, error: '...', normalized: null }
+ */
+export function validateOutputConstraints(constraints) {
+  if (typeof constraints !== 'object' || constraints === null || Array.isArray(constraints)) {
+    return {
+      isValid: false,
+      error: `Output constraints must be an object, received ${Array.isArray(constraints) ? 'array' : typeof constraints}`,
+      normalized: null
+    };
+  }
+
+  const errors = [];
+
+  for (const field of ['minLength', 'maxLength', 'maxSyllables', 'maxRepeatedLetters']) {
+    if (field in constraints && (!Number.isInteger(constraints[field]) || constraints[field] < 1)) {
+      errors.push(`"${field}" must be a positive integer`);
+    }
+  }
+
+  if (Number.isInteger(constraints.minLength) && Number.isInteger(constraints.maxLength) &&
+      constraints.minLength > constraints.maxLength) {
+    errors.push(`"minLength" (${constraints.minLength}) cannot exceed "maxLength" (${constraints.maxLength})`);
+  }
+
+  if ('deny' in constraints) {
+    if (!Array.isArray(constraints.deny)) {
+      errors.push('"deny" must be an array of regular expression strings');
+    } else {
+      constraints.deny.forEach((source, i) => {
+        if (typeof source !== 'string' || source.length === 0) {
+          errors.push(`"deny[${i}]" must be a non-empty string`);
+          return;
+        }
+        try {
+          new RegExp(source, 'iu');
+        } catch (error) {
+          errors.push(`"deny[${i}]" is not a valid regular expression: ${error.message}`);
+        }
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    return {
+      isValid: false,
+      error: `Invalid output constraints:\n- ${errors.join('\n- ')}`,
+      normalized: null
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    normalized: constraints
+  };
+}
+
+/**
+ * Validates a package blocklist (`output.blocklist`)
+ * Entries are words with optional `*` wildcards at the start and/or end.
+ *
+ * @param {*} blocklist - The blocklist to validate
+ * @returns {ValidationResult} Validation result with the trimmed entries as normalized value
+ *
+ * @example
+ * validateBlocklist(['grok', '*zorg*'])
+ * // { isValid: true, error: null, normalized: ['grok', '*zorg*'] }
+ * validateBlocklist(['gr*k'])
+ * // { isValid: false, error: '...', normalized: null }
+ */
+export function validateBlocklist(blocklist) {
+  if (!Array.isArray(blocklist)) {
+    return {
+      isValid: false,
+      error: `Blocklist must be an array of strings, received ${typeof blocklist}`,
+      normalized: null
+    };
+  }
+
+  const errors = [];
+  blocklist.forEach((entry, i) => {
+    if (!isValidBlocklistEntry(entry)) {
+      errors.push(`"blocklist[${i}]" must be a non-empty word with "*" only at the start or end`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return {
+      isValid: false,
+      error: `Invalid blocklist:\n- ${errors.join('\n- ')}`,
+      normalized: null
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    normalized: blocklist.map(entry => entry.trim())
+  };
+}
+
+/**
+ * Parameters of the built-in post transforms that take parameters (object syntax,
+ * e.g. `{ "type": "Truncate", "max": 12 }`); other built-in post transforms take none
+ * @type {Object<string, Object<string, {type: string, required: (boolean|undefined)}>>}
+ * @private
+ */
+const POST_TRANSFORM_PARAMS = {
+  Truncate: { max: { type: 'integer', required: true }, ellipsis: { type: 'string' } },
+  Replace: { pattern: { type: 'regex', required: true }, with: { type: 'string' }, flags: { type: 'flags' } },
+  Prefix: { value: { type: 'string', required: true } },
+  Suffix: { value: { type: 'string', required: true } },
+  Slugify: { separator: { type: 'string' } },
+  Script: { script: { type: 'string', required: true } }
+};
+
+/**
+ * Validates post transforms (recipe `post` or `output.transforms`)
+ * Entries are transform names or objects `{ type, ...parameters }`. Parameters of the built-in
+ * transforms are checked; other names may be registered later via api.registerTransform and are
+ * accepted as-is (unknown names are reported when the recipe runs)
+ *
+ * @param {*} transforms - Array of transform names or objects
+ * @returns {ValidationResult} Validation result with the transforms as normalized value
+ *
+ * @example
+ * validatePostTransforms(['TitleCase', { type: 'Truncate', max: 12, ellipsis: '…' }])
+ * // { isValid: true, error: null, normalized: [...] }
+ * validatePostTransforms([{ type: 'Replace', pattern: '[a-' }])
+ * // { isValid: false, error: '...', normalized: null }
+ */
+export function validatePostTransforms(transforms) {
+  if (!Array.isArray(transforms)) {
+    return {
+      isValid: false,
+      error: `Transforms must be an array, received ${typeof transforms}`,
+      normalized: null
+    };
+  }
+
+  const errors = [];
+  transforms.forEach((transform, i) => {
+    if (typeof transform === 'string') {
+      if (transform.trim().length === 0) {
+        errors.push(`[${i}]: transform name cannot be empty`);
+      } else if (Object.values(POST_TRANSFORM_PARAMS[transform] || {}).some(param => param.required)) {
+        errors.push(`[${i}]: "${transform}" needs parameters, use { "type": "${transform}", ... }`);
+      }
+      return;
+    }
+
+    if (isNullOrUndefined(transform) || typeof transform !== 'object' || Array.isArray(transform)) {
+      errors.push(`[${i}]: must be a transform name or an object with "type"`);
+      return;
+    }
+
+    if (typeof transform.type !== 'string' || transform.type.trim().length === 0) {
+      errors.push(`[${i}]: "type" must be a non-empty string`);
+      return;
+    }
+
+    // Registered (or later registered) transforms take any options
+    if (!BUILTIN_POST_TRANSFORMS.includes(transform.type)) {
+      return;
+    }
+
+    const params = POST_TRANSFORM_PARAMS[transform.type] || {};
+    const paramErrors = [];
+    for (const key of Object.keys(transform)) {
+      if (key !== 'type' && !(key in params)) {
+        paramErrors.push(`[${i}]: unknown parameter "${key}" for ${transform.type}`);
+      }
+    }
+    for (const [key, param] of Object.entries(params)) {
+      const error = checkTransformParam(transform[key], param);
+      if (error) {
+        paramErrors.push(`[${i}]: "${key}" of ${transform.type} ${error}`);
+      }
+    }
+    errors.push(...paramErrors);
+
+    if (transform.type === 'Replace' && paramErrors.length === 0) {
+      try {
+        new RegExp(transform.pattern, transform.flags ?? 'g');
+      } catch (error) {
+        errors.push(`[${i}]: "pattern" of Replace is not a valid regular expression: ${error.message}`);
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    return {
+      isValid: false,
+      error: errors.join('; '),
+      normalized: null
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    normalized: transforms.map(transform => (typeof transform === 'string' ? transform.trim() : { ...transform }))
+  };
+}
+
+/**
+ * Check one parameter of a built-in post transform.
+ *
+ * @param {*} value - Parameter value (undefined if missing)
+ * @param {{type: string, required: (boolean|undefined)}} param - Parameter definition
+ * @returns {string|null} Error description or null if valid
+ * @private
+ */
+function checkTransformParam(value, param) {
+  if (isNullOrUndefined(value)) {
+    return param.required ? 'is required' : null;
+  }
+
+  switch (param.type) {
+    case 'integer':
+      return Number.isInteger(value) && value >= 1 ? null : 'must be a positive integer';
+    case 'regex':
+      return typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty string';
+    case 'flags':
+      return typeof value === 'string' && /^[gimsuy]*$/.test(value) && new Set(value).size === value.length
+        ? null
+        : 'must only contain the flags g, i, m, s, u, y (each once)';
+    default:
+      return typeof value === 'string' ? null : 'must be a string';
+  }
+}
+
+/**
+ * Validates the arguments of api.registerTransform
+ *
+ * @param {*} name - Transform name (letters, digits, "_", "-", "."; not a built-in transform)
+ * @param {*} fn - Transform function `(text, context) => string`
+ * @param {*} [options={}] - Registration options
+ * @param {boolean} [options.inline=true] - Usable as block-level `transform`
+ * @param {boolean} [options.post=true] - Usable in recipe `post` and `output.transforms`
+ * @param {string[]|null} [options.locales=null] - Locales the transform applies to (null = all)
+ * @returns {ValidationResult} Validation result with { name, fn, inline, post, locales } as normalized value
+ *
+ * @example
+ * validateTransformRegistration('Leetspeak', text => text.replace(/e/g, '3'), { inline: false })
+ * // { isValid: true, error: null, normalized: { name: 'Leetspeak', fn, inline: false, post: true, locales: null } }
+ * validateTransformRegistration('TitleCase', text => text)
+ * // { isValid: false, error: '...', normalized: null }
+ */
+export function validateTransformRegistration(name, fn, options = {}) {
+  if (typeof name !== 'string' || !/^[A-Za-z][\w.-]*$/.test(name.trim())) {
+    return {
+      isValid: false,
+      error: 'Transform name must be a string starting with a letter (letters, digits, "_", "-" and "." allowed)',
+      normalized: null
+    };
+  }
+
+  const normalizedName = name.trim();
+  if (isBuiltinTransform(normalizedName)) {
+    return {
+      isValid: false,
+      error: `"${normalizedName}" is a built-in transform and cannot be replaced`,
+      normalized: null
+    };
+  }
+
+  if (typeof fn !== 'function') {
+    return {
+      isValid: false,
+      error: `Transform "${normalizedName}" must be a function, received ${typeof fn}`,
+      normalized: null
+    };
+  }
+
+  if (isNullOrUndefined(options) || typeof options !== 'object' || Array.isArray(options)) {
+    return {
+      isValid: false,
+      error: `Options of transform "${normalizedName}" must be an object`,
+      normalized: null
+    };
+  }
+
+  const { inline = true, post = true, locales = null } = options;
+
+  if (typeof inline !== 'boolean' || typeof post !== 'boolean') {
+    return {
+      isValid: false,
+      error: `"inline" and "post" of transform "${normalizedName}" must be booleans`,
+      normalized: null
+    };
+  }
+
+  if (!inline && !post) {
+    return {
+      isValid: false,
+      error: `Transform "${normalizedName}" must be usable inline, as post transform or both`,
+      normalized: null
+    };
+  }
+
+  if (!isNullOrUndefined(locales) &&
+    (!Array.isArray(locales) || locales.length === 0 || !locales.every(locale => typeof locale === 'string' && locale.trim()))) {
+    return {
+      isValid: false,
+      error: `"locales" of transform "${normalizedName}" must be a non-empty array of locale codes`,
+      normalized: null
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    normalized: {
+      name: normalizedName,
+      fn,
+      inline,
+      post,
+      locales: isNullOrUndefined(locales) ? null : locales.map(locale => locale.trim())
+    }
+  };
+}
+
+/**
+ * Validates the arguments of api.registerScript
+ *
+ * @param {*} id - Script ID (letters, digits, "_", "-", "."; not a built-in script)
+ * @param {*} definition - Script definition
+ * @param {string|Object<string, string>} definition.name - Display name (or names by locale)
+ * @param {string} [definition.type='unicode'] - "unicode" (mapped to Unicode characters) or "font" (shown with a font)
+ * @param {Object<string, string>} [definition.map] - Latin letters/letter groups to script characters (required for "unicode")
+ * @param {string} [definition.font] - Font family (required for "font")
+ * @param {string} [definition.letterCase] - "upper" or "lower" to change the case before mapping
+ * @param {boolean} [definition.caseSensitive=false] - Match mapping keys case-sensitively
+ * @returns {ValidationResult} Validation result with { id, definition } as normalized value
+ *
+ * @example
+ * validateScriptRegistration('ogham', { name: 'Ogham', map: { b: 'ᚁ', l: 'ᚂ' } })
+ * // { isValid: true, error: null, normalized: { id: 'ogham', definition: { name: 'Ogham', type: 'unicode', ... } } }
+ * validateScriptRegistration('runic', { name: 'Runes', map: {} })
+ * // { isValid: false, error: '...', normalized: null }
+ */
+export function validateScriptRegistration(id, definition) {
+  if (typeof id !== 'string' || !/^[A-Za-z][\w.-]*$/.test(id.trim())) {
+    return {
+      isValid: false,
+      error: 'Script ID must be a string starting with a letter (letters, digits, "_", "-" and "." allowed)',
+      normalized: null
+    };
+  }
+
+  const normalizedId = id.trim();
+  if (isBuiltinScript(normalizedId)) {
+    return {
+      isValid: false,
+      error: `"${normalizedId}" is a built-in script and cannot be replaced`,
+      normalized: null
+    };
+  }
+
+  if (isNullOrUndefined(definition) || typeof definition !== 'object' || Array.isArray(definition)) {
+    return {
+      isValid: false,
+      error: `Definition of script "${normalizedId}" must be an object`,
+      normalized: null
+    };
+  }
+
+  const { name, type = 'unicode', map = {}, font = null, letterCase = null, caseSensitive = false } = definition;
+  const errors = [];
+
+  const validName = typeof name === 'string'
+    ? name.trim().length > 0
+    : !isNullOrUndefined(name) && typeof name === 'object' && !Array.isArray(name) &&
+      Object.keys(name).length > 0 && Object.values(name).every(value => typeof value === 'string' && value.trim());
+  if (!validName) {
+    errors.push('"name" must be a non-empty string or an object of names by locale');
+  }
+
+  if (type !== 'unicode' && type !== 'font') {
+    errors.push(`"type" must be "unicode" or "font", received "${type}"`);
+  }
+
+  if (isNullOrUndefined(map) || typeof map !== 'object' || Array.isArray(map) ||
+    !Object.entries(map).every(([key, value]) => key.length > 0 && typeof value === 'string')) {
+    errors.push('"map" must be an object of non-empty keys and string values');
+  } else if (type === 'unicode' && Object.keys(map).length === 0) {
+    errors.push('"map" of a unicode script must not be empty');
+  }
+
+  if (type === 'font' && (typeof font !== 'string' || font.trim().length === 0)) {
+    errors.push('"font" is required for font-based scripts');
+  } else if (!isNullOrUndefined(font) && typeof font !== 'string') {
+    errors.push('"font" must be a string');
+  }
+
+  if (!isNullOrUndefined(letterCase) && letterCase !== 'upper' && letterCase !== 'lower') {
+    errors.push(`"letterCase" must be "upper" or "lower", received "${letterCase}"`);
+  }
+
+  if (typeof caseSensitive !== 'boolean') {
+    errors.push('"caseSensitive" must be a boolean');
+  }
+
+  if (errors.length > 0) {
+    return {
+      isValid: false,
+      error: errors.join('; '),
+      normalized: null
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    normalized: {
+      id: normalizedId,
+      definition: {
+        name: typeof name === 'string' ? name.trim() : { ...name },
+        type,
+        map: { ...map },
+        font: font ? font.trim() : null,
+        letterCase,
+        caseSensitive
+      }
+    }
+  };
+}
+
+/**
+ * Validates the family options of api.generateFamily
+ * Size and generations must be integers within FAMILY_LIMITS (see family.js)
+ *
+ * @param {Object} options - Family options
+ * @param {*} [options.size=3] - Children per couple (1-8)
+ * @param {*} [options.generations=2] - Number of generations (2-4)
+ * @param {*} [options.seed] - Optional seed (see validateSeed)
+ * @returns {ValidationResult} Validation result with { size, generations, seed } as normalized value
+ *
+ * @example
+ * validateFamilyOptions({ size: '4', generations: 3 })
+ * // { isValid: true, error: null, normalized: { size: 4, generations: 3, seed: null } }
+ * validateFamilyOptions({ generations: 7 })
+ * // { isValid: false, error: '...', normalized: null }
+ */
+export function validateFamilyOptions(options = {}) {
+  const {
+    size = FAMILY_LIMITS.size.default,
+    generations = FAMILY_LIMITS.generations.default,
+    seed = null
+  } = options;
+  const errors = [];
+  const normalized = {};
+
+  for (const [key, value] of [['size', size], ['generations', generations]]) {
+    const { min, max } = FAMILY_LIMITS[key];
+    const number = typeof value === 'string' && value.trim().length > 0 ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isInteger(number) || number < min || number > max) {
+      errors.push(`"${key}" must be an integer between ${min} and ${max}, received ${JSON.stringify(value)}`);
+    } else {
+      normalized[key] = number;
+    }
+  }
+
+  const seedResult = validateSeed(seed);
+  if (!seedResult.isValid) {
+    errors.push(seedResult.error);
+  }
+
+  if (errors.length > 0) {
+    return {
+      isValid: false,
+      error: errors.join('; '),
+      normalized: null
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    normalized: { ...normalized, seed: seedResult.normalized }
+  };
+}
+
 /**
  * Validates all recipes in a package
  * Checks for recipe ID uniqueness and validates each recipe
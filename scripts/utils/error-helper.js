@@ -25,6 +25,7 @@ export const ErrorType = {
   CATALOG_NO_MATCH: 'catalog.no-match',
   CATALOG_NOT_FOUND: 'catalog.not-found',
   CATALOG_NO_DISTINCT: 'catalog.no-distinct',
+  CATALOG_INVALID_WHERE: 'catalog.invalid-where',
   CATALOG_MISSING_REQUIRED: 'catalog.missing-required',
   PACKAGE_NOT_FOUND: 'package.not-found',
   PACKAGE_INVALID_FORMAT: 'package.invalid-format',
@@ -41,6 +42,9 @@ export const ErrorType = {
   GENERATION_NO_SUBCATEGORIES: 'generation.no-subcategories',
   GENERATION_NO_DATA: 'generation.no-data',
   GENERATION_TEMPLATE_FAILED: 'generation.template-failed',
+  GENERATION_NO_NEUTRAL_NAMES: 'generation.no-neutral-names',
+  REPLAY_INVALID_TOKEN: 'replay.invalid-token',
+  REPLAY_UNKNOWN_PART: 'replay.unknown-part',
   // API-specific error types
   API_INVALID_LANGUAGE: 'api.invalid-language',
   API_INVALID_SPECIES: 'api.invalid-species',
@@ -51,6 +55,11 @@ export const ErrorType = {
   API_INVALID_PACKAGE_CODE: 'api.invalid-package-code',
   API_INVALID_CATALOG: 'api.invalid-catalog',
   API_INVALID_TAGS: 'api.invalid-tags',
+  API_INVALID_WHERE: 'api.invalid-where',
+  API_INVALID_TRANSFORM: 'api.invalid-transform',
+  API_INVALID_SCRIPT: 'api.invalid-script',
+  API_INVALID_FAMILY: 'api.invalid-family',
+  API_INVALID_NONBINARY_STRATEGY: 'api.invalid-nonbinary-strategy',
   API_MISSING_REQUIRED_PARAM: 'api.missing-required-param',
   API_MODULE_NOT_READY: 'api.module-not-ready'
 };
@@ -63,8 +72,10 @@ export const ErrorType = {
 const ErrorTypeToCodeMap = {
   [ErrorType.CATALOG_NOT_FOUND]: ErrorCodes.CATALOG_NOT_FOUND,
   [ErrorType.CATALOG_MISSING_REQUIRED]: ErrorCodes.MISSING_REQUIRED_CATALOGS,
+  [ErrorType.CATALOG_INVALID_WHERE]: ErrorCodes.INVALID_FORMAT,
   [ErrorType.PACKAGE_NOT_FOUND]: ErrorCodes.PACKAGE_NOT_FOUND,
   [ErrorType.RECIPE_NOT_FOUND]: ErrorCodes.RECIPE_NOT_FOUND,
+  [ErrorType.RECIPE_INVALID_JSON]: ErrorCodes.INVALID_FORMAT,
   [ErrorType.PACKAGE_INVALID_FORMAT]: ErrorCodes.INVALID_FORMAT
 };
 
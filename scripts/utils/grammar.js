@@ -1,5 +1,6 @@
 /**
- * Grammar - Language rules handler for pp (preposition-article-noun) phrases
+ * Grammar - Language rules handler for pp (preposition-article-adjective-noun) phrases
+ * and the English indefinite article, plural, ordinal, patronymic and diminutive transforms
  * Implements the grammar system from JSON Format 4.0 specification
  */
 
@@ -7,112 +8,197 @@ import { logDebug, logWarn } from './logger.js';
 import { isNullOrUndefined } from './null-checks.js';
 import { logAndThrow } from './error-handler.js';
 
+/** Adjective declension after each article type (weak after definite, mixed after indefinite, strong without article) */
+const DECLENSION_BY_ARTICLE = { def: 'weak', indef: 'mixed', none: 'strong' };
+
 /**
- * Build a pp (preposition + article + noun) phrase according to language rules
+ * Build a pp (preposition + article + adjective + noun) phrase according to language rules
  * @param {Object} targetItem - The item to reference (must have t and optional gram)
  * @param {string} locale - Target language
  * @param {string} prep - Preposition (e.g., "an", "bei", "of")
  * @param {Object} langRules - Language rules from package
+ * @param {string[]} [fallbackLocales=null] - Fallback chain for the target text (see getLocaleChain)
+ * @param {Object} [options={}] - Phrase options
+ * @param {Object|null} [options.adjective=null] - Adjective item, declined to agree with the target (see declineAdjective)
+ * @param {string} [options.article] - Article type overriding the target's gram ("def", "indef" or "none")
+ * @param {string} [options.case] - Grammatical case overriding the case of the preposition
  * @returns {string} Formatted phrase
+ * @example
+ * // With prepCase { zu: "dat" }, articles.def.dat.m = "dem", contractions { "zu dem": "zum" }
+ * // and adjectiveEndings.weak.dat.m = "en":
+ * buildPPPhrase(hirsch, 'de', 'zu', langRules, null, { adjective: golden }); // "zum Goldenen Hirsch"
  */
-export function buildPPPhrase(targetItem, locale, prep, langRules) {
+export function buildPPPhrase(targetItem, locale, prep, langRules, fallbackLocales = null, options = {}) {
   if (isNullOrUndefined(targetItem) || isNullOrUndefined(targetItem.t)) {
     logAndThrow('PP Error: Target item must have text (t)');
   }
 
   // Get target text in requested locale
-  const targetText = getLocalizedText(targetItem.t, locale);
+  const targetText = getLocalizedText(targetItem.t, locale, fallbackLocales);
+  const adjective = options.adjective || null;
 
-  // If no preposition, just return the text
-  if (!prep) {
+  // Without preposition, adjective or explicit case there is nothing to inflect
+  if (!prep && !adjective && !options.case) {
     return targetText;
   }
 
+  const adjectiveText = adjective ? getLocalizedText(adjective.t, locale, fallbackLocales) : null;
+  const plainPhrase = () => [prep, adjectiveText, targetText].filter(Boolean).join(' ');
+
   // Get language-specific rules
   const rules = langRules?.[locale];
   if (!rules) {
     logDebug(`No language rules for ${locale}, using simple preposition`);
-    return `${prep} ${targetText}`;
+    return plainPhrase();
   }
 
-  // Determine grammatical case from preposition
-  const gramCase = rules.prepCase?.[prep];
+  // Determine grammatical case from preposition (nominative if there is none)
+  const gramCase = options.case || (prep ? rules.prepCase?.[prep] : 'nom');
   if (!gramCase) {
     logDebug(`No case mapping for preposition "${prep}" in ${locale}`);
-    return `${prep} ${targetText}`;
+    return plainPhrase();
   }
 
-  // Check item's grammar metadata
+  // Check item's grammar metadata (no article needed unless specified)
   const itemGrammar = targetItem.gram?.[locale];
+  const gender = itemGrammar?.gender;
+  const articleType = options.article || itemGrammar?.article || 'none';
 
-  // If no article needed or specified
-  if (!itemGrammar || itemGrammar.article === 'none') {
-    const defaultBehavior = rules.defaults?.articleWhenNone || 'omit';
-    if (defaultBehavior === 'omit') {
-      return `${prep} ${targetText}`;
-    }
-  }
-
-  // If definite article is needed
-  if (itemGrammar && itemGrammar.article === 'def') {
-    const gender = itemGrammar.gender;
+  // Lookup definite or indefinite article
+  let article = null;
+  if (articleType === 'def' || articleType === 'indef') {
     if (!gender) {
-      logWarn(`Item has article="def" but no gender specified for ${locale}`);
-      return `${prep} ${targetText}`;
+      logWarn(`Item has article="${articleType}" but no gender specified for ${locale}`);
+    } else {
+      article = rules.articles?.[articleType]?.[gramCase]?.[gender] || null;
+      if (!article && articleType === 'def') {
+        logWarn(`No definite article found for case=${gramCase}, gender=${gender} in ${locale}`);
+      } else if (!article) {
+        // Expected for plurals ("goldene Hirsche")
+        logDebug(`No indefinite article for case=${gramCase}, gender=${gender} in ${locale}`);
+      }
     }
+  }
 
-    // Lookup article
-    const article = rules.articles?.def?.[gramCase]?.[gender];
-    if (!article) {
-      logWarn(`No definite article found for case=${gramCase}, gender=${gender} in ${locale}`);
-      return `${prep} ${targetText}`;
-    }
+  // Decline the adjective after the article actually used
+  let adjectivePhrase = adjectiveText;
+  if (adjective && gender) {
+    const declension = DECLENSION_BY_ARTICLE[article ? articleType : 'none'];
+    adjectivePhrase = declineAdjective(adjective, locale, { gramCase, gender, declension }, langRules, fallbackLocales);
+  }
 
-    // Build phrase
-    let phrase = `${prep} ${article} ${targetText}`;
+  // Build phrase
+  let phrase = [prep, article, adjectivePhrase, targetText].filter(Boolean).join(' ');
 
-    // Apply contractions
+  // Apply contractions
+  if (article) {
     phrase = applyContractions(phrase, rules.contractions);
+  }
 
-    return phrase;
+  return phrase;
+}
+
+/**
+ * Decline an adjective to agree with the case and gender of its noun.
+ * The ending comes from `langRules[locale].adjectiveEndings[declension][case][gender]` and is added
+ * to the declension stem (`gram[locale].stem`, e.g. "dunkl" for "dunkel"; default: the text).
+ * Adjectives marked `gram[locale].invariable` (e.g. "lila") keep their text.
+ *
+ * @param {Object} adjectiveItem - Adjective item (must have t and optional gram)
+ * @param {string} locale - Target language
+ * @param {Object} agreement - Agreement features
+ * @param {string} agreement.gramCase - Grammatical case (nom/akk/dat/gen)
+ * @param {string} agreement.gender - Gender of the noun (m/f/n/pl)
+ * @param {string} agreement.declension - Declension ("strong", "weak" or "mixed")
+ * @param {Object} langRules - Language rules from package
+ * @param {string[]} [fallbackLocales=null] - Fallback chain for the adjective text
+ * @returns {string} Declined adjective (the plain text if no ending is defined)
+ * @example
+ * declineAdjective({ t: { de: 'alt' } }, 'de', { gramCase: 'nom', gender: 'm', declension: 'strong' }, langRules); // "alter"
+ */
+export function declineAdjective(adjectiveItem, locale, { gramCase, gender, declension }, langRules, fallbackLocales = null) {
+  const text = getLocalizedText(adjectiveItem.t, locale, fallbackLocales);
+  const adjectiveGrammar = adjectiveItem.gram?.[locale];
+  if (adjectiveGrammar?.invariable) {
+    return text;
+  }
+
+  const ending = langRules?.[locale]?.adjectiveEndings?.[declension]?.[gramCase]?.[gender];
+  if (isNullOrUndefined(ending)) {
+    logDebug(`No ${declension} adjective ending for case=${gramCase}, gender=${gender} in ${locale}`);
+    return text;
   }
 
-  // Default: preposition + text
-  return `${prep} ${targetText}`;
+  // Stems ending in "e" do not double it ("müde" + "en" = "müden")
+  const stem = adjectiveGrammar?.stem || text;
+  return stem.endsWith('e') && ending.startsWith('e') ? stem + ending.slice(1) : stem + ending;
 }
 
 /**
  * Get localized text from multilingual text object
  * @param {Object|string} textObj - Text object with locale keys or plain string
  * @param {string} locale - Target locale
- * @param {string} fallbackLocale - Fallback locale (optional)
+ * @param {string|string[]} fallbackLocale - Fallback locale or ordered fallback chain (optional)
  * @returns {string} Localized text
  */
 export function getLocalizedText(textObj, locale, fallbackLocale = null) {
+  return resolveLocalizedText(textObj, locale, fallbackLocale).text;
+}
+
+/**
+ * Resolve localized text and report the locale it was taken from.
+ * Tries the requested locale, then the fallbacks in order; only if none of them
+ * has a text, the first available locale is used.
+ *
+ * @param {Object|string} textObj - Text object with locale keys or plain string
+ * @param {string} locale - Target locale
+ * @param {string|string[]} [fallbackLocales=null] - Fallback locale or ordered fallback chain
+ * @returns {{text: string, locale: string}} Text and its locale (the target locale for plain strings)
+ * @throws {Error} If the text object has no text in any locale
+ * @example
+ * resolveLocalizedText({ de: 'Zwerg' }, 'fr', ['en', 'de']); // { text: 'Zwerg', locale: 'de' }
+ */
+export function resolveLocalizedText(textObj, locale, fallbackLocales = null) {
   // If already a string, return as-is
   if (typeof textObj === 'string') {
-    return textObj;
-  }
-
-  // Try requested locale
-  if (textObj[locale]) {
-    return textObj[locale];
+    return { text: textObj, locale };
   }
 
-  // Try fallback locale
-  if (fallbackLocale && textObj[fallbackLocale]) {
-    return textObj[fallbackLocale];
+  // Try requested locale, then the fallback chain
+  const fallbacks = Array.isArray(fallbackLocales) ? fallbackLocales : [fallbackLocales];
+  for (const candidate of [locale, ...fallbacks]) {
+    if (candidate && textObj[candidate]) {
+      return { text: textObj[candidate], locale: candidate };
+    }
   }
 
   // Use first available locale
   const firstKey = Object.keys(textObj)[0];
   if (firstKey) {
-    return textObj[firstKey];
+    logDebug(`No text for ${locale} or its fallbacks, using ${firstKey}`);
+    return { text: textObj[firstKey], locale: firstKey };
   }
 
   throw new Error('No text available in any locale');
 }
 
+/**
+ * Build the ordered locale chain for text resolution: the requested locale,
+ * its fallbacks from index.json (`locales.fallbacks`) and the package default locale.
+ *
+ * @param {string} locale - Requested locale
+ * @param {Object<string, string|string[]>} [fallbacks={}] - Fallbacks per locale (e.g., { en: ["de"] })
+ * @param {string|null} [defaultLocale=null] - Package default locale (`package.languages[0]`)
+ * @returns {string[]} Locales without duplicates, requested locale first
+ * @example
+ * getLocaleChain('en', { en: ['de'] }, 'fr'); // ['en', 'de', 'fr']
+ */
+export function getLocaleChain(locale, fallbacks = {}, defaultLocale = null) {
+  const configured = fallbacks?.[locale];
+  const chain = [locale, ...(Array.isArray(configured) ? configured : [configured]), defaultLocale];
+  return [...new Set(chain.filter(candidate => typeof candidate === 'string' && candidate))];
+}
+
 /**
  * Apply language-specific contractions
  * @param {string} phrase - Input phrase
@@ -141,22 +227,23 @@ function applyContractions(phrase, contractions) {
  * @param {Object} langRules - Language rules
  * @param {string} locale - Target locale
  * @param {string} kase - Grammatical case (nom/gen/dat/akk or plain)
+ * @param {string[]} [fallbackLocales=null] - Fallback chain for the plain title text (see getLocaleChain)
  * @returns {string} Gender-adapted title text
  */
-export function adaptTitleToGender(titleItem, personGender, langRules, locale, kase = 'nom') {
+export function adaptTitleToGender(titleItem, personGender, langRules, locale, kase = 'nom', fallbackLocales = null) {
   // Get title ID from attrs if available
   const titleId = titleItem.attrs?.titleId;
 
   if (!titleId) {
     logDebug('No titleId in attrs, using plain text');
-    return getLocalizedText(titleItem.t, locale);
+    return getLocalizedText(titleItem.t, locale, fallbackLocales);
   }
 
   // Look up title forms in langRules
   const rules = langRules?.[locale];
   if (isNullOrUndefined(rules) || isNullOrUndefined(rules.titles) || isNullOrUndefined(rules.titles[titleId])) {
     logWarn(`No title forms found for "${titleId}" in ${locale}`);
-    return getLocalizedText(titleItem.t, locale);
+    return getLocalizedText(titleItem.t, locale, fallbackLocales);
   }
 
   const titleDef = rules.titles[titleId];
@@ -170,7 +257,7 @@ export function adaptTitleToGender(titleItem, personGender, langRules, locale, k
     if (fallbackForms) {
       return fallbackForms[kase] || fallbackForms.nom || fallbackForms.plain || '';
     }
-    return getLocalizedText(titleItem.t, locale);
+    return getLocalizedText(titleItem.t, locale, fallbackLocales);
   }
 
   // Return form for requested case
@@ -208,3 +295,446 @@ export function validateLangRules(langRules, locale) {
     missing
   };
 }
+
+/** Built-in English rules of the indefinite, plural and ordinal transforms (extended by langRules.en) */
+const ENGLISH_RULES = {
+  // Word beginnings whose article does not follow the first letter (silent "h", "yoo"/"w" sounds)
+  indefiniteExceptions: {
+    hour: 'an', honest: 'an', honor: 'an', honour: 'an', heir: 'an',
+    uni: 'a', unim: 'an', unin: 'an', use: 'a', usu: 'a', ure: 'a', uri: 'a', uti: 'a',
+    eu: 'a', ewe: 'a', once: 'a'
+  },
+  // Whole words (before a hyphen, too) whose article does not follow the first letter ("a One-Eyed Jack", "an Onerous Task")
+  indefiniteWords: { one: 'a' },
+  irregularPlurals: {
+    man: 'men', woman: 'women', child: 'children', foot: 'feet', tooth: 'teeth', goose: 'geese',
+    mouse: 'mice', ox: 'oxen', dwarf: 'dwarves', elf: 'elves', wolf: 'wolves', thief: 'thieves',
+    knife: 'knives', life: 'lives', wife: 'wives', leaf: 'leaves', half: 'halves',
+    sheep: 'sheep', deer: 'deer', fish: 'fish',
+    // Common words ending in -o that take -oes
+    potato: 'potatoes', tomato: 'tomatoes', hero: 'heroes', echo: 'echoes', torpedo: 'torpedoes',
+    veto: 'vetoes', mosquito: 'mosquitoes', domino: 'dominoes', volcano: 'volcanoes', buffalo: 'buffaloes'
+  },
+  numberWords: ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'],
+  tensWords: ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'],
+  irregularOrdinals: { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' }
+};
+
+/** Largest number spelled out by the ordinal transform (larger numbers use "1000000th") */
+const MAX_NUMBER_WORDS = 999999;
+
+/**
+ * Prefix a noun phrase with the matching indefinite article ("a" or "an").
+ * The article follows the first letter, except for words in the exception list (built-in,
+ * extended by `langRules.en.indefinite.exceptions`, e.g. `{ "hour": "an", "unicorn": "a" }`).
+ * Exceptions match the beginning of the first word; the longest match wins. A few built-in
+ * exceptions ("one") only match the whole word.
+ *
+ * @param {string} text - Noun phrase (e.g., "Inn of Elders")
+ * @param {string} locale - Target locale (only 'en' supported)
+ * @param {Object} [langRules={}] - Language rules from package
+ * @param {Object} [options={}] - Article options
+ * @param {boolean} [options.capitalize=false] - Capitalize the article ("An Inn of Elders"), e.g. at the start of a name
+ * @returns {string} Phrase with article (unchanged for other locales)
+ * @example
+ * applyIndefiniteArticle('Inn of Elders', 'en'); // "an Inn of Elders"
+ * applyIndefiniteArticle('Uniform', 'en', {}, { capitalize: true }); // "A Uniform"
+ */
+export function applyIndefiniteArticle(text, locale, langRules = {}, { capitalize = false } = {}) {
+  if (locale !== 'en') {
+    logWarn(`Indefinite transform not implemented for locale: ${locale}`);
+    return text;
+  }
+
+  const firstWord = text.trim().split(/\s+/)[0].toLowerCase();
+  if (!firstWord) {
+    return text;
+  }
+
+  const exceptions = { ...ENGLISH_RULES.indefiniteExceptions, ...langRules?.en?.indefinite?.exceptions };
+  const exception = Object.keys(exceptions)
+    .filter(prefix => firstWord.startsWith(prefix.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+
+  const wordException = ENGLISH_RULES.indefiniteWords[firstWord.split('-')[0]];
+
+  const article = exception ? exceptions[exception] : wordException || (/^[aeiou]/.test(firstWord) ? 'an' : 'a');
+  return `${capitalize ? article.charAt(0).toUpperCase() + article.slice(1) : article} ${text}`;
+}
+
+/**
+ * Get the plural of a noun phrase (only the last word is pluralized).
+ * Uses the item's own plural (`gram[locale].plural`, e.g. "Elves") if set, then irregular plurals
+ * (built-in for English, extended by `langRules[locale].plurals`, e.g. `{ "dwarf": "dwarves" }`),
+ * then the regular English endings (-es after sibilants, -ies after consonant + y, else -s).
+ *
+ * @param {string} text - Singular noun phrase
+ * @param {string} locale - Target locale (regular endings only for 'en')
+ * @param {Object} [gramData={}] - Grammatical metadata from item.gram
+ * @param {Object} [langRules={}] - Language rules from package
+ * @returns {string} Plural (unchanged if no rule applies)
+ * @example
+ * pluralize('Iron Hammer', 'en'); // "Iron Hammers"
+ * pluralize('Old Wolf', 'en'); // "Old Wolves"
+ */
+export function pluralize(text, locale, gramData = {}, langRules = {}) {
+  const itemPlural = gramData?.[locale]?.plural;
+  if (typeof itemPlural === 'string' && itemPlural) {
+    return itemPlural;
+  }
+
+  const match = /^(.*?)([\p{L}']+)([^\p{L}']*)$/u.exec(text);
+  if (!match) {
+    return text;
+  }
+  const [, head, word, tail] = match;
+
+  const irregulars = {
+    ...(locale === 'en' ? ENGLISH_RULES.irregularPlurals : {}),
+    ...langRules?.[locale]?.plurals
+  };
+  const irregular = Object.entries(irregulars).find(([singular]) => singular.toLowerCase() === word.toLowerCase());
+  if (irregular) {
+    return head + matchCase(irregular[1], word) + tail;
+  }
+
+  if (locale !== 'en') {
+    logWarn(`Plural transform not implemented for locale: ${locale}`);
+    return text;
+  }
+
+  let plural;
+  if (/(?:s|x|z|ch|sh)$/i.test(word)) {
+    plural = word + 'es';
+  } else if (/[^aeiou]y$/i.test(word)) {
+    plural = word.slice(0, -1) + 'ies';
+  } else {
+    plural = word + 's';
+  }
+  return head + (isUpperCase(word) ? plural.toUpperCase() : plural) + tail;
+}
+
+/**
+ * Read a number written as digits ("3") or, in English, as words ("three", "twenty-one").
+ *
+ * @param {string} text - Number text
+ * @param {string} locale - Target locale (number words only for 'en')
+ * @returns {number|null} Number or null if the text is not a number
+ * @example
+ * parseNumber('Twenty-One', 'en'); // 21
+ */
+export function parseNumber(text, locale) {
+  const trimmed = String(text).trim().toLowerCase();
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10);
+  }
+  if (locale !== 'en' || !trimmed) {
+    return null;
+  }
+
+  let total = 0;
+  let current = 0;
+  for (const word of trimmed.split(/[\s-]+/)) {
+    const small = ENGLISH_RULES.numberWords.indexOf(word);
+    const tens = ENGLISH_RULES.tensWords.indexOf(word);
+    if (small >= 0) {
+      current += small;
+    } else if (tens >= 2) {
+      current += tens * 10;
+    } else if (word === 'hundred') {
+      current = (current || 1) * 100;
+    } else if (word === 'thousand') {
+      total += (current || 1) * 1000;
+      current = 0;
+    } else if (word !== 'and') {
+      return null;
+    }
+  }
+  return total + current;
+}
+
+/**
+ * Turn a number into its ordinal: "3" or "three" become "third" (style "word")
+ * or "3rd" (style "numeric"). Capitalized input gives a capitalized word ("Three" → "Third").
+ *
+ * @param {string} text - Number as digits or English words
+ * @param {string} locale - Target locale (only 'en' supported)
+ * @param {Object} [options={}] - Ordinal options
+ * @param {string} [options.style='word'] - "word" or "numeric"
+ * @returns {string} Ordinal (unchanged if the text is not a number)
+ * @example
+ * toOrdinal('21', 'en'); // "twenty-first"
+ * toOrdinal('Twelve', 'en', { style: 'numeric' }); // "12th"
+ */
+export function toOrdinal(text, locale, options = {}) {
+  if (locale !== 'en') {
+    logWarn(`Ordinal transform not implemented for locale: ${locale}`);
+    return text;
+  }
+
+  const value = parseNumber(text, locale);
+  if (value === null) {
+    logWarn(`Ordinal transform: "${text}" is not a number`);
+    return text;
+  }
+
+  if (options.style === 'numeric' || value > MAX_NUMBER_WORDS) {
+    return `${value}${getOrdinalSuffix(value)}`;
+  }
+
+  const ordinal = numberToWords(value).replace(/[a-z]+$/, word =>
+    ENGLISH_RULES.irregularOrdinals[word] || (word.endsWith('y') ? `${word.slice(0, -1)}ieth` : `${word}th`));
+  return /^\p{Lu}/u.test(text.trim()) ? ordinal.charAt(0).toUpperCase() + ordinal.slice(1) : ordinal;
+}
+
+/**
+ * Spell out a number in English words.
+ *
+ * @param {number} value - Number from 0 to MAX_NUMBER_WORDS
+ * @returns {string} Number words (e.g., "three hundred twenty-one")
+ * @private
+ */
+function numberToWords(value) {
+  const { numberWords, tensWords } = ENGLISH_RULES;
+  if (value < 20) {
+    return numberWords[value];
+  }
+  if (value < 100) {
+    const rest = value % 10;
+    return tensWords[Math.floor(value / 10)] + (rest ? `-${numberWords[rest]}` : '');
+  }
+  if (value < 1000) {
+    const rest = value % 100;
+    return `${numberWords[Math.floor(value / 100)]} hundred` + (rest ? ` ${numberToWords(rest)}` : '');
+  }
+  const rest = value % 1000;
+  return `${numberToWords(Math.floor(value / 1000))} thousand` + (rest ? ` ${numberToWords(rest)}` : '');
+}
+
+/**
+ * Get the English ordinal suffix of a number.
+ *
+ * @param {number} value - Number
+ * @returns {string} "st", "nd", "rd" or "th"
+ * @private
+ */
+function getOrdinalSuffix(value) {
+  if (value % 100 >= 11 && value % 100 <= 13) {
+    return 'th';
+  }
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[value % 10] || 'th';
+}
+
+/** Parents a patronymic can be derived from ("mother" gives a matronymic) */
+export const PATRONYMIC_PARENTS = ['father', 'mother', 'either'];
+
+/** Built-in patronymic suffixes by gender of the child ("Thrain" → "Thrainsson", "Thrainsdottir") */
+const PATRONYMIC_SUFFIXES = { male: 'sson', female: 'sdottir', nonbinary: 'sbur' };
+
+/**
+ * Built-in patronymic phrases by locale and gender of the child.
+ * German phrases use the genitive article of the parent ("Sohn des Thrain", "Sohn der Dís").
+ */
+const PATRONYMIC_PHRASES = {
+  en: { male: 'son of {parent}', female: 'daughter of {parent}', nonbinary: 'child of {parent}' },
+  de: { male: 'Sohn {article} {parent}', female: 'Tochter {article} {parent}', nonbinary: 'Kind {article} {parent}' }
+};
+
+/** Built-in genitive articles by locale and gender of the parent */
+const PATRONYMIC_ARTICLES = {
+  de: { male: 'des', female: 'der' }
+};
+
+/**
+ * Get the patronymic rules of a package for a locale: the built-in rules,
+ * overridden by `langRules[locale].naming.patronymic`.
+ * Locales without built-in phrases use the English phrases.
+ *
+ * @param {Object} langRules - Language rules from package
+ * @param {string} locale - Target locale
+ * @returns {{style: string, parent: string, suffix: Object, phrase: Object, articles: Object}} Rules
+ * @example
+ * getPatronymicRules({ en: { naming: { patronymic: { style: 'suffix' } } } }, 'en').suffix.male; // "sson"
+ */
+export function getPatronymicRules(langRules, locale) {
+  const rules = langRules?.[locale]?.naming?.patronymic || {};
+  return {
+    style: rules.style === 'suffix' ? 'suffix' : 'phrase',
+    parent: PATRONYMIC_PARENTS.includes(rules.parent) ? rules.parent : 'father',
+    suffix: { ...PATRONYMIC_SUFFIXES, ...rules.suffix },
+    phrase: { ...(PATRONYMIC_PHRASES[locale] || PATRONYMIC_PHRASES.en), ...rules.phrase },
+    articles: { ...PATRONYMIC_ARTICLES[locale], ...rules.articles }
+  };
+}
+
+/**
+ * Derive a patronymic (or matronymic) from the name of a parent.
+ *
+ * With style "suffix" the suffix for the child's gender is appended; a suffix starting with the
+ * last letter of the name drops that letter ("Dís" + "sdottir" → "Dísdottir").
+ * With style "phrase" the phrase for the child's gender is filled in: `{parent}` is the name,
+ * `{parentGenitive}` its genitive and `{article}` the article for the parent's gender.
+ * Children of unknown gender get the nonbinary form; missing forms fall back to the male form.
+ *
+ * @param {string} parentName - Name of the parent
+ * @param {Object} rules - Rules from getPatronymicRules
+ * @param {Object} [options={}] - Derivation options
+ * @param {string|null} [options.childGender=null] - Gender of the child ('male', 'female', 'nonbinary')
+ * @param {string|null} [options.parentGender=null] - Gender of the parent (default: male)
+ * @param {Function|null} [options.genitive=null] - Returns the genitive of a name (for `{parentGenitive}`)
+ * @returns {string} Patronymic
+ * @example
+ * derivePatronymic('Thrain', getPatronymicRules({}, 'de'), { childGender: 'male' }); // "Sohn des Thrain"
+ * derivePatronymic('Thrain', { ...rules, style: 'suffix' }, { childGender: 'female' }); // "Thrainsdottir"
+ */
+export function derivePatronymic(parentName, rules, { childGender = null, parentGender = null, genitive = null } = {}) {
+  const forms = rules.style === 'suffix' ? rules.suffix : rules.phrase;
+  const form = forms[childGender || 'nonbinary'] ?? forms.male ?? '';
+
+  if (rules.style === 'suffix') {
+    const overlaps = form && parentName.slice(-1).toLowerCase() === form.charAt(0).toLowerCase();
+    return parentName + (overlaps ? form.slice(1) : form);
+  }
+
+  if (!form.includes('{parent')) {
+    logWarn(`Patronymic phrase "${form}" has no {parent} placeholder`);
+  }
+  return form
+    .replace('{parentGenitive}', () => (genitive ? genitive(parentName) : parentName))
+    .replace('{parent}', () => parentName)
+    .replace('{article}', () => rules.articles[parentGender || 'male'] || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Built-in diminutive rules by locale (replaced key by key by `langRules[locale].naming.diminutive`):
+ * English shortens to the first syllable with a single vowel and adds -y/-ie ("Robert" → "Rob", "Robby",
+ * "Robbie"), German drops a final -e/-a and adds -chen/-lein to one-syllable stems ("Grete" → "Gretchen",
+ * "Gretlein"; "Mainulf" has no form).
+ */
+const DIMINUTIVE_RULES = {
+  en: {
+    truncate: '^[^aeiouy]*[aeiouy][^aeiouy]',
+    minShort: 3,
+    suffixes: ['y', 'ie'],
+    doubleConsonant: true,
+    includeShort: true
+  },
+  de: {
+    dropEnding: '[ae]$',
+    maxSyllables: 1,
+    stemEnding: '[aeiouäöü](?:[lmnr]?[bdfgklmnprstzß]|[lmnr]|ck|tz|([bdfgklmnprst])\\1)$',
+    suffixes: ['chen', 'lein']
+  }
+};
+
+/**
+ * Get the diminutive rules of a package for a locale: the built-in rules,
+ * overridden by `langRules[locale].naming.diminutive`.
+ *
+ * @param {Object} langRules - Language rules from package
+ * @param {string} locale - Target locale
+ * @returns {Object|null} Rules ({ truncate, minShort, dropEnding, maxSyllables, stemEnding, suffixes,
+ *   doubleConsonant, includeShort })
+ *   or null if the locale has none
+ */
+export function getDiminutiveRules(langRules, locale) {
+  const rules = langRules?.[locale]?.naming?.diminutive;
+  if (!rules && !DIMINUTIVE_RULES[locale]) {
+    return null;
+  }
+  return { suffixes: [], ...DIMINUTIVE_RULES[locale], ...rules };
+}
+
+/**
+ * Derive the familiar forms of a first name from diminutive rules.
+ *
+ * 1. `truncate` (regular expression, matched at the start of the name) gives the short form:
+ *    group 1 if present, else the whole match. Names it does not match, shortens by a single
+ *    letter only ("Sage" → "Sag") or to fewer than `minShort` letters ("Yvonne" → "Yv") get no forms.
+ * 2. `dropEnding` (regular expression) is removed from the end of the stem before a suffix.
+ * 3. Stems with more than `maxSyllables` vowel groups, or not matching `stemEnding` (regular expression),
+ *    get no forms ("Mainulf" → no "Mainulfchen", "Thekla" → no "Theklchen").
+ * 4. With `doubleConsonant`, a final consonant after a single vowel is doubled before a suffix
+ *    ("Rob" → "Robb-ie", "Chris" → "Chriss-y").
+ * 5. Every suffix gives one form; with `includeShort` the short form itself is one, too.
+ *
+ * @param {string} name - First name
+ * @param {Object} rules - Rules from getDiminutiveRules
+ * @returns {string[]} Familiar forms without duplicates (empty if no rule applies)
+ * @example
+ * deriveDiminutives('Robert', getDiminutiveRules({}, 'en')); // ["Rob", "Robby", "Robbie"]
+ * deriveDiminutives('Grete', getDiminutiveRules({}, 'de')); // ["Gretchen", "Gretlein"]
+ */
+export function deriveDiminutives(name, rules) {
+  let stem = name;
+  let short = null;
+
+  try {
+    if (rules.truncate) {
+      const match = new RegExp(rules.truncate, 'iu').exec(name);
+      if (!match || match.index !== 0) {
+        return [];
+      }
+      stem = match[1] || match[0];
+      if (name.length - stem.length === 1 || stem.length < (rules.minShort || 0)) {
+        return [];
+      }
+      short = stem !== name ? stem : null;
+    }
+    if (rules.dropEnding) {
+      stem = stem.replace(new RegExp(rules.dropEnding, 'iu'), '') || stem;
+    }
+    if (rules.stemEnding && !new RegExp(rules.stemEnding, 'iu').test(stem)) {
+      return [];
+    }
+  } catch (error) {
+    logWarn(`Invalid diminutive rule: ${error.message}`);
+    return [];
+  }
+
+  if (rules.maxSyllables && (stem.match(/[aeiouyäöü]+/giu) || []).length > rules.maxSyllables) {
+    return [];
+  }
+
+  if (rules.doubleConsonant && /(?:^|[^aeiouy])[aeiouy][bdfgklmnprstvz]$/i.test(stem)) {
+    stem += stem.slice(-1);
+  }
+
+  const forms = (rules.suffixes || []).map(suffix => stem + suffix);
+  if (rules.includeShort && short) {
+    forms.unshift(short);
+  }
+  return [...new Set(forms)].filter(form => form !== name);
+}
+
+/**
+ * Apply the capitalization of a word to a replacement form.
+ *
+ * @param {string} form - Replacement (e.g., "wolves")
+ * @param {string} original - Original word (e.g., "Wolf")
+ * @returns {string} Form with matching capitalization (e.g., "Wolves")
+ * @private
+ */
+function matchCase(form, original) {
+  if (isUpperCase(original)) {
+    return form.toUpperCase();
+  }
+  if (/^\p{Lu}/u.test(original)) {
+    return form.charAt(0).toUpperCase() + form.slice(1);
+  }
+  return form;
+}
+
+/**
+ * Check whether a word is written in capitals (at least two letters).
+ *
+ * @param {string} word - Word
+ * @returns {boolean} True for words like "INN"
+ * @private
+ */
+function isUpperCase(word) {
+  return word.length > 1 && word === word.toUpperCase() && word !== word.toLowerCase();
+}
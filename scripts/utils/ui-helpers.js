@@ -5,6 +5,7 @@
 import { hasNamesGeneratorPermission } from './permissions.js';
 import { CSS_CLASSES, MODULE_ID } from '../shared/constants.js';
 import { logWarn, logError, logInfo, logDebug } from './logger.js';
+import { renderScript } from '../core/script-registry.js';
 
 /**
  * Shows loading state in a container
@@ -382,4 +383,56 @@ export function hasNonbinaryNamesForSpecies(language, species) {
     item.tags.includes('nonbinary') &&
     item.tags.includes('firstnames')
   );
+}
+
+/**
+ * Creates the "shown in script" line of a name: the name in a fantasy script with buttons
+ * to copy it as Unicode text and as markup (see script-registry)
+ * @param {string} name - Name in Latin letters
+ * @param {string} scriptId - Selected script ID (empty = no script)
+ * @returns {jQuery|null} Line element, or null if no known script is selected
+ */
+export function createScriptLine(name, scriptId) {
+  const rendering = scriptId ? renderScript(String(name), scriptId) : null;
+  if (!rendering) {
+    return null;
+  }
+
+  const $line = $('<div class="names-module-script-line"></div>')
+    .attr('data-name', name)
+    .attr('data-script', rendering.script);
+  const $text = $('<span class="names-module-script-text"></span>').text(rendering.text);
+  if (rendering.font) {
+    $text.css('font-family', `'${rendering.font}'`);
+  }
+  $line.append($text);
+
+  // Font-based scripts are plain Latin letters without their font, so only the markup is useful
+  if (rendering.type === 'unicode') {
+    $line.append($('<button type="button" class="names-module-script-copy" data-format="unicode"><i class="fas fa-copy"></i></button>')
+      .attr('title', game.i18n.localize("names.script.copy-unicode")));
+  }
+  $line.append($('<button type="button" class="names-module-script-copy" data-format="markup"><i class="fas fa-code"></i></button>')
+    .attr('title', game.i18n.localize("names.script.copy-markup")));
+
+  return $line;
+}
+
+/**
+ * Copies a name shown in a script (handler of the copy buttons of createScriptLine)
+ * @param {jQuery} $button - Clicked copy button
+ */
+export async function copyScriptLine($button) {
+  const $line = $button.closest('.names-module-script-line');
+  const rendering = renderScript(String($line.attr('data-name')), $line.attr('data-script'));
+  if (!rendering) {
+    return;
+  }
+
+  const format = $button.data('format');
+  await copyToClipboard(
+    format === 'markup' ? rendering.markup : rendering.text,
+    game.i18n.format(format === 'markup' ? "names.script.markup-copied" : "names.script.copied", { text: rendering.text })
+  );
+  logDebug(`Copied "${rendering.text}" (${rendering.script}, ${format})`);
 }
\ No newline at end of file